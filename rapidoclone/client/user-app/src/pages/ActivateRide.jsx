@@ -1,5 +1,5 @@
 // src/pages/ActiveRide.jsx
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useCallback, useMemo } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useSelector, useDispatch } from 'react-redux';
 import {
@@ -18,6 +18,7 @@ import {
   setActiveRide,
   resetRide,
 } from '../redux/slices/rideSlice';
+import { createIdempotencyKey } from '../utils/helpers';
 
 const ActiveRide = () => {
   const navigate = useNavigate();
@@ -57,6 +58,8 @@ const ActiveRide = () => {
   const [review, setReview] = useState('');
   const [tipAmount, setTipAmount] = useState(0);
   const [showTipModal, setShowTipModal] = useState(false);
+  // One key per tip: a retried submit sends the same one, a different amount gets a new one
+  const tipKey = useMemo(() => createIdempotencyKey(), [tipAmount]);
   const [eta, setEta] = useState(null);
   const [showShareModal, setShowShareModal] = useState(false);
   const [rideShared, setRideShared] = useState(false);
@@ -198,6 +201,7 @@ const ActiveRide = () => {
         await tipRide({
           rideId: activeRide._id,
           amount: tipAmount,
+          idempotencyKey: tipKey,
         }).unwrap();
       }
 
@@ -102,9 +102,11 @@ export const rideApi = apiSlice.injectEndpoints({
 
     // ===== Tip Captain =====
     tipRide: builder.mutation({
-      query: ({ rideId, amount }) => ({
+      // idempotencyKey: from createIdempotencyKey, reused when retrying the same tip
+      query: ({ rideId, amount, idempotencyKey }) => ({
         url: `/rides/${rideId}/tip`,
         method: 'POST',
+        headers: { 'Idempotency-Key': idempotencyKey },
         body: { amount },
       }),
       invalidatesTags: ['Ride', 'Wallet', 'WalletTransactions'],
@@ -53,9 +53,11 @@ export const walletApi = apiSlice.injectEndpoints({
 
     // ===== Transfer to Another User =====
     transferMoney: builder.mutation({
-      query: (body) => ({
+      // idempotencyKey: from createIdempotencyKey, reused when retrying the same attempt
+      query: ({ idempotencyKey, ...body }) => ({
         url: '/wallet/transfer',
         method: 'POST',
+        headers: { 'Idempotency-Key': idempotencyKey },
         body,
       }),
       invalidatesTags: ['Wallet', 'WalletTransactions'],
@@ -63,9 +65,11 @@ export const walletApi = apiSlice.injectEndpoints({
 
     // ===== Withdraw Money =====
     withdrawMoney: builder.mutation({
-      query: (body) => ({
+      // idempotencyKey: from createIdempotencyKey, reused when retrying the same attempt
+      query: ({ idempotencyKey, ...body }) => ({
         url: '/wallet/withdraw',
         method: 'POST',
+        headers: { 'Idempotency-Key': idempotencyKey },
         body,
       }),
       invalidatesTags: ['Wallet', 'WalletTransactions'],
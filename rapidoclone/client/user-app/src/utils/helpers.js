@@ -0,0 +1,8 @@
+// src/utils/helpers.js
+
+/**
+ * Key for one attempt at moving money, sent as the Idempotency-Key header.
+ * Create it once per attempt and send the same key again when retrying that attempt,
+ * so the server posts it only once.
+ */
+export const createIdempotencyKey = () => window.crypto.randomUUID();
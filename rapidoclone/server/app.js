@@ -16,6 +16,7 @@ require('dotenv').config();
 
 // Import custom modules
 const { errorHandler, notFound } = require('./src/middlewares/errorHandler');
+const requestId = require('./src/middlewares/requestId');
 const logger = require('./src/utils/logger');
 
 // Initialize express app
@@ -26,6 +27,11 @@ const app = express();
 // ============================================
 app.set('trust proxy', 1);
 
+// ============================================
+// REQUEST ID (referenced by audit logs)
+// ============================================
+app.use(requestId);
+
 // ============================================
 // CORS CONFIGURATION
 // ============================================
@@ -65,8 +71,11 @@ const corsOptions = {
     'Origin',
     'X-CSRF-Token',
     'X-API-Key',
+    'X-Request-Id',
+    'Idempotency-Key',
+    'X-Device-Id',
   ],
-  exposedHeaders: ['X-Total-Count', 'X-Page', 'X-Limit'],
+  exposedHeaders: ['X-Total-Count', 'X-Page', 'X-Limit', 'X-Request-Id'],
   maxAge: 86400,
   preflightContinue: false,
   optionsSuccessStatus: 204,
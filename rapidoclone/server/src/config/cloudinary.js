@@ -36,6 +36,7 @@ const FOLDERS = {
   AVATARS: 'rapido-clone/avatars',
   DOCUMENTS: 'rapido-clone/documents',
   VEHICLES: 'rapido-clone/vehicles',
+  SUPPORT: 'rapido-clone/support',
   MISC: 'rapido-clone/misc',
 };
 
@@ -111,6 +112,25 @@ const vehicleStorage = new CloudinaryStorage({
   },
 });
 
+/**
+ * Support ticket attachment storage configuration
+ */
+const supportStorage = new CloudinaryStorage({
+  cloudinary,
+  params: async (req, file) => {
+    const ownerId = req.user?._id || req.captain?._id || req.admin?._id || 'unknown';
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+    const isPDF = file.mimetype === 'application/pdf';
+
+    return {
+      folder: `${FOLDERS.SUPPORT}/${ownerId}`,
+      allowed_formats: ['jpg', 'jpeg', 'png', 'pdf', 'webp'],
+      resource_type: isPDF ? 'raw' : 'image',
+      public_id: `attachment-${uniqueSuffix}`,
+    };
+  },
+});
+
 /**
  * General file storage configuration
  */
@@ -201,6 +221,17 @@ const uploadVehicleImage = multer({
   },
 });
 
+/**
+ * Support ticket attachment upload middleware
+ */
+const uploadSupportAttachment = multer({
+  storage: supportStorage,
+  fileFilter: documentFileFilter,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+  },
+});
+
 /**
  * General file upload middleware
  */
@@ -497,6 +528,7 @@ module.exports = {
   uploadAvatar,
   uploadDocument,
   uploadVehicleImage,
+  uploadSupportAttachment,
   uploadGeneral,
 
   // File filters
@@ -95,10 +95,91 @@ module.exports = {
   // Ride settings
   RIDE: {
     SEARCH_TIMEOUT: 60,  // seconds
-    CAPTAIN_RESPONSE_TIME: 30, // seconds
+    CAPTAIN_RESPONSE_TIME: 15, // seconds each dispatch wave waits for an accept
     SEARCH_RADIUS: 5000, // meters
     MAX_SEARCH_RADIUS: 15000,
-    CANCELLATION_FREE_TIME: 120 // seconds
+    CANCELLATION_FREE_TIME: 120, // seconds
+    STALE_ASSIGNMENT_TIMEOUT: 600 // seconds without captain location before an accepted ride is reassigned
+  },
+
+  // Scheduled rides (minutes before scheduledTime)
+  SCHEDULED_RIDE: {
+    REMINDER_BEFORE: 30,
+    DISPATCH_BEFORE: 15,
+    GIVE_UP_BEFORE: 5    // stop searching and tell the rider
+  },
+
+  // Sequential dispatch (offers go out in waves of the best-ranked captains)
+  DISPATCH: {
+    WAVE_SIZE: 3,
+    MAX_WAVES: 4
+  },
+
+  // Captain matching
+  MATCHING: {
+    MIN_CAPTAINS: 3,           // widen the radius until at least this many are found
+    RADIUS_STEP: 2500,         // meters added per expansion
+    MAX_CANDIDATES: 20,
+    LOCATION_STALE_AFTER: 300, // seconds without a ping before a captain is skipped
+    ROAD_DISTANCE_FACTOR: 1.3, // straight-line -> road distance
+    AVERAGE_SPEED_KMPH: {
+      bike: 25,
+      auto: 20,
+      cab: 22
+    },
+    MAX_ETA_MINUTES: 20,       // ETA at which the ETA score reaches 0
+    MAX_IDLE_MINUTES: 30,      // idle time at which the idle score reaches 1
+    WEIGHTS: {
+      eta: 0.45,
+      rating: 0.25,
+      acceptance: 0.2,
+      idle: 0.1
+    }
+  },
+
+  // Live captain locations in Redis: one GEO set per city and vehicle type, written to
+  // Mongo in batches. Captains drop out after MATCHING.LOCATION_STALE_AFTER without a ping.
+  CAPTAIN_INDEX: {
+    FLUSH_BATCH: 500,  // locations per Mongo bulk write
+    OVERFETCH: 3,      // candidates read per captain wanted, doubled until enough are free
+    CITY_REFRESH: 300  // seconds city boundaries are kept in memory for placing captains
+  },
+
+  // Admin roles; superadmin always has every permission
+  ADMIN: {
+    ROLES: ['superadmin', 'admin', 'moderator'],
+    PERMISSIONS: [
+      'view_analytics',
+      'manage_users',
+      'manage_captains',
+      'manage_rides',
+      'manage_payments',
+      'manage_coupons',
+      'manage_referrals',
+      'manage_incentives',
+      'manage_pricing',
+      'manage_notifications',
+      'manage_settings',
+      'manage_support',
+      'manage_incidents'
+    ],
+    ROLE_PERMISSIONS: {
+      admin: [
+        'view_analytics',
+        'manage_users',
+        'manage_captains',
+        'manage_rides',
+        'manage_payments',
+        'manage_coupons',
+        'manage_referrals',
+        'manage_incentives',
+        'manage_pricing',
+        'manage_notifications',
+        'manage_support',
+        'manage_incidents'
+      ],
+      moderator: ['view_analytics', 'manage_users', 'manage_captains']
+    }
   },
 
   // Commission
@@ -106,10 +187,193 @@ module.exports = {
     PLATFORM_PERCENTAGE: 20
   },
 
+  // Rider cancellation fees by ride status, charged once CANCELLATION_FREE_TIME has passed
+  // since acceptance. Overridable via the 'rides' setting (cancellation.*).
+  CANCELLATION: {
+    FEES: {
+      accepted: 25,
+      arriving: 25,
+      arrived: 50
+    },
+    VEHICLE_FEES: {},    // per vehicle type overrides, e.g. { cab: { arrived: 75 } }
+    CAPTAIN_SHARE_PERCENTAGE: 50, // of the fee, as compensation for the trip to pickup
+    NO_SHOW_WAIT: 5       // minutes a captain waits at pickup before the rider counts as a no-show
+  },
+
+  // Final fare from the captain's GPS trail at completion.
+  // Overridable via the 'rides' setting (finalFare.*).
+  FINAL_FARE: {
+    MAX_DEVIATION_PERCENT: 15, // the quoted fare stands unless the driven distance differs by more
+    FREE_WAITING_MINUTES: 3,   // at pickup before waiting is charged
+    MAX_ACCURACY: 50,          // meters; less accurate fixes are ignored
+    MIN_MOVE: 15,              // meters; smaller moves between fixes are GPS jitter
+    MAX_SPEED_KMPH: 150,       // fixes that would need a faster jump are glitches
+    GAP_SECONDS: 60,           // silence longer than this is bridged with an estimated road distance
+    MIN_COVERAGE_PERCENT: 70   // share of the trip the trail must cover to be trusted
+  },
+
+  // Referral fraud checks; campaigns (rewards, limits, expiry) live in ReferralCampaign.
+  // Overridable via the 'referrals' setting.
+  REFERRAL: {
+    PHONE_PREFIX_LENGTH: 7, // referrer and referee numbers sharing this many leading digits are flagged
+    LOOP_DEPTH: 5           // how far up the referredBy chain to look for the referee
+  },
+
+  // Captain reliability: rolling rates and penalties for dropping rides.
+  // Overridable via the 'rides' setting (reliability.*).
+  RELIABILITY: {
+    WINDOW_SIZE: 50,              // rates cover the captain's last N offers / accepted rides
+    MIN_SAMPLE: 10,               // rates below this many events never trigger a suspension
+    FREE_CANCELLATIONS_PER_DAY: 2,
+    CANCEL_COOLDOWN: 15,          // minutes out of dispatch after cancelling an accepted ride
+    CANCEL_FINE: 25,              // ₹ per cancellation beyond the free ones
+    SUSPEND_CANCELLATION_RATE: 25, // % of accepted rides cancelled that triggers a suspension
+    SUSPENSION_HOURS: 24,
+    EVENT_RETENTION_DAYS: 90
+  },
+
+  // Support ticket SLAs in minutes by priority, measured from when the ticket is opened.
+  // Overridable via the 'support' setting (sla.*).
+  SUPPORT: {
+    SLA: {
+      urgent: { firstResponse: 15, resolution: 240 },
+      high: { firstResponse: 60, resolution: 720 },
+      medium: { firstResponse: 240, resolution: 1440 },
+      low: { firstResponse: 720, resolution: 4320 }
+    },
+    MAX_ATTACHMENTS: 5    // files per message
+  },
+
+  // SOS incidents. Overridable via the 'safety' setting (sos.*).
+  SOS: {
+    EMERGENCY_NUMBER: '112',
+    ESCALATION_INTERVAL: 2,  // minutes an incident can go unacknowledged before each escalation
+    MAX_ESCALATION_LEVEL: 3,
+    TRACKING_INTERVAL: 5,    // seconds between location fixes requested from both apps
+    TRAIL_MAX_POINTS: 2000   // newest fixes kept on the incident
+  },
+
+  // Live checks on trips in progress. Overridable via the 'safety' setting (tripMonitor.*),
+  // and per city under tripMonitor.cities.<city>.
+  TRIP_MONITOR: {
+    OFF_ROUTE_METERS: 300,    // away from the planned route by more than this counts as off route
+    OFF_ROUTE_SECONDS: 120,   // off route for this long before the trip is flagged
+    STOP_RADIUS: 40,          // meters; moving less than this counts as standing still
+    STOP_MINUTES: 5,          // standing still this long before the trip is flagged
+    DESTINATION_RADIUS: 200,  // meters; stops this close to the drop are expected
+    DARK_MINUTES: 3,          // no usable location for this long before the trip is flagged
+    MAX_ACCURACY: 100,        // meters; less accurate fixes are ignored
+    RESPONSE_MINUTES: 2,      // rider has this long to answer "Are you safe?" before admins are re-alerted
+    REALERT_MINUTES: 10       // after a flag clears, the same check stays quiet this long
+  },
+
+  // Outgoing SMS; providers are tried in SMS_PROVIDERS order
+  SMS: {
+    MAX_ATTEMPTS: 2,      // tries per provider before failing over to the next
+    RETRY_DELAY: 500,     // ms before the first retry, doubled after each
+    RETENTION_DAYS: 30    // delivery log kept for support lookups
+  },
+
+  // Outgoing email queue
+  EMAIL: {
+    MAX_ATTEMPTS: 5,
+    RETRY_DELAY: 1,       // minutes before the first retry, doubled after each
+    BATCH_SIZE: 20,       // emails sent per queue run
+    LOCK_TIMEOUT: 5,      // minutes before an email stuck in 'sending' is picked up again
+    RETENTION_DAYS: 30
+  },
+
+  // Map lookup cache. Entries are served fresh for FRESH seconds, then served stale and
+  // refreshed in the background for up to STALE seconds more.
+  MAP_CACHE: {
+    GRID: {
+      POINT: 4,           // decimals kept for reverse geocoding (~11 m)
+      ROUTE: 3,           // decimals kept for route and matrix endpoints (~110 m)
+      AREA: 2             // decimals of autocomplete bias areas and nearby searches (~1.1 km)
+    },
+    TTL: {
+      AUTOCOMPLETE: { FRESH: 3600, STALE: 86400 },
+      GEOCODE: { FRESH: 86400, STALE: 604800 },
+      PLACE: { FRESH: 86400, STALE: 604800 },
+      NEARBY: { FRESH: 3600, STALE: 86400 },
+      ROUTE: { FRESH: 300, STALE: 900 }
+    },
+    EMPTY_TTL: 300,       // seconds a lookup that found nothing is remembered, never served stale
+    DEPARTURE_BUCKET: 15  // minutes future departure times are rounded to
+  },
+
+  // Location searches
+  LOCATIONS: {
+    POPULAR_AFTER_SEARCHES: 25  // searches before a place is listed as popular in its city
+  },
+
+  // In-ride chat between rider and captain
+  CHAT: {
+    MAX_LENGTH: 500,      // characters per message
+    HISTORY_PAGE_SIZE: 50,
+    RETENTION_DAYS: 90    // messages are kept this long for support and safety reviews
+  },
+
+  // Tax included in the platform's share of a fare (overridable via the 'payments' setting)
+  TAX: {
+    PERCENTAGE: 5
+  },
+
   // Surge pricing
   SURGE: {
     MIN_MULTIPLIER: 1,
-    MAX_MULTIPLIER: 3
+    MAX_MULTIPLIER: 3,
+    STEP: 0.1,           // multipliers are rounded to this step
+    SENSITIVITY: 0.5,    // multiplier added per unit of excess demand/supply ratio
+    DEMAND_WINDOW: 10,   // minutes of ride requests counted as demand
+    SMOOTHING: 0.5,      // share of the gap to the raw value closed per refresh
+    HYSTERESIS: 0.2,     // raw moves smaller than this leave the multiplier alone
+    STATE_TTL: 300       // seconds a computed zone multiplier stays valid
+  },
+
+  // Fallback tariff cards (used when no VehicleType document is configured)
+  DEFAULT_TARIFFS: {
+    bike: {
+      baseFare: 20,
+      baseDistance: 1,     // km included in base fare
+      perKmRate: 6,
+      perMinuteRate: 1,
+      minimumFare: 25,
+      bookingFee: 2,
+      waitingChargePerMinute: 1,
+      distanceSlabs: []
+    },
+    auto: {
+      baseFare: 30,
+      baseDistance: 1.5,
+      perKmRate: 12,
+      perMinuteRate: 1.5,
+      minimumFare: 35,
+      bookingFee: 5,
+      waitingChargePerMinute: 1.5,
+      distanceSlabs: []
+    },
+    cab: {
+      baseFare: 50,
+      baseDistance: 2,
+      perKmRate: 10,       // beyond the last slab
+      perMinuteRate: 2,
+      minimumFare: 80,
+      bookingFee: 10,
+      waitingChargePerMinute: 2,
+      distanceSlabs: [
+        { upToKm: 10, perKmRate: 14 },
+        { upToKm: 25, perKmRate: 12 }
+      ]
+    }
+  },
+
+  // Night charges (hours are in local server time, 24h clock)
+  NIGHT_CHARGES: {
+    ENABLED: true,
+    START_HOUR: 23,
+    END_HOUR: 5,
+    MULTIPLIER: 1.25
   },
 
   // File upload limits
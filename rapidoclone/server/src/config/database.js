@@ -23,6 +23,15 @@ const connectDB = async () => {
 
     logger.info(`MongoDB Connected: ${conn.connection.host}`);
 
+    // Wallet movements are posted in transactions, which a standalone mongod doesn't support
+    const { setName, msg } = await conn.connection.db.admin().command({ hello: 1 });
+    if (!setName && msg !== 'isdbgrid') {
+      logger.error(
+        'MongoDB is not a replica set, so every wallet movement will fail. '
+        + 'Start mongod with --replSet (a single-node set is enough) and point MONGODB_URI at it.'
+      );
+    }
+
     // Connection event handlers
     mongoose.connection.on('error', (err) => {
       logger.error('MongoDB connection error:', err);
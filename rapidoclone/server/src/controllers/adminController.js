@@ -0,0 +1,5488 @@
+// src/controllers/adminController.js
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Captain = require('../models/Captain');
+const Ride = require('../models/Ride');
+const Payment = require('../models/Payment');
+const Wallet = require('../models/Wallet');
+const Transaction = require('../models/Transaction');
+const Coupon = require('../models/Coupon');
+const Referral = require('../models/Referral');
+const ReferralCampaign = require('../models/ReferralCampaign');
+const Incentive = require('../models/Incentive');
+const IncentiveProgress = require('../models/IncentiveProgress');
+const SupportTicket = require('../models/SupportTicket');
+const Incident = require('../models/Incident');
+const Notification = require('../models/Notification');
+const Admin = require('../models/Admin');
+const AuditLog = require('../models/AuditLog');
+const Setting = require('../models/Setting');
+const VehicleType = require('../models/VehicleType');
+const Zone = require('../models/Zone');
+const ScheduledReport = require('../models/ScheduledReport');
+const asyncHandler = require('../utils/asyncHandler');
+const ApiError = require('../utils/apiError');
+const ApiResponse = require('../utils/apiResponse');
+const FareCalculator = require('../services/fareCalculator');
+const ZoneService = require('../services/zoneService');
+const SurgeService = require('../services/surgeService');
+const DispatchService = require('../services/dispatchService');
+const AuditService = require('../services/auditService');
+const WalletService = require('../services/walletService');
+const ReferralService = require('../services/referralService');
+const SupportService = require('../services/supportService');
+const IncidentService = require('../services/incidentService');
+const MapService = require('../services/mapService');
+const TripMonitor = require('../services/tripMonitor');
+const ReportService = require('../services/reportService');
+const { parsePagination } = require('../utils/helpers');
+const { EXPORT_LIMIT, EXPORTERS, SCHEDULES, buildRideFilter, toCsv } = ReportService;
+const { emitToUser, emitToCaptain } = require('../config/socket');
+const { cache, getClient } = require('../config/redis');
+const { ADMIN, COMMISSION, DEFAULT_TARIFFS, SURGE } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Fare fields admins may set, with the request-body aliases used by the routes
+const FARE_CONFIG_FIELDS = {
+  baseFare: 'baseFare',
+  baseDistance: 'baseDistance',
+  perKm: 'perKmRate',
+  perKmRate: 'perKmRate',
+  perMinute: 'perMinuteRate',
+  perMinuteRate: 'perMinuteRate',
+  minimumFare: 'minimumFare',
+  bookingFee: 'bookingFee',
+  waitingChargePerMinute: 'waitingChargePerMinute',
+  commissionPercentage: 'commissionPercentage',
+  distanceSlabs: 'distanceSlabs',
+  nightCharges: 'nightCharges',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REPORT_TIMEZONE = 'Asia/Kolkata';
+const ACTIVE_RIDE_STATUSES = ['searching', 'accepted', 'arriving', 'arrived', 'started'];
+const PERIOD_DAYS = { week: 7, month: 30, quarter: 90, year: 365 };
+const GROUP_FORMATS = {
+  hour: '%Y-%m-%d %H:00',
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+};
+
+const USER_SAFE_FIELDS = '-password -refreshToken -savedCards -savedUPI';
+const CAPTAIN_SAFE_FIELDS = '-password -refreshToken';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildPagination = (page, limit, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit),
+});
+
+const buildSearch = (search, fields) => (search
+  ? { $or: fields.map((field) => ({ [field]: { $regex: escapeRegex(search), $options: 'i' } })) }
+  : {});
+
+const buildSort = ({ sortBy, order }, allowed) => ({
+  [allowed.includes(sortBy) ? sortBy : 'createdAt']: order === 'asc' ? 1 : -1,
+});
+
+const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+};
+
+/**
+ * Date range from { period, startDate, endDate } (defaults to the last 30 days)
+ */
+const resolveDateRange = ({ period, startDate, endDate } = {}) => {
+  const end = endDate ? new Date(endDate) : new Date();
+  let start;
+
+  if (startDate) {
+    start = new Date(startDate);
+  } else if (period === 'today') {
+    start = startOfToday();
+  } else {
+    start = new Date(end.getTime() - (PERIOD_DAYS[period] || 30) * DAY_MS);
+  }
+
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+    throw new ApiError(400, 'Invalid date range');
+  }
+
+  return { start, end };
+};
+
+const dateBucket = (field, groupBy) => ({
+  $dateToString: {
+    format: GROUP_FORMATS[groupBy] || GROUP_FORMATS.day,
+    date: field,
+    timezone: REPORT_TIMEZONE,
+  },
+});
+
+const percentChange = (current, previous) =>
+  (previous ? round2(((current - previous) / previous) * 100) : null);
+
+const isCompleted = { $eq: ['$status', 'completed'] };
+
+const RIDE_SUMMARY_GROUP = {
+  totalRides: { $sum: 1 },
+  completedRides: { $sum: { $cond: [isCompleted, 1, 0] } },
+  cancelledRides: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+  grossRevenue: { $sum: { $cond: [isCompleted, '$fare.total', 0] } },
+  platformRevenue: { $sum: { $cond: [isCompleted, '$fare.platformFee', 0] } },
+  captainEarnings: { $sum: { $cond: [isCompleted, '$fare.captainEarnings', 0] } },
+  totalDistance: { $sum: { $cond: [isCompleted, '$route.distance', 0] } },
+};
+
+const EMPTY_RIDE_SUMMARY = {
+  totalRides: 0,
+  completedRides: 0,
+  cancelledRides: 0,
+  grossRevenue: 0,
+  platformRevenue: 0,
+  captainEarnings: 0,
+  totalDistance: 0,
+};
+
+const summarizeRides = async (match) => {
+  const [summary] = await Ride.aggregate([
+    { $match: match },
+    { $group: { _id: null, ...RIDE_SUMMARY_GROUP } },
+    { $project: { _id: 0 } },
+  ]);
+  return summary || { ...EMPTY_RIDE_SUMMARY };
+};
+
+const rideSeries = (match, groupBy) => Ride.aggregate([
+  { $match: match },
+  { $group: { _id: dateBucket('$createdAt', groupBy), ...RIDE_SUMMARY_GROUP } },
+  { $sort: { _id: 1 } },
+  { $addFields: { date: '$_id' } },
+  { $project: { _id: 0 } },
+]);
+
+const countBy = async (model, match, field) => {
+  const groups = await model.aggregate([
+    { $match: match },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  ]);
+  return Object.fromEntries(groups.map((g) => [g._id ?? 'unknown', g.count]));
+};
+
+const signupSeries = (model, start, end, groupBy) => model.aggregate([
+  { $match: { createdAt: { $gte: start, $lte: end } } },
+  { $group: { _id: dateBucket('$createdAt', groupBy), count: { $sum: 1 } } },
+  { $sort: { _id: 1 } },
+  { $project: { _id: 0, date: '$_id', count: 1 } },
+]);
+
+/**
+ * Ride breakdowns used by ride analytics and ride reports
+ */
+const buildRideReport = async (match, groupBy) => {
+  const completedMatch = { ...match, status: 'completed' };
+
+  const [summary, series, byStatus, byVehicleType, byCity, byHour, cancelledBy, averages] = await Promise.all([
+    summarizeRides(match),
+    rideSeries(match, groupBy),
+    countBy(Ride, match, 'status'),
+    Ride.aggregate([
+      { $match: match },
+      { $group: { _id: '$vehicleType', ...RIDE_SUMMARY_GROUP } },
+      { $sort: { totalRides: -1 } },
+    ]),
+    Ride.aggregate([
+      { $match: match },
+      { $group: { _id: '$city', ...RIDE_SUMMARY_GROUP } },
+      { $sort: { totalRides: -1 } },
+    ]),
+    Ride.aggregate([
+      { $match: match },
+      { $group: { _id: { $hour: { date: '$createdAt', timezone: REPORT_TIMEZONE } }, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, hour: '$_id', count: 1 } },
+    ]),
+    countBy(Ride, { ...match, status: 'cancelled' }, 'cancellation.by'),
+    Ride.aggregate([
+      { $match: completedMatch },
+      {
+        $group: {
+          _id: null,
+          distance: { $avg: '$route.distance' },
+          duration: { $avg: '$route.duration' },
+          fare: { $avg: '$fare.total' },
+        },
+      },
+      { $project: { _id: 0 } },
+    ]),
+  ]);
+
+  return {
+    summary: {
+      ...summary,
+      completionRate: summary.totalRides
+        ? round2((summary.completedRides / summary.totalRides) * 100)
+        : 0,
+    },
+    series,
+    byStatus,
+    byVehicleType,
+    byCity,
+    byHour,
+    cancelledBy,
+    averages: averages[0] || { distance: 0, duration: 0, fare: 0 },
+  };
+};
+
+/**
+ * Revenue breakdowns used by revenue analytics and revenue reports
+ */
+const buildRevenueReport = async (start, end, groupBy) => {
+  const match = { status: 'completed', createdAt: { $gte: start, $lte: end } };
+
+  const [summary, series, byVehicleType, byPaymentMethod, refunds] = await Promise.all([
+    summarizeRides(match),
+    rideSeries(match, groupBy),
+    Ride.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$vehicleType',
+          rides: { $sum: 1 },
+          grossRevenue: { $sum: '$fare.total' },
+          platformRevenue: { $sum: '$fare.platformFee' },
+        },
+      },
+      { $sort: { grossRevenue: -1 } },
+    ]),
+    Ride.aggregate([
+      { $match: match },
+      { $group: { _id: '$payment.method', rides: { $sum: 1 }, amount: { $sum: '$fare.total' } } },
+      { $sort: { amount: -1 } },
+    ]),
+    Transaction.aggregate([
+      { $match: { category: 'refund', type: 'credit', createdAt: { $gte: start, $lte: end } } },
+      { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+      { $project: { _id: 0 } },
+    ]),
+  ]);
+
+  const refundTotals = refunds[0] || { count: 0, amount: 0 };
+
+  return {
+    summary: {
+      ...summary,
+      refunds: refundTotals,
+      netPlatformRevenue: round2(summary.platformRevenue - refundTotals.amount),
+    },
+    series,
+    byVehicleType,
+    byPaymentMethod,
+  };
+};
+
+/**
+ * In-app notification plus a socket event for a rider or captain
+ */
+const notifyAccount = async (recipientId, recipientType, {
+  type = 'general',
+  category = 'account',
+  priority = 'medium',
+  title,
+  message,
+  entity,
+}) => {
+  try {
+    const notification = await Notification.create({
+      recipient: recipientId,
+      recipientType,
+      type,
+      category,
+      priority,
+      title,
+      message,
+      ...(entity && { relatedEntity: entity }),
+      channels: { push: false, inApp: true },
+      metadata: { source: 'admin' },
+    });
+
+    const emit = recipientType === 'Captain' ? emitToCaptain : emitToUser;
+    emit(recipientId.toString(), 'notification:new', notification.toObject());
+  } catch (error) {
+    logger.error(`Failed to notify ${recipientType} ${recipientId}:`, error);
+  }
+};
+
+// Record an action taken through this admin request
+const audit = (req, action, entity, details = {}) => AuditService.record({ req, action, entity, ...details });
+
+const pick = (source, fields) => Object.fromEntries(fields.map((field) => [field, source?.[field]]));
+
+const parseAmount = (amount) => {
+  const value = round2(Number(amount));
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new ApiError(400, 'Amount must be a positive number');
+  }
+  return value;
+};
+
+/**
+ * Credit or debit a wallet against the platform adjustments account
+ * Debits never take the balance below zero; credits create the wallet if missing.
+ * The wallet service audits the movement against the admin on `req`.
+ * `replayed` means the request repeated one already posted and nothing moved.
+ */
+const adjustWallet = async (movement) => {
+  const { transactions: [transaction], replayed } = await WalletService.adjust(movement);
+  return { balance: transaction.balanceAfter, transaction, replayed };
+};
+
+const getWalletOverview = async (ownerId, ownerType) => {
+  const wallet = await Wallet.findOne({ owner: ownerId, ownerType }).lean();
+
+  if (!wallet) {
+    return { wallet: null, recentTransactions: [] };
+  }
+
+  const recentTransactions = await Transaction.find({ wallet: wallet._id })
+    .sort({ createdAt: -1 })
+    .limit(10)
+    .lean();
+
+  return { wallet, recentTransactions };
+};
+
+const listWalletTransactions = async (ownerId, ownerType, query) => {
+  const { page, limit, skip } = parsePagination(query);
+  const wallet = await Wallet.findOne({ owner: ownerId, ownerType }).select('_id');
+
+  if (!wallet) {
+    return { transactions: [], pagination: buildPagination(page, limit, 0) };
+  }
+
+  const filter = {
+    wallet: wallet._id,
+    ...(query.type && { type: query.type }),
+    ...(query.category && { category: query.category }),
+  };
+
+  const [transactions, total] = await Promise.all([
+    Transaction.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    Transaction.countDocuments(filter),
+  ]);
+
+  return { transactions, pagination: buildPagination(page, limit, total) };
+};
+
+const listRides = async (filter, query) => {
+  const { page, limit, skip } = parsePagination(query);
+
+  const [rides, total] = await Promise.all([
+    Ride.find(filter)
+      .select('-tracking -otp')
+      .populate('user', 'firstName lastName phone')
+      .populate('captain', 'firstName lastName phone vehicle')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Ride.countDocuments(filter),
+  ]);
+
+  return { rides, pagination: buildPagination(page, limit, total) };
+};
+
+// ==========================================
+// DASHBOARD & ANALYTICS
+// ==========================================
+
+/**
+ * @desc    Get dashboard overview stats
+ * @route   GET /api/v1/admin/dashboard
+ * @access  Private (Admin)
+ */
+exports.getDashboardStats = asyncHandler(async (req, res) => {
+  const today = startOfToday();
+
+  const [
+    totalUsers,
+    newUsersToday,
+    captainsByStatus,
+    onlineCaptains,
+    activeRides,
+    scheduledRides,
+    todaySummary,
+    allTimeSummary,
+    pendingWithdrawals,
+  ] = await Promise.all([
+    User.countDocuments(),
+    User.countDocuments({ createdAt: { $gte: today } }),
+    countBy(Captain, {}, 'status'),
+    Captain.countDocuments({ isOnline: true, status: 'approved' }),
+    Ride.countDocuments({ status: { $in: ACTIVE_RIDE_STATUSES } }),
+    Ride.countDocuments({ status: 'scheduled' }),
+    summarizeRides({ createdAt: { $gte: today } }),
+    summarizeRides({}),
+    Transaction.countDocuments({ category: 'withdrawal', status: { $in: ['pending', 'processing'] } }),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      users: {
+        total: totalUsers,
+        newToday: newUsersToday,
+      },
+      captains: {
+        total: Object.values(captainsByStatus).reduce((sum, count) => sum + count, 0),
+        pending: captainsByStatus.pending || 0,
+        approved: captainsByStatus.approved || 0,
+        suspended: captainsByStatus.suspended || 0,
+        online: onlineCaptains,
+      },
+      rides: {
+        active: activeRides,
+        scheduled: scheduledRides,
+        today: todaySummary,
+        allTime: allTimeSummary,
+      },
+      pendingWithdrawals,
+    }, 'Dashboard stats retrieved')
+  );
+});
+
+/**
+ * @desc    Get realtime dashboard data
+ * @route   GET /api/v1/admin/dashboard/realtime
+ * @access  Private (Admin)
+ */
+exports.getRealtimeStats = asyncHandler(async (req, res) => {
+  const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
+
+  const [activeByStatus, captainsByVehicle, recentRequests, recentCompletions] = await Promise.all([
+    countBy(Ride, { status: { $in: ACTIVE_RIDE_STATUSES } }, 'status'),
+    Captain.aggregate([
+      { $match: { isOnline: true, status: 'approved' } },
+      {
+        $group: {
+          _id: '$vehicle.type',
+          online: { $sum: 1 },
+          onRide: { $sum: { $cond: ['$isOnRide', 1, 0] } },
+        },
+      },
+    ]),
+    Ride.countDocuments({ 'timestamps.requested': { $gte: fiveMinutesAgo } }),
+    Ride.countDocuments({ status: 'completed', 'timestamps.completed': { $gte: fiveMinutesAgo } }),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      rides: activeByStatus,
+      captains: Object.fromEntries(captainsByVehicle.map((c) => [c._id, {
+        online: c.online,
+        onRide: c.onRide,
+        idle: c.online - c.onRide,
+      }])),
+      lastFiveMinutes: {
+        requested: recentRequests,
+        completed: recentCompletions,
+      },
+      connectedSockets: global.io?.engine?.clientsCount ?? null,
+      timestamp: new Date(),
+    }, 'Realtime stats retrieved')
+  );
+});
+
+/**
+ * @desc    Get detailed analytics (current period vs the one before it)
+ * @route   GET /api/v1/admin/analytics
+ * @access  Private (Admin)
+ */
+exports.getAnalytics = asyncHandler(async (req, res) => {
+  const { start, end } = resolveDateRange(req.query);
+  const previousStart = new Date(start.getTime() - (end - start));
+
+  const [current, previous, newUsers, previousUsers, newCaptains, previousCaptains] = await Promise.all([
+    summarizeRides(buildRideFilter({ start, end })),
+    summarizeRides(buildRideFilter({ start: previousStart, end: start })),
+    User.countDocuments({ createdAt: { $gte: start, $lte: end } }),
+    User.countDocuments({ createdAt: { $gte: previousStart, $lt: start } }),
+    Captain.countDocuments({ createdAt: { $gte: start, $lte: end } }),
+    Captain.countDocuments({ createdAt: { $gte: previousStart, $lt: start } }),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      range: { start, end },
+      rides: current,
+      previous,
+      newUsers,
+      newCaptains,
+      growth: {
+        rides: percentChange(current.totalRides, previous.totalRides),
+        completedRides: percentChange(current.completedRides, previous.completedRides),
+        grossRevenue: percentChange(current.grossRevenue, previous.grossRevenue),
+        platformRevenue: percentChange(current.platformRevenue, previous.platformRevenue),
+        newUsers: percentChange(newUsers, previousUsers),
+        newCaptains: percentChange(newCaptains, previousCaptains),
+      },
+    }, 'Analytics retrieved')
+  );
+});
+
+/**
+ * @desc    Get revenue analytics
+ * @route   GET /api/v1/admin/analytics/revenue
+ * @access  Private (Admin)
+ */
+exports.getRevenueAnalytics = asyncHandler(async (req, res) => {
+  const { start, end } = resolveDateRange(req.query);
+  const report = await buildRevenueReport(start, end, req.query.groupBy);
+
+  res.status(200).json(
+    new ApiResponse(200, { range: { start, end }, ...report }, 'Revenue analytics retrieved')
+  );
+});
+
+/**
+ * @desc    Get ride analytics
+ * @route   GET /api/v1/admin/analytics/rides
+ * @access  Private (Admin)
+ */
+exports.getRideAnalytics = asyncHandler(async (req, res) => {
+  const { start, end } = resolveDateRange(req.query);
+  const { vehicleType, city, groupBy } = req.query;
+
+  const report = await buildRideReport(buildRideFilter({ vehicleType, city, start, end }), groupBy);
+
+  res.status(200).json(
+    new ApiResponse(200, { range: { start, end }, ...report }, 'Ride analytics retrieved')
+  );
+});
+
+/**
+ * Rider activity shared by user analytics and user reports
+ */
+const buildUserReport = async (start, end, groupBy) => {
+  const rideMatch = { createdAt: { $gte: start, $lte: end } };
+
+  const [total, byStatus, signups, riderActivity, topRiders] = await Promise.all([
+    User.countDocuments(),
+    countBy(User, {}, 'accountStatus'),
+    signupSeries(User, start, end, groupBy),
+    Ride.aggregate([
+      { $match: rideMatch },
+      { $group: { _id: '$user', rides: { $sum: 1 } } },
+      {
+        $group: {
+          _id: null,
+          activeRiders: { $sum: 1 },
+          repeatRiders: { $sum: { $cond: [{ $gt: ['$rides', 1] }, 1, 0] } },
+        },
+      },
+      { $project: { _id: 0 } },
+    ]),
+    Ride.aggregate([
+      { $match: { ...rideMatch, status: 'completed' } },
+      { $group: { _id: '$user', rides: { $sum: 1 }, spent: { $sum: '$fare.total' } } },
+      { $sort: { spent: -1 } },
+      { $limit: 10 },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $unwind: '$user' },
+      {
+        $project: {
+          _id: 0,
+          userId: '$_id',
+          name: { $concat: ['$user.firstName', ' ', { $ifNull: ['$user.lastName', ''] }] },
+          phone: '$user.phone',
+          rides: 1,
+          spent: 1,
+        },
+      },
+    ]),
+  ]);
+
+  return {
+    total,
+    byStatus,
+    newUsers: signups.reduce((sum, s) => sum + s.count, 0),
+    signups,
+    ...(riderActivity[0] || { activeRiders: 0, repeatRiders: 0 }),
+    topRiders,
+  };
+};
+
+/**
+ * Captain supply shared by captain analytics and captain reports
+ */
+const buildCaptainReport = async (start, end, groupBy) => {
+  const [byStatus, byVehicleType, signups, approvals, online, topCaptains] = await Promise.all([
+    countBy(Captain, {}, 'status'),
+    countBy(Captain, { status: 'approved' }, 'vehicle.type'),
+    signupSeries(Captain, start, end, groupBy),
+    Captain.countDocuments({ approvedAt: { $gte: start, $lte: end } }),
+    Captain.countDocuments({ isOnline: true, status: 'approved' }),
+    Ride.aggregate([
+      { $match: { status: 'completed', createdAt: { $gte: start, $lte: end } } },
+      {
+        $group: {
+          _id: '$captain',
+          rides: { $sum: 1 },
+          earnings: { $sum: '$fare.captainEarnings' },
+          distance: { $sum: '$route.distance' },
+        },
+      },
+      { $sort: { earnings: -1 } },
+      { $limit: 10 },
+      { $lookup: { from: 'captains', localField: '_id', foreignField: '_id', as: 'captain' } },
+      { $unwind: '$captain' },
+      {
+        $project: {
+          _id: 0,
+          captainId: '$_id',
+          name: { $concat: ['$captain.firstName', ' ', { $ifNull: ['$captain.lastName', ''] }] },
+          vehicleType: '$captain.vehicle.type',
+          rating: '$captain.ratings.average',
+          rides: 1,
+          earnings: 1,
+          distance: 1,
+        },
+      },
+    ]),
+  ]);
+
+  return {
+    total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+    byStatus,
+    byVehicleType,
+    online,
+    newCaptains: signups.reduce((sum, s) => sum + s.count, 0),
+    approvals,
+    signups,
+    topCaptains,
+  };
+};
+
+/**
+ * @desc    Get user analytics
+ * @route   GET /api/v1/admin/analytics/users
+ * @access  Private (Admin)
+ */
+exports.getUserAnalytics = asyncHandler(async (req, res) => {
+  const { start, end } = resolveDateRange(req.query);
+  const report = await buildUserReport(start, end, req.query.groupBy);
+
+  res.status(200).json(
+    new ApiResponse(200, { range: { start, end }, ...report }, 'User analytics retrieved')
+  );
+});
+
+/**
+ * @desc    Get captain analytics
+ * @route   GET /api/v1/admin/analytics/captains
+ * @access  Private (Admin)
+ */
+exports.getCaptainAnalytics = asyncHandler(async (req, res) => {
+  const { start, end } = resolveDateRange(req.query);
+  const report = await buildCaptainReport(start, end, req.query.groupBy);
+
+  res.status(200).json(
+    new ApiResponse(200, { range: { start, end }, ...report }, 'Captain analytics retrieved')
+  );
+});
+
+// ==========================================
+// USER MANAGEMENT
+// ==========================================
+
+const USER_STATUSES = ['active', 'suspended', 'banned'];
+const USER_SORT_FIELDS = ['createdAt', 'firstName', 'lastName', 'email', 'ratings.average'];
+const USER_EDITABLE_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'isActive'];
+
+/**
+ * Reject an email/phone change that collides with another account
+ */
+const assertUniqueContact = async (model, id, { email, phone }) => {
+  const conditions = [
+    ...(email ? [{ email: email.toLowerCase() }] : []),
+    ...(phone ? [{ phone }] : []),
+  ];
+
+  if (conditions.length === 0) return;
+
+  const existing = await model.exists({ _id: { $ne: id }, $or: conditions });
+  if (existing) {
+    throw new ApiError(409, 'Email or phone is already used by another account');
+  }
+};
+
+/**
+ * @desc    Get all users
+ * @route   GET /api/v1/admin/users
+ * @access  Private (Admin)
+ */
+exports.getUsers = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { search, status } = req.query;
+
+  const filter = {
+    ...buildSearch(search, ['firstName', 'lastName', 'email', 'phone']),
+    // Accounts created before accountStatus existed count as active
+    ...(status && { accountStatus: status === 'active' ? { $in: ['active', null] } : status }),
+  };
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .select(USER_SAFE_FIELDS)
+      .sort(buildSort(req.query, USER_SORT_FIELDS))
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    User.countDocuments(filter),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      users,
+      pagination: buildPagination(page, limit, total),
+    }, 'Users retrieved')
+  );
+});
+
+/**
+ * @desc    Get user details
+ * @route   GET /api/v1/admin/users/:userId
+ * @access  Private (Admin)
+ */
+exports.getUserDetails = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.userId).select(USER_SAFE_FIELDS).lean();
+
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  const [rideStats, wallet, recentRides, activeRide] = await Promise.all([
+    summarizeRides({ user: user._id }),
+    Wallet.findOne({ owner: user._id, ownerType: 'User' }).lean(),
+    Ride.find({ user: user._id })
+      .select('rideId status vehicleType fare.total pickup.address destination.address createdAt')
+      .sort({ createdAt: -1 })
+      .limit(5)
+      .lean(),
+    Ride.findOne({ user: user._id, status: { $in: ACTIVE_RIDE_STATUSES } })
+      .select('rideId status captain')
+      .lean(),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      user,
+      wallet,
+      rideStats,
+      recentRides,
+      activeRide,
+    }, 'User details retrieved')
+  );
+});
+
+/**
+ * @desc    Update user
+ * @route   PUT /api/v1/admin/users/:userId
+ * @access  Private (Admin)
+ */
+exports.updateUser = asyncHandler(async (req, res) => {
+  const updates = {};
+  USER_EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  if (Object.keys(updates).length === 0) {
+    throw new ApiError(400, 'No user fields provided');
+  }
+
+  const fields = Object.keys(updates);
+  const before = await User.findById(req.params.userId).select(fields.join(' ')).lean();
+
+  if (!before) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  await assertUniqueContact(User, req.params.userId, updates);
+
+  const user = await User.findByIdAndUpdate(req.params.userId, updates, {
+    new: true,
+    runValidators: true,
+  }).select(USER_SAFE_FIELDS);
+
+  await audit(req, 'user.update', { type: 'User', id: user._id }, {
+    before: pick(before, fields),
+    after: pick(user, fields),
+  });
+
+  logger.info(`User ${user._id} updated by admin ${req.admin._id}: ${Object.keys(updates).join(', ')}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { user }, 'User updated')
+  );
+});
+
+/**
+ * @desc    Update user status (activate/suspend/ban)
+ * @route   PUT /api/v1/admin/users/:userId/status
+ * @access  Private (Admin)
+ */
+exports.updateUserStatus = asyncHandler(async (req, res) => {
+  const { status, reason } = req.body;
+
+  if (!USER_STATUSES.includes(status)) {
+    throw new ApiError(400, `Status must be one of: ${USER_STATUSES.join(', ')}`);
+  }
+
+  if (status !== 'active' && !reason) {
+    throw new ApiError(400, 'A reason is required to suspend or ban a user');
+  }
+
+  const isActive = status === 'active';
+  const statusFields = ['accountStatus', 'isActive', 'statusReason'];
+
+  const before = await User.findById(req.params.userId).select(statusFields.join(' ')).lean();
+
+  if (!before) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  const update = isActive
+    ? { accountStatus: status, isActive, $unset: { statusReason: 1 } }
+    // Dropping the refresh token forces a fresh login on every device
+    : { accountStatus: status, isActive, statusReason: reason, $unset: { refreshToken: 1 } };
+
+  const user = await User.findByIdAndUpdate(req.params.userId, update, { new: true })
+    .select(USER_SAFE_FIELDS);
+
+  await audit(req, `user.${isActive ? 'activate' : status === 'banned' ? 'ban' : 'suspend'}`, { type: 'User', id: user._id }, {
+    before: pick(before, statusFields),
+    after: pick(user, statusFields),
+    reason,
+  });
+
+  await notifyAccount(user._id, 'User', isActive
+    ? {
+      title: 'Account reactivated',
+      message: 'Your account is active again. You can book rides as usual.',
+    }
+    : {
+      type: 'account_suspended',
+      priority: 'high',
+      title: status === 'banned' ? 'Account banned' : 'Account suspended',
+      message: `Your account has been ${status}. Reason: ${reason}`,
+    });
+
+  logger.info(`User ${user._id} set to ${status} by admin ${req.admin._id}${reason ? `: ${reason}` : ''}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { user }, `User ${status === 'active' ? 'activated' : status}`)
+  );
+});
+
+/**
+ * @desc    Delete user
+ * @route   DELETE /api/v1/admin/users/:userId
+ * @access  Private (Super Admin)
+ */
+exports.deleteUser = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.userId).select(USER_SAFE_FIELDS).lean();
+
+  if (!user) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  const activeRide = await Ride.exists({
+    user: user._id,
+    status: { $in: [...ACTIVE_RIDE_STATUSES, 'scheduled'] },
+  });
+
+  if (activeRide) {
+    throw new ApiError(400, 'User has an active or scheduled ride. Cancel it first');
+  }
+
+  // Rides are kept for reporting; the account and wallet go
+  await Promise.all([
+    User.deleteOne({ _id: user._id }),
+    Wallet.deleteOne({ owner: user._id, ownerType: 'User' }),
+  ]);
+
+  await audit(req, 'user.delete', { type: 'User', id: user._id, label: user.phone }, {
+    before: user,
+    after: null,
+    reason: req.body?.reason,
+  });
+
+  logger.warn(`User ${user._id} deleted by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, null, 'User deleted')
+  );
+});
+
+/**
+ * @desc    Get user's ride history
+ * @route   GET /api/v1/admin/users/:userId/rides
+ * @access  Private (Admin)
+ */
+exports.getUserRides = asyncHandler(async (req, res) => {
+  const { rides, pagination } = await listRides(
+    { user: req.params.userId, ...(req.query.status && { status: req.query.status }) },
+    req.query
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { rides, pagination }, 'User rides retrieved')
+  );
+});
+
+/**
+ * @desc    Get user's transactions
+ * @route   GET /api/v1/admin/users/:userId/transactions
+ * @access  Private (Admin)
+ */
+exports.getUserTransactions = asyncHandler(async (req, res) => {
+  const result = await listWalletTransactions(req.params.userId, 'User', req.query);
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'User transactions retrieved')
+  );
+});
+
+/**
+ * @desc    Get user's wallet details
+ * @route   GET /api/v1/admin/users/:userId/wallet
+ * @access  Private (Admin)
+ */
+exports.getUserWallet = asyncHandler(async (req, res) => {
+  const overview = await getWalletOverview(req.params.userId, 'User');
+
+  res.status(200).json(
+    new ApiResponse(200, overview, 'User wallet retrieved')
+  );
+});
+
+const adjustUserWallet = async (req, res, type) => {
+  const { reason } = req.body;
+  const amount = parseAmount(req.body.amount);
+
+  if (!reason) {
+    throw new ApiError(400, 'Reason is required');
+  }
+
+  if (!(await User.exists({ _id: req.params.userId }))) {
+    throw new ApiError(404, 'User not found');
+  }
+
+  const { balance, transaction, replayed } = await adjustWallet({
+    ownerId: req.params.userId,
+    ownerType: 'User',
+    type,
+    amount,
+    category: 'adjustment',
+    description: reason,
+    req,
+  });
+
+  if (!replayed) {
+    await notifyAccount(req.params.userId, 'User', {
+      type: type === 'credit' ? 'wallet_credited' : 'wallet_debited',
+      category: 'payment',
+      title: type === 'credit' ? 'Wallet credited' : 'Wallet debited',
+      message: `₹${amount} ${type === 'credit' ? 'added to' : 'deducted from'} your wallet. ${reason}`,
+      entity: { entityType: 'Transaction', entityId: transaction._id },
+    });
+
+    logger.info(`User ${req.params.userId} wallet ${type} ₹${amount} by admin ${req.admin._id}: ${reason}`);
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      balance,
+      transaction,
+      replayed,
+    }, type === 'credit' ? 'Wallet credited' : 'Wallet debited')
+  );
+};
+
+/**
+ * @desc    Credit user wallet
+ * @route   POST /api/v1/admin/users/:userId/wallet/credit
+ * @access  Private (Admin)
+ */
+exports.creditUserWallet = asyncHandler(async (req, res) => adjustUserWallet(req, res, 'credit'));
+
+/**
+ * @desc    Debit user wallet
+ * @route   POST /api/v1/admin/users/:userId/wallet/debit
+ * @access  Private (Admin)
+ */
+exports.debitUserWallet = asyncHandler(async (req, res) => adjustUserWallet(req, res, 'debit'));
+
+// ==========================================
+// CAPTAIN MANAGEMENT
+// ==========================================
+
+const CAPTAIN_SORT_FIELDS = [
+  'createdAt',
+  'firstName',
+  'ratings.average',
+  'stats.totalRides',
+  'stats.totalEarnings',
+];
+const CAPTAIN_EDITABLE_FIELDS = ['firstName', 'lastName', 'email', 'phone'];
+const CAPTAIN_STATUS_FIELDS = ['status', 'statusReason', 'suspendedUntil', 'isOnline'];
+const CAPTAIN_DOCUMENTS = ['drivingLicense', 'vehicleRC', 'insurance', 'aadhar', 'pan', 'profilePhoto'];
+// Documents that must be verified before a captain can be approved
+const REQUIRED_CAPTAIN_DOCUMENTS = ['drivingLicense', 'vehicleRC', 'insurance', 'aadhar', 'profilePhoto'];
+// DOCUMENT_TYPES in config/constants uses snake_case names
+const DOCUMENT_ALIASES = {
+  driving_license: 'drivingLicense',
+  vehicle_rc: 'vehicleRC',
+  profile_photo: 'profilePhoto',
+};
+const WALLET_CREDIT_CATEGORIES = ['bonus', 'adjustment', 'refund', 'referral'];
+
+const resolveDocumentType = (docType) => {
+  const key = DOCUMENT_ALIASES[docType] || docType;
+  if (!CAPTAIN_DOCUMENTS.includes(key)) {
+    throw new ApiError(400, `Invalid document type. Use one of: ${CAPTAIN_DOCUMENTS.join(', ')}`);
+  }
+  return key;
+};
+
+/**
+ * Per-document review state of a (lean) captain
+ */
+const describeDocuments = (captain) => {
+  const documents = Object.fromEntries(CAPTAIN_DOCUMENTS.map((key) => {
+    const doc = captain.documents?.[key] || {};
+    return [key, {
+      ...doc,
+      uploaded: !!doc.image,
+      verified: !!doc.verified,
+      required: REQUIRED_CAPTAIN_DOCUMENTS.includes(key),
+    }];
+  }));
+
+  const pendingRequired = REQUIRED_CAPTAIN_DOCUMENTS.filter((key) => !documents[key].verified);
+
+  return {
+    documents,
+    pendingRequired,
+    readyForApproval: pendingRequired.length === 0,
+  };
+};
+
+const findCaptainOr404 = async (captainId, select = CAPTAIN_SAFE_FIELDS) => {
+  const captain = await Captain.findById(captainId).select(select);
+  if (!captain) {
+    throw new ApiError(404, 'Captain not found');
+  }
+  return captain;
+};
+
+/**
+ * @desc    Get all captains
+ * @route   GET /api/v1/admin/captains
+ * @access  Private (Admin)
+ */
+exports.getCaptains = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { search, status, vehicleType, isOnline } = req.query;
+
+  const filter = {
+    ...buildSearch(search, ['firstName', 'lastName', 'email', 'phone', 'vehicle.registrationNumber']),
+    ...(status && { status }),
+    ...(vehicleType && { 'vehicle.type': vehicleType }),
+    ...(isOnline !== undefined && { isOnline: isOnline === 'true' }),
+  };
+
+  const [captains, total] = await Promise.all([
+    Captain.find(filter)
+      .select(`${CAPTAIN_SAFE_FIELDS} -documents -bankDetails`)
+      .sort(buildSort(req.query, CAPTAIN_SORT_FIELDS))
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Captain.countDocuments(filter),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      captains,
+      pagination: buildPagination(page, limit, total),
+    }, 'Captains retrieved')
+  );
+});
+
+/**
+ * @desc    Get captains pending approval (oldest first)
+ * @route   GET /api/v1/admin/captains/pending
+ * @access  Private (Admin)
+ */
+exports.getPendingCaptains = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const filter = { status: 'pending' };
+
+  const [captains, total] = await Promise.all([
+    Captain.find(filter)
+      .select(`${CAPTAIN_SAFE_FIELDS} -bankDetails`)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Captain.countDocuments(filter),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      captains: captains.map((captain) => {
+        const { pendingRequired, readyForApproval } = describeDocuments(captain);
+        const row = { ...captain, pendingRequired, readyForApproval };
+        delete row.documents;
+        return row;
+      }),
+      pagination: buildPagination(page, limit, total),
+    }, 'Pending captains retrieved')
+  );
+});
+
+/**
+ * @desc    Get online captains
+ * @route   GET /api/v1/admin/captains/online
+ * @access  Private (Admin)
+ */
+exports.getOnlineCaptains = asyncHandler(async (req, res) => {
+  const { vehicleType, city } = req.query;
+
+  const filter = {
+    isOnline: true,
+    status: 'approved',
+    ...(vehicleType && { 'vehicle.type': vehicleType }),
+  };
+
+  if (city) {
+    const cityZone = await Zone.findOne({ type: 'city', city: city.toLowerCase(), isActive: true })
+      .select('boundary')
+      .lean();
+
+    if (!cityZone) {
+      throw new ApiError(404, 'City zone not found');
+    }
+
+    filter.currentLocation = { $geoWithin: { $geometry: cityZone.boundary } };
+  }
+
+  const captains = await Captain.find(filter)
+    .select('firstName lastName phone vehicle currentLocation lastLocationUpdate isOnRide onlineSince ratings')
+    .lean();
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      captains,
+      count: captains.length,
+      onRide: captains.filter((c) => c.isOnRide).length,
+    }, 'Online captains retrieved')
+  );
+});
+
+/**
+ * @desc    Get captain details
+ * @route   GET /api/v1/admin/captains/:captainId
+ * @access  Private (Admin)
+ */
+exports.getCaptainDetails = asyncHandler(async (req, res) => {
+  const captain = await Captain.findById(req.params.captainId).select(CAPTAIN_SAFE_FIELDS).lean();
+
+  if (!captain) {
+    throw new ApiError(404, 'Captain not found');
+  }
+
+  const [rideStats, wallet, recentRides, activeRide] = await Promise.all([
+    summarizeRides({ captain: captain._id }),
+    Wallet.findOne({ owner: captain._id, ownerType: 'Captain' }).lean(),
+    Ride.find({ captain: captain._id })
+      .select('rideId status vehicleType fare.total fare.captainEarnings createdAt')
+      .sort({ createdAt: -1 })
+      .limit(5)
+      .lean(),
+    Ride.findOne({ captain: captain._id, status: { $in: ACTIVE_RIDE_STATUSES } })
+      .select('rideId status user')
+      .lean(),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      captain,
+      verification: describeDocuments(captain),
+      wallet,
+      rideStats,
+      recentRides,
+      activeRide,
+    }, 'Captain details retrieved')
+  );
+});
+
+/**
+ * @desc    Update captain
+ * @route   PUT /api/v1/admin/captains/:captainId
+ * @access  Private (Admin)
+ */
+exports.updateCaptain = asyncHandler(async (req, res) => {
+  const updates = {};
+  CAPTAIN_EDITABLE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  if (Object.keys(updates).length === 0) {
+    throw new ApiError(400, 'No captain fields provided');
+  }
+
+  const fields = Object.keys(updates);
+  const before = await findCaptainOr404(req.params.captainId, fields.join(' '));
+
+  await assertUniqueContact(Captain, req.params.captainId, updates);
+
+  const captain = await Captain.findByIdAndUpdate(req.params.captainId, updates, {
+    new: true,
+    runValidators: true,
+  }).select(CAPTAIN_SAFE_FIELDS);
+
+  await audit(req, 'captain.update', { type: 'Captain', id: captain._id }, {
+    before: pick(before, fields),
+    after: pick(captain, fields),
+  });
+
+  logger.info(`Captain ${captain._id} updated by admin ${req.admin._id}: ${Object.keys(updates).join(', ')}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { captain }, 'Captain updated')
+  );
+});
+
+/**
+ * @desc    Approve captain (all required documents must be verified)
+ * @route   PUT /api/v1/admin/captains/:captainId/approve
+ * @access  Private (Admin)
+ */
+exports.approveCaptain = asyncHandler(async (req, res) => {
+  const current = await Captain.findById(req.params.captainId)
+    .select(`documents ${CAPTAIN_STATUS_FIELDS.join(' ')}`)
+    .lean();
+
+  if (!current) {
+    throw new ApiError(404, 'Captain not found');
+  }
+
+  if (!['pending', 'rejected'].includes(current.status)) {
+    throw new ApiError(400, `Captain is already ${current.status}`);
+  }
+
+  const { pendingRequired } = describeDocuments(current);
+  if (pendingRequired.length > 0) {
+    throw new ApiError(400, `Verify these documents first: ${pendingRequired.join(', ')}`);
+  }
+
+  // Conditional on status so two admins reviewing together can't double-approve
+  const captain = await Captain.findOneAndUpdate(
+    { _id: current._id, status: current.status },
+    {
+      status: 'approved',
+      approvedAt: new Date(),
+      reviewedBy: req.admin._id,
+      ...(req.body.notes ? { statusReason: req.body.notes } : { $unset: { statusReason: 1 } }),
+    },
+    { new: true }
+  ).select(CAPTAIN_SAFE_FIELDS);
+
+  if (!captain) {
+    throw new ApiError(409, 'Captain was updated by someone else. Refresh and try again');
+  }
+
+  if (!captain.wallet) {
+    const wallet = await Wallet.findOneAndUpdate(
+      { owner: captain._id, ownerType: 'Captain' },
+      {},
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+    await Captain.updateOne({ _id: captain._id }, { wallet: wallet._id });
+    captain.wallet = wallet._id;
+  }
+
+  await audit(req, 'captain.approve', { type: 'Captain', id: captain._id }, {
+    before: pick(current, CAPTAIN_STATUS_FIELDS),
+    after: pick(captain, CAPTAIN_STATUS_FIELDS),
+    reason: req.body.notes,
+  });
+
+  await notifyAccount(captain._id, 'Captain', {
+    type: 'account_verified',
+    title: 'You are approved!',
+    message: 'Your documents are verified. Go online to start accepting rides.',
+  });
+
+  logger.info(`Captain ${captain._id} approved by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { captain }, 'Captain approved')
+  );
+});
+
+/**
+ * @desc    Reject captain application
+ * @route   PUT /api/v1/admin/captains/:captainId/reject
+ * @access  Private (Admin)
+ */
+exports.rejectCaptain = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    throw new ApiError(400, 'Rejection reason is required');
+  }
+
+  const captain = await Captain.findOneAndUpdate(
+    { _id: req.params.captainId, status: 'pending' },
+    { status: 'rejected', statusReason: reason, reviewedBy: req.admin._id },
+    { new: true }
+  ).select(CAPTAIN_SAFE_FIELDS);
+
+  if (!captain) {
+    await findCaptainOr404(req.params.captainId, '_id');
+    throw new ApiError(400, 'Only pending applications can be rejected. Suspend approved captains instead');
+  }
+
+  await audit(req, 'captain.reject', { type: 'Captain', id: captain._id }, {
+    before: { status: 'pending' },
+    after: pick(captain, ['status', 'statusReason']),
+    reason,
+  });
+
+  await notifyAccount(captain._id, 'Captain', {
+    priority: 'high',
+    title: 'Application not approved',
+    message: `Your captain application was not approved. Reason: ${reason}`,
+  });
+
+  logger.info(`Captain ${captain._id} rejected by admin ${req.admin._id}: ${reason}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { captain }, 'Captain rejected')
+  );
+});
+
+/**
+ * @desc    Suspend captain (duration in days; open-ended when omitted)
+ * @route   PUT /api/v1/admin/captains/:captainId/suspend
+ * @access  Private (Admin)
+ */
+exports.suspendCaptain = asyncHandler(async (req, res) => {
+  const { reason, duration } = req.body;
+
+  if (!reason) {
+    throw new ApiError(400, 'Suspension reason is required');
+  }
+
+  const days = duration !== undefined ? Number(duration) : null;
+  if (days !== null && (!Number.isFinite(days) || days <= 0)) {
+    throw new ApiError(400, 'Duration must be a positive number of days');
+  }
+
+  const current = await findCaptainOr404(req.params.captainId, `isOnRide ${CAPTAIN_STATUS_FIELDS.join(' ')}`);
+
+  if (current.status !== 'approved') {
+    throw new ApiError(400, `Captain is ${current.status}, only approved captains can be suspended`);
+  }
+
+  // A suspended captain can't call the ride APIs, so the trip would be stranded
+  if (current.isOnRide) {
+    throw new ApiError(400, 'Captain is on a ride. Reassign or cancel it first');
+  }
+
+  const suspendedUntil = days ? new Date(Date.now() + days * DAY_MS) : undefined;
+
+  const captain = await Captain.findOneAndUpdate(
+    { _id: current._id, status: 'approved', isOnRide: false },
+    {
+      status: 'suspended',
+      isOnline: false,
+      statusReason: reason,
+      reviewedBy: req.admin._id,
+      ...(suspendedUntil ? { suspendedUntil } : { $unset: { suspendedUntil: 1 } }),
+    },
+    { new: true }
+  ).select(CAPTAIN_SAFE_FIELDS);
+
+  if (!captain) {
+    throw new ApiError(409, 'Captain status changed. Refresh and try again');
+  }
+
+  await audit(req, 'captain.suspend', { type: 'Captain', id: captain._id }, {
+    before: pick(current, CAPTAIN_STATUS_FIELDS),
+    after: pick(captain, CAPTAIN_STATUS_FIELDS),
+    reason,
+    metadata: { durationDays: days },
+  });
+
+  emitToCaptain(captain._id.toString(), 'captain:suspended', { reason, suspendedUntil });
+
+  await notifyAccount(captain._id, 'Captain', {
+    type: 'account_suspended',
+    priority: 'high',
+    title: 'Account suspended',
+    message: suspendedUntil
+      ? `Your account is suspended until ${suspendedUntil.toDateString()}. Reason: ${reason}`
+      : `Your account is suspended. Reason: ${reason}`,
+  });
+
+  logger.warn(`Captain ${captain._id} suspended by admin ${req.admin._id}${days ? ` for ${days} day(s)` : ''}: ${reason}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { captain }, 'Captain suspended')
+  );
+});
+
+/**
+ * @desc    Activate (unsuspend) captain
+ * @route   PUT /api/v1/admin/captains/:captainId/activate
+ * @access  Private (Admin)
+ */
+exports.activateCaptain = asyncHandler(async (req, res) => {
+  const current = await findCaptainOr404(req.params.captainId, CAPTAIN_STATUS_FIELDS.join(' '));
+
+  if (current.status !== 'suspended') {
+    throw new ApiError(400, 'Only suspended captains can be activated');
+  }
+
+  const captain = await Captain.findOneAndUpdate(
+    { _id: current._id, status: 'suspended' },
+    {
+      status: 'approved',
+      reviewedBy: req.admin._id,
+      $unset: { suspendedUntil: 1, statusReason: 1 },
+    },
+    { new: true }
+  ).select(CAPTAIN_SAFE_FIELDS);
+
+  if (!captain) {
+    throw new ApiError(409, 'Captain status changed. Refresh and try again');
+  }
+
+  await audit(req, 'captain.activate', { type: 'Captain', id: captain._id }, {
+    before: pick(current, CAPTAIN_STATUS_FIELDS),
+    after: pick(captain, CAPTAIN_STATUS_FIELDS),
+  });
+
+  await notifyAccount(captain._id, 'Captain', {
+    title: 'Account reactivated',
+    message: 'Your suspension has been lifted. You can go online again.',
+  });
+
+  logger.info(`Captain ${captain._id} reactivated by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { captain }, 'Captain activated')
+  );
+});
+
+/**
+ * @desc    Delete captain
+ * @route   DELETE /api/v1/admin/captains/:captainId
+ * @access  Private (Super Admin)
+ */
+exports.deleteCaptain = asyncHandler(async (req, res) => {
+  const captain = await Captain.findById(req.params.captainId).select(`${CAPTAIN_SAFE_FIELDS} -documents`).lean();
+
+  if (!captain) {
+    throw new ApiError(404, 'Captain not found');
+  }
+
+  if (captain.isOnRide) {
+    throw new ApiError(400, 'Captain is on a ride');
+  }
+
+  const wallet = await Wallet.findOne({ owner: captain._id, ownerType: 'Captain' }).select('balance');
+  if (wallet && wallet.balance !== 0) {
+    throw new ApiError(400, `Captain wallet has a balance of ₹${wallet.balance}. Settle it first`);
+  }
+
+  // Rides are kept for reporting; the account and wallet go
+  await Promise.all([
+    Captain.deleteOne({ _id: captain._id }),
+    wallet ? Wallet.deleteOne({ _id: wallet._id }) : null,
+  ]);
+
+  await audit(req, 'captain.delete', { type: 'Captain', id: captain._id, label: captain.phone }, {
+    before: captain,
+    after: null,
+    reason: req.body?.reason,
+  });
+
+  logger.warn(`Captain ${captain._id} deleted by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, null, 'Captain deleted')
+  );
+});
+
+/**
+ * @desc    Get captain documents
+ * @route   GET /api/v1/admin/captains/:captainId/documents
+ * @access  Private (Admin)
+ */
+exports.getCaptainDocuments = asyncHandler(async (req, res) => {
+  const captain = await Captain.findById(req.params.captainId).select('status documents vehicle').lean();
+
+  if (!captain) {
+    throw new ApiError(404, 'Captain not found');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      status: captain.status,
+      vehicle: captain.vehicle,
+      ...describeDocuments(captain),
+    }, 'Captain documents retrieved')
+  );
+});
+
+const DOCUMENT_REVIEW_FIELDS = ['verified', 'verifiedAt', 'rejectionReason'];
+
+/**
+ * Apply a verify/reject decision to one uploaded document and audit it
+ */
+const reviewCaptainDocument = async (req, docType, action, update) => {
+  const current = await findCaptainOr404(req.params.captainId, `documents.${docType}`);
+  const before = current.documents?.[docType];
+
+  if (!before?.image) {
+    throw new ApiError(400, `${docType} has not been uploaded`);
+  }
+
+  // Conditional on the image so a decision never lands on a newer upload
+  const captain = await Captain.findOneAndUpdate(
+    { _id: current._id, [`documents.${docType}.image`]: before.image },
+    update,
+    { new: true }
+  ).select('status documents').lean();
+
+  if (!captain) {
+    throw new ApiError(409, `${docType} was re-uploaded meanwhile. Review the new upload`);
+  }
+
+  await audit(req, `captain.document_${action}`, { type: 'Captain', id: captain._id, label: docType }, {
+    before: pick(before, DOCUMENT_REVIEW_FIELDS),
+    after: pick(captain.documents[docType], DOCUMENT_REVIEW_FIELDS),
+    reason: req.body.reason,
+  });
+
+  return captain;
+};
+
+/**
+ * @desc    Verify captain document
+ * @route   PUT /api/v1/admin/captains/:captainId/documents/:docType/verify
+ * @access  Private (Admin)
+ */
+exports.verifyCaptainDocument = asyncHandler(async (req, res) => {
+  const docType = resolveDocumentType(req.params.docType);
+
+  const captain = await reviewCaptainDocument(req, docType, 'verify', {
+    [`documents.${docType}.verified`]: true,
+    [`documents.${docType}.verifiedAt`]: new Date(),
+    $unset: { [`documents.${docType}.rejectionReason`]: 1 },
+  });
+
+  await notifyAccount(captain._id, 'Captain', {
+    type: 'document_approved',
+    title: 'Document verified',
+    message: `Your ${docType} has been verified.`,
+  });
+
+  logger.info(`Captain ${captain._id} ${docType} verified by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, describeDocuments(captain), 'Document verified')
+  );
+});
+
+/**
+ * @desc    Reject captain document
+ * @route   PUT /api/v1/admin/captains/:captainId/documents/:docType/reject
+ * @access  Private (Admin)
+ */
+exports.rejectCaptainDocument = asyncHandler(async (req, res) => {
+  const docType = resolveDocumentType(req.params.docType);
+  const { reason } = req.body;
+
+  if (!reason) {
+    throw new ApiError(400, 'Rejection reason is required');
+  }
+
+  const captain = await reviewCaptainDocument(req, docType, 'reject', {
+    [`documents.${docType}.verified`]: false,
+    [`documents.${docType}.rejectionReason`]: reason,
+    $unset: { [`documents.${docType}.verifiedAt`]: 1 },
+  });
+
+  await notifyAccount(captain._id, 'Captain', {
+    type: 'document_rejected',
+    priority: 'high',
+    title: 'Document rejected',
+    message: `Your ${docType} was rejected: ${reason}. Please upload it again.`,
+  });
+
+  logger.info(`Captain ${captain._id} ${docType} rejected by admin ${req.admin._id}: ${reason}`);
+
+  res.status(200).json(
+    new ApiResponse(200, describeDocuments(captain), 'Document rejected')
+  );
+});
+
+/**
+ * @desc    Get captain's ride history
+ * @route   GET /api/v1/admin/captains/:captainId/rides
+ * @access  Private (Admin)
+ */
+exports.getCaptainRides = asyncHandler(async (req, res) => {
+  const { rides, pagination } = await listRides(
+    { captain: req.params.captainId, ...(req.query.status && { status: req.query.status }) },
+    req.query
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { rides, pagination }, 'Captain rides retrieved')
+  );
+});
+
+/**
+ * @desc    Get captain's earnings
+ * @route   GET /api/v1/admin/captains/:captainId/earnings
+ * @access  Private (Admin)
+ */
+exports.getCaptainEarnings = asyncHandler(async (req, res) => {
+  const { start, end } = resolveDateRange(req.query);
+  const captainId = new mongoose.Types.ObjectId(req.params.captainId);
+  const rideMatch = { captain: captainId, status: 'completed', createdAt: { $gte: start, $lte: end } };
+
+  const wallet = await Wallet.findOne({ owner: captainId, ownerType: 'Captain' }).select('_id');
+
+  const [summary, daily, otherCredits] = await Promise.all([
+    summarizeRides(rideMatch),
+    rideSeries(rideMatch, 'day'),
+    wallet
+      ? Transaction.aggregate([
+        {
+          $match: {
+            wallet: wallet._id,
+            type: 'credit',
+            category: { $ne: 'ride_earnings' },
+            status: 'completed',
+            createdAt: { $gte: start, $lte: end },
+          },
+        },
+        { $group: { _id: '$category', amount: { $sum: '$amount' }, count: { $sum: 1 } } },
+      ])
+      : [],
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      range: { start, end },
+      rides: summary.completedRides,
+      earnings: summary.captainEarnings,
+      distance: summary.totalDistance,
+      daily: daily.map((d) => ({
+        date: d.date,
+        rides: d.completedRides,
+        earnings: d.captainEarnings,
+        distance: d.totalDistance,
+      })),
+      otherCredits: Object.fromEntries(otherCredits.map((c) => [c._id, { amount: c.amount, count: c.count }])),
+    }, 'Captain earnings retrieved')
+  );
+});
+
+/**
+ * @desc    Get captain's wallet
+ * @route   GET /api/v1/admin/captains/:captainId/wallet
+ * @access  Private (Admin)
+ */
+exports.getCaptainWallet = asyncHandler(async (req, res) => {
+  const overview = await getWalletOverview(req.params.captainId, 'Captain');
+
+  const [pending] = overview.wallet
+    ? await Transaction.aggregate([
+      {
+        $match: {
+          wallet: overview.wallet._id,
+          category: 'withdrawal',
+          status: { $in: ['pending', 'processing'] },
+        },
+      },
+      { $group: { _id: null, amount: { $sum: '$amount' }, count: { $sum: 1 } } },
+    ])
+    : [];
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      ...overview,
+      pendingWithdrawals: pending ? { amount: pending.amount, count: pending.count } : { amount: 0, count: 0 },
+    }, 'Captain wallet retrieved')
+  );
+});
+
+/**
+ * @desc    Credit captain wallet (bonus, adjustment)
+ * @route   POST /api/v1/admin/captains/:captainId/wallet/credit
+ * @access  Private (Admin)
+ */
+exports.creditCaptainWallet = asyncHandler(async (req, res) => {
+  const { reason, category = 'bonus' } = req.body;
+  const amount = parseAmount(req.body.amount);
+
+  if (!reason) {
+    throw new ApiError(400, 'Reason is required');
+  }
+
+  if (!WALLET_CREDIT_CATEGORIES.includes(category)) {
+    throw new ApiError(400, `Category must be one of: ${WALLET_CREDIT_CATEGORIES.join(', ')}`);
+  }
+
+  await findCaptainOr404(req.params.captainId, '_id');
+
+  const { balance, transaction, replayed } = await adjustWallet({
+    ownerId: req.params.captainId,
+    ownerType: 'Captain',
+    type: 'credit',
+    amount,
+    category,
+    description: reason,
+    req,
+  });
+
+  if (!replayed) {
+    await notifyAccount(req.params.captainId, 'Captain', {
+      type: category === 'bonus' ? 'incentive_earned' : 'wallet_credited',
+      category: 'payment',
+      title: 'Wallet credited',
+      message: `₹${amount} added to your wallet. ${reason}`,
+      entity: { entityType: 'Transaction', entityId: transaction._id },
+    });
+
+    logger.info(`Captain ${req.params.captainId} wallet credited ₹${amount} (${category}) by admin ${req.admin._id}`);
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      balance,
+      transaction,
+      replayed,
+    }, 'Wallet credited')
+  );
+});
+
+// ==========================================
+// RIDE MANAGEMENT
+// ==========================================
+
+const FARE_FIELDS = [
+  'baseFare',
+  'distanceFare',
+  'timeFare',
+  'surgeFare',
+  'nightCharge',
+  'bookingFee',
+  'discount',
+  'couponDiscount',
+  'total',
+  'platformFee',
+  'captainEarnings',
+];
+// Manual status corrections for active rides; cancelling has its own endpoint
+const ADMIN_RIDE_TRANSITIONS = {
+  accepted: ['arriving', 'arrived', 'started', 'completed'],
+  arriving: ['arrived', 'started', 'completed'],
+  arrived: ['started', 'completed'],
+  started: ['completed'],
+};
+const STATUS_TIMESTAMPS = {
+  arrived: 'captainArrived',
+  started: 'started',
+  completed: 'completed',
+};
+const REASSIGNABLE_STATUSES = ['searching', 'accepted', 'arriving'];
+
+/**
+ * Parse "swLat,swLng,neLat,neLng" into numbers
+ */
+const parseBounds = (bounds) => {
+  if (!bounds) return null;
+
+  const values = String(bounds).split(',').map(Number);
+  if (values.length !== 4 || values.some((v) => !Number.isFinite(v))) {
+    throw new ApiError(400, 'Bounds must be "swLat,swLng,neLat,neLng"');
+  }
+
+  const [swLat, swLng, neLat, neLng] = values;
+  return { swLat, swLng, neLat, neLng };
+};
+
+const findRideOr404 = async (rideId) => {
+  const ride = await Ride.findById(rideId);
+  if (!ride) {
+    throw new ApiError(404, 'Ride not found');
+  }
+  return ride;
+};
+
+const withoutOtp = (ride) => {
+  const rest = ride.toObject ? ride.toObject() : { ...ride };
+  delete rest.otp;
+  return rest;
+};
+
+/**
+ * @desc    Get all rides
+ * @route   GET /api/v1/admin/rides
+ * @access  Private (Admin)
+ */
+exports.getRides = asyncHandler(async (req, res) => {
+  const { status, vehicleType, city, startDate, endDate } = req.query;
+
+  const filter = buildRideFilter({
+    status,
+    vehicleType,
+    city,
+    start: startDate && new Date(startDate),
+    end: endDate && new Date(endDate),
+  });
+
+  const { rides, pagination } = await listRides(filter, req.query);
+
+  res.status(200).json(
+    new ApiResponse(200, { rides, pagination }, 'Rides retrieved')
+  );
+});
+
+/**
+ * @desc    Get active rides
+ * @route   GET /api/v1/admin/rides/active
+ * @access  Private (Admin)
+ */
+exports.getActiveRides = asyncHandler(async (req, res) => {
+  const { city, vehicleType } = req.query;
+
+  const rides = await Ride.find({
+    ...buildRideFilter({ city, vehicleType }),
+    status: { $in: ACTIVE_RIDE_STATUSES },
+  })
+    .select('-tracking -otp')
+    .populate('user', 'firstName lastName phone')
+    .populate('captain', 'firstName lastName phone vehicle currentLocation lastLocationUpdate')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      rides,
+      count: rides.length,
+      byStatus: rides.reduce((acc, ride) => ({ ...acc, [ride.status]: (acc[ride.status] || 0) + 1 }), {}),
+    }, 'Active rides retrieved')
+  );
+});
+
+/**
+ * @desc    Get rides and online captains for the live map
+ * @route   GET /api/v1/admin/rides/live-map
+ * @access  Private (Admin)
+ */
+exports.getRidesForLiveMap = asyncHandler(async (req, res) => {
+  const { city } = req.query;
+  const bounds = parseBounds(req.query.bounds);
+
+  const rideFilter = {
+    ...buildRideFilter({ city }),
+    status: { $in: ACTIVE_RIDE_STATUSES },
+    ...(bounds && {
+      'pickup.coordinates.latitude': { $gte: bounds.swLat, $lte: bounds.neLat },
+      'pickup.coordinates.longitude': { $gte: bounds.swLng, $lte: bounds.neLng },
+    }),
+  };
+
+  const captainFilter = {
+    isOnline: true,
+    status: 'approved',
+    ...(bounds && {
+      currentLocation: {
+        $geoWithin: { $box: [[bounds.swLng, bounds.swLat], [bounds.neLng, bounds.neLat]] },
+      },
+    }),
+  };
+
+  if (city && !bounds) {
+    const cityZone = await Zone.findOne({ type: 'city', city: city.toLowerCase(), isActive: true })
+      .select('boundary')
+      .lean();
+    if (cityZone) {
+      captainFilter.currentLocation = { $geoWithin: { $geometry: cityZone.boundary } };
+    }
+  }
+
+  const [rides, captains] = await Promise.all([
+    Ride.find(rideFilter)
+      .select('rideId status vehicleType pickup destination captain createdAt')
+      .lean(),
+    Captain.find(captainFilter)
+      .select('firstName vehicle.type currentLocation isOnRide lastLocationUpdate')
+      .lean(),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      rides: rides.map((ride) => ({
+        id: ride._id,
+        rideId: ride.rideId,
+        status: ride.status,
+        vehicleType: ride.vehicleType,
+        pickup: ride.pickup.coordinates,
+        destination: ride.destination.coordinates,
+        captainId: ride.captain,
+        requestedAt: ride.createdAt,
+      })),
+      captains: captains.map((captain) => ({
+        id: captain._id,
+        name: captain.firstName,
+        vehicleType: captain.vehicle?.type,
+        isOnRide: captain.isOnRide,
+        location: {
+          latitude: captain.currentLocation.coordinates[1],
+          longitude: captain.currentLocation.coordinates[0],
+        },
+        lastUpdate: captain.lastLocationUpdate,
+      })),
+    }, 'Live map data retrieved')
+  );
+});
+
+/**
+ * @desc    Get ride details
+ * @route   GET /api/v1/admin/rides/:rideId
+ * @access  Private (Admin)
+ */
+exports.getRideDetails = asyncHandler(async (req, res) => {
+  const ride = await Ride.findById(req.params.rideId)
+    .select('-tracking')
+    .populate('user', 'firstName lastName phone email ratings')
+    .populate('captain', 'firstName lastName phone vehicle ratings')
+    .populate('coupon', 'code discountType discountValue')
+    .populate('adminNotes.addedBy', 'firstName lastName')
+    .lean();
+
+  if (!ride) {
+    throw new ApiError(404, 'Ride not found');
+  }
+
+  const [payment, transactions] = await Promise.all([
+    Payment.findOne({ ride: ride._id }).lean(),
+    Transaction.find({ reference: ride._id, referenceType: 'Ride' }).sort({ createdAt: 1 }).lean(),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, { ride, payment, transactions }, 'Ride details retrieved')
+  );
+});
+
+/**
+ * @desc    Update ride (status correction, fare adjustment, support notes)
+ * @route   PUT /api/v1/admin/rides/:rideId
+ * @access  Private (Admin)
+ */
+exports.updateRide = asyncHandler(async (req, res) => {
+  const { status, fare, notes } = req.body;
+
+  if (status === undefined && fare === undefined && !notes) {
+    throw new ApiError(400, 'Provide status, fare or notes');
+  }
+
+  const ride = await findRideOr404(req.params.rideId);
+  const $set = {};
+
+  if (status !== undefined && status !== ride.status) {
+    if (!(ADMIN_RIDE_TRANSITIONS[ride.status] || []).includes(status)) {
+      throw new ApiError(400, `Cannot move a ${ride.status} ride to ${status}. Use the cancel endpoint to cancel`);
+    }
+
+    $set.status = status;
+    if (STATUS_TIMESTAMPS[status]) {
+      $set[`timestamps.${STATUS_TIMESTAMPS[status]}`] = new Date();
+    }
+  }
+
+  if (fare !== undefined) {
+    if (['completed', 'refunded'].includes(ride.payment?.status)) {
+      throw new ApiError(400, 'Ride is already paid. Use a refund to adjust it');
+    }
+
+    FARE_FIELDS.forEach((field) => {
+      if (fare[field] === undefined) return;
+      const value = Number(fare[field]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new ApiError(400, `fare.${field} must be a non-negative number`);
+      }
+      $set[`fare.${field}`] = round2(value);
+    });
+  }
+
+  // Guard against the captain app moving the ride at the same moment
+  const updated = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: ride.status },
+    {
+      ...(Object.keys($set).length > 0 && { $set }),
+      ...(notes && { $push: { adminNotes: { note: notes, addedBy: req.admin._id } } }),
+    },
+    { new: true }
+  ).select('-tracking -otp');
+
+  if (!updated) {
+    throw new ApiError(409, 'Ride changed while updating. Refresh and try again');
+  }
+
+  await audit(req, 'ride.update', { type: 'Ride', id: updated._id, label: updated.rideId }, {
+    before: pick(ride, ['status', 'fare']),
+    after: pick(updated, ['status', 'fare']),
+    reason: notes,
+  });
+
+  if (updated.status !== ride.status) {
+    if (updated.status === 'started') {
+      await TripMonitor.startMonitoring(updated);
+    } else if (ride.status === 'started') {
+      await TripMonitor.stopMonitoring(updated._id);
+    }
+
+    if (updated.status === 'completed' && updated.captain) {
+      await Captain.findByIdAndUpdate(updated.captain, {
+        isOnRide: false,
+        lastRideCompletedAt: new Date(),
+      });
+    }
+
+    const payload = { rideId: updated._id, status: updated.status, updatedBy: 'admin' };
+    emitToUser(updated.user.toString(), 'ride:status-updated', payload);
+    if (updated.captain) {
+      emitToCaptain(updated.captain.toString(), 'ride:status-updated', payload);
+    }
+  }
+
+  logger.info(`Ride ${updated._id} updated by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { ride: updated }, 'Ride updated')
+  );
+});
+
+/**
+ * @desc    Cancel ride (Admin override)
+ * @route   PUT /api/v1/admin/rides/:rideId/cancel
+ * @access  Private (Admin)
+ */
+exports.cancelRide = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    throw new ApiError(400, 'Cancellation reason is required');
+  }
+
+  const current = await findRideOr404(req.params.rideId);
+
+  if (![...ACTIVE_RIDE_STATUSES, 'scheduled'].includes(current.status)) {
+    throw new ApiError(400, 'Only active or scheduled rides can be cancelled');
+  }
+
+  const ride = await Ride.findOneAndUpdate(
+    { _id: current._id, status: current.status },
+    {
+      status: 'cancelled',
+      cancellation: { by: 'admin', reason },
+      'timestamps.cancelled': new Date(),
+    },
+    { new: true }
+  ).select('-tracking -otp');
+
+  if (!ride) {
+    throw new ApiError(409, 'Ride changed while cancelling. Refresh and try again');
+  }
+
+  await audit(req, 'ride.cancel', { type: 'Ride', id: ride._id, label: ride.rideId }, {
+    before: pick(current, ['status', 'cancellation']),
+    after: pick(ride, ['status', 'cancellation']),
+    reason,
+  });
+
+  await DispatchService.cancelDispatch(ride._id.toString(), 'admin');
+  await TripMonitor.stopMonitoring(ride._id);
+  await WalletService.releaseRideDues(ride._id);
+
+  const payload = { rideId: ride._id, cancelledBy: 'admin', reason };
+
+  if (ride.captain) {
+    await Captain.findByIdAndUpdate(ride.captain, { isOnRide: false });
+    emitToCaptain(ride.captain.toString(), 'ride:cancelled', payload);
+  }
+
+  emitToUser(ride.user.toString(), 'ride:cancelled', {
+    ...payload,
+    message: 'Your ride was cancelled by support.',
+  });
+
+  logger.warn(`Ride ${ride._id} cancelled by admin ${req.admin._id}: ${reason}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { ride }, 'Ride cancelled')
+  );
+});
+
+/**
+ * @desc    Reassign ride to a different captain
+ * @route   PUT /api/v1/admin/rides/:rideId/reassign
+ * @access  Private (Admin)
+ */
+exports.reassignRide = asyncHandler(async (req, res) => {
+  const { captainId } = req.body;
+
+  if (!captainId) {
+    throw new ApiError(400, 'Captain ID is required');
+  }
+
+  const current = await findRideOr404(req.params.rideId);
+
+  if (!REASSIGNABLE_STATUSES.includes(current.status)) {
+    throw new ApiError(400, `A ${current.status} ride cannot be reassigned`);
+  }
+
+  const previousCaptainId = current.captain?.toString();
+  if (previousCaptainId === captainId.toString()) {
+    throw new ApiError(400, 'Ride is already assigned to this captain');
+  }
+
+  // Claim the new captain first so they can't take another ride meanwhile
+  const captain = await Captain.findOneAndUpdate(
+    {
+      _id: captainId,
+      status: 'approved',
+      isOnline: true,
+      isOnRide: false,
+      'vehicle.type': current.vehicleType,
+    },
+    { isOnRide: true },
+    { new: true }
+  ).select('firstName lastName phone avatar vehicle ratings currentLocation');
+
+  if (!captain) {
+    throw new ApiError(400, `Captain must be approved, online, free and drive a ${current.vehicleType}`);
+  }
+
+  const ride = await Ride.findOneAndUpdate(
+    { _id: current._id, status: current.status, captain: current.captain ?? null },
+    {
+      captain: captain._id,
+      status: 'accepted',
+      'timestamps.accepted': new Date(),
+    },
+    { new: true }
+  );
+
+  if (!ride) {
+    await Captain.findByIdAndUpdate(captain._id, { isOnRide: false });
+    throw new ApiError(409, 'Ride changed while reassigning. Refresh and try again');
+  }
+
+  await audit(req, 'ride.reassign', { type: 'Ride', id: ride._id, label: ride.rideId }, {
+    before: pick(current, ['status', 'captain']),
+    after: pick(ride, ['status', 'captain']),
+    reason: req.body.reason,
+  });
+
+  if (current.status === 'searching') {
+    await DispatchService.completeDispatch(ride._id.toString(), captain._id.toString());
+  }
+
+  if (previousCaptainId) {
+    await Captain.findByIdAndUpdate(previousCaptainId, { isOnRide: false });
+    emitToCaptain(previousCaptainId, 'ride:cancelled', {
+      rideId: ride._id,
+      cancelledBy: 'admin',
+      reason: 'Ride reassigned by support',
+    });
+  }
+
+  emitToCaptain(captain._id.toString(), 'ride:assigned', { ride: withoutOtp(ride) });
+  emitToUser(ride.user.toString(), 'ride:accepted', {
+    ride: ride.toObject(),
+    captain: captain.toObject(),
+    reassigned: !!previousCaptainId,
+  });
+
+  logger.info(`Ride ${ride._id} reassigned ${previousCaptainId || '(unassigned)'} -> ${captain._id} by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { ride: withoutOtp(ride), captain }, 'Ride reassigned')
+  );
+});
+
+/**
+ * @desc    Refund a paid ride to the rider's wallet
+ * @route   PUT /api/v1/admin/rides/:rideId/refund
+ * @access  Private (Admin)
+ */
+exports.processRefund = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  const amount = parseAmount(req.body.amount);
+
+  if (!reason) {
+    throw new ApiError(400, 'Refund reason is required');
+  }
+
+  // What the rider was charged: the fare, or the fee on a cancelled ride
+  const charged = {
+    $cond: [isCompleted, '$fare.total', { $ifNull: ['$cancellation.fee', 0] }],
+  };
+
+  const existing = await findRideOr404(req.params.rideId);
+  let ride = null;
+
+  // The refund is reserved on the ride with the wallet credit, so concurrent refunds
+  // can't exceed the charge and a retried request replays instead of refunding again
+  const { transactions: [transaction], replayed } = await WalletService.adjust({
+    ownerId: existing.user,
+    ownerType: 'User',
+    type: 'credit',
+    amount,
+    category: 'refund',
+    description: `Refund for ride ${existing.rideId}: ${reason}`,
+    req,
+    reference: existing._id,
+    referenceType: 'Ride',
+    apply: async (session) => {
+      ride = await Ride.findOneAndUpdate(
+        {
+          _id: existing._id,
+          status: { $in: ['completed', 'cancelled'] },
+          'payment.status': 'completed',
+          $expr: {
+            $lte: [{ $add: [{ $ifNull: ['$payment.refundedAmount', 0] }, amount] }, charged],
+          },
+        },
+        { $inc: { 'payment.refundedAmount': amount } },
+        { new: true, session }
+      );
+
+      if (!ride) {
+        if (existing.payment?.status !== 'completed') {
+          throw new ApiError(400, 'Only paid rides can be refunded');
+        }
+        throw new ApiError(400, 'Refund exceeds the amount charged for this ride');
+      }
+
+      const chargedAmount = ride.status === 'completed' ? ride.fare.total : (ride.cancellation?.fee || 0);
+      if (ride.payment.refundedAmount >= chargedAmount) {
+        ride.payment.status = 'refunded';
+        await Ride.updateOne({ _id: ride._id }, { 'payment.status': 'refunded' }, { session });
+      }
+    },
+  });
+
+  if (replayed) {
+    res.status(200).json(
+      new ApiResponse(200, {
+        rideId: existing._id,
+        amount: transaction.amount,
+        totalRefunded: existing.payment.refundedAmount,
+        isFullRefund: existing.payment.status === 'refunded',
+        transaction,
+      }, 'Refund processed')
+    );
+    return;
+  }
+
+  const isFullRefund = ride.payment.status === 'refunded';
+
+  await audit(req, 'ride.refund', { type: 'Ride', id: ride._id, label: ride.rideId }, {
+    before: {
+      refundedAmount: round2(ride.payment.refundedAmount - amount),
+      paymentStatus: 'completed',
+    },
+    after: {
+      refundedAmount: ride.payment.refundedAmount,
+      paymentStatus: isFullRefund ? 'refunded' : 'completed',
+    },
+    reason,
+    metadata: { amount, transaction: transaction._id },
+  });
+
+  await Payment.findOneAndUpdate(
+    { ride: ride._id },
+    {
+      refund: {
+        amount: ride.payment.refundedAmount,
+        reason,
+        refundId: transaction._id.toString(),
+        refundedAt: new Date(),
+      },
+      ...(isFullRefund && { status: 'refunded' }),
+    }
+  );
+
+  await notifyAccount(ride.user, 'User', {
+    type: 'refund_processed',
+    category: 'payment',
+    title: 'Refund processed',
+    message: `₹${amount} for ride ${ride.rideId} has been refunded to your wallet.`,
+    entity: { entityType: 'Ride', entityId: ride._id },
+  });
+
+  logger.info(`Refund ₹${amount} on ride ${ride._id} by admin ${req.admin._id}: ${reason}`);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      rideId: ride._id,
+      amount,
+      totalRefunded: ride.payment.refundedAmount,
+      isFullRefund,
+      transaction,
+    }, 'Refund processed')
+  );
+});
+
+/**
+ * @desc    Get ride tracking data
+ * @route   GET /api/v1/admin/rides/:rideId/tracking
+ * @access  Private (Admin)
+ */
+exports.getRideTracking = asyncHandler(async (req, res) => {
+  const ride = await Ride.findById(req.params.rideId)
+    .select('rideId status pickup destination route tracking timestamps captain')
+    .populate('captain', 'firstName vehicle currentLocation lastLocationUpdate')
+    .lean();
+
+  if (!ride) {
+    throw new ApiError(404, 'Ride not found');
+  }
+
+  const location = ride.captain?.currentLocation?.coordinates;
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      rideId: ride.rideId,
+      status: ride.status,
+      pickup: ride.pickup,
+      destination: ride.destination,
+      route: ride.route,
+      timestamps: ride.timestamps,
+      tracking: ride.tracking || [],
+      captainLocation: location
+        ? {
+          latitude: location[1],
+          longitude: location[0],
+          updatedAt: ride.captain.lastLocationUpdate,
+        }
+        : null,
+    }, 'Ride tracking retrieved')
+  );
+});
+
+// ==========================================
+// PAYMENT & TRANSACTIONS
+// ==========================================
+
+const dateFilter = ({ startDate, endDate }) => ((startDate || endDate)
+  ? {
+    createdAt: {
+      ...(startDate && { $gte: new Date(startDate) }),
+      ...(endDate && { $lte: new Date(endDate) }),
+    },
+  }
+  : {});
+
+const WITHDRAWAL_POPULATE = {
+  path: 'wallet',
+  select: 'owner ownerType balance',
+  populate: { path: 'owner', select: 'firstName lastName phone email bankDetails' },
+};
+
+/**
+ * @desc    Get all payments
+ * @route   GET /api/v1/admin/payments
+ * @access  Private (Admin)
+ */
+exports.getPayments = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { status, method } = req.query;
+
+  const filter = {
+    ...(status && { status }),
+    ...(method && { method }),
+    ...dateFilter(req.query),
+  };
+
+  const [payments, total, totals] = await Promise.all([
+    Payment.find(filter)
+      .populate('user', 'firstName lastName phone')
+      .populate('ride', 'rideId vehicleType status')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Payment.countDocuments(filter),
+    Payment.aggregate([
+      { $match: filter },
+      { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+    ]),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      payments,
+      totals: Object.fromEntries(totals.map((t) => [t._id, { count: t.count, amount: t.amount }])),
+      pagination: buildPagination(page, limit, total),
+    }, 'Payments retrieved')
+  );
+});
+
+/**
+ * @desc    Get payment details
+ * @route   GET /api/v1/admin/payments/:paymentId
+ * @access  Private (Admin)
+ */
+exports.getPaymentDetails = asyncHandler(async (req, res) => {
+  const payment = await Payment.findById(req.params.paymentId)
+    .populate('user', 'firstName lastName phone email')
+    .populate('ride', 'rideId vehicleType status fare payment captain')
+    .lean();
+
+  if (!payment) {
+    throw new ApiError(404, 'Payment not found');
+  }
+
+  const transactions = await Transaction.find({
+    $or: [
+      { reference: payment._id, referenceType: 'Payment' },
+      ...(payment.ride ? [{ reference: payment.ride._id, referenceType: 'Ride' }] : []),
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  res.status(200).json(
+    new ApiResponse(200, { payment, transactions }, 'Payment details retrieved')
+  );
+});
+
+/**
+ * @desc    Get all transactions
+ * @route   GET /api/v1/admin/transactions
+ * @access  Private (Admin)
+ */
+exports.getTransactions = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { type, category } = req.query;
+
+  const filter = {
+    ...(type && { type }),
+    ...(category && { category }),
+    ...dateFilter(req.query),
+  };
+
+  const [transactions, total] = await Promise.all([
+    Transaction.find(filter)
+      .populate({
+        path: 'wallet',
+        select: 'owner ownerType',
+        populate: { path: 'owner', select: 'firstName lastName phone' },
+      })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Transaction.countDocuments(filter),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      transactions,
+      pagination: buildPagination(page, limit, total),
+    }, 'Transactions retrieved')
+  );
+});
+
+/**
+ * @desc    Get transaction details
+ * @route   GET /api/v1/admin/transactions/:transactionId
+ * @access  Private (Admin)
+ */
+exports.getTransactionDetails = asyncHandler(async (req, res) => {
+  const transaction = await Transaction.findById(req.params.transactionId)
+    .populate({
+      path: 'wallet',
+      select: 'owner ownerType balance',
+      populate: { path: 'owner', select: 'firstName lastName phone email' },
+    })
+    .populate('performedBy', 'firstName lastName email')
+    .populate('reference')
+    .lean();
+
+  if (!transaction) {
+    throw new ApiError(404, 'Transaction not found');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { transaction }, 'Transaction details retrieved')
+  );
+});
+
+/**
+ * @desc    Get all withdrawal requests
+ * @route   GET /api/v1/admin/withdrawals
+ * @access  Private (Admin)
+ */
+exports.getWithdrawals = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const filter = {
+    category: 'withdrawal',
+    ...(req.query.status && { status: req.query.status }),
+  };
+
+  const [withdrawals, total, pending] = await Promise.all([
+    Transaction.find(filter)
+      .populate(WITHDRAWAL_POPULATE)
+      .sort({ createdAt: req.query.status === 'pending' ? 1 : -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Transaction.countDocuments(filter),
+    Transaction.aggregate([
+      { $match: { category: 'withdrawal', status: { $in: ['pending', 'processing'] } } },
+      { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+    ]),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      withdrawals,
+      outstanding: Object.fromEntries(pending.map((p) => [p._id, { count: p.count, amount: p.amount }])),
+      pagination: buildPagination(page, limit, total),
+    }, 'Withdrawals retrieved')
+  );
+});
+
+/**
+ * @desc    Get withdrawal details
+ * @route   GET /api/v1/admin/withdrawals/:withdrawalId
+ * @access  Private (Admin)
+ */
+exports.getWithdrawalDetails = asyncHandler(async (req, res) => {
+  const withdrawal = await Transaction.findOne({ _id: req.params.withdrawalId, category: 'withdrawal' })
+    .populate(WITHDRAWAL_POPULATE)
+    .populate('payout.reviewedBy', 'firstName lastName email')
+    .lean();
+
+  if (!withdrawal) {
+    throw new ApiError(404, 'Withdrawal not found');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { withdrawal }, 'Withdrawal details retrieved')
+  );
+});
+
+/**
+ * Move a withdrawal between statuses (conditional on the status it had) and audit it
+ */
+const transitionWithdrawal = async (req, action, fromStatuses, update) => {
+  const current = await Transaction.findOne({ _id: req.params.withdrawalId, category: 'withdrawal' })
+    .select('status payout')
+    .lean();
+
+  if (!current) {
+    throw new ApiError(404, 'Withdrawal not found');
+  }
+
+  if (!fromStatuses.includes(current.status)) {
+    throw new ApiError(400, `Withdrawal is already ${current.status}`);
+  }
+
+  const withdrawal = await Transaction.findOneAndUpdate(
+    { _id: current._id, status: current.status },
+    update,
+    { new: true }
+  ).populate('wallet', 'owner ownerType');
+
+  if (!withdrawal) {
+    throw new ApiError(409, 'Withdrawal was updated by someone else. Refresh and try again');
+  }
+
+  await audit(req, `withdrawal.${action}`, { type: 'Transaction', id: withdrawal._id }, {
+    before: pick(current, ['status', 'payout']),
+    after: pick(withdrawal, ['status', 'payout']),
+    reason: req.body.reason || req.body.notes,
+    metadata: {
+      amount: withdrawal.amount,
+      owner: withdrawal.wallet.owner,
+      ownerType: withdrawal.wallet.ownerType,
+    },
+  });
+
+  return withdrawal;
+};
+
+const notifyWithdrawalOwner = (withdrawal, { title, message, priority }) => notifyAccount(
+  withdrawal.wallet.owner,
+  withdrawal.wallet.ownerType,
+  {
+    type: 'withdrawal_processed',
+    category: 'payment',
+    priority,
+    title,
+    message,
+    entity: { entityType: 'Transaction', entityId: withdrawal._id },
+  }
+);
+
+/**
+ * @desc    Approve withdrawal (paid immediately when a transfer reference is given)
+ * @route   PUT /api/v1/admin/withdrawals/:withdrawalId/approve
+ * @access  Private (Admin)
+ */
+exports.approveWithdrawal = asyncHandler(async (req, res) => {
+  const { transactionReference } = req.body;
+  const now = new Date();
+
+  const withdrawal = await transitionWithdrawal(req, 'approve', ['pending'], {
+    status: transactionReference ? 'completed' : 'processing',
+    'payout.reviewedBy': req.admin._id,
+    'payout.reviewedAt': now,
+    ...(transactionReference && {
+      'payout.reference': transactionReference,
+      'payout.processedAt': now,
+    }),
+  });
+
+  if (transactionReference) {
+    await WalletService.completePayout(withdrawal, { payoutReference: transactionReference, req });
+  }
+
+  await notifyWithdrawalOwner(withdrawal, transactionReference
+    ? {
+      title: 'Withdrawal paid',
+      message: `₹${withdrawal.amount} has been sent to your bank account. Ref: ${transactionReference}`,
+    }
+    : {
+      title: 'Withdrawal approved',
+      message: `Your withdrawal of ₹${withdrawal.amount} is approved and will reach your bank soon.`,
+    });
+
+  logger.info(`Withdrawal ${withdrawal._id} approved by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { withdrawal }, 'Withdrawal approved')
+  );
+});
+
+/**
+ * @desc    Reject withdrawal and return the amount to the wallet
+ * @route   PUT /api/v1/admin/withdrawals/:withdrawalId/reject
+ * @access  Private (Admin)
+ */
+exports.rejectWithdrawal = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    throw new ApiError(400, 'Rejection reason is required');
+  }
+
+  const withdrawal = await transitionWithdrawal(req, 'reject', ['pending', 'processing'], {
+    status: 'failed',
+    'payout.rejectionReason': reason,
+    'payout.reviewedBy': req.admin._id,
+    'payout.reviewedAt': new Date(),
+  });
+
+  // The balance was deducted when the captain requested the withdrawal
+  const { transactions: [refund] } = await WalletService.reverseWithdrawal(withdrawal, {
+    reason: `Withdrawal rejected: ${reason}`,
+    req,
+  });
+
+  await notifyWithdrawalOwner(withdrawal, {
+    priority: 'high',
+    title: 'Withdrawal rejected',
+    message: `Your withdrawal of ₹${withdrawal.amount} was rejected: ${reason}. The amount is back in your wallet.`,
+  });
+
+  logger.info(`Withdrawal ${withdrawal._id} rejected by admin ${req.admin._id}: ${reason}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { withdrawal, balance: refund.balanceAfter }, 'Withdrawal rejected')
+  );
+});
+
+/**
+ * @desc    Mark withdrawal as paid out
+ * @route   PUT /api/v1/admin/withdrawals/:withdrawalId/process
+ * @access  Private (Admin)
+ */
+exports.processWithdrawal = asyncHandler(async (req, res) => {
+  const { transactionReference, notes } = req.body;
+
+  if (!transactionReference) {
+    throw new ApiError(400, 'Transaction reference is required');
+  }
+
+  const now = new Date();
+
+  const withdrawal = await transitionWithdrawal(req, 'process', ['pending', 'processing'], {
+    status: 'completed',
+    'payout.reference': transactionReference,
+    'payout.processedAt': now,
+    'payout.reviewedBy': req.admin._id,
+    'payout.reviewedAt': now,
+    ...(notes && { 'payout.notes': notes }),
+  });
+
+  await WalletService.completePayout(withdrawal, { payoutReference: transactionReference, req });
+
+  await notifyWithdrawalOwner(withdrawal, {
+    title: 'Withdrawal paid',
+    message: `₹${withdrawal.amount} has been sent to your bank account. Ref: ${transactionReference}`,
+  });
+
+  logger.info(`Withdrawal ${withdrawal._id} paid out (ref ${transactionReference}) by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { withdrawal }, 'Withdrawal processed')
+  );
+});
+
+// ==========================================
+// COUPON MANAGEMENT
+// ==========================================
+
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'maxDiscount',
+  'minOrderValue',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'perUserLimit',
+  'applicableVehicles',
+  'isActive',
+];
+
+const applyCouponInput = (coupon, body) => {
+  COUPON_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) coupon[field] = body[field];
+  });
+
+  if (coupon.discountType === 'percentage' && coupon.discountValue > 100) {
+    throw new ApiError(400, 'Percentage discount cannot exceed 100');
+  }
+
+  if (coupon.validFrom && coupon.validUntil && coupon.validUntil <= coupon.validFrom) {
+    throw new ApiError(400, 'validUntil must be after validFrom');
+  }
+};
+
+const saveCoupon = async (coupon) => {
+  try {
+    await coupon.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(409, `Coupon code ${coupon.code} already exists`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * @desc    Get all coupons
+ * @route   GET /api/v1/admin/coupons
+ * @access  Private (Admin)
+ */
+exports.getCoupons = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { status, type, search } = req.query;
+  const now = new Date();
+
+  const statusFilters = {
+    active: { isActive: true, $or: [{ validUntil: null }, { validUntil: { $gt: now } }] },
+    inactive: { isActive: false },
+    expired: { validUntil: { $lte: now } },
+  };
+
+  const filter = {
+    ...(statusFilters[status] || {}),
+    ...(type && { discountType: type }),
+    ...(search && { code: { $regex: escapeRegex(search), $options: 'i' } }),
+  };
+
+  const [coupons, total] = await Promise.all([
+    Coupon.find(filter).select('-usedBy').sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    Coupon.countDocuments(filter),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      coupons,
+      pagination: buildPagination(page, limit, total),
+    }, 'Coupons retrieved')
+  );
+});
+
+/**
+ * @desc    Create coupon
+ * @route   POST /api/v1/admin/coupons
+ * @access  Private (Admin)
+ */
+exports.createCoupon = asyncHandler(async (req, res) => {
+  const coupon = new Coupon();
+  applyCouponInput(coupon, req.body);
+  await saveCoupon(coupon);
+
+  await audit(req, 'coupon.create', { type: 'Coupon', id: coupon._id, label: coupon.code }, {
+    before: null,
+    after: pick(coupon, COUPON_FIELDS),
+  });
+
+  logger.info(`Coupon ${coupon.code} created by admin ${req.admin._id}`);
+
+  res.status(201).json(
+    new ApiResponse(201, { coupon }, 'Coupon created')
+  );
+});
+
+/**
+ * @desc    Get coupon details
+ * @route   GET /api/v1/admin/coupons/:couponId
+ * @access  Private (Admin)
+ */
+exports.getCouponDetails = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.couponId).select('-usedBy').lean();
+
+  if (!coupon) {
+    throw new ApiError(404, 'Coupon not found');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { coupon }, 'Coupon details retrieved')
+  );
+});
+
+/**
+ * @desc    Update coupon
+ * @route   PUT /api/v1/admin/coupons/:couponId
+ * @access  Private (Admin)
+ */
+exports.updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.couponId).select('-usedBy');
+
+  if (!coupon) {
+    throw new ApiError(404, 'Coupon not found');
+  }
+
+  const before = pick(coupon.toObject(), COUPON_FIELDS);
+  applyCouponInput(coupon, req.body);
+  await saveCoupon(coupon);
+
+  await audit(req, 'coupon.update', { type: 'Coupon', id: coupon._id, label: coupon.code }, {
+    before,
+    after: pick(coupon, COUPON_FIELDS),
+  });
+
+  logger.info(`Coupon ${coupon.code} updated by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { coupon }, 'Coupon updated')
+  );
+});
+
+/**
+ * @desc    Delete coupon (used coupons are kept for ride history)
+ * @route   DELETE /api/v1/admin/coupons/:couponId
+ * @access  Private (Admin)
+ */
+exports.deleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.couponId).select('-usedBy');
+
+  if (!coupon) {
+    throw new ApiError(404, 'Coupon not found');
+  }
+
+  if (coupon.usedCount > 0) {
+    throw new ApiError(400, 'Coupon has already been used. Deactivate it instead');
+  }
+
+  await coupon.deleteOne();
+
+  await audit(req, 'coupon.delete', { type: 'Coupon', id: coupon._id, label: coupon.code }, {
+    before: pick(coupon, COUPON_FIELDS),
+    after: null,
+  });
+
+  logger.info(`Coupon ${coupon.code} deleted by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, null, 'Coupon deleted')
+  );
+});
+
+/**
+ * @desc    Toggle coupon active status
+ * @route   PUT /api/v1/admin/coupons/:couponId/toggle
+ * @access  Private (Admin)
+ */
+exports.toggleCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findByIdAndUpdate(
+    req.params.couponId,
+    [{ $set: { isActive: { $not: '$isActive' } } }],
+    { new: true }
+  ).select('-usedBy');
+
+  if (!coupon) {
+    throw new ApiError(404, 'Coupon not found');
+  }
+
+  await audit(req, 'coupon.toggle', { type: 'Coupon', id: coupon._id, label: coupon.code }, {
+    before: { isActive: !coupon.isActive },
+    after: { isActive: coupon.isActive },
+  });
+
+  logger.info(`Coupon ${coupon.code} ${coupon.isActive ? 'activated' : 'deactivated'} by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { coupon }, `Coupon ${coupon.isActive ? 'activated' : 'deactivated'}`)
+  );
+});
+
+/**
+ * @desc    Get coupon usage stats
+ * @route   GET /api/v1/admin/coupons/:couponId/usage
+ * @access  Private (Admin)
+ */
+exports.getCouponUsage = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.couponId)
+    .slice('usedBy', -50)
+    .populate('usedBy.user', 'firstName lastName phone')
+    .lean();
+
+  if (!coupon) {
+    throw new ApiError(404, 'Coupon not found');
+  }
+
+  const [rideStats] = await Ride.aggregate([
+    { $match: { coupon: coupon._id } },
+    {
+      $group: {
+        _id: null,
+        rides: { $sum: 1 },
+        completedRides: { $sum: { $cond: [isCompleted, 1, 0] } },
+        totalDiscount: { $sum: { $ifNull: ['$fare.couponDiscount', 0] } },
+        revenue: { $sum: { $cond: [isCompleted, '$fare.total', 0] } },
+        uniqueUsers: { $addToSet: '$user' },
+      },
+    },
+    { $addFields: { uniqueUsers: { $size: '$uniqueUsers' } } },
+    { $project: { _id: 0 } },
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      code: coupon.code,
+      usedCount: coupon.usedCount,
+      usageLimit: coupon.usageLimit ?? null,
+      remaining: coupon.usageLimit ? Math.max(coupon.usageLimit - coupon.usedCount, 0) : null,
+      rides: rideStats || { rides: 0, completedRides: 0, totalDiscount: 0, revenue: 0, uniqueUsers: 0 },
+      recentUses: [...coupon.usedBy].reverse(),
+    }, 'Coupon usage retrieved')
+  );
+});
+
+// ==========================================
+// REFERRALS
+// ==========================================
+
+const REFERRAL_CAMPAIGN_FIELDS = [
+  'name',
+  'description',
+  'audience',
+  'referrerReward',
+  'refereeReward',
+  'qualifyWithinDays',
+  'maxReferrals',
+  'validFrom',
+  'validUntil',
+  'isActive',
+];
+
+const applyCampaignInput = (campaign, body) => {
+  REFERRAL_CAMPAIGN_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) campaign[field] = body[field];
+  });
+
+  if (campaign.validFrom && campaign.validUntil && campaign.validUntil <= campaign.validFrom) {
+    throw new ApiError(400, 'validUntil must be after validFrom');
+  }
+};
+
+/**
+ * @desc    Get referral campaigns
+ * @route   GET /api/v1/admin/referral-campaigns
+ * @access  Private (Admin)
+ */
+exports.getReferralCampaigns = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { audience, status } = req.query;
+  const now = new Date();
+
+  const statusFilters = {
+    active: { isActive: true, validFrom: { $lte: now }, $or: [{ validUntil: null }, { validUntil: { $gt: now } }] },
+    inactive: { isActive: false },
+    expired: { validUntil: { $lte: now } },
+  };
+
+  const filter = {
+    ...(statusFilters[status] || {}),
+    ...(audience && { audience }),
+  };
+
+  const [campaigns, total] = await Promise.all([
+    ReferralCampaign.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    ReferralCampaign.countDocuments(filter),
+  ]);
+
+  const stats = await Referral.aggregate([
+    { $match: { campaign: { $in: campaigns.map((c) => c._id) } } },
+    {
+      $group: {
+        _id: { campaign: '$campaign', status: '$status' },
+        count: { $sum: 1 },
+        paid: { $sum: { $cond: [{ $eq: ['$status', 'rewarded'] }, { $add: ['$referrerReward', '$refereeReward'] }, 0] } },
+      },
+    },
+  ]);
+
+  const withStats = campaigns.map((campaign) => {
+    const rows = stats.filter((row) => row._id.campaign.equals(campaign._id));
+    return {
+      ...campaign,
+      referrals: Object.fromEntries(rows.map((row) => [row._id.status, row.count])),
+      totalPaid: rows.reduce((sum, row) => sum + row.paid, 0),
+    };
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      campaigns: withStats,
+      pagination: buildPagination(page, limit, total),
+    }, 'Referral campaigns retrieved')
+  );
+});
+
+/**
+ * @desc    Create referral campaign
+ * @route   POST /api/v1/admin/referral-campaigns
+ * @access  Private (Admin)
+ */
+exports.createReferralCampaign = asyncHandler(async (req, res) => {
+  const campaign = new ReferralCampaign({ createdBy: req.admin._id });
+  applyCampaignInput(campaign, req.body);
+  await campaign.save();
+
+  await audit(req, 'referral_campaign.create', { type: 'ReferralCampaign', id: campaign._id, label: campaign.name }, {
+    before: null,
+    after: pick(campaign, REFERRAL_CAMPAIGN_FIELDS),
+  });
+
+  res.status(201).json(
+    new ApiResponse(201, { campaign }, 'Referral campaign created')
+  );
+});
+
+/**
+ * @desc    Update referral campaign
+ * @route   PUT /api/v1/admin/referral-campaigns/:campaignId
+ * @access  Private (Admin)
+ */
+exports.updateReferralCampaign = asyncHandler(async (req, res) => {
+  const campaign = await ReferralCampaign.findById(req.params.campaignId);
+
+  if (!campaign) {
+    throw new ApiError(404, 'Referral campaign not found');
+  }
+
+  // Existing referrals keep the terms they were made under
+  const before = pick(campaign.toObject(), REFERRAL_CAMPAIGN_FIELDS);
+  applyCampaignInput(campaign, req.body);
+  await campaign.save();
+
+  await audit(req, 'referral_campaign.update', { type: 'ReferralCampaign', id: campaign._id, label: campaign.name }, {
+    before,
+    after: pick(campaign, REFERRAL_CAMPAIGN_FIELDS),
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, { campaign }, 'Referral campaign updated')
+  );
+});
+
+/**
+ * @desc    Get referrals, e.g. those held back by the fraud checks
+ * @route   GET /api/v1/admin/referrals
+ * @access  Private (Admin)
+ */
+exports.getReferrals = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { status, campaign, flagged, type } = req.query;
+
+  const filter = {
+    ...(status && { status }),
+    ...(campaign && { campaign }),
+    ...(type && { refereeType: type }),
+    ...(flagged === 'true' && { 'fraudFlags.0': { $exists: true } }),
+  };
+
+  const [referrals, total] = await Promise.all([
+    Referral.find(filter)
+      .populate('referrer', 'firstName lastName phone')
+      .populate('referee', 'firstName lastName phone')
+      .populate('campaign', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Referral.countDocuments(filter),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      referrals,
+      pagination: buildPagination(page, limit, total),
+    }, 'Referrals retrieved')
+  );
+});
+
+/**
+ * @desc    Approve or reject a referral held for review
+ * @route   PUT /api/v1/admin/referrals/:referralId/review
+ * @access  Private (Admin)
+ */
+exports.reviewReferral = asyncHandler(async (req, res) => {
+  const { decision, note } = req.body;
+
+  if (!['approve', 'reject'].includes(decision)) {
+    throw new ApiError(400, 'Decision must be approve or reject');
+  }
+
+  const referral = await Referral.findById(req.params.referralId);
+
+  if (!referral) {
+    throw new ApiError(404, 'Referral not found');
+  }
+
+  const before = pick(referral, ['status', 'fraudFlags']);
+  const reviewed = await ReferralService.reviewReferral(referral, decision, { adminId: req.admin._id, note });
+
+  await audit(req, `referral.${decision}`, { type: 'Referral', id: referral._id }, {
+    before,
+    after: pick(reviewed, ['status', 'fraudFlags']),
+    reason: note,
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, { referral: reviewed }, `Referral ${decision === 'approve' ? 'approved' : 'rejected'}`)
+  );
+});
+
+// ==========================================
+// CAPTAIN INCENTIVES
+// ==========================================
+
+const INCENTIVE_FIELDS = [
+  'title',
+  'description',
+  'type',
+  'target',
+  'reward',
+  'period',
+  'maxAwardsPerPeriod',
+  'conditions',
+  'validFrom',
+  'validUntil',
+  'isActive',
+];
+
+const applyIncentiveInput = (incentive, body) => {
+  INCENTIVE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) incentive[field] = body[field];
+  });
+
+  if (incentive.validFrom && incentive.validUntil && incentive.validUntil <= incentive.validFrom) {
+    throw new ApiError(400, 'validUntil must be after validFrom');
+  }
+};
+
+/**
+ * @desc    Get captain incentives
+ * @route   GET /api/v1/admin/incentives
+ * @access  Private (Admin)
+ */
+exports.getIncentives = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { type, status } = req.query;
+  const now = new Date();
+
+  const statusFilters = {
+    active: { isActive: true, validFrom: { $lte: now }, $or: [{ validUntil: null }, { validUntil: { $gt: now } }] },
+    inactive: { isActive: false },
+    expired: { validUntil: { $lte: now } },
+  };
+
+  const filter = {
+    ...(statusFilters[status] || {}),
+    ...(type && { type }),
+  };
+
+  const [incentives, total] = await Promise.all([
+    Incentive.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    Incentive.countDocuments(filter),
+  ]);
+
+  const stats = await IncentiveProgress.aggregate([
+    { $match: { incentive: { $in: incentives.map((i) => i._id) } } },
+    {
+      $group: {
+        _id: '$incentive',
+        captains: { $addToSet: '$captain' },
+        awards: { $sum: '$awardCount' },
+        totalPaid: { $sum: { $sum: '$awards.amount' } },
+      },
+    },
+  ]);
+
+  const withStats = incentives.map((incentive) => {
+    const row = stats.find((s) => s._id.equals(incentive._id));
+    return {
+      ...incentive,
+      participants: row?.captains.length || 0,
+      awards: row?.awards || 0,
+      totalPaid: row?.totalPaid || 0,
+    };
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      incentives: withStats,
+      pagination: buildPagination(page, limit, total),
+    }, 'Incentives retrieved')
+  );
+});
+
+/**
+ * @desc    Create captain incentive
+ * @route   POST /api/v1/admin/incentives
+ * @access  Private (Admin)
+ */
+exports.createIncentive = asyncHandler(async (req, res) => {
+  const incentive = new Incentive({ createdBy: req.admin._id });
+  applyIncentiveInput(incentive, req.body);
+  await incentive.save();
+
+  await audit(req, 'incentive.create', { type: 'Incentive', id: incentive._id, label: incentive.title }, {
+    before: null,
+    after: pick(incentive, INCENTIVE_FIELDS),
+  });
+
+  res.status(201).json(
+    new ApiResponse(201, { incentive }, 'Incentive created')
+  );
+});
+
+/**
+ * @desc    Update captain incentive
+ * @route   PUT /api/v1/admin/incentives/:incentiveId
+ * @access  Private (Admin)
+ */
+exports.updateIncentive = asyncHandler(async (req, res) => {
+  const incentive = await Incentive.findById(req.params.incentiveId);
+
+  if (!incentive) {
+    throw new ApiError(404, 'Incentive not found');
+  }
+
+  // Changing the target mid-period only affects rides counted from now on
+  const before = pick(incentive.toObject(), INCENTIVE_FIELDS);
+  applyIncentiveInput(incentive, req.body);
+  await incentive.save();
+
+  await audit(req, 'incentive.update', { type: 'Incentive', id: incentive._id, label: incentive.title }, {
+    before,
+    after: pick(incentive, INCENTIVE_FIELDS),
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, { incentive }, 'Incentive updated')
+  );
+});
+
+// ==========================================
+// FARE & PRICING CONFIGURATION
+// ==========================================
+
+/**
+ * @desc    Get fare configuration
+ * @route   GET /api/v1/admin/fare-config
+ * @access  Private (Admin)
+ */
+exports.getFareConfig = asyncHandler(async (req, res) => {
+  const { city } = req.query;
+
+  const vehicleTypes = await VehicleType.find().sort({ order: 1 }).lean();
+  const configured = vehicleTypes.map((v) => v.name);
+  const names = [
+    ...configured,
+    ...Object.keys(DEFAULT_TARIFFS).filter((name) => !configured.includes(name)),
+  ];
+
+  const fareConfig = await Promise.all(
+    names.map(async (name) => {
+      const vehicleType = vehicleTypes.find((v) => v.name === name);
+      return {
+        vehicleType: name,
+        isConfigured: !!vehicleType,
+        isActive: vehicleType ? vehicleType.isActive : true,
+        tariff: vehicleType && !vehicleType.isActive
+          ? null
+          : await FareCalculator.getTariff(name, city),
+        cityOverrides: vehicleType?.cityFares || [],
+      };
+    })
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { city: city || null, fareConfig }, 'Fare configuration retrieved')
+  );
+});
+
+/**
+ * @desc    Update fare configuration
+ * @route   PUT /api/v1/admin/fare-config
+ * @access  Private (Admin)
+ */
+exports.updateFareConfig = asyncHandler(async (req, res) => {
+  const { vehicleType: name, city } = req.body;
+
+  if (!name) {
+    throw new ApiError(400, 'Vehicle type is required');
+  }
+
+  const vehicleType = await VehicleType.findOne({ name });
+
+  if (!vehicleType) {
+    throw new ApiError(404, 'Vehicle type not configured. Add it via /admin/vehicle-types first');
+  }
+
+  const updates = {};
+  Object.entries(FARE_CONFIG_FIELDS).forEach(([bodyKey, field]) => {
+    if (req.body[bodyKey] !== undefined) {
+      updates[field] = req.body[bodyKey];
+    }
+  });
+
+  if (Object.keys(updates).length === 0) {
+    throw new ApiError(400, 'No fare fields provided');
+  }
+
+  const fields = Object.keys(updates);
+  const cityKey = city?.toLowerCase();
+  const findTarget = () => (cityKey ? vehicleType.cityFares.find((c) => c.city === cityKey) : vehicleType);
+  const before = pick(findTarget()?.toObject(), fields);
+
+  if (cityKey) {
+    const cityFare = findTarget();
+
+    if (cityFare) {
+      Object.assign(cityFare, updates);
+    } else {
+      vehicleType.cityFares.push({ city: cityKey, ...updates });
+    }
+  } else {
+    vehicleType.set(updates);
+  }
+
+  await vehicleType.save();
+  await FareCalculator.clearTariffCache(name);
+
+  await audit(req, 'fare_config.update', { type: 'VehicleType', id: vehicleType._id, label: cityKey ? `${name}:${cityKey}` : name }, {
+    before,
+    after: pick(findTarget().toObject(), fields),
+  });
+
+  logger.info(`Fare config for ${name}${city ? ` (${city})` : ''} updated by admin ${req.admin._id}`);
+
+  const tariff = await FareCalculator.getTariff(name, city);
+
+  res.status(200).json(
+    new ApiResponse(200, { vehicleType: name, city: city || null, tariff }, 'Fare configuration updated')
+  );
+});
+
+// ==========================================
+// VEHICLE TYPES
+// ==========================================
+
+/**
+ * Map the vehicle-type request body onto the model
+ * `code` is accepted as the type key (bike/auto/cab...) with `name` as its label.
+ */
+const toVehicleTypeInput = (body) => {
+  const { code, name, displayName, ...rest } = body;
+  delete rest._id;
+  return {
+    ...rest,
+    ...(code ? { name: code, displayName: displayName || name } : { name, displayName }),
+  };
+};
+
+const saveVehicleType = async (vehicleType) => {
+  try {
+    await vehicleType.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(409, `Vehicle type ${vehicleType.name} already exists`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * @desc    Get vehicle types configuration
+ * @route   GET /api/v1/admin/vehicle-types
+ * @access  Private (Admin)
+ */
+exports.getVehicleTypes = asyncHandler(async (req, res) => {
+  const [vehicleTypes, captainCounts] = await Promise.all([
+    VehicleType.find().sort({ order: 1 }).lean(),
+    countBy(Captain, { status: 'approved' }, 'vehicle.type'),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      vehicleTypes: vehicleTypes.map((v) => ({ ...v, approvedCaptains: captainCounts[v.name] || 0 })),
+      unconfigured: Object.keys(DEFAULT_TARIFFS).filter((name) => !vehicleTypes.some((v) => v.name === name)),
+    }, 'Vehicle types retrieved')
+  );
+});
+
+/**
+ * @desc    Add vehicle type
+ * @route   POST /api/v1/admin/vehicle-types
+ * @access  Private (Admin)
+ */
+exports.addVehicleType = asyncHandler(async (req, res) => {
+  const vehicleType = new VehicleType(toVehicleTypeInput(req.body));
+  await saveVehicleType(vehicleType);
+  await FareCalculator.clearTariffCache(vehicleType.name);
+
+  await audit(req, 'vehicle_type.create', { type: 'VehicleType', id: vehicleType._id, label: vehicleType.name }, {
+    before: null,
+    after: vehicleType,
+  });
+
+  logger.info(`Vehicle type ${vehicleType.name} added by admin ${req.admin._id}`);
+
+  res.status(201).json(
+    new ApiResponse(201, { vehicleType }, 'Vehicle type added')
+  );
+});
+
+/**
+ * @desc    Update vehicle type
+ * @route   PUT /api/v1/admin/vehicle-types/:vehicleTypeId
+ * @access  Private (Admin)
+ */
+exports.updateVehicleType = asyncHandler(async (req, res) => {
+  const vehicleType = await VehicleType.findById(req.params.vehicleTypeId);
+
+  if (!vehicleType) {
+    throw new ApiError(404, 'Vehicle type not found');
+  }
+
+  const before = vehicleType.toObject();
+
+  // The type key is referenced by rides and captains, so it can't be renamed
+  const input = toVehicleTypeInput(req.body);
+  delete input.name;
+  Object.entries(input).forEach(([field, value]) => {
+    if (value !== undefined) vehicleType.set(field, value);
+  });
+
+  await saveVehicleType(vehicleType);
+  await FareCalculator.clearTariffCache(vehicleType.name);
+
+  await audit(req, 'vehicle_type.update', { type: 'VehicleType', id: vehicleType._id, label: vehicleType.name }, {
+    before,
+    after: vehicleType,
+  });
+
+  logger.info(`Vehicle type ${vehicleType.name} updated by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { vehicleType }, 'Vehicle type updated')
+  );
+});
+
+/**
+ * @desc    Delete vehicle type (fares fall back to the default tariff)
+ * @route   DELETE /api/v1/admin/vehicle-types/:vehicleTypeId
+ * @access  Private (Admin)
+ */
+exports.deleteVehicleType = asyncHandler(async (req, res) => {
+  const vehicleType = await VehicleType.findByIdAndDelete(req.params.vehicleTypeId);
+
+  if (!vehicleType) {
+    throw new ApiError(404, 'Vehicle type not found');
+  }
+
+  await FareCalculator.clearTariffCache(vehicleType.name);
+
+  await audit(req, 'vehicle_type.delete', { type: 'VehicleType', id: vehicleType._id, label: vehicleType.name }, {
+    before: vehicleType,
+    after: null,
+  });
+
+  logger.info(`Vehicle type ${vehicleType.name} deleted by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, null, 'Vehicle type deleted')
+  );
+});
+
+// ==========================================
+// ZONES & SERVICE AREAS
+// ==========================================
+
+/**
+ * Apply admin input to a zone document
+ * `polygon` and `multiplier` are accepted as aliases for boundary/surgeMultiplier.
+ */
+const applyZoneInput = (zone, body) => {
+  ['name', 'type', 'city', 'state', 'description', 'priority', 'isActive'].forEach((field) => {
+    if (body[field] !== undefined) zone[field] = body[field];
+  });
+
+  const boundary = body.boundary || body.polygon;
+  if (boundary) {
+    zone.boundary = ZoneService.toBoundary(boundary);
+  }
+
+  const multiplier = body.surgeMultiplier ?? body.multiplier;
+  if (multiplier !== undefined) {
+    zone.surgeMultiplier = multiplier;
+  }
+};
+
+/**
+ * Save a zone, turning MongoDB geometry errors into a 400
+ */
+const saveZone = async (zone) => {
+  try {
+    await zone.save();
+  } catch (error) {
+    // 16755: polygon rejected by the 2dsphere index (e.g. self-intersecting)
+    if (error.code === 16755) {
+      throw new ApiError(400, 'Zone boundary is not a valid polygon');
+    }
+    throw error;
+  }
+};
+
+const listZones = async (req, res, type) => {
+  const { city, isActive } = req.query;
+
+  const filter = {
+    ...((type || req.query.type) && { type: type || req.query.type }),
+    ...(city && { city: city.toLowerCase() }),
+    ...(isActive !== undefined && { isActive: isActive === 'true' }),
+  };
+
+  const zones = await Zone.find(filter).sort({ city: 1, type: 1, priority: -1 }).lean();
+
+  res.status(200).json(
+    new ApiResponse(200, { zones, count: zones.length }, 'Zones retrieved')
+  );
+};
+
+const createZoneOfType = async (req, res, type) => {
+  const zone = new Zone({ createdBy: req.admin._id });
+  applyZoneInput(zone, type ? { ...req.body, type } : req.body);
+
+  if (!zone.boundary?.type) {
+    throw new ApiError(400, 'Zone boundary is required');
+  }
+
+  await saveZone(zone);
+
+  await audit(req, 'zone.create', { type: 'Zone', id: zone._id, label: `${zone.type}:${zone.name}` }, {
+    before: null,
+    after: zone,
+  });
+
+  logger.info(`Zone ${zone.name} (${zone.type}, ${zone.city}) created by admin ${req.admin._id}`);
+
+  res.status(201).json(
+    new ApiResponse(201, { zone }, 'Zone created')
+  );
+};
+
+const updateZoneOfType = async (req, res, type) => {
+  const zone = await Zone.findOne({ _id: req.params.zoneId, ...(type && { type }) });
+
+  if (!zone) {
+    throw new ApiError(404, 'Zone not found');
+  }
+
+  const before = zone.toObject();
+  applyZoneInput(zone, type ? { ...req.body, type } : req.body);
+  await saveZone(zone);
+
+  await audit(req, 'zone.update', { type: 'Zone', id: zone._id, label: `${zone.type}:${zone.name}` }, {
+    before,
+    after: zone,
+  });
+
+  logger.info(`Zone ${zone._id} updated by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { zone }, 'Zone updated')
+  );
+};
+
+const deleteZoneOfType = async (req, res, type) => {
+  const zone = await Zone.findOneAndDelete({ _id: req.params.zoneId, ...(type && { type }) });
+
+  if (!zone) {
+    throw new ApiError(404, 'Zone not found');
+  }
+
+  await audit(req, 'zone.delete', { type: 'Zone', id: zone._id, label: `${zone.type}:${zone.name}` }, {
+    before: zone,
+    after: null,
+  });
+
+  logger.info(`Zone ${zone.name} (${zone.type}) deleted by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, null, 'Zone deleted')
+  );
+};
+
+/**
+ * @desc    Get zones (cities, service areas, airports, surge and no-pickup zones)
+ * @route   GET /api/v1/admin/zones
+ * @access  Private (Admin)
+ */
+exports.getZones = asyncHandler(async (req, res) => listZones(req, res));
+
+/**
+ * @desc    Create zone
+ * @route   POST /api/v1/admin/zones
+ * @access  Private (Admin)
+ */
+exports.createZone = asyncHandler(async (req, res) => createZoneOfType(req, res));
+
+/**
+ * @desc    Update zone
+ * @route   PUT /api/v1/admin/zones/:zoneId
+ * @access  Private (Admin)
+ */
+exports.updateZone = asyncHandler(async (req, res) => updateZoneOfType(req, res));
+
+/**
+ * @desc    Delete zone
+ * @route   DELETE /api/v1/admin/zones/:zoneId
+ * @access  Private (Admin)
+ */
+exports.deleteZone = asyncHandler(async (req, res) => deleteZoneOfType(req, res));
+
+/**
+ * @desc    Get surge zones
+ * @route   GET /api/v1/admin/surge/zones
+ * @access  Private (Admin)
+ */
+exports.getSurgeZones = asyncHandler(async (req, res) => listZones(req, res, 'surge_zone'));
+
+/**
+ * @desc    Create surge zone
+ * @route   POST /api/v1/admin/surge/zones
+ * @access  Private (Admin)
+ */
+exports.createSurgeZone = asyncHandler(async (req, res) => createZoneOfType(req, res, 'surge_zone'));
+
+/**
+ * @desc    Update surge zone
+ * @route   PUT /api/v1/admin/surge/zones/:zoneId
+ * @access  Private (Admin)
+ */
+exports.updateSurgeZone = asyncHandler(async (req, res) => updateZoneOfType(req, res, 'surge_zone'));
+
+/**
+ * @desc    Delete surge zone
+ * @route   DELETE /api/v1/admin/surge/zones/:zoneId
+ * @access  Private (Admin)
+ */
+exports.deleteSurgeZone = asyncHandler(async (req, res) => deleteZoneOfType(req, res, 'surge_zone'));
+
+// ==========================================
+// SURGE PRICING
+// ==========================================
+
+/**
+ * @desc    Get surge pricing settings
+ * @route   GET /api/v1/admin/surge
+ * @access  Private (Admin)
+ */
+exports.getSurgeSettings = asyncHandler(async (req, res) => {
+  const { city } = req.query;
+  const cityFilter = city ? { city: city.toLowerCase() } : {};
+
+  const [cityZones, surgeZones] = await Promise.all([
+    Zone.find({ type: 'city', isActive: true, ...cityFilter })
+      .select('name city maxSurgeMultiplier')
+      .lean(),
+    Zone.find({ type: 'surge_zone', ...cityFilter })
+      .select('name city isActive surgeMultiplier manualSurge')
+      .lean(),
+  ]);
+
+  const zones = await Promise.all(
+    surgeZones.map(async (zone) => ({
+      ...zone,
+      manualSurge: SurgeService.getActiveOverride(zone) !== null ? zone.manualSurge : null,
+      current: await SurgeService.getZoneSurge(zone._id),
+    }))
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      defaults: {
+        minMultiplier: SURGE.MIN_MULTIPLIER,
+        maxMultiplier: SURGE.MAX_MULTIPLIER,
+        step: SURGE.STEP,
+        smoothing: SURGE.SMOOTHING,
+        hysteresis: SURGE.HYSTERESIS,
+        demandWindowMinutes: SURGE.DEMAND_WINDOW,
+      },
+      cities: cityZones.map((c) => ({
+        city: c.city,
+        name: c.name,
+        maxMultiplier: c.maxSurgeMultiplier || SURGE.MAX_MULTIPLIER,
+      })),
+      zones,
+    }, 'Surge settings retrieved')
+  );
+});
+
+/**
+ * @desc    Update surge pricing settings (per-city cap)
+ * @route   PUT /api/v1/admin/surge
+ * @access  Private (Admin)
+ */
+exports.updateSurgeSettings = asyncHandler(async (req, res) => {
+  const { city, maxMultiplier } = req.body;
+
+  if (!city) {
+    throw new ApiError(400, 'City is required');
+  }
+
+  const cap = Number(maxMultiplier);
+  if (!Number.isFinite(cap) || cap < SURGE.MIN_MULTIPLIER || cap > 5) {
+    throw new ApiError(400, `maxMultiplier must be between ${SURGE.MIN_MULTIPLIER} and 5`);
+  }
+
+  const previous = await Zone.findOneAndUpdate(
+    { type: 'city', city: city.toLowerCase() },
+    { maxSurgeMultiplier: cap },
+    { new: false }
+  ).select('city maxSurgeMultiplier');
+
+  if (!previous) {
+    throw new ApiError(404, 'City zone not found. Draw the city via /admin/zones first');
+  }
+
+  const cityZone = { _id: previous._id, city: previous.city, maxSurgeMultiplier: cap };
+
+  await audit(req, 'surge.update_cap', { type: 'Zone', id: cityZone._id, label: `city:${cityZone.city}` }, {
+    before: { maxSurgeMultiplier: previous.maxSurgeMultiplier },
+    after: { maxSurgeMultiplier: cap },
+  });
+
+  logger.info(`Surge cap for ${cityZone.city} set to ${cap}x by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      city: cityZone.city,
+      maxMultiplier: cityZone.maxSurgeMultiplier,
+    }, 'Surge settings updated')
+  );
+});
+
+/**
+ * @desc    Set manual surge for a zone (multiplier 1 or duration 0 clears it)
+ * @route   PUT /api/v1/admin/surge/manual
+ * @access  Private (Admin)
+ */
+exports.setManualSurge = asyncHandler(async (req, res) => {
+  const { zoneId, multiplier, duration = 60, reason } = req.body;
+
+  const zone = await Zone.findOne({ _id: zoneId, type: 'surge_zone' });
+
+  if (!zone) {
+    throw new ApiError(404, 'Surge zone not found');
+  }
+
+  const value = Number(multiplier);
+  const minutes = Number(duration);
+
+  if (!Number.isFinite(value) || value < SURGE.MIN_MULTIPLIER || value > 5) {
+    throw new ApiError(400, `Multiplier must be between ${SURGE.MIN_MULTIPLIER} and 5`);
+  }
+
+  const before = pick(zone.toObject(), ['manualSurge', 'surgeMultiplier']);
+
+  if (value === SURGE.MIN_MULTIPLIER || minutes <= 0) {
+    zone.manualSurge = undefined;
+  } else {
+    zone.manualSurge = {
+      multiplier: value,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+      reason,
+      setBy: req.admin._id,
+    };
+    zone.surgeMultiplier = value;
+  }
+
+  await zone.save();
+
+  await audit(req, zone.manualSurge ? 'surge.set_manual' : 'surge.clear_manual', { type: 'Zone', id: zone._id, label: `surge_zone:${zone.name}` }, {
+    before,
+    after: pick(zone.toObject(), ['manualSurge', 'surgeMultiplier']),
+    reason,
+  });
+
+  logger.info(
+    zone.manualSurge
+      ? `Manual surge ${value}x on zone ${zone._id} for ${minutes} min by admin ${req.admin._id}`
+      : `Manual surge cleared on zone ${zone._id} by admin ${req.admin._id}`
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { zone }, zone.manualSurge ? 'Manual surge set' : 'Manual surge cleared')
+  );
+});
+
+// ==========================================
+// NOTIFICATIONS
+// ==========================================
+
+const TEMPLATES_KEY = 'notification_templates';
+const TEMPLATE_FIELDS = ['name', 'code', 'type', 'category', 'title', 'message', 'isActive'];
+const MAX_DIRECT_RECIPIENTS = 1000;
+const BROADCAST_BATCH_SIZE = 1000;
+
+const findTemplate = async (code) => {
+  const templates = await Setting.getValue(TEMPLATES_KEY, []);
+  const template = templates.find((t) => t.code === code && t.isActive !== false);
+
+  if (!template) {
+    throw new ApiError(404, `Notification template ${code} not found`);
+  }
+
+  return template;
+};
+
+/**
+ * Notification documents for an admin send/broadcast
+ */
+const buildAdminNotifications = (recipients, recipientType, content) => recipients.map((recipient) => ({
+  recipient,
+  recipientType,
+  type: content.type || 'general',
+  category: content.category || 'system',
+  priority: content.priority || 'medium',
+  title: content.title,
+  message: content.message,
+  ...(content.data && { action: { type: 'navigate', params: content.data } }),
+  ...(content.template && { template: content.template }),
+  channels: { push: false, inApp: true },
+  metadata: { source: 'admin', triggeredBy: content.adminId.toString(), batchId: content.batchId },
+}));
+
+/**
+ * Title/message from the body, or from a stored template when templateCode is given
+ */
+const resolveNotificationContent = async (req) => {
+  const { title, message, data, templateCode } = req.body;
+  const template = templateCode ? await findTemplate(templateCode) : null;
+
+  const content = {
+    title: title || template?.title,
+    message: message || template?.message,
+    type: template?.type,
+    category: template?.category,
+    template: template?.code,
+    data,
+    adminId: req.admin._id,
+    batchId: `admin_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+  };
+
+  if (!content.title || !content.message) {
+    throw new ApiError(400, 'Title and message are required');
+  }
+
+  return content;
+};
+
+/**
+ * @desc    Get notification templates
+ * @route   GET /api/v1/admin/notifications/templates
+ * @access  Private (Admin)
+ */
+exports.getNotificationTemplates = asyncHandler(async (req, res) => {
+  const templates = await Setting.getValue(TEMPLATES_KEY, []);
+
+  res.status(200).json(
+    new ApiResponse(200, { templates }, 'Notification templates retrieved')
+  );
+});
+
+/**
+ * @desc    Create notification template
+ * @route   POST /api/v1/admin/notifications/templates
+ * @access  Private (Admin)
+ */
+exports.createNotificationTemplate = asyncHandler(async (req, res) => {
+  const { name, code, title, message } = req.body;
+
+  if (!name || !code || !title || !message) {
+    throw new ApiError(400, 'Name, code, title and message are required');
+  }
+
+  const templates = await Setting.getValue(TEMPLATES_KEY, []);
+
+  if (templates.some((t) => t.code === code)) {
+    throw new ApiError(409, `Template code ${code} already exists`);
+  }
+
+  const template = { id: new mongoose.Types.ObjectId().toString(), isActive: true };
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) template[field] = req.body[field];
+  });
+  template.updatedAt = new Date();
+
+  await Setting.setValue(TEMPLATES_KEY, [...templates, template], req.admin._id);
+
+  await audit(req, 'notification_template.create', { type: 'Setting', label: `${TEMPLATES_KEY}:${code}` }, {
+    before: null,
+    after: template,
+  });
+
+  logger.info(`Notification template ${code} created by admin ${req.admin._id}`);
+
+  res.status(201).json(
+    new ApiResponse(201, { template }, 'Notification template created')
+  );
+});
+
+/**
+ * @desc    Update notification template
+ * @route   PUT /api/v1/admin/notifications/templates/:templateId
+ * @access  Private (Admin)
+ */
+exports.updateNotificationTemplate = asyncHandler(async (req, res) => {
+  const templates = await Setting.getValue(TEMPLATES_KEY, []);
+  const index = templates.findIndex((t) => t.id === req.params.templateId);
+
+  if (index === -1) {
+    throw new ApiError(404, 'Notification template not found');
+  }
+
+  if (req.body.code && templates.some((t, i) => i !== index && t.code === req.body.code)) {
+    throw new ApiError(409, `Template code ${req.body.code} already exists`);
+  }
+
+  const template = { ...templates[index], updatedAt: new Date() };
+  TEMPLATE_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) template[field] = req.body[field];
+  });
+
+  const before = templates[index];
+  templates[index] = template;
+  await Setting.setValue(TEMPLATES_KEY, templates, req.admin._id);
+
+  await audit(req, 'notification_template.update', { type: 'Setting', label: `${TEMPLATES_KEY}:${template.code}` }, {
+    before,
+    after: template,
+  });
+
+  logger.info(`Notification template ${template.code} updated by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { template }, 'Notification template updated')
+  );
+});
+
+/**
+ * @desc    Send notification to specific users or captains
+ * @route   POST /api/v1/admin/notifications/send
+ * @access  Private (Admin)
+ */
+exports.sendNotification = asyncHandler(async (req, res) => {
+  const { userIds, recipientType = 'User' } = req.body;
+
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    throw new ApiError(400, 'userIds must be a non-empty array');
+  }
+
+  if (userIds.length > MAX_DIRECT_RECIPIENTS) {
+    throw new ApiError(400, `At most ${MAX_DIRECT_RECIPIENTS} recipients per request. Use broadcast instead`);
+  }
+
+  if (!['User', 'Captain'].includes(recipientType)) {
+    throw new ApiError(400, 'recipientType must be User or Captain');
+  }
+
+  const content = await resolveNotificationContent(req);
+  const model = recipientType === 'Captain' ? Captain : User;
+  const recipients = await model.find({ _id: { $in: userIds } }).distinct('_id');
+
+  const notifications = await Notification.insertMany(
+    buildAdminNotifications(recipients, recipientType, content)
+  );
+
+  const emit = recipientType === 'Captain' ? emitToCaptain : emitToUser;
+  notifications.forEach((n) => emit(n.recipient.toString(), 'notification:new', n.toObject()));
+
+  await audit(req, 'notification.send', { type: 'Notification', label: content.batchId }, {
+    metadata: { title: content.title, template: content.template, recipientType, sent: notifications.length },
+  });
+
+  logger.info(`Admin ${req.admin._id} sent "${content.title}" to ${notifications.length} ${recipientType}(s)`);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      batchId: content.batchId,
+      sent: notifications.length,
+      notFound: userIds.length - recipients.length,
+    }, 'Notification sent')
+  );
+});
+
+/**
+ * @desc    Broadcast notification to all users and/or captains
+ * @route   POST /api/v1/admin/notifications/broadcast
+ * @access  Private (Admin)
+ */
+exports.broadcastNotification = asyncHandler(async (req, res) => {
+  const { target = 'all' } = req.body;
+
+  if (!['users', 'captains', 'all'].includes(target)) {
+    throw new ApiError(400, "Target must be 'users', 'captains' or 'all'");
+  }
+
+  const content = await resolveNotificationContent(req);
+  const audiences = [
+    ...(target !== 'captains' ? [{ model: User, type: 'User', filter: { isActive: true } }] : []),
+    ...(target !== 'users' ? [{ model: Captain, type: 'Captain', filter: { status: 'approved' } }] : []),
+  ];
+
+  const counts = {};
+
+  // Stream recipients so large audiences don't load into memory at once
+  for (const audience of audiences) {
+    counts[audience.type] = 0;
+    let batch = [];
+
+    for await (const { _id } of audience.model.find(audience.filter).select('_id').lean().cursor()) {
+      batch.push(_id);
+      if (batch.length === BROADCAST_BATCH_SIZE) {
+        await Notification.insertMany(buildAdminNotifications(batch, audience.type, content));
+        counts[audience.type] += batch.length;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      await Notification.insertMany(buildAdminNotifications(batch, audience.type, content));
+      counts[audience.type] += batch.length;
+    }
+  }
+
+  await audit(req, 'notification.broadcast', { type: 'Notification', label: content.batchId }, {
+    metadata: { title: content.title, template: content.template, target, recipients: counts },
+  });
+
+  logger.info(`Admin ${req.admin._id} broadcast "${content.title}" to ${target}: ${JSON.stringify(counts)}`);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      batchId: content.batchId,
+      recipients: counts,
+    }, 'Notification broadcast')
+  );
+});
+
+/**
+ * @desc    Get notification history (admin sends, grouped by batch)
+ * @route   GET /api/v1/admin/notifications/history
+ * @access  Private (Admin)
+ */
+exports.getNotificationHistory = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const match = {
+    'metadata.source': 'admin',
+    'metadata.batchId': { $exists: true },
+    ...(req.query.type && { type: req.query.type }),
+  };
+
+  const [result] = await Notification.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$metadata.batchId',
+        title: { $first: '$title' },
+        message: { $first: '$message' },
+        type: { $first: '$type' },
+        template: { $first: '$template' },
+        sentBy: { $first: '$metadata.triggeredBy' },
+        recipientTypes: { $addToSet: '$recipientType' },
+        recipients: { $sum: 1 },
+        read: { $sum: { $cond: ['$isRead', 1, 0] } },
+        sentAt: { $min: '$createdAt' },
+      },
+    },
+    { $sort: { sentAt: -1 } },
+    {
+      $facet: {
+        batches: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  const total = result.total[0]?.count || 0;
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      history: result.batches.map(({ _id, ...batch }) => ({ batchId: _id, ...batch })),
+      pagination: buildPagination(page, limit, total),
+    }, 'Notification history retrieved')
+  );
+});
+
+// ==========================================
+// REPORTS
+// ==========================================
+
+/**
+ * @desc    Get ride reports
+ * @route   GET /api/v1/admin/reports/rides
+ * @access  Private (Admin)
+ */
+exports.getRideReports = asyncHandler(async (req, res) => {
+  const { start, end } = resolveDateRange(req.query);
+  const { city, vehicleType, groupBy } = req.query;
+
+  const report = await buildRideReport(buildRideFilter({ city, vehicleType, start, end }), groupBy);
+
+  res.status(200).json(
+    new ApiResponse(200, { range: { start, end }, ...report }, 'Ride report generated')
+  );
+});
+
+/**
+ * @desc    Get revenue reports
+ * @route   GET /api/v1/admin/reports/revenue
+ * @access  Private (Admin)
+ */
+exports.getRevenueReports = asyncHandler(async (req, res) => {
+  const { start, end } = resolveDateRange(req.query);
+  const report = await buildRevenueReport(start, end, req.query.groupBy);
+
+  res.status(200).json(
+    new ApiResponse(200, { range: { start, end }, ...report }, 'Revenue report generated')
+  );
+});
+
+/**
+ * @desc    Get user reports
+ * @route   GET /api/v1/admin/reports/users
+ * @access  Private (Admin)
+ */
+exports.getUserReports = asyncHandler(async (req, res) => {
+  const { start, end } = resolveDateRange(req.query);
+  const report = await buildUserReport(start, end, req.query.groupBy);
+
+  res.status(200).json(
+    new ApiResponse(200, { range: { start, end }, ...report }, 'User report generated')
+  );
+});
+
+/**
+ * @desc    Get captain reports
+ * @route   GET /api/v1/admin/reports/captains
+ * @access  Private (Admin)
+ */
+exports.getCaptainReports = asyncHandler(async (req, res) => {
+  const { start, end } = resolveDateRange(req.query);
+  const report = await buildCaptainReport(start, end, req.query.groupBy);
+
+  res.status(200).json(
+    new ApiResponse(200, { range: { start, end }, ...report }, 'Captain report generated')
+  );
+});
+
+/**
+ * @desc    Get financial reports (wallet ledger, payouts and payments)
+ * @route   GET /api/v1/admin/reports/financial
+ * @access  Private (Admin)
+ */
+exports.getFinancialReports = asyncHandler(async (req, res) => {
+  const { start, end } = resolveDateRange(req.query);
+  const range = { createdAt: { $gte: start, $lte: end } };
+
+  const [ledger, withdrawals, payments, walletBalances] = await Promise.all([
+    Transaction.aggregate([
+      { $match: { ...range, status: 'completed', ...(req.query.type && { type: req.query.type }) } },
+      {
+        $group: {
+          _id: { category: '$category', type: '$type' },
+          count: { $sum: 1 },
+          amount: { $sum: '$amount' },
+        },
+      },
+      { $sort: { amount: -1 } },
+      { $project: { _id: 0, category: '$_id.category', type: '$_id.type', count: 1, amount: 1 } },
+    ]),
+    Transaction.aggregate([
+      { $match: { ...range, category: 'withdrawal' } },
+      { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } },
+    ]),
+    Payment.aggregate([
+      { $match: range },
+      {
+        $group: {
+          _id: { method: '$method', status: '$status' },
+          count: { $sum: 1 },
+          amount: { $sum: '$amount' },
+          refunded: { $sum: { $ifNull: ['$refund.amount', 0] } },
+        },
+      },
+      { $project: { _id: 0, method: '$_id.method', status: '$_id.status', count: 1, amount: 1, refunded: 1 } },
+    ]),
+    Wallet.aggregate([
+      { $group: { _id: '$ownerType', wallets: { $sum: 1 }, balance: { $sum: '$balance' } } },
+    ]),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      range: { start, end },
+      ledger,
+      withdrawals: Object.fromEntries(withdrawals.map((w) => [w._id, { count: w.count, amount: w.amount }])),
+      payments,
+      // Current liability held in wallets, not limited to the range
+      walletBalances: Object.fromEntries(walletBalances.map((w) => [w._id, { wallets: w.wallets, balance: w.balance }])),
+    }, 'Financial report generated')
+  );
+});
+
+/**
+ * @desc    Export report data as CSV or JSON
+ * @route   POST /api/v1/admin/reports/export
+ * @access  Private (Admin)
+ */
+exports.exportReport = asyncHandler(async (req, res) => {
+  const { reportType, format = 'csv', startDate, endDate, filters = {} } = req.body;
+
+  const exporter = EXPORTERS[reportType];
+  if (!exporter) {
+    throw new ApiError(400, `reportType must be one of: ${Object.keys(EXPORTERS).join(', ')}`);
+  }
+
+  if (!['csv', 'json'].includes(format)) {
+    throw new ApiError(400, 'Format must be csv or json');
+  }
+
+  const range = resolveDateRange({ startDate, endDate });
+  const rows = await exporter(range, filters);
+  const filename = `${reportType}_${range.start.toISOString().slice(0, 10)}_${range.end.toISOString().slice(0, 10)}`;
+
+  logger.info(`Admin ${req.admin._id} exported ${rows.length} ${reportType} row(s) as ${format}`);
+
+  if (format === 'json') {
+    res.status(200).json(
+      new ApiResponse(200, {
+        reportType,
+        range,
+        count: rows.length,
+        truncated: rows.length === EXPORT_LIMIT,
+        rows,
+      }, 'Report exported')
+    );
+    return;
+  }
+
+  res.attachment(`${filename}.csv`);
+  res.type('text/csv');
+  res.status(200).send(toCsv(rows));
+});
+
+/**
+ * @desc    Get scheduled reports
+ * @route   GET /api/v1/admin/reports/scheduled
+ * @access  Private (Admin)
+ */
+exports.getScheduledReports = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const filter = {
+    ...(req.query.reportType && { reportType: req.query.reportType }),
+    ...(req.query.isActive !== undefined && { isActive: req.query.isActive === 'true' }),
+  };
+
+  const [reports, total] = await Promise.all([
+    ScheduledReport.find(filter)
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    ScheduledReport.countDocuments(filter),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      reports,
+      pagination: buildPagination(page, limit, total),
+    }, 'Scheduled reports retrieved')
+  );
+});
+
+/**
+ * @desc    Create scheduled report
+ * @route   POST /api/v1/admin/reports/scheduled
+ * @access  Private (Admin)
+ */
+exports.createScheduledReport = asyncHandler(async (req, res) => {
+  const { reportType, schedule, recipients, format = 'csv', filters = {} } = req.body;
+
+  if (!EXPORTERS[reportType]) {
+    throw new ApiError(400, `reportType must be one of: ${Object.keys(EXPORTERS).join(', ')}`);
+  }
+
+  if (!SCHEDULES.includes(schedule)) {
+    throw new ApiError(400, `schedule must be one of: ${SCHEDULES.join(', ')}`);
+  }
+
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    throw new ApiError(400, 'recipients must be a non-empty list of emails');
+  }
+
+  if (!['csv', 'json'].includes(format)) {
+    throw new ApiError(400, 'Format must be csv or json');
+  }
+
+  const report = await ScheduledReport.create({
+    reportType,
+    schedule,
+    recipients,
+    format,
+    filters,
+    createdBy: req.admin._id,
+    nextRunAt: ReportService.nextRunAt(schedule),
+  });
+
+  await audit(req, 'report.schedule', { type: 'ScheduledReport', id: report._id, label: reportType }, {
+    after: { reportType, schedule, recipients: report.recipients, format },
+  });
+
+  logger.info(`Admin ${req.admin._id} scheduled a ${schedule} ${reportType} report for ${report.recipients.length} recipient(s)`);
+
+  res.status(201).json(
+    new ApiResponse(201, { report }, 'Scheduled report created')
+  );
+});
+
+// ==========================================
+// SETTINGS
+// ==========================================
+
+const SETTINGS_CATEGORIES = ['general', 'rides', 'payments', 'referrals', 'notifications', 'safety', 'support'];
+const APP_CONFIG_KEY = 'app';
+const APP_CONFIG_FIELDS = [
+  'appName',
+  'logo',
+  'colors',
+  'features',
+  'supportEmail',
+  'supportPhone',
+  'minAppVersion',
+  'maintenanceMode',
+  'maintenanceMessage',
+];
+
+/**
+ * @desc    Get all settings
+ * @route   GET /api/v1/admin/settings
+ * @access  Private (Admin)
+ */
+exports.getSettings = asyncHandler(async (req, res) => {
+  const stored = await Setting.find({ key: { $in: [...SETTINGS_CATEGORIES, APP_CONFIG_KEY] } })
+    .populate('updatedBy', 'firstName lastName')
+    .lean();
+
+  const settings = Object.fromEntries(
+    [...SETTINGS_CATEGORIES, APP_CONFIG_KEY].map((key) => [key, stored.find((s) => s.key === key)?.value || {}])
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      settings,
+      categories: SETTINGS_CATEGORIES,
+      lastUpdated: Object.fromEntries(stored.map((s) => [s.key, { at: s.updatedAt, by: s.updatedBy }])),
+    }, 'Settings retrieved')
+  );
+});
+
+/**
+ * @desc    Update settings (merged into the category)
+ * @route   PUT /api/v1/admin/settings
+ * @access  Private (Admin)
+ */
+exports.updateSettings = asyncHandler(async (req, res) => {
+  const { category, settings } = req.body;
+
+  if (!SETTINGS_CATEGORIES.includes(category)) {
+    throw new ApiError(400, `Category must be one of: ${SETTINGS_CATEGORIES.join(', ')}`);
+  }
+
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new ApiError(400, 'Settings must be an object');
+  }
+
+  const current = await Setting.getValue(category);
+  const setting = await Setting.setValue(category, { ...current, ...settings }, req.admin._id);
+
+  await audit(req, 'settings.update', { type: 'Setting', id: setting._id, label: category }, {
+    before: current,
+    after: setting.value,
+  });
+
+  logger.info(`Settings "${category}" updated by admin ${req.admin._id}: ${Object.keys(settings).join(', ')}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { category, settings: setting.value }, 'Settings updated')
+  );
+});
+
+/**
+ * @desc    Get app configuration
+ * @route   GET /api/v1/admin/settings/app
+ * @access  Private (Admin)
+ */
+exports.getAppConfig = asyncHandler(async (req, res) => {
+  const config = await Setting.getValue(APP_CONFIG_KEY);
+
+  res.status(200).json(
+    new ApiResponse(200, { config }, 'App configuration retrieved')
+  );
+});
+
+/**
+ * @desc    Update app configuration
+ * @route   PUT /api/v1/admin/settings/app
+ * @access  Private (Admin)
+ */
+exports.updateAppConfig = asyncHandler(async (req, res) => {
+  const updates = {};
+  APP_CONFIG_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  });
+
+  if (Object.keys(updates).length === 0) {
+    throw new ApiError(400, `Provide at least one of: ${APP_CONFIG_FIELDS.join(', ')}`);
+  }
+
+  const current = await Setting.getValue(APP_CONFIG_KEY);
+  const setting = await Setting.setValue(APP_CONFIG_KEY, { ...current, ...updates }, req.admin._id);
+
+  await audit(req, 'settings.update', { type: 'Setting', id: setting._id, label: APP_CONFIG_KEY }, {
+    before: current,
+    after: setting.value,
+  });
+
+  logger.info(`App config updated by admin ${req.admin._id}: ${Object.keys(updates).join(', ')}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { config: setting.value }, 'App configuration updated')
+  );
+});
+
+/**
+ * @desc    Get commission settings
+ * @route   GET /api/v1/admin/settings/commission
+ * @access  Private (Admin)
+ */
+exports.getCommissionSettings = asyncHandler(async (req, res) => {
+  const vehicleTypes = await VehicleType.find()
+    .select('name displayName commissionPercentage cityFares.city cityFares.commissionPercentage')
+    .sort({ order: 1 })
+    .lean();
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      defaultPercentage: COMMISSION.PLATFORM_PERCENTAGE,
+      vehicleTypes: vehicleTypes.map((v) => ({
+        vehicleType: v.name,
+        displayName: v.displayName,
+        percentage: v.commissionPercentage ?? COMMISSION.PLATFORM_PERCENTAGE,
+        cities: (v.cityFares || [])
+          .filter((c) => c.commissionPercentage !== undefined)
+          .map((c) => ({ city: c.city, percentage: c.commissionPercentage })),
+      })),
+    }, 'Commission settings retrieved')
+  );
+});
+
+/**
+ * @desc    Update commission settings (every configured vehicle type when none is given)
+ * @route   PUT /api/v1/admin/settings/commission
+ * @access  Private (Admin)
+ */
+exports.updateCommissionSettings = asyncHandler(async (req, res) => {
+  const { vehicleType, city } = req.body;
+  const percentage = Number(req.body.percentage);
+
+  if (!Number.isFinite(percentage) || percentage < 0 || percentage > 100) {
+    throw new ApiError(400, 'Percentage must be between 0 and 100');
+  }
+
+  const vehicleTypes = await VehicleType.find(vehicleType ? { name: vehicleType } : {});
+
+  if (vehicleTypes.length === 0) {
+    throw new ApiError(404, 'Vehicle type not configured. Add it via /admin/vehicle-types first');
+  }
+
+  const cityKey = city?.toLowerCase();
+
+  for (const type of vehicleTypes) {
+    const cityFare = cityKey && type.cityFares.find((c) => c.city === cityKey);
+    const before = cityKey ? cityFare?.commissionPercentage : type.commissionPercentage;
+
+    if (cityKey) {
+      if (cityFare) {
+        cityFare.commissionPercentage = percentage;
+      } else {
+        type.cityFares.push({ city: cityKey, commissionPercentage: percentage });
+      }
+    } else {
+      type.commissionPercentage = percentage;
+    }
+
+    await type.save();
+    await FareCalculator.clearTariffCache(type.name);
+
+    await audit(req, 'commission.update', { type: 'VehicleType', id: type._id, label: cityKey ? `${type.name}:${cityKey}` : type.name }, {
+      before: { commissionPercentage: before },
+      after: { commissionPercentage: percentage },
+    });
+  }
+
+  logger.info(`Commission set to ${percentage}% for ${vehicleType || 'all vehicle types'}${cityKey ? ` in ${cityKey}` : ''} by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      percentage,
+      city: cityKey || null,
+      vehicleTypes: vehicleTypes.map((v) => v.name),
+    }, 'Commission settings updated')
+  );
+});
+
+// ==========================================
+// SUPPORT & TICKETS
+// ==========================================
+
+const TICKET_AUDIT_FIELDS = ['status', 'priority', 'assignee'];
+
+const findTicket = async (ticketId) => {
+  const ticket = await SupportTicket.findById(ticketId);
+
+  if (!ticket) {
+    throw new ApiError(404, 'Ticket not found');
+  }
+
+  return ticket;
+};
+
+/**
+ * @desc    Get support tickets
+ * @route   GET /api/v1/admin/support/tickets
+ * @access  Private (Admin)
+ */
+exports.getSupportTickets = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { status, priority, category, source, assignee, breached, search } = req.query;
+
+  const assigneeFilters = {
+    me: req.admin._id,
+    unassigned: null,
+  };
+
+  const filter = {
+    ...(status && { status }),
+    ...(priority && { priority }),
+    ...(category && { category }),
+    ...(source && { source }),
+    ...(assignee && { assignee: assignee in assigneeFilters ? assigneeFilters[assignee] : assignee }),
+    ...(breached === 'true' && { $or: [{ 'sla.firstResponseBreached': true }, { 'sla.resolutionBreached': true }] }),
+    ...(search && { ticketNumber: { $regex: escapeRegex(search), $options: 'i' } }),
+  };
+
+  const [tickets, total, byStatus] = await Promise.all([
+    SupportTicket.find(filter)
+      .select('-messages')
+      .populate('raisedBy', 'firstName lastName phone')
+      .populate('assignee', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    SupportTicket.countDocuments(filter),
+    SupportTicket.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      tickets,
+      counts: Object.fromEntries(byStatus.map(({ _id, count }) => [_id, count])),
+      pagination: buildPagination(page, limit, total),
+    }, 'Support tickets retrieved')
+  );
+});
+
+/**
+ * @desc    Get ticket details with the full conversation, including internal notes
+ * @route   GET /api/v1/admin/support/tickets/:ticketId
+ * @access  Private (Admin)
+ */
+exports.getTicketDetails = asyncHandler(async (req, res) => {
+  const ticket = await SupportTicket.findById(req.params.ticketId)
+    .populate('raisedBy', 'firstName lastName phone email')
+    .populate('ride', 'rideId status pickup.address dropoff.address fare payment createdAt')
+    .populate('payment', 'amount method status createdAt')
+    .populate('assignee', 'firstName lastName email')
+    .populate('closedBy', 'firstName lastName')
+    .populate('messages.sender', 'firstName lastName')
+    .lean();
+
+  if (!ticket) {
+    throw new ApiError(404, 'Ticket not found');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { ticket }, 'Ticket details retrieved')
+  );
+});
+
+/**
+ * @desc    Update ticket status, priority or assignee
+ * @route   PUT /api/v1/admin/support/tickets/:ticketId
+ * @access  Private (Admin)
+ */
+exports.updateTicket = asyncHandler(async (req, res) => {
+  const { status, priority, assignee } = req.body;
+  const ticket = await findTicket(req.params.ticketId);
+
+  if (assignee) {
+    const agent = await Admin.exists({ _id: assignee, isActive: true });
+    if (!agent) {
+      throw new ApiError(404, 'Assignee not found');
+    }
+  }
+
+  const before = pick(ticket.toObject(), TICKET_AUDIT_FIELDS);
+  await SupportService.updateTicket(ticket, { status, priority, assignee });
+
+  await audit(req, 'support_ticket.update', { type: 'SupportTicket', id: ticket._id, label: ticket.ticketNumber }, {
+    before,
+    after: pick(ticket, TICKET_AUDIT_FIELDS),
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, { ticket }, 'Ticket updated')
+  );
+});
+
+/**
+ * @desc    Reply to ticket, or add an internal note
+ * @route   POST /api/v1/admin/support/tickets/:ticketId/reply
+ * @access  Private (Admin)
+ */
+exports.replyToTicket = asyncHandler(async (req, res) => {
+  const { message } = req.body;
+  const internal = req.body.internal === true || req.body.internal === 'true';
+  const ticket = await findTicket(req.params.ticketId);
+
+  await SupportService.replyAsAgent(ticket, req.admin._id, {
+    message,
+    internal,
+    attachments: SupportService.toAttachments(req.files),
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, { ticket }, internal ? 'Note added' : 'Reply sent')
+  );
+});
+
+/**
+ * @desc    Close ticket
+ * @route   PUT /api/v1/admin/support/tickets/:ticketId/close
+ * @access  Private (Admin)
+ */
+exports.closeTicket = asyncHandler(async (req, res) => {
+  const { resolution } = req.body;
+  const ticket = await findTicket(req.params.ticketId);
+  const before = pick(ticket.toObject(), TICKET_AUDIT_FIELDS);
+
+  await SupportService.closeTicket(ticket, req.admin._id, resolution);
+
+  await audit(req, 'support_ticket.close', { type: 'SupportTicket', id: ticket._id, label: ticket.ticketNumber }, {
+    before,
+    after: pick(ticket, TICKET_AUDIT_FIELDS),
+    reason: resolution,
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, { ticket }, 'Ticket closed')
+  );
+});
+
+// ==========================================
+// SAFETY INCIDENTS
+// ==========================================
+
+const INCIDENT_OUTCOMES = ['assisted', 'false_alarm', 'police_involved', 'other'];
+
+const findIncident = async (incidentId) => {
+  const incident = await Incident.findById(incidentId);
+
+  if (!incident) {
+    throw new ApiError(404, 'Incident not found');
+  }
+
+  return incident;
+};
+
+/**
+ * @desc    Get SOS incidents, unresolved ones first
+ * @route   GET /api/v1/admin/incidents
+ * @access  Private (Admin)
+ */
+exports.getIncidents = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { status, escalated, raisedByType, startDate, endDate, search } = req.query;
+
+  const filter = {
+    ...(status && { status }),
+    ...(raisedByType && { raisedByType }),
+    ...(escalated === 'true' && { escalationLevel: { $gt: 0 } }),
+    ...((startDate || endDate) && {
+      createdAt: {
+        ...(startDate && { $gte: new Date(startDate) }),
+        ...(endDate && { $lte: new Date(endDate) }),
+      },
+    }),
+    ...(search && { incidentNumber: { $regex: escapeRegex(search), $options: 'i' } }),
+  };
+
+  const [incidents, total, open] = await Promise.all([
+    Incident.aggregate([
+      { $match: filter },
+      { $addFields: { resolvedLast: { $cond: [{ $eq: ['$status', 'resolved'] }, 1, 0] } } },
+      { $sort: { resolvedLast: 1, createdAt: -1 } },
+      { $skip: skip },
+      { $limit: limit },
+      { $project: { trail: 0, resolvedLast: 0 } },
+    ]),
+    Incident.countDocuments(filter),
+    Incident.countDocuments({ status: { $ne: 'resolved' } }),
+  ]);
+
+  await Incident.populate(incidents, [
+    { path: 'ride', select: 'rideId status' },
+    { path: 'user', select: 'firstName lastName phone' },
+    { path: 'captain', select: 'firstName lastName phone vehicle.registrationNumber' },
+    { path: 'acknowledgedBy', select: 'firstName lastName' },
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      incidents,
+      open,
+      pagination: buildPagination(page, limit, total),
+    }, 'Incidents retrieved')
+  );
+});
+
+/**
+ * @desc    Get incident details with its location trail
+ * @route   GET /api/v1/admin/incidents/:incidentId
+ * @access  Private (Admin)
+ */
+exports.getIncidentDetails = asyncHandler(async (req, res) => {
+  const incident = await Incident.findById(req.params.incidentId)
+    .populate('ride', 'rideId status pickup dropoff vehicleType createdAt')
+    .populate('user', 'firstName lastName phone email emergencyContacts')
+    .populate('captain', 'firstName lastName phone vehicle')
+    .populate('acknowledgedBy', 'firstName lastName')
+    .populate('resolution.by', 'firstName lastName')
+    .populate('supportTicket', 'ticketNumber status assignee')
+    .lean();
+
+  if (!incident) {
+    throw new ApiError(404, 'Incident not found');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { incident }, 'Incident details retrieved')
+  );
+});
+
+/**
+ * @desc    Acknowledge an open incident
+ * @route   PUT /api/v1/admin/incidents/:incidentId/acknowledge
+ * @access  Private (Admin)
+ */
+exports.acknowledgeIncident = asyncHandler(async (req, res) => {
+  const incident = await findIncident(req.params.incidentId);
+
+  await IncidentService.acknowledge(incident, req.admin._id);
+
+  await audit(req, 'incident.acknowledge', { type: 'Incident', id: incident._id, label: incident.incidentNumber }, {
+    after: { status: incident.status, escalationLevel: incident.escalationLevel },
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, { incident }, 'Incident acknowledged')
+  );
+});
+
+/**
+ * @desc    Resolve an incident
+ * @route   PUT /api/v1/admin/incidents/:incidentId/resolve
+ * @access  Private (Admin)
+ */
+exports.resolveIncident = asyncHandler(async (req, res) => {
+  const { outcome, note } = req.body;
+
+  if (!INCIDENT_OUTCOMES.includes(outcome)) {
+    throw new ApiError(400, `Outcome must be one of: ${INCIDENT_OUTCOMES.join(', ')}`);
+  }
+
+  const incident = await findIncident(req.params.incidentId);
+  const before = { status: incident.status };
+
+  await IncidentService.resolve(incident, req.admin._id, { outcome, note });
+
+  await audit(req, 'incident.resolve', { type: 'Incident', id: incident._id, label: incident.incidentNumber }, {
+    before,
+    after: { status: incident.status, outcome },
+    reason: note,
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, { incident }, 'Incident resolved')
+  );
+});
+
+// ==========================================
+// ADMIN MANAGEMENT (Super Admin only)
+// ==========================================
+
+const ROLE_PERMISSIONS_KEY = 'admin_roles';
+const ADMIN_SAFE_FIELDS = '-password';
+
+/**
+ * Default permissions per role: stored overrides first, then config/constants
+ */
+const getRolePermissions = async () => {
+  const stored = await Setting.getValue(ROLE_PERMISSIONS_KEY);
+  return {
+    superadmin: ADMIN.PERMISSIONS,
+    ...ADMIN.ROLE_PERMISSIONS,
+    ...stored,
+  };
+};
+
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    throw new ApiError(400, 'Permissions must be an array');
+  }
+
+  const unknown = permissions.filter((p) => !ADMIN.PERMISSIONS.includes(p));
+  if (unknown.length > 0) {
+    throw new ApiError(400, `Unknown permissions: ${unknown.join(', ')}`);
+  }
+
+  return [...new Set(permissions)];
+};
+
+const validateRole = (role) => {
+  if (!ADMIN.ROLES.includes(role)) {
+    throw new ApiError(400, `Role must be one of: ${ADMIN.ROLES.join(', ')}`);
+  }
+  return role;
+};
+
+/**
+ * `name` from the routes is split into the model's first/last name
+ */
+const splitName = ({ name, firstName, lastName }) => {
+  if (firstName || !name) return { firstName, lastName };
+  const [first, ...rest] = name.trim().split(/\s+/);
+  return { firstName: first, lastName: rest.join(' ') || first };
+};
+
+const saveAdmin = async (admin) => {
+  try {
+    await admin.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(409, 'An admin with this email or phone already exists');
+    }
+    throw error;
+  }
+};
+
+/**
+ * A change that would leave no active superadmin is refused
+ */
+const assertSuperadminRemains = async (admin) => {
+  if (admin.role !== 'superadmin') return;
+
+  const others = await Admin.countDocuments({ _id: { $ne: admin._id }, role: 'superadmin', isActive: true });
+  if (others === 0) {
+    throw new ApiError(400, 'At least one active superadmin must remain');
+  }
+};
+
+/**
+ * @desc    Get all admins
+ * @route   GET /api/v1/admin/admins
+ * @access  Private (Super Admin)
+ */
+exports.getAdmins = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { role, search, isActive } = req.query;
+
+  const filter = {
+    ...buildSearch(search, ['firstName', 'lastName', 'email', 'phone']),
+    ...(role && { role }),
+    ...(isActive !== undefined && { isActive: isActive === 'true' }),
+  };
+
+  const [admins, total] = await Promise.all([
+    Admin.find(filter).select(ADMIN_SAFE_FIELDS).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    Admin.countDocuments(filter),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      admins,
+      pagination: buildPagination(page, limit, total),
+    }, 'Admins retrieved')
+  );
+});
+
+/**
+ * @desc    Create new admin
+ * @route   POST /api/v1/admin/admins
+ * @access  Private (Super Admin)
+ */
+exports.createAdmin = asyncHandler(async (req, res) => {
+  const { email, phone, password, permissions } = req.body;
+  const role = validateRole(req.body.role || 'moderator');
+  const { firstName, lastName } = splitName(req.body);
+
+  if (!firstName || !email || !phone || !password) {
+    throw new ApiError(400, 'Name, email, phone and password are required');
+  }
+
+  const rolePermissions = await getRolePermissions();
+
+  const admin = new Admin({
+    firstName,
+    lastName,
+    email,
+    phone,
+    password,
+    role,
+    permissions: permissions ? validatePermissions(permissions) : rolePermissions[role],
+  });
+
+  await saveAdmin(admin);
+
+  await audit(req, 'admin.create', { type: 'Admin', id: admin._id, label: admin.email }, {
+    before: null,
+    after: admin,
+  });
+
+  logger.info(`Admin ${admin._id} (${role}) created by admin ${req.admin._id}`);
+
+  const created = admin.toObject();
+  delete created.password;
+
+  res.status(201).json(
+    new ApiResponse(201, { admin: created }, 'Admin created')
+  );
+});
+
+/**
+ * @desc    Get admin details
+ * @route   GET /api/v1/admin/admins/:adminId
+ * @access  Private (Super Admin)
+ */
+exports.getAdminDetails = asyncHandler(async (req, res) => {
+  const admin = await Admin.findById(req.params.adminId).select(ADMIN_SAFE_FIELDS).lean();
+
+  if (!admin) {
+    throw new ApiError(404, 'Admin not found');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { admin }, 'Admin details retrieved')
+  );
+});
+
+/**
+ * @desc    Update admin
+ * @route   PUT /api/v1/admin/admins/:adminId
+ * @access  Private (Super Admin)
+ */
+exports.updateAdmin = asyncHandler(async (req, res) => {
+  const admin = await Admin.findById(req.params.adminId);
+
+  if (!admin) {
+    throw new ApiError(404, 'Admin not found');
+  }
+
+  const { email, phone, role, permissions, isActive } = req.body;
+  const isSelf = admin._id.equals(req.admin._id);
+  const demoting = role !== undefined && role !== 'superadmin';
+
+  if (isSelf && (demoting || isActive === false)) {
+    throw new ApiError(400, 'You cannot demote or deactivate your own account');
+  }
+
+  if (demoting || isActive === false) {
+    await assertSuperadminRemains(admin);
+  }
+
+  const before = admin.toObject();
+  const { firstName, lastName } = splitName(req.body);
+  if (firstName) admin.firstName = firstName;
+  if (lastName) admin.lastName = lastName;
+  if (email !== undefined) admin.email = email;
+  if (phone !== undefined) admin.phone = phone;
+  if (role !== undefined) admin.role = validateRole(role);
+  if (permissions !== undefined) admin.permissions = validatePermissions(permissions);
+  if (isActive !== undefined) admin.isActive = isActive;
+
+  await saveAdmin(admin);
+
+  await audit(req, 'admin.update', { type: 'Admin', id: admin._id, label: admin.email }, {
+    before,
+    after: admin,
+  });
+
+  logger.info(`Admin ${admin._id} updated by admin ${req.admin._id}`);
+
+  const updated = admin.toObject();
+  delete updated.password;
+
+  res.status(200).json(
+    new ApiResponse(200, { admin: updated }, 'Admin updated')
+  );
+});
+
+/**
+ * @desc    Delete admin
+ * @route   DELETE /api/v1/admin/admins/:adminId
+ * @access  Private (Super Admin)
+ */
+exports.deleteAdmin = asyncHandler(async (req, res) => {
+  const admin = await Admin.findById(req.params.adminId).select(ADMIN_SAFE_FIELDS);
+
+  if (!admin) {
+    throw new ApiError(404, 'Admin not found');
+  }
+
+  if (admin._id.equals(req.admin._id)) {
+    throw new ApiError(400, 'You cannot delete your own account');
+  }
+
+  await assertSuperadminRemains(admin);
+  await admin.deleteOne();
+
+  await audit(req, 'admin.delete', { type: 'Admin', id: admin._id, label: admin.email }, {
+    before: admin,
+    after: null,
+  });
+
+  logger.warn(`Admin ${admin.email} deleted by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, null, 'Admin deleted')
+  );
+});
+
+/**
+ * @desc    Get admin roles with their default permissions
+ * @route   GET /api/v1/admin/roles
+ * @access  Private (Super Admin)
+ */
+exports.getAdminRoles = asyncHandler(async (req, res) => {
+  const [rolePermissions, counts] = await Promise.all([
+    getRolePermissions(),
+    countBy(Admin, {}, 'role'),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      roles: ADMIN.ROLES.map((role) => ({
+        role,
+        permissions: rolePermissions[role],
+        admins: counts[role] || 0,
+        editable: role !== 'superadmin',
+      })),
+      permissions: ADMIN.PERMISSIONS,
+    }, 'Admin roles retrieved')
+  );
+});
+
+/**
+ * @desc    Create admin role
+ * @route   POST /api/v1/admin/roles
+ * @access  Private (Super Admin)
+ */
+exports.createAdminRole = asyncHandler(async () => {
+  // Auth middleware only recognises the built-in roles
+  throw new ApiError(400, `Custom roles are not supported. Adjust the permissions of ${ADMIN.ROLES.join(', ')} via PUT /admin/roles/:role`);
+});
+
+/**
+ * @desc    Update the default permissions of a role
+ * @route   PUT /api/v1/admin/roles/:roleId
+ * @access  Private (Super Admin)
+ */
+exports.updateAdminRole = asyncHandler(async (req, res) => {
+  const role = validateRole(req.params.roleId);
+  const { applyToExisting = false } = req.body;
+
+  if (role === 'superadmin') {
+    throw new ApiError(400, 'Superadmin always has every permission');
+  }
+
+  const permissions = validatePermissions(req.body.permissions);
+  const [stored, current] = await Promise.all([
+    Setting.getValue(ROLE_PERMISSIONS_KEY),
+    getRolePermissions(),
+  ]);
+  await Setting.setValue(ROLE_PERMISSIONS_KEY, { ...stored, [role]: permissions }, req.admin._id);
+
+  const updatedAdmins = applyToExisting
+    ? (await Admin.updateMany({ role }, { permissions })).modifiedCount
+    : 0;
+
+  await audit(req, 'admin_role.update', { type: 'Setting', label: `${ROLE_PERMISSIONS_KEY}:${role}` }, {
+    before: { permissions: current[role] },
+    after: { permissions },
+    metadata: { applyToExisting, updatedAdmins },
+  });
+
+  logger.info(`Role ${role} permissions set to [${permissions.join(', ')}] by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { role, permissions, updatedAdmins }, 'Admin role updated')
+  );
+});
+
+// ==========================================
+// AUDIT LOGS
+// ==========================================
+
+const objectIdParam = (value, name) => {
+  if (!mongoose.isValidObjectId(value)) {
+    throw new ApiError(400, `${name} must be a valid id`);
+  }
+  return new mongoose.Types.ObjectId(value);
+};
+
+/**
+ * @desc    Get audit logs (newest first)
+ * @route   GET /api/v1/admin/audit-logs
+ * @access  Private (Super Admin)
+ * @query   action matches a prefix when it ends with '.' (e.g. 'captain.')
+ */
+exports.getAuditLogs = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+  const { action, entityType, entityId, actorType, requestId, startDate, endDate } = req.query;
+  const actorId = req.query.actorId || req.query.adminId;
+
+  const filter = {
+    ...(action && {
+      action: action.endsWith('.') ? { $regex: `^${escapeRegex(action)}` } : action,
+    }),
+    ...(entityType && { 'entity.type': entityType }),
+    ...(entityId && { 'entity.id': objectIdParam(entityId, 'entityId') }),
+    ...(actorType && { 'actor.type': actorType }),
+    ...(actorId && { 'actor.id': objectIdParam(actorId, 'actorId') }),
+    ...(requestId && { requestId }),
+    ...((startDate || endDate) && {
+      createdAt: {
+        ...(startDate && { $gte: new Date(startDate) }),
+        ...(endDate && { $lte: new Date(endDate) }),
+      },
+    }),
+  };
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      logs,
+      pagination: buildPagination(page, limit, total),
+    }, 'Audit logs retrieved')
+  );
+});
+
+/**
+ * @desc    Get audit log details
+ * @route   GET /api/v1/admin/audit-logs/:logId
+ * @access  Private (Super Admin)
+ */
+exports.getAuditLogDetails = asyncHandler(async (req, res) => {
+  const log = await AuditLog.findById(objectIdParam(req.params.logId, 'logId'))
+    .populate('actor.id', 'firstName lastName email phone role')
+    .lean();
+
+  if (!log) {
+    throw new ApiError(404, 'Audit log not found');
+  }
+
+  // Everything else that happened in the same request
+  const related = log.requestId
+    ? await AuditLog.find({ requestId: log.requestId, _id: { $ne: log._id } })
+      .select('action entity createdAt')
+      .sort({ createdAt: 1 })
+      .lean()
+    : [];
+
+  res.status(200).json(
+    new ApiResponse(200, { log, related }, 'Audit log details retrieved')
+  );
+});
+
+// ==========================================
+// SYSTEM
+// ==========================================
+
+const LOG_DIR = path.join(__dirname, '../../logs');
+const LOG_TAIL_BYTES = 512 * 1024;
+const LOG_LINE = /^(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}):\d+ (\w+): (.*)$/;
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// Redis key patterns admins may flush; auth keys (OTPs, blacklist) are never touched
+const CACHE_PATTERNS = {
+  tariffs: 'fare:tariff:*',
+  surge: 'surge:zone:*',
+  captains: 'captain:location:*',
+  maps: 'map:*',
+};
+
+/**
+ * Last LOG_TAIL_BYTES of a log file split into lines
+ */
+const readLogTail = async (file) => {
+  let handle;
+  try {
+    handle = await fs.promises.open(file, 'r');
+    const { size } = await handle.stat();
+    const length = Math.min(size, LOG_TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, size - length);
+
+    const lines = buffer.toString('utf8').split('\n');
+    // The first line is probably cut in half when the file was trimmed
+    return size > length ? lines.slice(1) : lines;
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  } finally {
+    await handle?.close();
+  }
+};
+
+/**
+ * @desc    Get system health
+ * @route   GET /api/v1/admin/system/health
+ * @access  Private (Admin)
+ */
+exports.getSystemHealth = asyncHandler(async (req, res) => {
+  const mongoState = MONGO_STATES[mongoose.connection.readyState] || 'unknown';
+
+  let redis = { status: 'disabled' };
+  const client = getClient();
+  if (client) {
+    const started = Date.now();
+    try {
+      await client.ping();
+      redis = { status: 'connected', latencyMs: Date.now() - started };
+    } catch (error) {
+      redis = { status: 'error', error: error.message };
+    }
+  }
+
+  const memory = process.memoryUsage();
+  const healthy = mongoState === 'connected' && redis.status !== 'error';
+
+  res.status(healthy ? 200 : 503).json(
+    new ApiResponse(healthy ? 200 : 503, {
+      status: healthy ? 'healthy' : 'degraded',
+      database: { status: mongoState },
+      redis,
+      sockets: { connected: global.io?.engine?.clientsCount ?? null },
+      process: {
+        uptimeSeconds: Math.round(process.uptime()),
+        nodeVersion: process.version,
+        memoryMb: {
+          rss: round2(memory.rss / 1024 / 1024),
+          heapUsed: round2(memory.heapUsed / 1024 / 1024),
+          heapTotal: round2(memory.heapTotal / 1024 / 1024),
+        },
+      },
+      timestamp: new Date(),
+    }, healthy ? 'System healthy' : 'System degraded')
+  );
+});
+
+/**
+ * @desc    Get the map provider in use and its cache hit rates
+ * @route   GET /api/v1/admin/system/maps
+ * @access  Private (Admin)
+ */
+exports.getMapStats = asyncHandler(async (req, res) => {
+  const cacheStats = await MapService.getCacheStats();
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      provider: MapService.getProviderName(),
+      cache: cacheStats,
+      redisEnabled: !!getClient(),
+    }, 'Map stats retrieved')
+  );
+});
+
+/**
+ * @desc    Get recent system logs (newest first)
+ * @route   GET /api/v1/admin/system/logs
+ * @access  Private (Super Admin)
+ */
+exports.getSystemLogs = asyncHandler(async (req, res) => {
+  const { level, startDate, endDate } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const start = startDate ? new Date(startDate) : null;
+  const end = endDate ? new Date(endDate) : null;
+
+  const lines = await readLogTail(path.join(LOG_DIR, level === 'error' ? 'error.log' : 'all.log'));
+
+  const logs = [];
+  for (let i = lines.length - 1; i >= 0 && logs.length < limit; i -= 1) {
+    const match = LOG_LINE.exec(lines[i]);
+    if (!match) continue;
+
+    const [, time, entryLevel, message] = match;
+    const timestamp = new Date(time.replace(' ', 'T'));
+
+    if (level && entryLevel !== level) continue;
+    if (start && timestamp < start) continue;
+    if (end && timestamp > end) continue;
+
+    logs.push({ timestamp, level: entryLevel, message });
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { logs, count: logs.length }, 'System logs retrieved')
+  );
+});
+
+/**
+ * @desc    Clear system cache
+ * @route   POST /api/v1/admin/system/cache/clear
+ * @access  Private (Super Admin)
+ */
+exports.clearCache = asyncHandler(async (req, res) => {
+  const { type = 'all' } = req.body;
+
+  if (type !== 'all' && !CACHE_PATTERNS[type]) {
+    throw new ApiError(400, `Type must be 'all' or one of: ${Object.keys(CACHE_PATTERNS).join(', ')}`);
+  }
+
+  const cleared = type === 'all' ? Object.keys(CACHE_PATTERNS) : [type];
+
+  for (const key of cleared) {
+    await cache.delPattern(CACHE_PATTERNS[key]);
+  }
+
+  await audit(req, 'system.clear_cache', { type: 'Cache', label: type }, {
+    metadata: { cleared },
+  });
+
+  logger.warn(`Cache cleared (${cleared.join(', ')}) by admin ${req.admin._id}`);
+
+  res.status(200).json(
+    new ApiResponse(200, { cleared, redisEnabled: !!getClient() }, 'Cache cleared')
+  );
+});
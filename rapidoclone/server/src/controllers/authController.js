@@ -7,6 +7,9 @@ const Wallet = require('../models/Wallet');
 const asyncHandler = require('../utils/asyncHandler');
 const ApiError = require('../utils/apiError');
 const ApiResponse = require('../utils/apiResponse');
+const ReferralService = require('../services/referralService');
+const { sendSMS } = require('../services/smsService');
+const { sendEmail } = require('../services/emailService');
 const { generateOTP, generateRandomString } = require('../utils/helpers');
 const { cache } = require('../config/redis');
 const logger = require('../utils/logger');
@@ -24,6 +27,30 @@ const generateRefreshToken = (id, type = 'user') => {
   });
 };
 
+const signupDeviceId = (req) => {
+  const deviceId = req.body.deviceId || req.get('X-Device-Id');
+  return deviceId ? String(deviceId).slice(0, 128) : undefined;
+};
+
+const newReferralCode = (firstName) =>
+  `${firstName.substring(0, 3).toUpperCase()}${generateRandomString(5).toUpperCase()}`;
+
+// A bad or ineligible referral code shouldn't stop anyone signing up
+const applySignupReferral = async (account, accountType, code, req) => {
+  if (!code) return;
+
+  try {
+    await ReferralService.applyReferral({
+      referee: account,
+      accountType,
+      code,
+      deviceId: signupDeviceId(req),
+    });
+  } catch (error) {
+    logger.info(`Referral code ${code} not applied for new ${accountType} ${account._id}: ${error.message}`);
+  }
+};
+
 // Cookie options
 const cookieOptions = {
   httpOnly: true,
@@ -56,9 +83,6 @@ exports.registerUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Phone number already registered');
   }
 
-  // Generate referral code for new user
-  const userReferralCode = `${firstName.substring(0, 3).toUpperCase()}${generateRandomString(5).toUpperCase()}`;
-
   // Create user
   const user = await User.create({
     firstName,
@@ -66,7 +90,8 @@ exports.registerUser = asyncHandler(async (req, res) => {
     email: email.toLowerCase(),
     phone,
     password,
-    referralCode: userReferralCode,
+    referralCode: newReferralCode(firstName),
+    deviceId: signupDeviceId(req),
   });
 
   // Create wallet for user
@@ -78,15 +103,8 @@ exports.registerUser = asyncHandler(async (req, res) => {
   user.wallet = wallet._id;
   await user.save();
 
-  // Handle referral
-  if (referralCode) {
-    const referrer = await User.findOne({ referralCode });
-    if (referrer) {
-      user.referredBy = referrer._id;
-      await user.save();
-      // TODO: Add referral bonus logic
-    }
-  }
+  // Rewards are paid once the new user completes their first ride
+  await applySignupReferral(user, 'User', referralCode, req);
 
   // Generate tokens
   const accessToken = generateAccessToken(user._id, 'user');
@@ -193,8 +211,7 @@ exports.requestLoginOTP = asyncHandler(async (req, res) => {
   // Store OTP in Redis
   await cache.set(`otp:login:${phone}`, { otp, expiry: otpExpiry }, 300);
 
-  // TODO: Send OTP via SMS
-  logger.info(`Login OTP for ${phone}: ${otp}`);
+  await sendSMS({ to: phone, template: 'login_otp', data: { otp, minutes: 5 } });
 
   res.status(200).json(
     new ApiResponse(200, { phone }, 'OTP sent successfully')
@@ -260,8 +277,7 @@ exports.sendOTP = asyncHandler(async (req, res) => {
 
   await cache.set(`otp:verify:${phone}`, { otp, expiry: otpExpiry }, 300);
 
-  // TODO: Send OTP via SMS
-  logger.info(`Verification OTP for ${phone}: ${otp}`);
+  await sendSMS({ to: phone, template: 'verify_otp', data: { otp, minutes: 5 } });
 
   res.status(200).json(
     new ApiResponse(200, { phone }, 'OTP sent successfully')
@@ -309,8 +325,8 @@ exports.resendOTP = asyncHandler(async (req, res) => {
 
   await cache.set(`otp:${type}:${phone}`, { otp, expiry: otpExpiry }, 300);
 
-  // TODO: Send OTP via SMS
-  logger.info(`Resent OTP for ${phone}: ${otp}`);
+  const template = { login: 'login_otp', reset: 'reset_otp' }[type] || 'verify_otp';
+  await sendSMS({ to: phone, template, data: { otp, minutes: 5 } });
 
   res.status(200).json(
     new ApiResponse(200, { phone }, 'OTP resent successfully')
@@ -339,8 +355,10 @@ exports.forgotPassword = asyncHandler(async (req, res) => {
   const otp = generateOTP(4);
   await cache.set(`otp:reset:${user.phone}`, { otp, userId: user._id.toString() }, 600);
 
-  // TODO: Send OTP via SMS/Email
-  logger.info(`Password reset OTP for ${user.phone}: ${otp}`);
+  await sendSMS({ to: user.phone, template: 'reset_otp', data: { otp, minutes: 10 } });
+  if (user.email) {
+    await sendEmail({ to: user.email, template: 'password_reset', data: { otp, name: user.firstName, minutes: 10 } });
+  }
 
   res.status(200).json(
     new ApiResponse(200, { phone: user.phone }, 'Password reset OTP sent')
@@ -474,8 +492,11 @@ exports.resendEmailVerification = asyncHandler(async (req, res) => {
   const token = generateRandomString(32);
   await cache.set(`email:verify:${token}`, { userId: user._id.toString() }, 86400);
 
-  // TODO: Send verification email
-  logger.info(`Email verification token for ${user.email}: ${token}`);
+  await sendEmail({
+    to: user.email,
+    template: 'email_verification',
+    data: { verifyUrl: `${process.env.CLIENT_URL}/verify-email?token=${token}`, name: user.firstName },
+  });
 
   res.status(200).json(
     new ApiResponse(200, null, 'Verification email sent')
@@ -499,6 +520,7 @@ exports.registerCaptain = asyncHandler(async (req, res) => {
     phone,
     password,
     vehicle,
+    referralCode,
   } = req.body;
 
   // Check if captain exists
@@ -535,6 +557,8 @@ exports.registerCaptain = asyncHandler(async (req, res) => {
       registrationNumber: vehicle.registrationNumber?.toUpperCase(),
     },
     status: 'pending',
+    referralCode: newReferralCode(firstName),
+    deviceId: signupDeviceId(req),
   });
 
   // Create wallet
@@ -546,6 +570,9 @@ exports.registerCaptain = asyncHandler(async (req, res) => {
   captain.wallet = wallet._id;
   await captain.save();
 
+  // Captain-to-captain referral, rewarded after the new captain's first completed ride
+  await applySignupReferral(captain, 'Captain', referralCode, req);
+
   // Generate tokens
   const accessToken = generateAccessToken(captain._id, 'captain');
   const refreshToken = generateRefreshToken(captain._id, 'captain');
@@ -636,8 +663,7 @@ exports.requestCaptainLoginOTP = asyncHandler(async (req, res) => {
   const otp = generateOTP(4);
   await cache.set(`otp:captain:login:${phone}`, { otp }, 300);
 
-  // TODO: Send OTP via SMS
-  logger.info(`Captain login OTP for ${phone}: ${otp}`);
+  await sendSMS({ to: phone, template: 'login_otp', data: { otp, minutes: 5 } });
 
   res.status(200).json(
     new ApiResponse(200, { phone }, 'OTP sent successfully')
@@ -690,7 +716,7 @@ exports.sendCaptainOTP = asyncHandler(async (req, res) => {
   const otp = generateOTP(4);
   await cache.set(`otp:captain:verify:${phone}`, { otp }, 300);
 
-  logger.info(`Captain OTP for ${phone}: ${otp}`);
+  await sendSMS({ to: phone, template: 'verify_otp', data: { otp, minutes: 5 } });
 
   res.status(200).json(
     new ApiResponse(200, { phone }, 'OTP sent successfully')
@@ -740,7 +766,10 @@ exports.forgotCaptainPassword = asyncHandler(async (req, res) => {
   const otp = generateOTP(4);
   await cache.set(`otp:captain:reset:${captain.phone}`, { otp }, 600);
 
-  logger.info(`Captain password reset OTP for ${captain.phone}: ${otp}`);
+  await sendSMS({ to: captain.phone, template: 'reset_otp', data: { otp, minutes: 10 } });
+  if (captain.email) {
+    await sendEmail({ to: captain.email, template: 'password_reset', data: { otp, name: captain.firstName, minutes: 10 } });
+  }
 
   res.status(200).json(
     new ApiResponse(200, { phone: captain.phone }, 'Password reset OTP sent')
@@ -1,18 +1,23 @@
 // src/controllers/captainController.js
 const Captain = require('../models/Captain');
-const Vehicle = require('../models/Vehicle');
 const Ride = require('../models/Ride');
 const Wallet = require('../models/Wallet');
 const Transaction = require('../models/Transaction');
 const Notification = require('../models/Notification');
 const CaptainLocationHistory = require('../models/CaptainLocationHistory');
+const Zone = require('../models/Zone');
+const WalletService = require('../services/walletService');
+const IncentiveService = require('../services/incentiveService');
+const IncidentService = require('../services/incidentService');
+const ReferralService = require('../services/referralService');
+const SupportService = require('../services/supportService');
+const TripService = require('../services/tripService');
+const CaptainIndex = require('../services/captainIndex');
 const asyncHandler = require('../utils/asyncHandler');
 const ApiError = require('../utils/apiError');
 const ApiResponse = require('../utils/apiResponse');
 const { deleteFile, extractPublicId } = require('../config/cloudinary');
-const { cache } = require('../config/redis');
 const { parsePagination } = require('../utils/helpers');
-const logger = require('../utils/logger');
 
 // ==========================================
 // PROFILE
@@ -471,29 +476,29 @@ exports.toggleStatus = asyncHandler(async (req, res) => {
 
   const updateData = { isOnline };
 
+  if (isOnline && !req.captain.isOnline) {
+    updateData.onlineSince = new Date();
+  }
+
   if (isOnline && latitude && longitude) {
     updateData.currentLocation = {
       type: 'Point',
       coordinates: [longitude, latitude],
     };
     updateData.lastLocationUpdate = new Date();
-
-    // Cache location in Redis
-    await cache.set(`captain:location:${req.captain._id}`, {
-      latitude,
-      longitude,
-      isOnline: true,
-      updatedAt: new Date().toISOString(),
-    }, 300);
-  } else if (!isOnline) {
-    await cache.del(`captain:location:${req.captain._id}`);
   }
 
   const captain = await Captain.findByIdAndUpdate(
     req.captain._id,
     updateData,
     { new: true }
-  ).select('isOnline isOnRide currentLocation');
+  ).select('isOnline isOnRide currentLocation vehicle.type');
+
+  if (isOnline && latitude && longitude) {
+    await CaptainIndex.updateLocation(captain, { latitude, longitude });
+  } else if (!isOnline) {
+    await CaptainIndex.remove(req.captain._id);
+  }
 
   res.status(200).json(
     new ApiResponse(200, { captain }, `You are now ${isOnline ? 'online' : 'offline'}`)
@@ -520,6 +525,7 @@ exports.goOnline = asyncHandler(async (req, res) => {
     req.captain._id,
     {
       isOnline: true,
+      ...(!req.captain.isOnline && { onlineSince: new Date() }),
       currentLocation: {
         type: 'Point',
         coordinates: [longitude, latitude],
@@ -527,14 +533,9 @@ exports.goOnline = asyncHandler(async (req, res) => {
       lastLocationUpdate: new Date(),
     },
     { new: true }
-  ).select('isOnline isOnRide currentLocation');
+  ).select('isOnline isOnRide currentLocation vehicle.type');
 
-  await cache.set(`captain:location:${req.captain._id}`, {
-    latitude,
-    longitude,
-    isOnline: true,
-    updatedAt: new Date().toISOString(),
-  }, 300);
+  await CaptainIndex.updateLocation(captain, { latitude, longitude });
 
   res.status(200).json(
     new ApiResponse(200, { captain }, 'You are now online')
@@ -557,7 +558,7 @@ exports.goOffline = asyncHandler(async (req, res) => {
     { new: true }
   ).select('isOnline isOnRide');
 
-  await cache.del(`captain:location:${req.captain._id}`);
+  await CaptainIndex.remove(req.captain._id);
 
   res.status(200).json(
     new ApiResponse(200, { captain }, 'You are now offline')
@@ -622,25 +623,8 @@ exports.updateLocation = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Latitude and longitude are required');
   }
 
-  // Update in database
-  await Captain.findByIdAndUpdate(req.captain._id, {
-    currentLocation: {
-      type: 'Point',
-      coordinates: [longitude, latitude],
-    },
-    lastLocationUpdate: new Date(),
-  });
-
-  // Update in Redis cache
-  await cache.set(`captain:location:${req.captain._id}`, {
-    latitude,
-    longitude,
-    heading,
-    speed,
-    accuracy,
-    isOnline: true,
-    updatedAt: new Date().toISOString(),
-  }, 300);
+  // Live index; Mongo is written in batches
+  await CaptainIndex.updateLocation(req.captain, { latitude, longitude, heading, speed, accuracy });
 
   // If on ride, store in location history
   if (req.captain.isOnRide) {
@@ -650,20 +634,7 @@ exports.updateLocation = asyncHandler(async (req, res) => {
     });
 
     if (activeRide) {
-      await CaptainLocationHistory.create({
-        captain: req.captain._id,
-        ride: activeRide._id,
-        latitude,
-        longitude,
-        coordinates: {
-          type: 'Point',
-          coordinates: [longitude, latitude],
-        },
-        heading,
-        speed,
-        accuracy,
-        captainStatus: 'on_ride',
-      });
+      await TripService.recordLocation(activeRide._id, req.captain._id, { latitude, longitude, heading, speed, accuracy });
 
       // Emit location to user via socket
       if (global.io) {
@@ -673,6 +644,8 @@ exports.updateLocation = asyncHandler(async (req, res) => {
           updatedAt: new Date().toISOString(),
         });
       }
+
+      await IncidentService.recordLocation(activeRide._id, 'captain', { latitude, longitude, accuracy, speed, heading });
     }
   }
 
@@ -1396,22 +1369,19 @@ exports.requestWithdrawal = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Please add bank details first');
   }
 
-  // Create withdrawal transaction
-  const transaction = await Transaction.create({
-    wallet: wallet._id,
-    type: 'debit',
+  // Debit and pending withdrawal are written together; the debit needs the balance to cover it
+  const { transactions: [transaction], replayed } = await WalletService.requestWithdrawal({
+    ownerId: req.captain._id,
     amount,
-    category: 'withdrawal',
-    description: 'Withdrawal to bank account',
-    status: 'pending',
+    req,
   });
 
-  // Deduct from wallet
-  wallet.balance -= amount;
-  await wallet.save();
-
   res.status(200).json(
-    new ApiResponse(200, { transaction }, 'Withdrawal request submitted')
+    new ApiResponse(
+      200,
+      { transaction, replayed },
+      replayed ? 'Withdrawal was already requested' : 'Withdrawal request submitted'
+    )
   );
 });
 
@@ -1446,27 +1416,30 @@ exports.getWithdrawalDetails = asyncHandler(async (req, res) => {
 exports.cancelWithdrawal = asyncHandler(async (req, res) => {
   const wallet = await Wallet.findOne({ owner: req.captain._id, ownerType: 'Captain' });
 
-  const transaction = await Transaction.findOne({
-    _id: req.params.withdrawalId,
-    wallet: wallet._id,
-    category: 'withdrawal',
-    status: 'pending',
-  });
+  // Conditional on 'pending' so a withdrawal being paid out can't also be refunded
+  const transaction = await Transaction.findOneAndUpdate(
+    {
+      _id: req.params.withdrawalId,
+      wallet: wallet._id,
+      category: 'withdrawal',
+      status: 'pending',
+    },
+    { status: 'failed', description: 'Cancelled by captain' },
+    { new: true }
+  );
 
   if (!transaction) {
     throw new ApiError(404, 'Pending withdrawal not found');
   }
 
   // Refund to wallet
-  wallet.balance += transaction.amount;
-  await wallet.save();
-
-  transaction.status = 'failed';
-  transaction.description = 'Cancelled by user';
-  await transaction.save();
+  const { transactions: [refund] } = await WalletService.reverseWithdrawal(transaction, {
+    reason: 'Withdrawal cancelled by captain',
+    req,
+  });
 
   res.status(200).json(
-    new ApiResponse(200, null, 'Withdrawal cancelled')
+    new ApiResponse(200, { balance: refund.balanceAfter }, 'Withdrawal cancelled')
   );
 });
 
@@ -1480,27 +1453,9 @@ exports.cancelWithdrawal = asyncHandler(async (req, res) => {
  * @access  Private (Captain)
  */
 exports.getIncentives = asyncHandler(async (req, res) => {
-  // TODO: Implement incentives model
-  const incentives = [
-    {
-      id: '1',
-      title: 'Complete 10 rides today',
-      description: 'Earn ₹100 bonus',
-      target: 10,
-      current: 5,
-      reward: 100,
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
-    },
-    {
-      id: '2',
-      title: 'Weekend Warrior',
-      description: 'Complete 20 rides this weekend',
-      target: 20,
-      current: 8,
-      reward: 300,
-      expiresAt: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000),
-    },
-  ];
+  const captain = await Captain.findById(req.captain._id).select('vehicle.type');
+
+  const incentives = await IncentiveService.getCaptainIncentives(captain);
 
   res.status(200).json(
     new ApiResponse(200, { incentives }, 'Incentives retrieved')
@@ -1513,8 +1468,14 @@ exports.getIncentives = asyncHandler(async (req, res) => {
  * @access  Private (Captain)
  */
 exports.getActiveIncentives = asyncHandler(async (req, res) => {
+  const captain = await Captain.findById(req.captain._id).select('vehicle.type');
+
+  // Still earnable in the current period
+  const incentives = (await IncentiveService.getCaptainIncentives(captain))
+    .filter((incentive) => incentive.status === 'in_progress');
+
   res.status(200).json(
-    new ApiResponse(200, { incentives: [] }, 'Active incentives retrieved')
+    new ApiResponse(200, { incentives }, 'Active incentives retrieved')
   );
 });
 
@@ -1524,8 +1485,27 @@ exports.getActiveIncentives = asyncHandler(async (req, res) => {
  * @access  Private (Captain)
  */
 exports.getIncentiveProgress = asyncHandler(async (req, res) => {
+  const captain = await Captain.findById(req.captain._id).select('vehicle.type');
+
+  const incentives = await IncentiveService.getCaptainIncentives(captain);
+
+  const progress = incentives.map(({ id, title, type, target, current, remaining, percentage, reward, awardsEarned, maxAwards, status, expiresAt }) => ({
+    id,
+    title,
+    type,
+    target,
+    current,
+    remaining,
+    percentage,
+    reward,
+    awardsEarned,
+    maxAwards,
+    status,
+    expiresAt,
+  }));
+
   res.status(200).json(
-    new ApiResponse(200, { progress: [] }, 'Incentive progress retrieved')
+    new ApiResponse(200, { progress }, 'Incentive progress retrieved')
   );
 });
 
@@ -1535,8 +1515,96 @@ exports.getIncentiveProgress = asyncHandler(async (req, res) => {
  * @access  Private (Captain)
  */
 exports.getIncentiveHistory = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const { history, total, totalEarned } = await IncentiveService.getAwardHistory(req.captain._id, { skip, limit });
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      history,
+      totalEarned,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    }, 'Incentive history retrieved')
+  );
+});
+
+// ==========================================
+// REFERRALS
+// ==========================================
+
+/**
+ * @desc    Get referral code, totals and the running campaign
+ * @route   GET /api/v1/captains/referral
+ * @access  Private (Captain)
+ */
+exports.getReferralInfo = asyncHandler(async (req, res) => {
+  const captain = await Captain.findById(req.captain._id).select('referralCode');
+
+  const summary = await ReferralService.getSummary(req.captain._id, 'Captain');
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      referralCode: captain.referralCode,
+      ...summary,
+      referralLink: `${process.env.CAPTAIN_APP_URL}/register?ref=${captain.referralCode}`,
+    }, 'Referral info retrieved')
+  );
+});
+
+/**
+ * @desc    Apply another captain's referral code
+ * @route   POST /api/v1/captains/referral/apply
+ * @access  Private (Captain)
+ */
+exports.applyReferralCode = asyncHandler(async (req, res) => {
+  const { referralCode } = req.body;
+
+  if (!referralCode) {
+    throw new ApiError(400, 'Referral code is required');
+  }
+
+  const captain = await Captain.findById(req.captain._id).select('phone referredBy +deviceId');
+
+  const referral = await ReferralService.applyReferral({
+    referee: captain,
+    accountType: 'Captain',
+    code: referralCode,
+    deviceId: captain.deviceId || req.get('X-Device-Id'),
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      refereeReward: referral.refereeReward,
+      qualifyBy: referral.qualifyBy,
+    }, 'Referral code applied. Your reward is credited after your first completed ride')
+  );
+});
+
+/**
+ * @desc    Get captains referred and their reward status
+ * @route   GET /api/v1/captains/referral/history
+ * @access  Private (Captain)
+ */
+exports.getReferralHistory = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const { referrals, total } = await ReferralService.getHistory(req.captain._id, 'Captain', { skip, limit });
+
   res.status(200).json(
-    new ApiResponse(200, { history: [] }, 'Incentive history retrieved')
+    new ApiResponse(200, {
+      referrals,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    }, 'Referral history retrieved')
   );
 });
 
@@ -1653,29 +1721,56 @@ exports.updateFCMToken = asyncHandler(async (req, res) => {
  * @access  Private (Captain)
  */
 exports.getHeatMap = asyncHandler(async (req, res) => {
-  const { latitude, longitude, radius = 10000 } = req.query;
+  const [currentLng, currentLat] = req.captain.currentLocation?.coordinates || [];
+  const latitude = parseFloat(req.query.latitude ?? currentLat);
+  const longitude = parseFloat(req.query.longitude ?? currentLng);
+  const radius = parseInt(req.query.radius || 10000, 10);
 
-  // Get ride demand in the area
-  const recentRides = await Ride.aggregate([
-    {
-      $match: {
-        status: 'searching',
-        createdAt: { $gte: new Date(Date.now() - 30 * 60 * 1000) }, // Last 30 mins
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+    throw new ApiError(400, 'Latitude and longitude are required');
+  }
+
+  // Box around the point, in degrees
+  const latDelta = radius / 111320;
+  const lngDelta = radius / (111320 * Math.cos((latitude * Math.PI) / 180));
+
+  const [recentRides, captains] = await Promise.all([
+    // Ride demand in the area
+    Ride.aggregate([
+      {
+        $match: {
+          status: 'searching',
+          createdAt: { $gte: new Date(Date.now() - 30 * 60 * 1000) }, // Last 30 mins
+          'pickup.coordinates.latitude': { $gte: latitude - latDelta, $lte: latitude + latDelta },
+          'pickup.coordinates.longitude': { $gte: longitude - lngDelta, $lte: longitude + lngDelta },
+        },
       },
-    },
-    {
-      $group: {
-        _id: {
-          lat: { $round: [{ $arrayElemAt: ['$pickup.coordinates.coordinates', 1] }, 2] },
-          lng: { $round: [{ $arrayElemAt: ['$pickup.coordinates.coordinates', 0] }, 2] },
+      {
+        $group: {
+          _id: {
+            lat: { $round: ['$pickup.coordinates.latitude', 2] },
+            lng: { $round: ['$pickup.coordinates.longitude', 2] },
+          },
+          demand: { $sum: 1 },
         },
-        demand: { $sum: 1 },
       },
-    },
+    ]),
+    // Free captains in the area, from the live index
+    CaptainIndex.findAvailable({ latitude, longitude }, { radius, select: '_id' }),
   ]);
 
+  const cells = new Map(recentRides.map((cell) => [`${cell._id.lat},${cell._id.lng}`, { ...cell, supply: 0 }]));
+
+  captains.forEach((captain) => {
+    const [lng, lat] = captain.currentLocation.coordinates.map((value) => Math.round(value * 100) / 100);
+    const key = `${lat},${lng}`;
+
+    if (!cells.has(key)) cells.set(key, { _id: { lat, lng }, demand: 0, supply: 0 });
+    cells.get(key).supply += 1;
+  });
+
   res.status(200).json(
-    new ApiResponse(200, { heatMap: recentRides }, 'Heat map retrieved')
+    new ApiResponse(200, { heatMap: [...cells.values()] }, 'Heat map retrieved')
   );
 });
 
@@ -1685,8 +1780,32 @@ exports.getHeatMap = asyncHandler(async (req, res) => {
  * @access  Private (Captain)
  */
 exports.getSurgeAreas = asyncHandler(async (req, res) => {
-  // TODO: Implement surge areas from SurgeZone model
-  const surgeAreas = [];
+  const { radius = 10000 } = req.query;
+
+  const captain = await Captain.findById(req.captain._id).select('currentLocation vehicle.type');
+  const [longitude, latitude] = captain.currentLocation?.coordinates || [];
+
+  const query = { type: 'surge_zone', isActive: true, surgeMultiplier: { $gt: 1 } };
+
+  if (latitude || longitude) {
+    query.boundary = {
+      $near: {
+        $geometry: { type: 'Point', coordinates: [longitude, latitude] },
+        $maxDistance: parseInt(radius, 10),
+      },
+    };
+  }
+
+  const zones = await Zone.find(query).limit(20).lean();
+
+  const surgeAreas = zones.map((zone) => ({
+    id: zone._id,
+    name: zone.name,
+    city: zone.city,
+    surgeMultiplier: zone.surgeMultiplier,
+    center: zone.center,
+    boundary: zone.boundary,
+  }));
 
   res.status(200).json(
     new ApiResponse(200, { surgeAreas }, 'Surge areas retrieved')
@@ -1759,8 +1878,24 @@ exports.updatePreferences = asyncHandler(async (req, res) => {
  * @access  Private (Captain)
  */
 exports.getSupportTickets = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const { tickets, total } = await SupportService.listForOwner('Captain', req.captain._id, {
+    status: req.query.status,
+    skip,
+    limit,
+  });
+
   res.status(200).json(
-    new ApiResponse(200, { tickets: [] }, 'Support tickets retrieved')
+    new ApiResponse(200, {
+      tickets,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    }, 'Support tickets retrieved')
   );
 });
 
@@ -1770,8 +1905,23 @@ exports.getSupportTickets = asyncHandler(async (req, res) => {
  * @access  Private (Captain)
  */
 exports.createSupportTicket = asyncHandler(async (req, res) => {
+  const { subject, description, category, rideId, paymentId } = req.body;
+
+  const ticket = await SupportService.createTicket({
+    raisedByType: 'Captain',
+    raisedBy: req.captain._id,
+    category,
+    subject,
+    description,
+    rideId,
+    paymentId,
+    attachments: SupportService.toAttachments(req.files),
+  });
+
   res.status(201).json(
-    new ApiResponse(201, null, 'Support ticket created')
+    new ApiResponse(201, {
+      ticket: await SupportService.getForOwner('Captain', req.captain._id, ticket._id),
+    }, 'Support ticket created')
   );
 });
 
@@ -1781,8 +1931,10 @@ exports.createSupportTicket = asyncHandler(async (req, res) => {
  * @access  Private (Captain)
  */
 exports.getSupportTicketDetails = asyncHandler(async (req, res) => {
+  const ticket = await SupportService.getForOwner('Captain', req.captain._id, req.params.ticketId);
+
   res.status(200).json(
-    new ApiResponse(200, { ticket: null }, 'Ticket details retrieved')
+    new ApiResponse(200, { ticket }, 'Ticket details retrieved')
   );
 });
 
@@ -1792,8 +1944,15 @@ exports.getSupportTicketDetails = asyncHandler(async (req, res) => {
  * @access  Private (Captain)
  */
 exports.replySupportTicket = asyncHandler(async (req, res) => {
+  await SupportService.replyAsOwner('Captain', req.captain._id, req.params.ticketId, {
+    message: req.body.message,
+    attachments: SupportService.toAttachments(req.files),
+  });
+
   res.status(200).json(
-    new ApiResponse(200, null, 'Reply sent')
+    new ApiResponse(200, {
+      ticket: await SupportService.getForOwner('Captain', req.captain._id, req.params.ticketId),
+    }, 'Reply sent')
   );
 });
 
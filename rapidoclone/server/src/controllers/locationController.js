@@ -1,78 +1,22 @@
 // src/controllers/locationController.js
-const axios = require('axios');
 const crypto = require('crypto');
 const Location = require('../models/Location');
 const User = require('../models/User');
-const Captain = require('../models/Captain');
 const Ride = require('../models/Ride');
+const Zone = require('../models/Zone');
+const VehicleType = require('../models/VehicleType');
 const asyncHandler = require('../utils/asyncHandler');
 const ApiError = require('../utils/apiError');
 const { emitToUser, emitToCaptain } = require('../config/socket');
 const { cache } = require('../config/redis');
 const logger = require('../utils/logger');
 const { calculateDistance } = require('../utils/helpers');
-
-// ==========================================
-// GOOGLE MAPS CONFIGURATION
-// ==========================================
-
-const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
-const GOOGLE_MAPS_BASE_URL = 'https://maps.googleapis.com/maps/api';
-
-/**
- * Make Google Maps API request
- */
-const googleMapsRequest = async (endpoint, params) => {
-  try {
-    const response = await axios.get(`${GOOGLE_MAPS_BASE_URL}${endpoint}`, {
-      params: {
-        ...params,
-        key: GOOGLE_MAPS_API_KEY,
-      },
-      timeout: 10000,
-    });
-    return response.data;
-  } catch (error) {
-    logger.error('Google Maps API error:', error.response?.data || error.message);
-    throw ApiError.serviceUnavailable('Location service unavailable');
-  }
-};
-
-/**
- * Parse Google address components
- */
-const parseAddressComponents = (components = []) => {
-  const result = {};
-
-  components.forEach((component) => {
-    if (component.types.includes('street_number')) {
-      result.streetNumber = component.long_name;
-    }
-    if (component.types.includes('route')) {
-      result.streetName = component.long_name;
-    }
-    if (component.types.includes('sublocality') || component.types.includes('neighborhood')) {
-      result.locality = component.long_name;
-    }
-    if (component.types.includes('locality')) {
-      result.city = component.long_name;
-    }
-    if (component.types.includes('administrative_area_level_2')) {
-      result.district = component.long_name;
-    }
-    if (component.types.includes('administrative_area_level_1')) {
-      result.state = component.long_name;
-    }
-    if (component.types.includes('country')) {
-      result.country = component.long_name;
-    }
-    if (component.types.includes('postal_code')) {
-      result.postalCode = component.long_name;
-    }
-  });
-
-  return result;
-};
+const ZoneService = require('../services/zoneService');
+const SurgeService = require('../services/surgeService');
+const MapService = require('../services/mapService');
+const TripService = require('../services/tripService');
+const CaptainIndex = require('../services/captainIndex');
+const { DEFAULT_TARIFFS } = require('../config/constants');
 
 /**
  * Get owner info from request
@@ -96,54 +40,21 @@ const getOwnerInfo = (req) => {
  * @access  Private (User/Captain)
  */
 exports.autocomplete = asyncHandler(async (req, res, next) => {
-  const { input, latitude, longitude, radius = 50000, types, language = 'en' } = req.query;
+  const { input, latitude, longitude, radius = 50000, types, language = 'en', sessionToken } = req.query;
 
   if (!input || input.length < 2) {
     throw ApiError.badRequest('Please enter at least 2 characters');
   }
 
-  // Check cache
-  const cacheKey = `autocomplete:${input}:${latitude || ''}:${longitude || ''}:${types || ''}`;
-  const cached = await cache.get(cacheKey);
-
-  if (cached) {
-    return res.status(200).json({
-      success: true,
-      data: { predictions: cached },
-    });
-  }
-
-  const params = {
-    input,
+  const predictions = await MapService.autocomplete(input, {
+    location: latitude && longitude
+      ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) }
+      : undefined,
+    radius,
+    types,
     language,
-    components: 'country:in',
-  };
-
-  if (latitude && longitude) {
-    params.location = `${latitude},${longitude}`;
-    params.radius = radius;
-  }
-
-  if (types) {
-    params.types = types;
-  }
-
-  const data = await googleMapsRequest('/place/autocomplete/json', params);
-
-  if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
-    throw ApiError.serviceUnavailable('Failed to fetch suggestions');
-  }
-
-  const predictions = (data.predictions || []).map((p) => ({
-    placeId: p.place_id,
-    description: p.description,
-    mainText: p.structured_formatting?.main_text,
-    secondaryText: p.structured_formatting?.secondary_text,
-    types: p.types,
-  }));
-
-  // Cache for 1 hour
-  await cache.set(cacheKey, predictions, 3600);
+    sessionToken,
+  });
 
   res.status(200).json({
     success: true,
@@ -163,38 +74,25 @@ exports.geocode = asyncHandler(async (req, res, next) => {
     throw ApiError.badRequest('Address is required');
   }
 
-  // Check cache
-  const cacheKey = `geocode:${address.toLowerCase().trim()}`;
-  const cached = await cache.get(cacheKey);
+  const place = await MapService.geocode(address);
 
-  if (cached) {
-    return res.status(200).json({
-      success: true,
-      data: cached,
-    });
-  }
-
-  const data = await googleMapsRequest('/geocode/json', {
-    address,
-    region: 'in',
-  });
-
-  if (data.status !== 'OK' || !data.results?.length) {
+  if (!place) {
     throw ApiError.notFound('Address not found');
   }
 
-  const result = data.results[0];
   const location = {
-    placeId: result.place_id,
-    name: result.formatted_address.split(',')[0],
-    address: result.formatted_address,
-    latitude: result.geometry.location.lat,
-    longitude: result.geometry.location.lng,
-    addressComponents: parseAddressComponents(result.address_components),
+    placeId: place.placeId,
+    name: place.name,
+    address: place.address,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    addressComponents: place.addressComponents,
   };
 
-  // Cache for 24 hours
-  await cache.set(cacheKey, location, 86400);
+  // Count the search in the background if we already know the place
+  Location.recordSearch(place.placeId).catch((error) => {
+    logger.warn(`Search count for ${place.placeId} not updated: ${error.message}`);
+  });
 
   res.status(200).json({
     success: true,
@@ -214,36 +112,18 @@ exports.reverseGeocode = asyncHandler(async (req, res, next) => {
     throw ApiError.badRequest('Latitude and longitude are required');
   }
 
-  // Round for better cache hits
-  const lat = parseFloat(latitude).toFixed(5);
-  const lng = parseFloat(longitude).toFixed(5);
-
-  // Check cache
-  const cacheKey = `reverse:${lat}:${lng}`;
-  const cached = await cache.get(cacheKey);
+  const place = await MapService.reverseGeocode(latitude, longitude);
 
-  if (cached) {
-    return res.status(200).json({
-      success: true,
-      data: cached,
-    });
-  }
-
-  const data = await googleMapsRequest('/geocode/json', {
-    latlng: `${latitude},${longitude}`,
-  });
-
-  if (data.status !== 'OK' || !data.results?.length) {
+  if (!place) {
     throw ApiError.notFound('Location not found');
   }
 
-  const result = data.results[0];
-  const addressComponents = parseAddressComponents(result.address_components);
+  const { addressComponents } = place;
 
   const location = {
-    placeId: result.place_id,
-    name: addressComponents.locality || addressComponents.city || result.formatted_address.split(',')[0],
-    address: result.formatted_address,
+    placeId: place.placeId,
+    name: addressComponents.locality || addressComponents.city || place.address.split(',')[0],
+    address: place.address,
     shortAddress: [addressComponents.locality, addressComponents.city]
       .filter(Boolean)
       .join(', '),
@@ -252,9 +132,6 @@ exports.reverseGeocode = asyncHandler(async (req, res, next) => {
     addressComponents,
   };
 
-  // Cache for 24 hours
-  await cache.set(cacheKey, location, 86400);
-
   res.status(200).json({
     success: true,
     data: location,
@@ -268,79 +145,28 @@ exports.reverseGeocode = asyncHandler(async (req, res, next) => {
  */
 exports.getPlaceDetails = asyncHandler(async (req, res, next) => {
   const { placeId } = req.params;
+  const { sessionToken } = req.query;
 
-  // Check cache
-  const cacheKey = `place:${placeId}`;
-  const cached = await cache.get(cacheKey);
-
-  if (cached) {
-    // Increment search count in background
-    Location.findOneAndUpdate(
-      { placeId },
-      { $inc: { searchCount: 1 } }
-    ).exec();
+  const place = await MapService.getPlaceDetails(placeId, { sessionToken });
 
-    return res.status(200).json({
-      success: true,
-      data: cached,
-    });
-  }
-
-  const data = await googleMapsRequest('/place/details/json', {
-    place_id: placeId,
-    fields: 'name,formatted_address,geometry,address_components,type,formatted_phone_number,website,rating,user_ratings_total,photos,opening_hours',
-  });
-
-  if (data.status !== 'OK') {
+  if (!place) {
     throw ApiError.notFound('Place not found');
   }
 
-  const result = data.result;
-  const addressComponents = parseAddressComponents(result.address_components || []);
-
   const location = {
     placeId,
-    name: result.name,
-    address: result.formatted_address,
-    latitude: result.geometry.location.lat,
-    longitude: result.geometry.location.lng,
-    addressComponents,
-    type: result.types?.[0] || 'other',
-    additionalInfo: {
-      phone: result.formatted_phone_number,
-      website: result.website,
-      rating: result.rating,
-      totalRatings: result.user_ratings_total,
-      photos: result.photos?.slice(0, 3).map((p) =>
-        `${GOOGLE_MAPS_BASE_URL}/place/photo?maxwidth=400&photoreference=${p.photo_reference}&key=${GOOGLE_MAPS_API_KEY}`
-      ),
-    },
-    operatingHours: result.opening_hours
-      ? {
-          is24Hours: result.opening_hours.periods?.some(
-            (p) => p.open?.time === '0000' && !p.close
-          ),
-          weekdayText: result.opening_hours.weekday_text,
-        }
-      : null,
+    name: place.name,
+    address: place.address,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    addressComponents: place.addressComponents,
+    type: place.type || 'other',
+    additionalInfo: place.additionalInfo || {},
+    operatingHours: place.operatingHours || null,
   };
 
-  // Save/update in database
-  await Location.findOneAndUpdate(
-    { placeId },
-    {
-      ...location,
-      coordinates: {
-        type: 'Point',
-        coordinates: [location.longitude, location.latitude],
-      },
-      $inc: { searchCount: 1 },
-    },
-    { upsert: true }
-  );
-
-  // Cache for 24 hours
-  await cache.set(cacheKey, location, 86400);
+  // Save/update in database; picking a place counts towards its popularity
+  await Location.recordSearch(placeId, location);
 
   res.status(200).json({
     success: true,
@@ -360,32 +186,14 @@ exports.validateLocation = asyncHandler(async (req, res, next) => {
     throw ApiError.badRequest('Latitude and longitude are required');
   }
 
-  // Check if location is within service area
-  // You can define service areas in your database or use a simple radius check
-  const serviceableCities = ['Bangalore', 'Mumbai', 'Delhi', 'Chennai', 'Hyderabad', 'Pune', 'Kolkata'];
-
-  // Get city from coordinates
-  const data = await googleMapsRequest('/geocode/json', {
-    latlng: `${latitude},${longitude}`,
-  });
-
-  let isServiceable = false;
-  let cityName = null;
-
-  if (data.status === 'OK' && data.results?.length) {
-    const addressComponents = parseAddressComponents(data.results[0].address_components);
-    cityName = addressComponents.city;
-    isServiceable = serviceableCities.some(
-      (city) => city.toLowerCase() === cityName?.toLowerCase()
-    );
-  }
+  const location = await ZoneService.resolveLocation(latitude, longitude);
 
   res.status(200).json({
     success: true,
     data: {
-      isServiceable,
-      city: cityName,
-      message: isServiceable
+      isServiceable: location.isServiceable,
+      city: location.city,
+      message: location.isServiceable
         ? 'Location is serviceable'
         : 'Sorry, we do not service this area yet',
     },
@@ -408,74 +216,44 @@ exports.getDirections = asyncHandler(async (req, res, next) => {
     throw ApiError.badRequest('Origin and destination coordinates are required');
   }
 
-  // Check cache
-  const cacheKey = `directions:${originLat}:${originLng}:${destLat}:${destLng}:${mode}`;
-  const cached = await cache.get(cacheKey);
-
-  if (cached) {
-    return res.status(200).json({
-      success: true,
-      data: cached,
-    });
-  }
-
-  const data = await googleMapsRequest('/directions/json', {
-    origin: `${originLat},${originLng}`,
-    destination: `${destLat},${destLng}`,
-    mode,
-    departure_time: 'now',
-    traffic_model: 'best_guess',
-    alternatives: true,
-  });
+  const found = await MapService.getRoutes(
+    { latitude: parseFloat(originLat), longitude: parseFloat(originLng) },
+    { latitude: parseFloat(destLat), longitude: parseFloat(destLng) },
+    { mode, alternatives: true }
+  );
 
-  if (data.status !== 'OK') {
+  if (!found.length) {
     throw ApiError.notFound('Could not find directions');
   }
 
-  const routes = data.routes.map((route) => {
-    const leg = route.legs[0];
+  const routes = found.map((route) => {
+    const [leg] = route.legs;
     return {
       summary: route.summary,
-      distance: {
-        text: leg.distance.text,
-        value: leg.distance.value,
-      },
-      duration: {
-        text: leg.duration.text,
-        value: leg.duration.value,
-      },
-      durationInTraffic: leg.duration_in_traffic
-        ? {
-            text: leg.duration_in_traffic.text,
-            value: leg.duration_in_traffic.value,
-          }
-        : null,
-      startAddress: leg.start_address,
-      endAddress: leg.end_address,
-      polyline: route.overview_polyline.points,
+      distance: MapService.distanceValue(route.distance),
+      duration: MapService.durationValue(route.duration),
+      durationInTraffic: MapService.durationValue(route.durationInTraffic),
+      startAddress: leg.startAddress,
+      endAddress: leg.endAddress,
+      polyline: route.polyline,
       steps: leg.steps.map((step) => ({
-        instruction: step.html_instructions.replace(/<[^>]*>/g, ''),
-        distance: step.distance,
-        duration: step.duration,
-        startLocation: step.start_location,
-        endLocation: step.end_location,
+        instruction: step.instruction,
+        distance: MapService.distanceValue(step.distance),
+        duration: MapService.durationValue(step.duration),
+        startLocation: { lat: step.startLocation.latitude, lng: step.startLocation.longitude },
+        endLocation: { lat: step.endLocation.latitude, lng: step.endLocation.longitude },
         maneuver: step.maneuver,
-        polyline: step.polyline.points,
+        polyline: step.polyline,
       })),
     };
   });
 
-  const result = {
-    routes,
-    bestRoute: routes[0],
-  };
-
-  // Cache for 5 minutes
-  await cache.set(cacheKey, result, 300);
-
   res.status(200).json({
     success: true,
-    data: result,
+    data: {
+      routes,
+      bestRoute: routes[0],
+    },
   });
 });
 
@@ -491,53 +269,32 @@ exports.getDirectionsWithWaypoints = asyncHandler(async (req, res, next) => {
     throw ApiError.badRequest('Origin and destination are required');
   }
 
-  const params = {
-    origin: `${origin.latitude},${origin.longitude}`,
-    destination: `${destination.latitude},${destination.longitude}`,
-    mode,
-    departure_time: 'now',
-  };
+  const [route] = await MapService.getRoutes(origin, destination, { waypoints, mode });
 
-  if (waypoints.length > 0) {
-    params.waypoints = waypoints
-      .map((wp) => `${wp.latitude},${wp.longitude}`)
-      .join('|');
-  }
-
-  const data = await googleMapsRequest('/directions/json', params);
-
-  if (data.status !== 'OK') {
+  if (!route) {
     throw ApiError.notFound('Could not find directions');
   }
 
-  const route = data.routes[0];
-  let totalDistance = 0;
-  let totalDuration = 0;
-
-  const legs = route.legs.map((leg) => {
-    totalDistance += leg.distance.value;
-    totalDuration += leg.duration.value;
-    return {
-      startAddress: leg.start_address,
-      endAddress: leg.end_address,
-      distance: leg.distance,
-      duration: leg.duration,
-    };
-  });
+  const legs = route.legs.map((leg) => ({
+    startAddress: leg.startAddress,
+    endAddress: leg.endAddress,
+    distance: MapService.distanceValue(leg.distance),
+    duration: MapService.durationValue(leg.duration),
+  }));
 
   res.status(200).json({
     success: true,
     data: {
       totalDistance: {
-        text: `${(totalDistance / 1000).toFixed(1)} km`,
-        value: totalDistance,
+        text: `${(route.distance / 1000).toFixed(1)} km`,
+        value: route.distance,
       },
       totalDuration: {
-        text: `${Math.ceil(totalDuration / 60)} mins`,
-        value: totalDuration,
+        text: `${Math.ceil(route.duration / 60)} mins`,
+        value: route.duration,
       },
       legs,
-      polyline: route.overview_polyline.points,
+      polyline: route.polyline,
     },
   });
 });
@@ -554,29 +311,21 @@ exports.getDistance = asyncHandler(async (req, res, next) => {
     throw ApiError.badRequest('Origin and destination coordinates are required');
   }
 
-  const data = await googleMapsRequest('/distancematrix/json', {
-    origins: `${originLat},${originLng}`,
-    destinations: `${destLat},${destLng}`,
-    mode: 'driving',
-    departure_time: 'now',
-  });
-
-  if (data.status !== 'OK' || !data.rows?.[0]?.elements?.[0]) {
-    throw ApiError.serviceUnavailable('Could not calculate distance');
-  }
-
-  const element = data.rows[0].elements[0];
+  const element = await MapService.getETA(
+    { latitude: parseFloat(originLat), longitude: parseFloat(originLng) },
+    { latitude: parseFloat(destLat), longitude: parseFloat(destLng) }
+  );
 
-  if (element.status !== 'OK') {
+  if (!element) {
     throw ApiError.notFound('Route not found');
   }
 
   res.status(200).json({
     success: true,
     data: {
-      distance: element.distance,
-      duration: element.duration,
-      durationInTraffic: element.duration_in_traffic,
+      distance: MapService.distanceValue(element.distance),
+      duration: MapService.durationValue(element.duration),
+      durationInTraffic: MapService.durationValue(element.durationInTraffic),
     },
   });
 });
@@ -597,30 +346,14 @@ exports.getDistanceMatrix = asyncHandler(async (req, res, next) => {
     throw ApiError.badRequest('Maximum 25 origins/destinations allowed');
   }
 
-  const originsStr = origins
-    .map((o) => `${o.latitude},${o.longitude}`)
-    .join('|');
-  const destinationsStr = destinations
-    .map((d) => `${d.latitude},${d.longitude}`)
-    .join('|');
-
-  const data = await googleMapsRequest('/distancematrix/json', {
-    origins: originsStr,
-    destinations: destinationsStr,
-    mode: 'driving',
-    departure_time: 'now',
-  });
+  const rows = await MapService.getDistanceMatrix(origins, destinations);
 
-  if (data.status !== 'OK') {
-    throw ApiError.serviceUnavailable('Could not calculate distances');
-  }
-
-  const matrix = data.rows.map((row, i) => ({
+  const matrix = rows.map((row, i) => ({
     origin: origins[i],
-    destinations: row.elements.map((element, j) => ({
+    destinations: row.map((element, j) => ({
       destination: destinations[j],
-      distance: element.distance,
-      duration: element.duration,
+      distance: element.status === 'OK' ? MapService.distanceValue(element.distance) : undefined,
+      duration: element.status === 'OK' ? MapService.durationValue(element.duration) : undefined,
       status: element.status,
     })),
   }));
@@ -643,33 +376,24 @@ exports.getETA = asyncHandler(async (req, res, next) => {
     throw ApiError.badRequest('Origin and destination coordinates are required');
   }
 
-  const data = await googleMapsRequest('/distancematrix/json', {
-    origins: `${originLat},${originLng}`,
-    destinations: `${destLat},${destLng}`,
-    mode: 'driving',
-    departure_time: departureTime || 'now',
-    traffic_model: 'best_guess',
-  });
-
-  if (data.status !== 'OK' || !data.rows?.[0]?.elements?.[0]) {
-    throw ApiError.serviceUnavailable('Could not calculate ETA');
-  }
-
-  const element = data.rows[0].elements[0];
+  const element = await MapService.getETA(
+    { latitude: parseFloat(originLat), longitude: parseFloat(originLng) },
+    { latitude: parseFloat(destLat), longitude: parseFloat(destLng) },
+    { departureTime }
+  );
 
-  if (element.status !== 'OK') {
+  if (!element) {
     throw ApiError.notFound('Route not found');
   }
 
-  const durationSeconds =
-    element.duration_in_traffic?.value || element.duration.value;
+  const durationSeconds = element.durationInTraffic ?? element.duration;
   const arrivalTime = new Date(Date.now() + durationSeconds * 1000);
 
   res.status(200).json({
     success: true,
     data: {
-      duration: element.duration_in_traffic || element.duration,
-      distance: element.distance,
+      duration: MapService.durationValue(durationSeconds),
+      distance: MapService.distanceValue(element.distance),
       estimatedArrival: arrivalTime,
       arrivalTimeText: arrivalTime.toLocaleTimeString('en-IN', {
         hour: '2-digit',
@@ -710,38 +434,19 @@ exports.getNearbyPlaces = asyncHandler(async (req, res, next) => {
     });
   }
 
-  // Fetch from Google
-  const params = {
-    location: `${latitude},${longitude}`,
-    radius,
-    language: 'en',
-  };
+  const point = { latitude: parseFloat(latitude), longitude: parseFloat(longitude) };
+  const found = await MapService.getNearbyPlaces(point, { type, radius });
 
-  if (type) {
-    params.type = type;
-  }
-
-  const data = await googleMapsRequest('/place/nearbysearch/json', params);
-
-  if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
-    throw ApiError.serviceUnavailable('Failed to fetch nearby places');
-  }
-
-  const places = (data.results || []).slice(0, limit).map((place) => ({
-    placeId: place.place_id,
+  const places = found.slice(0, limit).map((place) => ({
+    placeId: place.placeId,
     name: place.name,
-    address: place.vicinity,
-    latitude: place.geometry.location.lat,
-    longitude: place.geometry.location.lng,
-    type: place.types?.[0],
+    address: place.address,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    type: place.type,
     rating: place.rating,
-    isOpen: place.opening_hours?.open_now,
-    distance: calculateDistance(
-      parseFloat(latitude),
-      parseFloat(longitude),
-      place.geometry.location.lat,
-      place.geometry.location.lng
-    ),
+    isOpen: place.isOpen,
+    distance: calculateDistance(point.latitude, point.longitude, place.latitude, place.longitude),
   }));
 
   // Sort by distance
@@ -765,50 +470,28 @@ exports.getNearbyCaptains = asyncHandler(async (req, res, next) => {
     throw ApiError.badRequest('Latitude and longitude are required');
   }
 
-  const query = {
-    isActive: true,
-    isAvailable: true,
-    isOnline: true,
-    'currentLocation.coordinates': {
-      $nearSphere: {
-        $geometry: {
-          type: 'Point',
-          coordinates: [parseFloat(longitude), parseFloat(latitude)],
-        },
-        $maxDistance: parseInt(radius),
-      },
-    },
-  };
-
-  if (vehicleType) {
-    query['vehicle.type'] = vehicleType;
-  }
-
-  const captains = await Captain.find(query)
-    .select('firstName vehicle currentLocation ratings')
-    .limit(20);
+  const captains = await CaptainIndex.findAvailable(
+    { latitude: parseFloat(latitude), longitude: parseFloat(longitude) },
+    {
+      radius: parseInt(radius, 10),
+      ...(vehicleType && { vehicleTypes: [vehicleType] }),
+      limit: 20,
+    }
+  );
 
   const captainsWithDistance = captains.map((captain) => {
-    const captainLat = captain.currentLocation.coordinates[1];
-    const captainLng = captain.currentLocation.coordinates[0];
-
-    const distance = calculateDistance(
-      parseFloat(latitude),
-      parseFloat(longitude),
-      captainLat,
-      captainLng
-    );
+    const distance = captain.distanceMeters / 1000;
 
     return {
       id: captain._id,
       name: captain.firstName,
       vehicle: captain.vehicle,
       rating: captain.ratings?.average || 5,
-      distance: Math.round(distance * 1000), // meters
+      distance: Math.round(captain.distanceMeters), // meters
       eta: Math.ceil((distance / 30) * 60), // minutes (assuming 30 km/h)
       location: {
-        latitude: captainLat,
-        longitude: captainLng,
+        latitude: captain.currentLocation.coordinates[1],
+        longitude: captain.currentLocation.coordinates[0],
       },
     };
   });
@@ -834,28 +517,15 @@ exports.getCaptainETA = asyncHandler(async (req, res, next) => {
     throw ApiError.badRequest('Latitude and longitude are required');
   }
 
-  const query = {
-    isActive: true,
-    isAvailable: true,
-    isOnline: true,
-    'currentLocation.coordinates': {
-      $nearSphere: {
-        $geometry: {
-          type: 'Point',
-          coordinates: [parseFloat(longitude), parseFloat(latitude)],
-        },
-        $maxDistance: 10000, // 10 km
-      },
-    },
-  };
-
-  if (vehicleType) {
-    query['vehicle.type'] = vehicleType;
-  }
-
-  const nearestCaptain = await Captain.findOne(query)
-    .select('currentLocation')
-    .limit(1);
+  const [nearestCaptain] = await CaptainIndex.findAvailable(
+    { latitude: parseFloat(latitude), longitude: parseFloat(longitude) },
+    {
+      radius: 10000, // 10 km
+      ...(vehicleType && { vehicleTypes: [vehicleType] }),
+      limit: 1,
+      select: '_id',
+    }
+  );
 
   if (!nearestCaptain) {
     return res.status(200).json({
@@ -871,21 +541,12 @@ exports.getCaptainETA = asyncHandler(async (req, res, next) => {
   const captainLat = nearestCaptain.currentLocation.coordinates[1];
   const captainLng = nearestCaptain.currentLocation.coordinates[0];
 
-  const data = await googleMapsRequest('/distancematrix/json', {
-    origins: `${captainLat},${captainLng}`,
-    destinations: `${latitude},${longitude}`,
-    mode: 'driving',
-    departure_time: 'now',
-  });
-
-  let eta = 5; // Default 5 minutes
+  const element = await MapService.getETA(
+    { latitude: captainLat, longitude: captainLng },
+    { latitude: parseFloat(latitude), longitude: parseFloat(longitude) }
+  );
 
-  if (
-    data.status === 'OK' &&
-    data.rows?.[0]?.elements?.[0]?.status === 'OK'
-  ) {
-    eta = Math.ceil(data.rows[0].elements[0].duration.value / 60);
-  }
+  const eta = element ? Math.ceil(element.duration / 60) : 5; // Default 5 minutes
 
   res.status(200).json({
     success: true,
@@ -913,14 +574,8 @@ exports.getPopularLocations = asyncHandler(async (req, res, next) => {
 
   // Get city from coordinates if not provided
   if (!cityName && latitude && longitude) {
-    const data = await googleMapsRequest('/geocode/json', {
-      latlng: `${latitude},${longitude}`,
-    });
-
-    if (data.status === 'OK' && data.results?.length) {
-      const components = parseAddressComponents(data.results[0].address_components);
-      cityName = components.city;
-    }
+    const place = await MapService.reverseGeocode(latitude, longitude);
+    cityName = place?.addressComponents.city;
   }
 
   let locations;
@@ -1324,43 +979,40 @@ exports.setWorkLocation = asyncHandler(async (req, res, next) => {
 // SERVICE AREAS & ZONES
 // ==========================================
 
+/**
+ * Public shape of a zone
+ */
+const formatZone = (zone, { withBoundary = false } = {}) => ({
+  id: zone._id,
+  name: zone.name,
+  type: zone.type,
+  city: zone.city,
+  center: zone.center,
+  surgeMultiplier: zone.type === 'surge_zone' ? zone.surgeMultiplier : undefined,
+  isActive: zone.isActive,
+  ...(withBoundary && { boundary: zone.boundary }),
+});
+
 /**
  * @desc    Get all service zones
  * @route   GET /api/v1/locations/zones
  * @access  Private (User/Captain)
  */
 exports.getZones = asyncHandler(async (req, res, next) => {
-  const { latitude, longitude } = req.query;
+  const { latitude, longitude, type, city } = req.query;
 
-  // For simplicity, return predefined zones
-  // In production, you'd have a Zone model
-  const zones = [
-    {
-      id: 'zone_1',
-      name: 'Bangalore Central',
-      city: 'Bangalore',
-      surgeMultiplier: 1.0,
-      isActive: true,
-    },
-    {
-      id: 'zone_2',
-      name: 'Bangalore Airport',
-      city: 'Bangalore',
-      surgeMultiplier: 1.2,
-      isActive: true,
-    },
-    {
-      id: 'zone_3',
-      name: 'Electronic City',
-      city: 'Bangalore',
-      surgeMultiplier: 1.0,
-      isActive: true,
-    },
-  ];
+  const filter = {
+    ...(type && { type }),
+    ...(city && { city: city.toLowerCase() }),
+  };
+
+  const zones = latitude && longitude
+    ? await Zone.findContaining(parseFloat(latitude), parseFloat(longitude), filter).lean()
+    : await Zone.find({ ...filter, isActive: true }).sort({ city: 1, name: 1 }).lean();
 
   res.status(200).json({
     success: true,
-    data: { zones },
+    data: { zones: zones.map((zone) => formatZone(zone)) },
   });
 });
 
@@ -1370,32 +1022,15 @@ exports.getZones = asyncHandler(async (req, res, next) => {
  * @access  Private (User/Captain)
  */
 exports.getZoneDetails = asyncHandler(async (req, res, next) => {
-  const { zoneId } = req.params;
-
-  // Placeholder
-  const zone = {
-    id: zoneId,
-    name: 'Bangalore Central',
-    city: 'Bangalore',
-    surgeMultiplier: 1.0,
-    isActive: true,
-    boundary: {
-      type: 'Polygon',
-      coordinates: [
-        [
-          [77.5, 12.9],
-          [77.7, 12.9],
-          [77.7, 13.1],
-          [77.5, 13.1],
-          [77.5, 12.9],
-        ],
-      ],
-    },
-  };
+  const zone = await Zone.findOne({ _id: req.params.zoneId, isActive: true }).lean();
+
+  if (!zone) {
+    throw ApiError.notFound('Zone not found');
+  }
 
   res.status(200).json({
     success: true,
-    data: { zone },
+    data: { zone: formatZone(zone, { withBoundary: true }) },
   });
 });
 
@@ -1411,39 +1046,23 @@ exports.checkServiceability = asyncHandler(async (req, res, next) => {
     throw ApiError.badRequest('Latitude and longitude are required');
   }
 
-  // Get city from coordinates
-  const data = await googleMapsRequest('/geocode/json', {
-    latlng: `${latitude},${longitude}`,
-  });
+  const location = await ZoneService.resolveLocation(latitude, longitude);
 
-  let isServiceable = false;
-  let cityName = null;
-
-  const serviceableCities = [
-    'bangalore',
-    'bengaluru',
-    'mumbai',
-    'delhi',
-    'chennai',
-    'hyderabad',
-    'pune',
-    'kolkata',
-  ];
-
-  if (data.status === 'OK' && data.results?.length) {
-    const components = parseAddressComponents(data.results[0].address_components);
-    cityName = components.city;
-    isServiceable = serviceableCities.includes(cityName?.toLowerCase());
+  let message = 'Location is serviceable';
+  if (!location.isServiceable) {
+    message = 'Sorry, we do not service this area yet';
+  } else if (!location.isPickupAllowed) {
+    message = `Pickups are not allowed in ${location.noPickupZone.name}`;
   }
 
   res.status(200).json({
     success: true,
     data: {
-      isServiceable,
-      city: cityName,
-      message: isServiceable
-        ? 'Location is serviceable'
-        : 'Sorry, we do not service this area yet',
+      isServiceable: location.isServiceable,
+      isPickupAllowed: location.isPickupAllowed,
+      city: location.city,
+      zones: location.zones.map((zone) => formatZone(zone)),
+      message,
     },
   });
 });
@@ -1460,62 +1079,21 @@ exports.checkRouteServiceability = asyncHandler(async (req, res, next) => {
     throw ApiError.badRequest('Pickup and destination are required');
   }
 
-  const serviceableCities = [
-    'bangalore',
-    'bengaluru',
-    'mumbai',
-    'delhi',
-    'chennai',
-    'hyderabad',
-  ];
-
-  // Check pickup
-  const pickupData = await googleMapsRequest('/geocode/json', {
-    latlng: `${pickup.lat},${pickup.lng}`,
-  });
-
-  let pickupCity = null;
-  let pickupServiceable = false;
-
-  if (pickupData.status === 'OK' && pickupData.results?.length) {
-    const components = parseAddressComponents(pickupData.results[0].address_components);
-    pickupCity = components.city;
-    pickupServiceable = serviceableCities.includes(pickupCity?.toLowerCase());
-  }
-
-  // Check destination
-  const destData = await googleMapsRequest('/geocode/json', {
-    latlng: `${destination.lat},${destination.lng}`,
-  });
-
-  let destCity = null;
-  let destServiceable = false;
-
-  if (destData.status === 'OK' && destData.results?.length) {
-    const components = parseAddressComponents(destData.results[0].address_components);
-    destCity = components.city;
-    destServiceable = serviceableCities.includes(destCity?.toLowerCase());
-  }
-
-  const isServiceable = pickupServiceable && destServiceable;
+  const route = await ZoneService.checkRoute(pickup, destination);
 
   res.status(200).json({
     success: true,
     data: {
-      isServiceable,
+      isServiceable: route.isServiceable,
       pickup: {
-        serviceable: pickupServiceable,
-        city: pickupCity,
+        serviceable: route.pickup.isServiceable && route.pickup.isPickupAllowed,
+        city: route.pickup.city,
       },
       destination: {
-        serviceable: destServiceable,
-        city: destCity,
+        serviceable: route.destination.isServiceable,
+        city: route.destination.city,
       },
-      message: !isServiceable
-        ? !pickupServiceable
-          ? 'Pickup location is not serviceable'
-          : 'Destination is not serviceable'
-        : 'Route is serviceable',
+      message: route.reason || 'Route is serviceable',
     },
   });
 });
@@ -1528,27 +1106,25 @@ exports.checkRouteServiceability = asyncHandler(async (req, res, next) => {
 exports.getSurgeZones = asyncHandler(async (req, res, next) => {
   const { latitude, longitude, radius = 10000 } = req.query;
 
-  // Placeholder surge zones
-  const surgeZones = [
-    {
-      id: 'surge_1',
-      name: 'Airport Zone',
-      surgeMultiplier: 1.5,
-      center: { latitude: 13.1986, longitude: 77.7066 },
-      radius: 5000,
-    },
-    {
-      id: 'surge_2',
-      name: 'MG Road',
-      surgeMultiplier: 1.3,
-      center: { latitude: 12.9716, longitude: 77.6199 },
-      radius: 2000,
-    },
-  ];
+  const query = { type: 'surge_zone', isActive: true, surgeMultiplier: { $gt: 1 } };
+
+  if (latitude && longitude) {
+    query.boundary = {
+      $near: {
+        $geometry: {
+          type: 'Point',
+          coordinates: [parseFloat(longitude), parseFloat(latitude)],
+        },
+        $maxDistance: parseInt(radius, 10),
+      },
+    };
+  }
+
+  const surgeZones = await Zone.find(query).limit(50).lean();
 
   res.status(200).json({
     success: true,
-    data: { zones: surgeZones },
+    data: { zones: surgeZones.map((zone) => formatZone(zone, { withBoundary: true })) },
   });
 });
 
@@ -1564,42 +1140,27 @@ exports.getSurgeMultiplier = asyncHandler(async (req, res, next) => {
     throw ApiError.badRequest('Latitude and longitude are required');
   }
 
-  // Calculate surge based on demand/supply
-  // This is simplified - in production, you'd calculate based on
-  // active ride requests vs available captains in the area
-
-  const nearbyCaptains = await Captain.countDocuments({
-    isOnline: true,
-    isAvailable: true,
-    'currentLocation.coordinates': {
-      $nearSphere: {
-        $geometry: {
-          type: 'Point',
-          coordinates: [parseFloat(longitude), parseFloat(latitude)],
-        },
-        $maxDistance: 5000,
-      },
-    },
-    ...(vehicleType && { 'vehicle.type': vehicleType }),
-  });
+  const vehicleTypes = vehicleType ? [vehicleType] : Object.keys(DEFAULT_TARIFFS);
 
-  // Simple surge calculation
-  let surgeMultiplier = 1.0;
+  const surges = await Promise.all(
+    vehicleTypes.map((type) => SurgeService.getSurgeInfo(latitude, longitude, type))
+  );
 
-  if (nearbyCaptains < 3) {
-    surgeMultiplier = 2.0;
-  } else if (nearbyCaptains < 5) {
-    surgeMultiplier = 1.5;
-  } else if (nearbyCaptains < 10) {
-    surgeMultiplier = 1.2;
-  }
+  const multipliers = Object.fromEntries(
+    vehicleTypes.map((type, index) => [type, surges[index].multiplier])
+  );
+  const surgeMultiplier = Math.max(...Object.values(multipliers));
+  const info = surges.find((surge) => surge.multiplier === surgeMultiplier);
 
   res.status(200).json({
     success: true,
     data: {
       surgeMultiplier,
+      multipliers,
       isSurge: surgeMultiplier > 1,
-      nearbyCaptains,
+      isManual: info.isManual,
+      zone: info.zone,
+      updatedAt: info.updatedAt,
       message:
         surgeMultiplier > 1
           ? `High demand in your area. Fares are ${surgeMultiplier}x normal.`
@@ -1612,67 +1173,31 @@ exports.getSurgeMultiplier = asyncHandler(async (req, res, next) => {
 // CITIES & REGIONS
 // ==========================================
 
+/**
+ * Public shape of a city zone
+ */
+const formatCity = (zone) => ({
+  id: zone.city,
+  name: zone.name,
+  state: zone.state,
+  isActive: zone.isActive,
+  coordinates: zone.center,
+});
+
 /**
  * @desc    Get list of serviceable cities
  * @route   GET /api/v1/locations/cities
  * @access  Public
  */
 exports.getCities = asyncHandler(async (req, res, next) => {
-  const cities = [
-    {
-      id: 'bangalore',
-      name: 'Bangalore',
-      state: 'Karnataka',
-      isActive: true,
-      coordinates: { latitude: 12.9716, longitude: 77.5946 },
-    },
-    {
-      id: 'mumbai',
-      name: 'Mumbai',
-      state: 'Maharashtra',
-      isActive: true,
-      coordinates: { latitude: 19.076, longitude: 72.8777 },
-    },
-    {
-      id: 'delhi',
-      name: 'Delhi',
-      state: 'Delhi',
-      isActive: true,
-      coordinates: { latitude: 28.6139, longitude: 77.209 },
-    },
-    {
-      id: 'chennai',
-      name: 'Chennai',
-      state: 'Tamil Nadu',
-      isActive: true,
-      coordinates: { latitude: 13.0827, longitude: 80.2707 },
-    },
-    {
-      id: 'hyderabad',
-      name: 'Hyderabad',
-      state: 'Telangana',
-      isActive: true,
-      coordinates: { latitude: 17.385, longitude: 78.4867 },
-    },
-    {
-      id: 'pune',
-      name: 'Pune',
-      state: 'Maharashtra',
-      isActive: true,
-      coordinates: { latitude: 18.5204, longitude: 73.8567 },
-    },
-    {
-      id: 'kolkata',
-      name: 'Kolkata',
-      state: 'West Bengal',
-      isActive: true,
-      coordinates: { latitude: 22.5726, longitude: 88.3639 },
-    },
-  ];
+  const cityZones = await Zone.find({ type: 'city', isActive: true })
+    .select('name city state isActive center')
+    .sort({ name: 1 })
+    .lean();
 
   res.status(200).json({
     success: true,
-    data: { cities },
+    data: { cities: cityZones.map(formatCity) },
   });
 });
 
@@ -1682,29 +1207,28 @@ exports.getCities = asyncHandler(async (req, res, next) => {
  * @access  Public
  */
 exports.getCityDetails = asyncHandler(async (req, res, next) => {
-  const { cityId } = req.params;
+  const cityId = req.params.cityId.toLowerCase();
 
-  const cities = {
-    bangalore: {
-      id: 'bangalore',
-      name: 'Bangalore',
-      state: 'Karnataka',
-      isActive: true,
-      coordinates: { latitude: 12.9716, longitude: 77.5946 },
-      vehicleTypes: ['bike', 'auto', 'mini', 'sedan', 'suv'],
-      popularAreas: ['MG Road', 'Koramangala', 'Indiranagar', 'Whitefield'],
-    },
-  };
+  const cityZone = await Zone.findOne({ type: 'city', city: cityId, isActive: true }).lean();
 
-  const city = cities[cityId];
-
-  if (!city) {
+  if (!cityZone) {
     throw ApiError.notFound('City not found');
   }
 
+  const [vehicleTypes, airports] = await Promise.all([
+    VehicleType.getActiveForCity(cityId).select('name').lean(),
+    Zone.find({ type: 'airport', city: cityId, isActive: true }).select('name center').lean(),
+  ]);
+
   res.status(200).json({
     success: true,
-    data: { city },
+    data: {
+      city: {
+        ...formatCity(cityZone),
+        vehicleTypes: vehicleTypes.map((v) => v.name),
+        airports: airports.map((a) => ({ id: a._id, name: a.name, center: a.center })),
+      },
+    },
   });
 });
 
@@ -1720,32 +1244,38 @@ exports.getCityInfo = asyncHandler(async (req, res, next) => {
     throw ApiError.badRequest('Latitude and longitude are required');
   }
 
-  const data = await googleMapsRequest('/geocode/json', {
-    latlng: `${latitude},${longitude}`,
-  });
+  const location = await ZoneService.resolveLocation(latitude, longitude);
 
-  if (data.status !== 'OK' || !data.results?.length) {
-    throw ApiError.notFound('Could not determine city');
+  if (location.cityZone) {
+    return res.status(200).json({
+      success: true,
+      data: {
+        city: location.cityZone.name,
+        cityId: location.cityZone.city,
+        state: location.cityZone.state,
+        country: 'India',
+        isServiceable: location.isServiceable,
+      },
+    });
   }
 
-  const components = parseAddressComponents(data.results[0].address_components);
+  // Outside every drawn city; fall back to the geocoder for a name
+  const place = await MapService.reverseGeocode(latitude, longitude);
 
-  const serviceableCities = [
-    'bangalore',
-    'bengaluru',
-    'mumbai',
-    'delhi',
-    'chennai',
-    'hyderabad',
-  ];
+  if (!place) {
+    throw ApiError.notFound('Could not determine city');
+  }
+
+  const components = place.addressComponents;
 
   res.status(200).json({
     success: true,
     data: {
       city: components.city,
+      cityId: location.city,
       state: components.state,
       country: components.country,
-      isServiceable: serviceableCities.includes(components.city?.toLowerCase()),
+      isServiceable: location.isServiceable,
     },
   });
 });
@@ -1761,18 +1291,17 @@ exports.getAirports = asyncHandler(async (req, res, next) => {
   let airports;
 
   if (latitude && longitude) {
-    const data = await googleMapsRequest('/place/nearbysearch/json', {
-      location: `${latitude},${longitude}`,
-      radius,
-      type: 'airport',
-    });
+    const places = await MapService.getNearbyPlaces(
+      { latitude: parseFloat(latitude), longitude: parseFloat(longitude) },
+      { type: 'airport', radius }
+    );
 
-    airports = (data.results || []).map((place) => ({
-      placeId: place.place_id,
+    airports = places.map((place) => ({
+      placeId: place.placeId,
       name: place.name,
-      address: place.vicinity,
-      latitude: place.geometry.location.lat,
-      longitude: place.geometry.location.lng,
+      address: place.address,
+      latitude: place.latitude,
+      longitude: place.longitude,
     }));
   } else {
     airports = await Location.find({
@@ -1801,18 +1330,17 @@ exports.getRailwayStations = asyncHandler(async (req, res, next) => {
   let stations;
 
   if (latitude && longitude) {
-    const data = await googleMapsRequest('/place/nearbysearch/json', {
-      location: `${latitude},${longitude}`,
-      radius,
-      type: 'train_station',
-    });
+    const places = await MapService.getNearbyPlaces(
+      { latitude: parseFloat(latitude), longitude: parseFloat(longitude) },
+      { type: 'train_station', radius }
+    );
 
-    stations = (data.results || []).map((place) => ({
-      placeId: place.place_id,
+    stations = places.map((place) => ({
+      placeId: place.placeId,
       name: place.name,
-      address: place.vicinity,
-      latitude: place.geometry.location.lat,
-      longitude: place.geometry.location.lng,
+      address: place.address,
+      latitude: place.latitude,
+      longitude: place.longitude,
     }));
   } else {
     stations = await Location.find({
@@ -1871,23 +1399,17 @@ exports.getRideTracking = asyncHandler(async (req, res, next) => {
       ? ride.dropCoordinates.longitude
       : ride.pickupCoordinates.longitude;
 
+    const from = { latitude: captainLat, longitude: captainLng };
+    const to = { latitude: destLat, longitude: destLng };
+
     // Get ETA
     try {
-      const etaData = await googleMapsRequest('/distancematrix/json', {
-        origins: `${captainLat},${captainLng}`,
-        destinations: `${destLat},${destLng}`,
-        mode: 'driving',
-        departure_time: 'now',
-      });
-
-      if (
-        etaData.status === 'OK' &&
-        etaData.rows?.[0]?.elements?.[0]?.status === 'OK'
-      ) {
-        const element = etaData.rows[0].elements[0];
+      const element = await MapService.getETA(from, to);
+
+      if (element) {
         eta = {
-          duration: element.duration_in_traffic || element.duration,
-          distance: element.distance,
+          duration: MapService.durationValue(element.durationInTraffic ?? element.duration),
+          distance: MapService.distanceValue(element.distance),
         };
       }
     } catch (error) {
@@ -1896,18 +1418,8 @@ exports.getRideTracking = asyncHandler(async (req, res, next) => {
 
     // Get route
     try {
-      const directionsData = await googleMapsRequest('/directions/json', {
-        origin: `${captainLat},${captainLng}`,
-        destination: `${destLat},${destLng}`,
-        mode: 'driving',
-      });
-
-      if (
-        directionsData.status === 'OK' &&
-        directionsData.routes?.length
-      ) {
-        route = directionsData.routes[0].overview_polyline.points;
-      }
+      const [best] = await MapService.getRoutes(from, to);
+      route = best?.polyline || null;
     } catch (error) {
       logger.warn('Failed to get route:', error);
     }
@@ -2065,32 +1577,8 @@ exports.updateCaptainLocation = asyncHandler(async (req, res, next) => {
     throw ApiError.badRequest('Latitude and longitude are required');
   }
 
-  const updateData = {
-    currentLocation: {
-      type: 'Point',
-      coordinates: [parseFloat(longitude), parseFloat(latitude)],
-      heading: heading || 0,
-      speed: speed || 0,
-      accuracy: accuracy || 0,
-      updatedAt: new Date(),
-    },
-    lastLocationUpdate: new Date(),
-  };
-
-  await Captain.findByIdAndUpdate(captainId, updateData);
-
-  // Store in Redis for faster access
-  await cache.set(
-    `captain:${captainId}:location`,
-    {
-      latitude: parseFloat(latitude),
-      longitude: parseFloat(longitude),
-      heading,
-      speed,
-      updatedAt: Date.now(),
-    },
-    300
-  );
+  // Live index; Mongo is written in batches
+  await CaptainIndex.updateLocation(req.captain, { latitude, longitude, heading, speed, accuracy });
 
   // If captain has active ride, emit location to user
   const activeRide = await Ride.findOne({
@@ -2099,6 +1587,8 @@ exports.updateCaptainLocation = asyncHandler(async (req, res, next) => {
   }).select('user');
 
   if (activeRide) {
+    await TripService.recordLocation(activeRide._id, captainId, { latitude, longitude, heading, speed, accuracy });
+
     emitToUser(activeRide.user.toString(), 'captain:location:update', {
       rideId: activeRide._id,
       location: {
@@ -2187,18 +1677,15 @@ exports.getStaticMap = asyncHandler(async (req, res, next) => {
     throw ApiError.badRequest('Latitude and longitude are required');
   }
 
-  let url = `${GOOGLE_MAPS_BASE_URL}/staticmap?`;
-  url += `center=${latitude},${longitude}`;
-  url += `&zoom=${zoom}`;
-  url += `&size=${width}x${height}`;
-  url += `&maptype=roadmap`;
-  url += `&key=${GOOGLE_MAPS_API_KEY}`;
-
-  if (markers) {
-    url += `&markers=${markers}`;
-  } else {
-    url += `&markers=color:red|${latitude},${longitude}`;
-  }
+  const center = { latitude, longitude };
+  const url = MapService.getStaticMapUrl({
+    center,
+    zoom,
+    width,
+    height,
+    markers,
+    pins: [{ color: 'red', ...center }],
+  });
 
   res.status(200).json({
     success: true,
@@ -2220,48 +1707,32 @@ exports.getRouteMap = asyncHandler(async (req, res, next) => {
   }
 
   // Get directions first
-  const params = {
-    origin: `${origin.latitude},${origin.longitude}`,
-    destination: `${destination.latitude},${destination.longitude}`,
-    mode: 'driving',
-  };
+  const [route] = await MapService.getRoutes(origin, destination, { waypoints });
 
-  if (waypoints.length > 0) {
-    params.waypoints = waypoints
-      .map((wp) => `${wp.latitude},${wp.longitude}`)
-      .join('|');
-  }
-
-  const directionsData = await googleMapsRequest('/directions/json', params);
-
-  if (directionsData.status !== 'OK' || !directionsData.routes?.length) {
+  if (!route) {
     throw ApiError.notFound('Could not get route');
   }
 
-  const polyline = directionsData.routes[0].overview_polyline.points;
-
-  // Build static map URL
-  let url = `${GOOGLE_MAPS_BASE_URL}/staticmap?`;
-  url += `size=${width}x${height}`;
-  url += `&maptype=roadmap`;
-  url += `&path=enc:${encodeURIComponent(polyline)}`;
-  url += `&markers=color:green|label:A|${origin.latitude},${origin.longitude}`;
-  url += `&markers=color:red|label:B|${destination.latitude},${destination.longitude}`;
-  url += `&key=${GOOGLE_MAPS_API_KEY}`;
-
-  waypoints.forEach((wp, i) => {
-    url += `&markers=color:blue|label:${i + 1}|${wp.latitude},${wp.longitude}`;
+  const url = MapService.getStaticMapUrl({
+    width,
+    height,
+    polyline: route.polyline,
+    pins: [
+      { color: 'green', label: 'A', ...origin },
+      { color: 'red', label: 'B', ...destination },
+      ...waypoints.map((wp, i) => ({ color: 'blue', label: i + 1, ...wp })),
+    ],
   });
 
-  const route = directionsData.routes[0].legs[0];
+  const [leg] = route.legs;
 
   res.status(200).json({
     success: true,
     data: {
       url,
-      polyline,
-      distance: route.distance,
-      duration: route.duration,
+      polyline: route.polyline,
+      distance: MapService.distanceValue(leg.distance),
+      duration: MapService.durationValue(leg.duration),
     },
   });
 });
\ No newline at end of file
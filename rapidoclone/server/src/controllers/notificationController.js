@@ -421,6 +421,7 @@ async function sendNotificationChannels(notification, recipient) {
     try {
       await sendEmail({
         to: recipient.email,
+        notification: notification._id,
         subject: notification.title,
         html: notification.richContent || `
           <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
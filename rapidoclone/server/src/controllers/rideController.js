@@ -4,17 +4,31 @@ const Ride = require('../models/Ride');
 const User = require('../models/User');
 const Captain = require('../models/Captain');
 const Coupon = require('../models/Coupon');
-const Wallet = require('../models/Wallet');
-const Transaction = require('../models/Transaction');
 const VehicleType = require('../models/VehicleType');
 const asyncHandler = require('../utils/asyncHandler');
 const ApiError = require('../utils/apiError');
 const ApiResponse = require('../utils/apiResponse');
 const FareCalculator = require('../services/fareCalculator');
 const CaptainMatcher = require('../services/captainMatcher');
+const DispatchService = require('../services/dispatchService');
+const SurgeService = require('../services/surgeService');
+const ZoneService = require('../services/zoneService');
 const MapService = require('../services/mapService');
+const WalletService = require('../services/walletService');
+const CancellationService = require('../services/cancellationService');
+const ReliabilityService = require('../services/reliabilityService');
+const ReferralService = require('../services/referralService');
+const IncentiveService = require('../services/incentiveService');
+const SupportService = require('../services/supportService');
+const ChatService = require('../services/chatService');
+const IncidentService = require('../services/incidentService');
+const TripService = require('../services/tripService');
+const FareFinalizer = require('../services/fareFinalizer');
+const TripMonitor = require('../services/tripMonitor');
+const CaptainIndex = require('../services/captainIndex');
+const { sendEmail } = require('../services/emailService');
 const { generateOTP, generateRideId, parsePagination } = require('../utils/helpers');
-const { emitToUser, emitToCaptain, emitToAllCaptains } = require('../config/socket');
+const { emitToUser, emitToCaptain } = require('../config/socket');
 const { cache } = require('../config/redis');
 const logger = require('../utils/logger');
 
@@ -34,6 +48,11 @@ exports.getFareEstimate = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'Pickup and destination are required');
   }
 
+  const city = tripCity(
+    await ZoneService.resolveLocation(pickup.coordinates.latitude, pickup.coordinates.longitude),
+    req.body.city
+  );
+
   // Get route details from map service
   const routeDetails = await MapService.getDirections(
     { latitude: pickup.coordinates.latitude, longitude: pickup.coordinates.longitude },
@@ -41,30 +60,32 @@ exports.getFareEstimate = asyncHandler(async (req, res) => {
   );
 
   // Calculate surge multiplier based on demand
-  const surgeMultiplier = await calculateSurgeMultiplier(
+  const surgeMultiplier = await SurgeService.getSurgeMultiplier(
     pickup.coordinates.latitude,
     pickup.coordinates.longitude,
     vehicleType
   );
 
   // Calculate fare
-  const fareEstimate = FareCalculator.calculateFare(
+  const fareEstimate = await FareCalculator.calculateFare(
     vehicleType,
     routeDetails.distance,
     routeDetails.duration,
-    surgeMultiplier
+    surgeMultiplier,
+    { city }
   );
 
   // Get nearby captains count
   const nearbyCaptains = await CaptainMatcher.findNearbyCaptains(
     pickup.coordinates,
     vehicleType,
-    5000
+    5000,
+    { userId: req.user._id }
   );
 
   res.status(200).json(
     new ApiResponse(200, {
-      fare: fareEstimate,
+      fare: addOutstandingDues(fareEstimate, req.user.outstandingDues),
       route: {
         distance: routeDetails.distance,
         duration: routeDetails.duration,
@@ -103,6 +124,10 @@ exports.bookRide = asyncHandler(async (req, res) => {
     throw new ApiError(400, 'You already have an active ride');
   }
 
+  // Reject trips outside the service areas
+  const serviceability = await ZoneService.assertServiceable(pickup.coordinates, destination.coordinates);
+  const city = tripCity(serviceability, req.body.city);
+
   // Get route details
   const routeDetails = await MapService.getDirections(
     { latitude: pickup.coordinates.latitude, longitude: pickup.coordinates.longitude },
@@ -110,28 +135,34 @@ exports.bookRide = asyncHandler(async (req, res) => {
   );
 
   // Calculate surge
-  const surgeMultiplier = await calculateSurgeMultiplier(
+  const surgeMultiplier = await SurgeService.getSurgeMultiplier(
     pickup.coordinates.latitude,
     pickup.coordinates.longitude,
     vehicleType
   );
 
   // Calculate fare
-  let fareDetails = FareCalculator.calculateFare(
+  let fareDetails = await FareCalculator.calculateFare(
     vehicleType,
     routeDetails.distance,
     routeDetails.duration,
-    surgeMultiplier
+    surgeMultiplier,
+    { city }
   );
 
   // Apply coupon if provided
   let appliedCoupon = null;
   if (couponCode) {
-    const couponResult = await applyCouponToFare(couponCode, fareDetails, userId, vehicleType);
+    const couponResult = await applyCouponToFare(couponCode, fareDetails, userId, vehicleType, city);
     fareDetails = couponResult.fare;
     appliedCoupon = couponResult.coupon;
   }
 
+  // Unpaid cancellation fees move from the rider onto this ride and are collected with it;
+  // they go back to the rider if the ride is cancelled
+  const previousDues = await WalletService.reserveDues(req.user);
+  fareDetails = addOutstandingDues(fareDetails, previousDues);
+
   // Generate ride ID and OTP
   const rideId = generateRideId();
   const otp = generateOTP(4);
@@ -141,6 +172,7 @@ exports.bookRide = asyncHandler(async (req, res) => {
     rideId,
     user: userId,
     vehicleType,
+    city,
     pickup: {
       address: pickup.address,
       coordinates: {
@@ -165,11 +197,14 @@ exports.bookRide = asyncHandler(async (req, res) => {
       distanceFare: fareDetails.distanceFare,
       timeFare: fareDetails.timeFare,
       surgeFare: fareDetails.surgeFare,
+      nightCharge: fareDetails.nightCharge,
+      bookingFee: fareDetails.bookingFee,
       discount: fareDetails.discount || 0,
       couponDiscount: fareDetails.couponDiscount || 0,
       total: fareDetails.total,
       platformFee: fareDetails.platformFee,
       captainEarnings: fareDetails.captainEarnings,
+      previousDues: fareDetails.previousDues,
     },
     payment: {
       method: paymentMethod,
@@ -185,52 +220,24 @@ exports.bookRide = asyncHandler(async (req, res) => {
     timestamps: {
       requested: new Date(),
     },
+  }).catch(async (error) => {
+    if (previousDues) await WalletService.releaseDues(userId, previousDues);
+    throw error;
   });
 
-  // Find nearby captains and send ride request
+  // Find nearby captains
   const nearbyCaptains = await CaptainMatcher.findNearbyCaptains(
     pickup.coordinates,
     vehicleType,
-    5000
+    5000,
+    { userId }
   );
 
-  // Rank captains and emit to them
+  // Rank captains and offer the ride to the best ones, wave by wave
   const rankedCaptains = CaptainMatcher.rankCaptains(nearbyCaptains);
+  await DispatchService.startDispatch(ride, rankedCaptains);
 
-  // Store ride request in cache for tracking
-  await cache.set(`ride:request:${ride._id}`, {
-    rideId: ride._id,
-    captainsSent: rankedCaptains.map(c => c._id.toString()),
-    createdAt: new Date().toISOString(),
-  }, 300);
-
-  // Emit to nearby captains
-  rankedCaptains.forEach((captain) => {
-    emitToCaptain(captain._id.toString(), 'ride:new-request', {
-      ride: ride.toObject(),
-      distance: captain.distance,
-      eta: captain.eta,
-    });
-  });
-
-  // Set timeout for ride (auto-cancel if no captain accepts)
-  setTimeout(async () => {
-    const currentRide = await Ride.findById(ride._id);
-    if (currentRide && currentRide.status === 'searching') {
-      currentRide.status = 'cancelled';
-      currentRide.cancellation = {
-        by: 'system',
-        reason: 'No captain available',
-      };
-      currentRide.timestamps.cancelled = new Date();
-      await currentRide.save();
-
-      emitToUser(userId.toString(), 'ride:no-captain', {
-        rideId: ride._id,
-        message: 'No captain available at the moment. Please try again.',
-      });
-    }
-  }, 60000); // 1 minute timeout
+  // Unaccepted rides are cancelled by jobs/rideTimeoutJob after RIDE.SEARCH_TIMEOUT
 
   // Populate and return ride
   const populatedRide = await Ride.findById(ride._id)
@@ -261,6 +268,9 @@ exports.scheduleRide = asyncHandler(async (req, res) => {
 
   const userId = req.user._id;
 
+  const serviceability = await ZoneService.assertServiceable(pickup.coordinates, destination.coordinates);
+  const city = tripCity(serviceability, req.body.city);
+
   // Validate scheduled time (must be at least 30 minutes in future)
   const scheduledDate = new Date(scheduledTime);
   const minScheduleTime = new Date(Date.now() + 30 * 60 * 1000);
@@ -281,11 +291,12 @@ exports.scheduleRide = asyncHandler(async (req, res) => {
     { latitude: destination.coordinates.latitude, longitude: destination.coordinates.longitude }
   );
 
-  const fareDetails = FareCalculator.calculateFare(
+  const fareDetails = await FareCalculator.calculateFare(
     vehicleType,
     routeDetails.distance,
     routeDetails.duration,
-    1 // No surge for scheduled rides
+    1, // No surge for scheduled rides
+    { city, pickupTime: scheduledDate }
   );
 
   const rideId = generateRideId();
@@ -295,6 +306,7 @@ exports.scheduleRide = asyncHandler(async (req, res) => {
     rideId,
     user: userId,
     vehicleType,
+    city,
     pickup: {
       address: pickup.address,
       coordinates: {
@@ -319,6 +331,8 @@ exports.scheduleRide = asyncHandler(async (req, res) => {
       distanceFare: fareDetails.distanceFare,
       timeFare: fareDetails.timeFare,
       surgeFare: 0,
+      nightCharge: fareDetails.nightCharge,
+      bookingFee: fareDetails.bookingFee,
       total: fareDetails.total,
       platformFee: fareDetails.platformFee,
       captainEarnings: fareDetails.captainEarnings,
@@ -370,7 +384,7 @@ exports.getScheduledRides = asyncHandler(async (req, res) => {
  * @access  Private (User)
  */
 exports.updateScheduledRide = asyncHandler(async (req, res) => {
-  const { scheduledTime, pickup, destination } = req.body;
+  const { scheduledTime, pickup, destination, city } = req.body;
 
   const ride = await Ride.findOne({
     _id: req.params.rideId,
@@ -392,6 +406,7 @@ exports.updateScheduledRide = asyncHandler(async (req, res) => {
     }
 
     ride.scheduledTime = scheduledDate;
+    ride.scheduling.reminderSentAt = undefined;
   }
 
   if (pickup) {
@@ -414,18 +429,32 @@ exports.updateScheduledRide = asyncHandler(async (req, res) => {
     };
   }
 
-  // Recalculate fare if locations changed
   if (pickup || destination) {
+    const serviceability = await ZoneService.assertServiceable(
+      ride.pickup.coordinates,
+      ride.destination.coordinates
+    );
+    ride.city = tripCity(serviceability, city);
+  } else if (city) {
+    tripCity(
+      await ZoneService.resolveLocation(ride.pickup.coordinates.latitude, ride.pickup.coordinates.longitude),
+      city
+    );
+  }
+
+  // Recalculate fare if locations or time changed (night charges depend on time)
+  if (pickup || destination || scheduledTime) {
     const routeDetails = await MapService.getDirections(
       { latitude: ride.pickup.coordinates.latitude, longitude: ride.pickup.coordinates.longitude },
       { latitude: ride.destination.coordinates.latitude, longitude: ride.destination.coordinates.longitude }
     );
 
-    const fareDetails = FareCalculator.calculateFare(
+    const fareDetails = await FareCalculator.calculateFare(
       ride.vehicleType,
       routeDetails.distance,
       routeDetails.duration,
-      1
+      1,
+      { city: ride.city, pickupTime: ride.scheduledTime }
     );
 
     ride.route = {
@@ -439,6 +468,8 @@ exports.updateScheduledRide = asyncHandler(async (req, res) => {
       distanceFare: fareDetails.distanceFare,
       timeFare: fareDetails.timeFare,
       surgeFare: 0,
+      nightCharge: fareDetails.nightCharge,
+      bookingFee: fareDetails.bookingFee,
       total: fareDetails.total,
       platformFee: fareDetails.platformFee,
       captainEarnings: fareDetails.captainEarnings,
@@ -731,6 +762,33 @@ exports.getRideRoute = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * @desc    Get ride chat history
+ * @route   GET /api/v1/rides/:rideId/chat
+ * @access  Private (User/Captain)
+ * @query   { before?: messageId, limit? }
+ */
+exports.getChatHistory = asyncHandler(async (req, res) => {
+  const userId = req.user?._id || req.captain?._id;
+  const userType = req.user ? 'user' : 'captain';
+  const { before, limit } = req.query;
+
+  const ride = await Ride.findOne({
+    _id: req.params.rideId,
+    [userType]: userId,
+  }).select('status');
+
+  if (!ride) {
+    throw new ApiError(404, 'Ride not found');
+  }
+
+  const chat = await ChatService.getHistory(ride, userType, { before, limit });
+
+  res.status(200).json(
+    new ApiResponse(200, chat, 'Chat history retrieved')
+  );
+});
+
 /**
  * @desc    Cancel ride (User)
  * @route   POST /api/v1/rides/:rideId/cancel
@@ -749,17 +807,9 @@ exports.cancelRide = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Ride not found or cannot be cancelled');
   }
 
-  // Calculate cancellation fee
-  let cancellationFee = 0;
-  if (['accepted', 'arriving', 'arrived'].includes(ride.status)) {
-    // Check time since acceptance
-    const timeSinceAccept = Date.now() - new Date(ride.timestamps.accepted).getTime();
-    const freeCancel = 2 * 60 * 1000; // 2 minutes free cancellation
-
-    if (timeSinceAccept > freeCancel) {
-      cancellationFee = ride.status === 'arrived' ? 50 : 25;
-    }
-  }
+  // Fee depends on how far the ride had got, so work it out before the status changes
+  const charge = await CancellationService.calculateRiderFee(ride);
+  const cancellationFee = charge.fee;
 
   ride.status = 'cancelled';
   ride.cancellation = {
@@ -770,6 +820,10 @@ exports.cancelRide = asyncHandler(async (req, res) => {
   ride.timestamps.cancelled = new Date();
   await ride.save();
 
+  // Withdraw any outstanding offers
+  await DispatchService.cancelDispatch(ride._id.toString(), 'cancelled');
+  await WalletService.releaseRideDues(ride._id);
+
   // Notify captain if assigned
   if (ride.captain) {
     emitToCaptain(ride.captain.toString(), 'ride:cancelled', {
@@ -782,16 +836,33 @@ exports.cancelRide = asyncHandler(async (req, res) => {
     await Captain.findByIdAndUpdate(ride.captain, { isOnRide: false });
   }
 
-  // Process cancellation fee if applicable
+  // Take the fee from the wallet, or carry it to the rider's next ride
+  let feeStatus = null;
   if (cancellationFee > 0) {
-    // TODO: Deduct from wallet or charge
+    const { status } = await WalletService.chargeCancellationFee(ride, charge, { req });
+    feeStatus = status;
+
+    ride.cancellation.feeStatus = feeStatus;
+    ride.cancellation.captainCompensation = charge.captainShare;
+    if (feeStatus === 'collected') {
+      ride.payment.status = 'completed';
+    }
+    await ride.save();
+
+    emitToCaptain(ride.captain.toString(), 'ride:cancellation-compensation', {
+      rideId: ride._id,
+      amount: charge.captainShare,
+    });
   }
 
   res.status(200).json(
     new ApiResponse(200, {
       ride,
       cancellationFee,
-    }, 'Ride cancelled successfully')
+      feeStatus,
+    }, feeStatus === 'due'
+      ? `Ride cancelled. A fee of ₹${cancellationFee} will be added to your next ride`
+      : 'Ride cancelled successfully')
   );
 });
 
@@ -845,7 +916,7 @@ exports.rateRide = asyncHandler(async (req, res) => {
 
   // Process tip if provided
   if (tip && tip > 0) {
-    await processTip(ride, tip, req.user._id);
+    await processTip(ride, tip, req);
   }
 
   res.status(200).json(
@@ -875,13 +946,44 @@ exports.addTip = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Ride not found');
   }
 
-  await processTip(ride, amount, req.user._id);
+  const replayed = await processTip(ride, amount, req);
 
   res.status(200).json(
-    new ApiResponse(200, null, 'Tip added successfully')
+    new ApiResponse(200, { replayed }, replayed ? 'Tip was already added' : 'Tip added successfully')
   );
 });
 
+/**
+ * Receipt for a completed ride, as shown in the app and emailed
+ * @param {object} ride - Ride with captain and coupon populated
+ */
+const buildReceipt = (ride) => ({
+  rideId: ride.rideId,
+  date: ride.timestamps.completed,
+  pickup: ride.pickup.address,
+  destination: ride.destination.address,
+  distance: ride.fareBreakdown?.actual?.reliable ? ride.fareBreakdown.actual.distance : ride.route.distance,
+  duration: ride.fareBreakdown?.actual?.duration ?? ride.route.duration,
+  vehicleType: ride.vehicleType,
+  captain: ride.captain ? {
+    name: `${ride.captain.firstName} ${ride.captain.lastName}`,
+    vehicle: ride.captain.vehicle,
+  } : null,
+  fare: {
+    baseFare: ride.fare.baseFare,
+    distanceFare: ride.fare.distanceFare,
+    timeFare: ride.fare.timeFare,
+    surgeFare: ride.fare.surgeFare,
+    waitingCharges: ride.fare.waitingCharges || 0,
+    tollCharges: ride.fare.tollCharges || 0,
+    discount: ride.fare.discount + (ride.fare.couponDiscount || 0),
+    total: ride.fare.total,
+  },
+  coupon: ride.coupon?.code || null,
+  paymentMethod: ride.payment.method,
+  paymentStatus: ride.payment.status,
+});
+
 /**
  * @desc    Get ride receipt
  * @route   GET /api/v1/rides/:rideId/receipt
@@ -901,33 +1003,8 @@ exports.getRideReceipt = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Ride not found');
   }
 
-  const receipt = {
-    rideId: ride.rideId,
-    date: ride.timestamps.completed,
-    pickup: ride.pickup.address,
-    destination: ride.destination.address,
-    distance: ride.route.distance,
-    duration: ride.route.duration,
-    vehicleType: ride.vehicleType,
-    captain: ride.captain ? {
-      name: `${ride.captain.firstName} ${ride.captain.lastName}`,
-      vehicle: ride.captain.vehicle,
-    } : null,
-    fare: {
-      baseFare: ride.fare.baseFare,
-      distanceFare: ride.fare.distanceFare,
-      timeFare: ride.fare.timeFare,
-      surgeFare: ride.fare.surgeFare,
-      discount: ride.fare.discount + (ride.fare.couponDiscount || 0),
-      total: ride.fare.total,
-    },
-    coupon: ride.coupon?.code || null,
-    paymentMethod: ride.payment.method,
-    paymentStatus: ride.payment.status,
-  };
-
   res.status(200).json(
-    new ApiResponse(200, { receipt }, 'Receipt retrieved')
+    new ApiResponse(200, { receipt: buildReceipt(ride) }, 'Receipt retrieved')
   );
 });
 
@@ -940,17 +1017,27 @@ exports.emailRideReceipt = asyncHandler(async (req, res) => {
   const { email } = req.body;
   const recipientEmail = email || req.user.email;
 
+  if (!recipientEmail) {
+    throw new ApiError(400, 'Email address is required');
+  }
+
   const ride = await Ride.findOne({
     _id: req.params.rideId,
     user: req.user._id,
     status: 'completed',
-  });
+  })
+    .populate('captain', 'firstName lastName phone vehicle')
+    .populate('coupon', 'code discountType discountValue');
 
   if (!ride) {
     throw new ApiError(404, 'Ride not found');
   }
 
-  // TODO: Send email with receipt
+  await sendEmail({
+    to: recipientEmail,
+    template: 'ride_receipt',
+    data: { receipt: buildReceipt(ride), name: req.user.firstName },
+  });
 
   res.status(200).json(
     new ApiResponse(200, null, `Receipt sent to ${recipientEmail}`)
@@ -1026,43 +1113,79 @@ exports.stopShareRide = asyncHandler(async (req, res) => {
 exports.triggerSOS = asyncHandler(async (req, res) => {
   const { location } = req.body;
 
-  const ride = await Ride.findOne({
-    _id: req.params.rideId,
-    user: req.user._id,
-    status: { $in: ['accepted', 'arriving', 'arrived', 'started'] },
-  })
-    .populate('user', 'firstName lastName phone emergencyContacts')
-    .populate('captain', 'firstName lastName phone vehicle');
+  const { incident, created, emergencyNumber, trackingInterval } = await IncidentService.raiseSOS({
+    rideId: req.params.rideId,
+    raisedByType: 'User',
+    raisedBy: req.user._id,
+    location,
+  });
 
-  if (!ride) {
-    throw new ApiError(404, 'Active ride not found');
+  res.status(created ? 201 : 200).json(
+    new ApiResponse(created ? 201 : 200, {
+      message: 'Our safety team and your emergency contacts have been notified',
+      incidentId: incident._id,
+      incidentNumber: incident.incidentNumber,
+      emergencyNumber,
+      trackingInterval,
+    }, 'SOS triggered successfully')
+  );
+});
+
+/**
+ * @desc    Answer an "Are you safe?" check from the trip monitor
+ * @route   POST /api/v1/rides/:rideId/safety-check/:alertId
+ * @access  Private (User)
+ */
+exports.respondToSafetyCheck = asyncHandler(async (req, res) => {
+  const { safe, location } = req.body;
+
+  if (typeof safe !== 'boolean') {
+    throw new ApiError(400, 'safe must be true or false');
   }
 
-  // Log SOS
-  logger.warn(`SOS triggered for ride ${ride._id} by user ${req.user._id}`, {
-    ride: ride._id,
-    user: req.user._id,
-    captain: ride.captain?._id,
+  const { alert, incident } = await TripMonitor.respondToCheck({
+    rideId: req.params.rideId,
+    alertId: req.params.alertId,
+    userId: req.user._id,
+    safe,
     location,
   });
 
-  // Notify admin
-  emitToAdmins('sos:alert', {
-    rideId: ride._id,
-    user: ride.user,
-    captain: ride.captain,
-    location,
-    timestamp: new Date(),
-  });
+  res.status(200).json(
+    new ApiResponse(200, {
+      alertId: alert._id,
+      riderResponse: alert.riderResponse,
+      ...(incident && { incidentId: incident._id, incidentNumber: incident.incidentNumber }),
+    }, safe ? 'Glad you are safe' : 'Our safety team and your emergency contacts have been notified')
+  );
+});
 
-  // TODO: Send SMS to emergency contacts
-  // TODO: Notify local authorities if configured
+/**
+ * @desc    Send a location fix while an SOS is open
+ * @route   POST /api/v1/rides/:rideId/sos/location
+ * @access  Private (User/Captain)
+ */
+exports.updateSOSLocation = asyncHandler(async (req, res) => {
+  const { latitude, longitude, accuracy, speed, heading } = req.body;
+  const userId = req.user?._id || req.captain?._id;
+  const userType = req.user ? 'user' : 'captain';
+
+  const ride = await Ride.exists({ _id: req.params.rideId, [userType]: userId });
+
+  if (!ride) {
+    throw new ApiError(404, 'Ride not found');
+  }
+
+  const recorded = await IncidentService.recordLocation(req.params.rideId, userType, {
+    latitude,
+    longitude,
+    accuracy,
+    speed,
+    heading,
+  });
 
   res.status(200).json(
-    new ApiResponse(200, {
-      message: 'Emergency services have been notified',
-      emergencyNumber: '112',
-    }, 'SOS triggered successfully')
+    new ApiResponse(200, { recorded }, recorded ? 'Location recorded' : 'No open SOS for this ride')
   );
 });
 
@@ -1083,10 +1206,18 @@ exports.reportRideIssue = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Ride not found');
   }
 
-  // TODO: Create support ticket
+  const ticket = await SupportService.openRideIssue(ride, {
+    raisedByType: 'User',
+    raisedBy: req.user._id,
+    issueType,
+    description,
+  });
 
-  res.status(200).json(
-    new ApiResponse(200, null, 'Issue reported. Our team will contact you soon.')
+  res.status(201).json(
+    new ApiResponse(201, {
+      ticketId: ticket._id,
+      ticketNumber: ticket.ticketNumber,
+    }, 'Issue reported. Our team will contact you soon.')
   );
 });
 
@@ -1139,7 +1270,13 @@ exports.getNearbyRequests = asyncHandler(async (req, res) => {
       ride.pickup.coordinates.latitude,
       ride.pickup.coordinates.longitude
     );
-    const eta = CaptainMatcher.calculateETA(latitude, longitude, ride.pickup.coordinates.latitude, ride.pickup.coordinates.longitude);
+    const eta = CaptainMatcher.calculateETA(
+      latitude,
+      longitude,
+      ride.pickup.coordinates.latitude,
+      ride.pickup.coordinates.longitude,
+      captain.vehicle.type
+    );
 
     return {
       ...ride.toObject(),
@@ -1283,22 +1420,29 @@ exports.acceptRide = asyncHandler(async (req, res) => {
     throw new ApiError(403, 'Your account is not approved');
   }
 
-  const ride = await Ride.findOne({
-    _id: req.params.rideId,
-    status: 'searching',
-    vehicleType: captain.vehicle.type,
-  });
+  if (captain.dispatchCooldownUntil > new Date()) {
+    throw new ApiError(403, `You can accept rides again after ${captain.dispatchCooldownUntil.toLocaleTimeString()}`);
+  }
+
+  // Atomic claim so two captains accepting together can't both win
+  const ride = await Ride.findOneAndUpdate(
+    {
+      _id: req.params.rideId,
+      status: 'searching',
+      vehicleType: captain.vehicle.type,
+    },
+    {
+      captain: captain._id,
+      status: 'accepted',
+      'timestamps.accepted': new Date(),
+    },
+    { new: true }
+  );
 
   if (!ride) {
     throw new ApiError(404, 'Ride not found or already taken');
   }
 
-  // Update ride
-  ride.captain = captain._id;
-  ride.status = 'accepted';
-  ride.timestamps.accepted = new Date();
-  await ride.save();
-
   // Update captain
   captain.isOnRide = true;
   await captain.save();
@@ -1312,8 +1456,8 @@ exports.acceptRide = asyncHandler(async (req, res) => {
     captain: captainData.toObject(),
   });
 
-  // Notify other captains that ride is taken
-  emitToAllCaptains('ride:taken', { rideId: ride._id });
+  // Notify the other captains who were offered this ride
+  await DispatchService.completeDispatch(ride._id.toString(), captain._id.toString());
 
   // Get populated ride
   const populatedRide = await Ride.findById(ride._id)
@@ -1336,8 +1480,9 @@ exports.rejectRide = asyncHandler(async (req, res) => {
   // Log rejection for analytics
   logger.info(`Ride ${req.params.rideId} rejected by captain ${req.captain._id}: ${reason}`);
 
-  // Update captain's acceptance rate
-  // TODO: Implement acceptance rate tracking
+  // Counts against the captain's acceptance rate; offers to the next wave
+  // early if everyone in this one declined
+  await DispatchService.recordRejection(req.params.rideId, req.captain._id);
 
   res.status(200).json(
     new ApiResponse(200, null, 'Ride rejected')
@@ -1434,6 +1579,8 @@ exports.startRide = asyncHandler(async (req, res) => {
   ride.timestamps.started = new Date();
   await ride.save();
 
+  await TripMonitor.startMonitoring(ride);
+
   emitToUser(ride.user.toString(), 'ride:started', {
     rideId: ride._id,
     message: 'Your ride has started. Enjoy!',
@@ -1450,7 +1597,11 @@ exports.startRide = asyncHandler(async (req, res) => {
  * @access  Private (Captain)
  */
 exports.completeRide = asyncHandler(async (req, res) => {
-  const { finalFare, tollCharges, waitingCharges } = req.body;
+  const { tollCharges = 0 } = req.body;
+
+  if (!Number.isFinite(Number(tollCharges)) || Number(tollCharges) < 0) {
+    throw new ApiError(400, 'Toll charges cannot be negative');
+  }
 
   const ride = await Ride.findOne({
     _id: req.params.rideId,
@@ -1462,62 +1613,50 @@ exports.completeRide = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Ride not found');
   }
 
-  // Update fare if additional charges
-  if (tollCharges || waitingCharges) {
-    ride.fare.tollCharges = tollCharges || 0;
-    ride.fare.waitingCharges = waitingCharges || 0;
-    ride.fare.total += (tollCharges || 0) + (waitingCharges || 0);
-    ride.fare.captainEarnings = ride.fare.total * 0.8;
-  }
+  // Final fare from the GPS trail, waiting time and tolls; distance and waiting are never taken from the app
+  const completedAt = new Date();
+  const { fare, breakdown } = await FareFinalizer.finalizeFare(ride, { tollCharges, completedAt });
 
+  ride.fare = fare;
+  ride.fareBreakdown = breakdown;
   ride.status = 'completed';
-  ride.timestamps.completed = new Date();
+  ride.timestamps.completed = completedAt;
   ride.payment.status = 'completed';
   await ride.save();
 
+  await TripMonitor.stopMonitoring(ride._id);
+
   // Update captain stats
   await Captain.findByIdAndUpdate(req.captain._id, {
     isOnRide: false,
+    lastRideCompletedAt: completedAt,
     $inc: {
       'stats.totalRides': 1,
       'stats.totalEarnings': ride.fare.captainEarnings,
-      'stats.totalDistance': ride.route.distance,
+      'stats.totalDistance': breakdown.actual.reliable ? breakdown.actual.distance : ride.route.distance,
     },
   });
 
-  // Credit captain wallet
-  const captainWallet = await Wallet.findOne({
-    owner: req.captain._id,
-    ownerType: 'Captain',
-  });
+  // Credit captain earnings and book commission and tax
+  await WalletService.settleRide(ride, { req });
 
-  if (captainWallet) {
-    captainWallet.balance += ride.fare.captainEarnings;
-    await captainWallet.save();
-
-    // Create transaction
-    await Transaction.create({
-      wallet: captainWallet._id,
-      type: 'credit',
-      amount: ride.fare.captainEarnings,
-      category: 'ride_earnings',
-      reference: ride._id,
-      referenceType: 'Ride',
-      description: `Earnings from ride ${ride.rideId}`,
-      balanceAfter: captainWallet.balance,
-    });
-  }
+  // A first completed ride qualifies the rider's or captain's pending referral
+  await ReferralService.handleRideCompleted(ride);
+
+  // Count the ride towards the captain's incentives; bonuses are credited as targets are hit
+  const incentivesEarned = await IncentiveService.evaluateRide(ride);
 
   emitToUser(ride.user.toString(), 'ride:completed', {
     ride: ride.toObject(),
     message: 'Your ride is complete. Please rate your experience.',
   });
+  ChatService.closeChat(ride._id);
 
   const populatedRide = await Ride.findById(ride._id)
     .populate('user', 'firstName lastName phone avatar ratings');
 
   res.status(200).json(
-    new ApiResponse(200, { ride: populatedRide }, 'Ride completed successfully')
+    new ApiResponse(200, { ride: populatedRide, incentivesEarned }, 'Ride completed successfully')
   );
 });
 
@@ -1548,11 +1687,10 @@ exports.captainCancelRide = asyncHandler(async (req, res) => {
   ride.captain = null;
   await ride.save();
 
-  // Update captain
-  await Captain.findByIdAndUpdate(req.captain._id, {
-    isOnRide: false,
-    $inc: { 'stats.cancellationRate': 1 },
-  });
+  await Captain.findByIdAndUpdate(req.captain._id, { isOnRide: false });
+
+  // Cooldown, fine or suspension depending on the captain's record
+  const penalty = await ReliabilityService.recordCancellation(req.captain._id, ride, { reason, req });
 
   emitToUser(ride.user.toString(), 'ride:cancelled', {
     rideId: ride._id,
@@ -1566,8 +1704,91 @@ exports.captainCancelRide = asyncHandler(async (req, res) => {
   ride.timestamps.requested = new Date();
   await ride.save();
 
+  await DispatchService.redispatch(ride, [req.captain._id.toString()]);
+
   res.status(200).json(
-    new ApiResponse(200, null, 'Ride cancelled')
+    new ApiResponse(200, { penalty }, 'Ride cancelled')
+  );
+});
+
+/**
+ * @desc    Mark rider as no-show and cancel with a fee
+ * @route   POST /api/v1/rides/captain/no-show/:rideId
+ * @access  Private (Captain)
+ */
+exports.markNoShow = asyncHandler(async (req, res) => {
+  const ride = await Ride.findOne({
+    _id: req.params.rideId,
+    captain: req.captain._id,
+    status: 'arrived',
+  });
+
+  if (!ride) {
+    throw new ApiError(404, 'Ride not found or captain has not arrived');
+  }
+
+  const charge = await CancellationService.calculateNoShowFee(ride);
+  if (charge.waitUntil > new Date()) {
+    throw new ApiError(400, `Please wait for the rider until ${charge.waitUntil.toLocaleTimeString()}`);
+  }
+
+  // Conditional update so a rider cancelling at the same moment isn't overwritten
+  const cancelled = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: 'arrived' },
+    {
+      status: 'cancelled',
+      'timestamps.cancelled': new Date(),
+      cancellation: {
+        by: 'captain',
+        reason: 'Rider did not show up',
+        fee: charge.fee,
+        noShow: true,
+      },
+    },
+    { new: true }
+  );
+
+  if (!cancelled) {
+    throw new ApiError(409, 'Ride status changed. Refresh and try again');
+  }
+
+  await Captain.findByIdAndUpdate(req.captain._id, { isOnRide: false });
+  await WalletService.releaseRideDues(cancelled._id);
+
+  // Recorded as a no-show, so it doesn't count against the captain's cancellation rate
+  await ReliabilityService.recordEvent(req.captain._id, 'no_show', {
+    rideId: cancelled._id,
+    metadata: { waitedSince: cancelled.timestamps.captainArrived },
+  });
+
+  let feeStatus = null;
+  if (charge.fee > 0) {
+    const { status } = await WalletService.chargeCancellationFee(cancelled, charge, { req });
+    feeStatus = status;
+
+    cancelled.cancellation.feeStatus = feeStatus;
+    cancelled.cancellation.captainCompensation = charge.captainShare;
+    if (feeStatus === 'collected') {
+      cancelled.payment.status = 'completed';
+    }
+    await cancelled.save();
+  }
+
+  emitToUser(cancelled.user.toString(), 'ride:cancelled', {
+    rideId: cancelled._id,
+    cancelledBy: 'captain',
+    reason: 'no_show',
+    cancellationFee: charge.fee,
+    feeStatus,
+    message: 'Your ride was cancelled because you did not reach the pickup point in time.',
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      ride: cancelled,
+      compensation: charge.captainShare,
+      feeStatus,
+    }, 'Rider marked as no-show')
   );
 });
 
@@ -1577,7 +1798,7 @@ exports.captainCancelRide = asyncHandler(async (req, res) => {
  * @access  Private (Captain)
  */
 exports.updateRideLocation = asyncHandler(async (req, res) => {
-  const { latitude, longitude, heading, speed } = req.body;
+  const { latitude, longitude, heading, speed, accuracy } = req.body;
 
   const ride = await Ride.findOne({
     _id: req.params.rideId,
@@ -1596,23 +1817,8 @@ exports.updateRideLocation = asyncHandler(async (req, res) => {
   });
   await ride.save();
 
-  // Update captain's current location
-  await Captain.findByIdAndUpdate(req.captain._id, {
-    currentLocation: {
-      type: 'Point',
-      coordinates: [longitude, latitude],
-    },
-    lastLocationUpdate: new Date(),
-  });
-
-  // Cache location
-  await cache.set(`captain:location:${req.captain._id}`, {
-    latitude,
-    longitude,
-    heading,
-    speed,
-    updatedAt: new Date().toISOString(),
-  }, 300);
+  // Update captain's live location; Mongo is written in batches
+  await CaptainIndex.updateLocation(req.captain, { latitude, longitude, heading, speed, accuracy });
 
   // Emit to user
   emitToUser(ride.user.toString(), 'captain:location', {
@@ -1621,6 +1827,9 @@ exports.updateRideLocation = asyncHandler(async (req, res) => {
     updatedAt: new Date().toISOString(),
   });
 
+  await TripService.recordLocation(ride._id, req.captain._id, { latitude, longitude, heading, speed, accuracy });
+  await IncidentService.recordLocation(ride._id, 'captain', { latitude, longitude, heading, speed, accuracy });
+
   res.status(200).json(
     new ApiResponse(200, null, 'Location updated')
   );
@@ -1677,6 +1886,32 @@ exports.rateCaptainRide = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * @desc    Trigger SOS (Captain)
+ * @route   POST /api/v1/rides/captain/sos/:rideId
+ * @access  Private (Captain)
+ */
+exports.captainTriggerSOS = asyncHandler(async (req, res) => {
+  const { location } = req.body;
+
+  const { incident, created, emergencyNumber, trackingInterval } = await IncidentService.raiseSOS({
+    rideId: req.params.rideId,
+    raisedByType: 'Captain',
+    raisedBy: req.captain._id,
+    location,
+  });
+
+  res.status(created ? 201 : 200).json(
+    new ApiResponse(created ? 201 : 200, {
+      message: 'Our safety team has been notified',
+      incidentId: incident._id,
+      incidentNumber: incident.incidentNumber,
+      emergencyNumber,
+      trackingInterval,
+    }, 'SOS triggered successfully')
+  );
+});
+
 /**
  * @desc    Report user issue
  * @route   POST /api/v1/rides/captain/report/:rideId
@@ -1694,10 +1929,18 @@ exports.reportUserIssue = asyncHandler(async (req, res) => {
     throw new ApiError(404, 'Ride not found');
   }
 
-  // TODO: Create support ticket
+  const ticket = await SupportService.openRideIssue(ride, {
+    raisedByType: 'Captain',
+    raisedBy: req.captain._id,
+    issueType,
+    description,
+  });
 
-  res.status(200).json(
-    new ApiResponse(200, null, 'Issue reported')
+  res.status(201).json(
+    new ApiResponse(201, {
+      ticketId: ticket._id,
+      ticketNumber: ticket.ticketNumber,
+    }, 'Issue reported')
   );
 });
 
@@ -1853,21 +2096,29 @@ exports.removeCoupon = asyncHandler(async (req, res) => {
   }
 
   // Recalculate fare without coupon
-  const fareDetails = FareCalculator.calculateFare(
+  const fareDetails = await FareCalculator.calculateFare(
     ride.vehicleType,
     ride.route.distance,
     ride.route.duration,
-    ride.surgeMultiplier
+    ride.surgeMultiplier,
+    { city: ride.city, pickupTime: ride.timestamps.requested }
   );
 
+  // Fields the tariff doesn't produce, like carried dues, stay as booked
+  const bookedFare = ride.toObject().fare;
+  const previousDues = bookedFare.previousDues || 0;
+
   ride.fare = {
+    ...bookedFare,
     baseFare: fareDetails.baseFare,
     distanceFare: fareDetails.distanceFare,
     timeFare: fareDetails.timeFare,
     surgeFare: fareDetails.surgeFare,
+    nightCharge: fareDetails.nightCharge,
+    bookingFee: fareDetails.bookingFee,
     discount: 0,
     couponDiscount: 0,
-    total: fareDetails.total,
+    total: Math.round((fareDetails.total + previousDues) * 100) / 100,
     platformFee: fareDetails.platformFee,
     captainEarnings: fareDetails.captainEarnings,
   };
@@ -1966,50 +2217,6 @@ exports.getSharedRideTracking = asyncHandler(async (req, res) => {
 // HELPER FUNCTIONS
 // ==========================================
 
-/**
- * Calculate surge multiplier based on demand and supply
- */
-async function calculateSurgeMultiplier(latitude, longitude, vehicleType) {
-  try {
-    // Get nearby ride requests (demand)
-    const recentRequests = await Ride.countDocuments({
-      status: 'searching',
-      vehicleType,
-      'pickup.coordinates': {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: [longitude, latitude],
-          },
-          $maxDistance: 3000,
-        },
-      },
-      createdAt: { $gte: new Date(Date.now() - 10 * 60 * 1000) }, // Last 10 minutes
-    });
-
-    // Get nearby available captains (supply)
-    const availableCaptains = await Captain.countDocuments({
-      isOnline: true,
-      isOnRide: false,
-      'vehicle.type': vehicleType,
-      currentLocation: {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: [longitude, latitude],
-          },
-          $maxDistance: 3000,
-        },
-      },
-    });
-
-    return FareCalculator.calculateSurge(recentRequests, availableCaptains);
-  } catch (error) {
-    logger.error('Error calculating surge:', error);
-    return 1;
-  }
-}
-
 /**
  * Validate coupon code
  */
@@ -2083,7 +2290,7 @@ async function validateCouponCode(code, userId, vehicleType, fareAmount) {
 /**
  * Apply coupon to fare
  */
-async function applyCouponToFare(code, fare, userId, vehicleType) {
+async function applyCouponToFare(code, fare, userId, vehicleType, city) {
   const result = await validateCouponCode(code, userId, vehicleType, fare.total);
 
   if (!result.valid) {
@@ -2102,8 +2309,8 @@ async function applyCouponToFare(code, fare, userId, vehicleType) {
 
   // Calculate new fare
   const newTotal = Math.max(fare.total - discount, 0);
-  const platformFee = newTotal * 0.2;
-  const captainEarnings = newTotal - platformFee;
+  const tariff = await FareCalculator.getTariff(vehicleType, city);
+  const { platformFee, captainEarnings } = FareCalculator.calculateEarnings(newTotal, tariff);
 
   return {
     fare: {
@@ -2118,34 +2325,42 @@ async function applyCouponToFare(code, fare, userId, vehicleType) {
 }
 
 /**
- * Process tip
+ * Add the rider's unpaid cancellation fees to a fare
+ * Coupons and commission are worked out on the ride fare before this.
  */
-async function processTip(ride, amount, userId) {
-  // Credit captain wallet
-  const captainWallet = await Wallet.findOne({
-    owner: ride.captain,
-    ownerType: 'Captain',
-  });
+function addOutstandingDues(fare, previousDues = 0) {
+  if (previousDues <= 0) return fare;
 
-  if (captainWallet) {
-    captainWallet.balance += amount;
-    await captainWallet.save();
-
-    await Transaction.create({
-      wallet: captainWallet._id,
-      type: 'credit',
-      amount,
-      category: 'tip',
-      reference: ride._id,
-      referenceType: 'Ride',
-      description: `Tip from ride ${ride.rideId}`,
-      balanceAfter: captainWallet.balance,
-    });
+  return {
+    ...fare,
+    previousDues,
+    total: Math.round((fare.total + previousDues) * 100) / 100,
+  };
+}
+
+/**
+ * City a trip is priced in: always the one the pickup's zones resolve to
+ * A city sent by the client is only checked against it, never trusted over it.
+ * @param {{ city: string|null }} pickupZones - ZoneService serviceability or resolveLocation result
+ * @param {string} [requestedCity] - City from the request body
+ * @returns {string|null}
+ */
+function tripCity({ city }, requestedCity) {
+  if (requestedCity && requestedCity.toLowerCase() !== city?.toLowerCase()) {
+    throw new ApiError(400, `Pickup location is not in ${requestedCity}`);
   }
+  return city;
+}
 
-  // Update ride with tip
-  ride.tip = (ride.tip || 0) + amount;
-  await ride.save();
+/**
+ * Process tip
+ * @returns {Promise<boolean>} - Whether it replayed a tip already posted, so nothing was charged
+ */
+async function processTip(ride, amount, req) {
+  const { replayed } = await WalletService.tipCaptain(ride, amount, { req });
+  if (replayed) return true;
+
+  await Ride.updateOne({ _id: ride._id }, { $inc: { tip: amount } });
 
   // Notify captain
   emitToCaptain(ride.captain.toString(), 'ride:tip-received', {
@@ -2153,4 +2368,6 @@ async function processTip(ride, amount, userId) {
     amount,
     message: `You received a tip of ₹${amount}!`,
   });
+
+  return false;
 }
\ No newline at end of file
@@ -1,11 +1,14 @@
 // src/controllers/userController.js
 const User = require('../models/User');
+const Captain = require('../models/Captain');
 const SavedLocation = require('../models/SavedLocation');
 const Notification = require('../models/Notification');
 const Ride = require('../models/Ride');
 const asyncHandler = require('../utils/asyncHandler');
 const ApiError = require('../utils/apiError');
 const ApiResponse = require('../utils/apiResponse');
+const ReferralService = require('../services/referralService');
+const SupportService = require('../services/supportService');
 const { deleteFile, extractPublicId } = require('../config/cloudinary');
 const { parsePagination, parseSort } = require('../utils/helpers');
 
@@ -716,12 +719,13 @@ exports.removeFCMToken = asyncHandler(async (req, res) => {
 exports.getReferralInfo = asyncHandler(async (req, res) => {
   const user = await User.findById(req.user._id).select('referralCode referredBy');
 
-  const referralCount = await User.countDocuments({ referredBy: req.user._id });
+  const summary = await ReferralService.getSummary(req.user._id, 'User');
 
   res.status(200).json(
     new ApiResponse(200, {
       referralCode: user.referralCode,
-      referralCount,
+      referralCount: summary.totalReferrals,
+      ...summary,
       referralLink: `${process.env.CLIENT_URL}/register?ref=${user.referralCode}`,
     }, 'Referral info retrieved')
   );
@@ -735,25 +739,24 @@ exports.getReferralInfo = asyncHandler(async (req, res) => {
 exports.applyReferralCode = asyncHandler(async (req, res) => {
   const { referralCode } = req.body;
 
-  if (req.user.referredBy) {
-    throw new ApiError(400, 'You have already applied a referral code');
+  if (!referralCode) {
+    throw new ApiError(400, 'Referral code is required');
   }
 
-  const referrer = await User.findOne({ referralCode });
-  if (!referrer) {
-    throw new ApiError(404, 'Invalid referral code');
-  }
-
-  if (referrer._id.toString() === req.user._id.toString()) {
-    throw new ApiError(400, 'You cannot use your own referral code');
-  }
+  const user = await User.findById(req.user._id).select('phone referredBy +deviceId');
 
-  await User.findByIdAndUpdate(req.user._id, { referredBy: referrer._id });
-
-  // TODO: Add referral bonus to both users
+  const referral = await ReferralService.applyReferral({
+    referee: user,
+    accountType: 'User',
+    code: referralCode,
+    deviceId: user.deviceId || req.get('X-Device-Id'),
+  });
 
   res.status(200).json(
-    new ApiResponse(200, null, 'Referral code applied successfully')
+    new ApiResponse(200, {
+      refereeReward: referral.refereeReward,
+      qualifyBy: referral.qualifyBy,
+    }, 'Referral code applied. Your reward is credited after your first ride')
   );
 });
 
@@ -763,12 +766,20 @@ exports.applyReferralCode = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.getReferralHistory = asyncHandler(async (req, res) => {
-  const referrals = await User.find({ referredBy: req.user._id })
-    .select('firstName lastName createdAt')
-    .sort({ createdAt: -1 });
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const { referrals, total } = await ReferralService.getHistory(req.user._id, 'User', { skip, limit });
 
   res.status(200).json(
-    new ApiResponse(200, { referrals }, 'Referral history retrieved')
+    new ApiResponse(200, {
+      referrals,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    }, 'Referral history retrieved')
   );
 });
 
@@ -835,8 +846,12 @@ exports.removeFavoriteCaptain = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.getBlockedCaptains = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id)
+    .select('blockedCaptains')
+    .populate('blockedCaptains.captain', 'firstName lastName avatar vehicle.type ratings');
+
   res.status(200).json(
-    new ApiResponse(200, { captains: [] }, 'Blocked captains retrieved')
+    new ApiResponse(200, { captains: user.blockedCaptains }, 'Blocked captains retrieved')
   );
 });
 
@@ -846,8 +861,26 @@ exports.getBlockedCaptains = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.blockCaptain = asyncHandler(async (req, res) => {
+  const { captainId } = req.params;
+  const { reason } = req.body;
+
+  const captainExists = await Captain.exists({ _id: captainId });
+  if (!captainExists) {
+    throw new ApiError(404, 'Captain not found');
+  }
+
+  // Only push if not already blocked
+  const result = await User.updateOne(
+    { _id: req.user._id, 'blockedCaptains.captain': { $ne: captainId } },
+    { $push: { blockedCaptains: { captain: captainId, reason, blockedAt: new Date() } } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new ApiError(400, 'Captain is already blocked');
+  }
+
   res.status(200).json(
-    new ApiResponse(200, null, 'Captain blocked')
+    new ApiResponse(200, null, 'Captain blocked. You will not be matched with this captain again.')
   );
 });
 
@@ -857,6 +890,15 @@ exports.blockCaptain = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.unblockCaptain = asyncHandler(async (req, res) => {
+  const result = await User.updateOne(
+    { _id: req.user._id },
+    { $pull: { blockedCaptains: { captain: req.params.captainId } } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new ApiError(404, 'Captain is not blocked');
+  }
+
   res.status(200).json(
     new ApiResponse(200, null, 'Captain unblocked')
   );
@@ -872,9 +914,24 @@ exports.unblockCaptain = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.getSupportTickets = asyncHandler(async (req, res) => {
-  // TODO: Implement support tickets model
+  const { page, limit, skip } = parsePagination(req.query);
+
+  const { tickets, total } = await SupportService.listForOwner('User', req.user._id, {
+    status: req.query.status,
+    skip,
+    limit,
+  });
+
   res.status(200).json(
-    new ApiResponse(200, { tickets: [] }, 'Support tickets retrieved')
+    new ApiResponse(200, {
+      tickets,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    }, 'Support tickets retrieved')
   );
 });
 
@@ -884,12 +941,23 @@ exports.getSupportTickets = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.createSupportTicket = asyncHandler(async (req, res) => {
-  const { subject, description, category, rideId } = req.body;
-
-  // TODO: Create support ticket
+  const { subject, description, category, rideId, paymentId } = req.body;
+
+  const ticket = await SupportService.createTicket({
+    raisedByType: 'User',
+    raisedBy: req.user._id,
+    category,
+    subject,
+    description,
+    rideId,
+    paymentId,
+    attachments: SupportService.toAttachments(req.files),
+  });
 
   res.status(201).json(
-    new ApiResponse(201, null, 'Support ticket created')
+    new ApiResponse(201, {
+      ticket: await SupportService.getForOwner('User', req.user._id, ticket._id),
+    }, 'Support ticket created')
   );
 });
 
@@ -899,8 +967,10 @@ exports.createSupportTicket = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.getSupportTicketDetails = asyncHandler(async (req, res) => {
+  const ticket = await SupportService.getForOwner('User', req.user._id, req.params.ticketId);
+
   res.status(200).json(
-    new ApiResponse(200, { ticket: null }, 'Ticket details retrieved')
+    new ApiResponse(200, { ticket }, 'Ticket details retrieved')
   );
 });
 
@@ -910,8 +980,15 @@ exports.getSupportTicketDetails = asyncHandler(async (req, res) => {
  * @access  Private
  */
 exports.replySupportTicket = asyncHandler(async (req, res) => {
+  await SupportService.replyAsOwner('User', req.user._id, req.params.ticketId, {
+    message: req.body.message,
+    attachments: SupportService.toAttachments(req.files),
+  });
+
   res.status(200).json(
-    new ApiResponse(200, null, 'Reply sent')
+    new ApiResponse(200, {
+      ticket: await SupportService.getForOwner('User', req.user._id, req.params.ticketId),
+    }, 'Reply sent')
   );
 });
 
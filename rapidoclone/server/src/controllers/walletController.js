@@ -8,6 +8,8 @@ const Ride = require('../models/Ride');
 const Payment = require('../models/Payment');
 const asyncHandler = require('../utils/asyncHandler');
 const ApiError = require('../utils/apiError');
+const WalletService = require('../services/walletService');
+const ReferralService = require('../services/referralService');
 const { emitToUser, emitToCaptain } = require('../services/socketService');
 const logger = require('../utils/logger');
 
@@ -533,27 +535,34 @@ exports.verifyTopup = asyncHandler(async (req, res, next) => {
     return next(new AppError('Payment not captured', 400));
   }
 
-  const amount = razorpayPayment.amount / 100;
+  if (razorpayPayment.notes?.type !== 'wallet_topup' || razorpayPayment.notes?.userId !== userId.toString()) {
+    return next(new AppError('Payment does not belong to this wallet topup', 400));
+  }
 
-  // Update wallet balance
-  const wallet = await Wallet.findOneAndUpdate(
-    { owner: userId, ownerType: 'User' },
-    { $inc: { balance: amount } },
-    { new: true }
-  );
+  const amount = razorpayPayment.amount / 100;
 
-  // Notify user
-  emitToUser(userId, 'wallet:topup:success', {
+  // Credited once per gateway payment, however often this is called
+  const { transactions, replayed } = await WalletService.topup({
+    userId,
     amount,
-    balance: wallet.balance,
+    gatewayPaymentId: paymentId,
+    req,
   });
+  const newBalance = transactions[0].balanceAfter;
+
+  if (!replayed) {
+    emitToUser(userId, 'wallet:topup:success', {
+      amount,
+      balance: newBalance,
+    });
+  }
 
   res.status(200).json({
     success: true,
     message: 'Topup successful',
     data: {
       amount,
-      newBalance: wallet.balance,
+      newBalance,
       transactionId: paymentId,
     },
   });
@@ -643,65 +652,46 @@ exports.transferMoney = asyncHandler(async (req, res, next) => {
     return next(new AppError('Transfer would exceed recipient wallet limit', 400));
   }
 
-  // Perform transfer using transaction
-  const session = await Wallet.startSession();
-
-  try {
-    await session.withTransaction(async () => {
-      // Debit sender
-      await Wallet.findByIdAndUpdate(
-        senderWallet._id,
-        { $inc: { balance: -amount } },
-        { session }
-      );
-
-      // Credit recipient
-      await Wallet.findByIdAndUpdate(
-        recipientWallet._id,
-        { $inc: { balance: amount } },
-        { session }
-      );
-    });
-
-    await session.endSession();
-
-    // Get updated balances
-    const updatedSenderWallet = await Wallet.findById(senderWallet._id);
-    const updatedRecipientWallet = await Wallet.findById(recipientWallet._id);
+  // Sender's debit only applies if the balance still covers it
+  const { transactions, replayed } = await WalletService.transfer({
+    fromUserId: userId,
+    toUserId: recipient._id,
+    amount,
+    note,
+    req,
+  });
+  const [sent, received] = transactions;
 
-    // Notify both parties
+  if (!replayed) {
     emitToUser(userId, 'wallet:transfer:sent', {
       amount,
       recipient: `${recipient.firstName} ${recipient.lastName || ''}`.trim(),
-      balance: updatedSenderWallet.balance,
+      balance: sent.balanceAfter,
     });
 
     emitToUser(recipient._id, 'wallet:transfer:received', {
       amount,
       sender: `${req.user.firstName} ${req.user.lastName || ''}`.trim(),
-      balance: updatedRecipientWallet.balance,
+      balance: received.balanceAfter,
       note,
     });
+  }
 
-    res.status(200).json({
-      success: true,
-      message: 'Transfer successful',
-      data: {
-        amount,
-        recipient: {
-          name: `${recipient.firstName} ${recipient.lastName || ''}`.trim(),
-          phone: recipientPhone,
-        },
-        newBalance: updatedSenderWallet.balance,
-        note,
+  res.status(200).json({
+    success: true,
+    message: replayed ? 'Transfer was already made' : 'Transfer successful',
+    data: {
+      replayed,
+      amount,
+      recipient: {
+        name: `${recipient.firstName} ${recipient.lastName || ''}`.trim(),
+        phone: recipientPhone,
       },
-    });
-
-  } catch (error) {
-    await session.endSession();
-    logger.error('Transfer failed:', error);
-    return next(new AppError('Transfer failed', 500));
-  }
+      newBalance: sent.balanceAfter,
+      transactionId: sent._id,
+      note,
+    },
+  });
 });
 
 /**
@@ -753,7 +743,10 @@ exports.payFromWallet = asyncHandler(async (req, res, next) => {
     return next(new AppError('Unauthorized to pay for this ride', 403));
   }
 
-  if (ride.paymentStatus === 'completed') {
+  // A retry of a payment that already went through falls through to the replay below
+  const alreadyPaid = await Payment.exists({ ride: ride._id, method: 'wallet', status: 'completed' });
+
+  if (ride.payment?.status === 'completed' && !alreadyPaid) {
     return next(new AppError('Payment already completed', 400));
   }
 
@@ -768,91 +761,53 @@ exports.payFromWallet = asyncHandler(async (req, res, next) => {
     return next(new AppError('Wallet is not active', 400));
   }
 
-  if (wallet.balance < amount) {
-    return next(new AppError('Insufficient wallet balance', 400));
-  }
-
-  // Perform payment using transaction
-  const session = await Wallet.startSession();
-
-  try {
-    let payment;
-    let updatedWallet;
-
-    await session.withTransaction(async () => {
-      // Debit wallet
-      updatedWallet = await Wallet.findByIdAndUpdate(
-        wallet._id,
-        { $inc: { balance: -amount } },
-        { new: true, session }
-      );
-
-      // Create payment record
-      payment = await Payment.create([{
-        ride: rideId,
-        user: userId,
-        amount,
-        method: 'wallet',
-        status: 'completed',
-      }], { session });
+  // Debited at most once per ride; the balance check is part of the update
+  const { transactions, replayed } = await WalletService.payRideFromWallet(ride, amount, { req });
+  const [debit] = transactions;
 
-      // Update ride
-      await Ride.findByIdAndUpdate(
-        rideId,
-        {
-          paymentStatus: 'completed',
-          paymentId: payment[0]._id,
-        },
-        { session }
-      );
-
-      // Credit captain wallet if exists
-      if (ride.captain) {
-        const captainEarning = Math.round(amount * 0.80); // 80% to captain
-
-        await Wallet.findOneAndUpdate(
-          { owner: ride.captain, ownerType: 'Captain' },
-          { $inc: { balance: captainEarning } },
-          { upsert: true, session }
-        );
-      }
-    });
+  const payment = await Payment.findOneAndUpdate(
+    { ride: ride._id, method: 'wallet' },
+    { $setOnInsert: { user: userId, amount: debit.amount, status: 'completed' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
 
-    await session.endSession();
+  await Ride.updateOne(
+    { _id: ride._id },
+    {
+      'payment.method': 'wallet',
+      'payment.status': 'completed',
+      'payment.transactionId': payment._id.toString(),
+    }
+  );
 
-    // Notify user
+  if (!replayed) {
     emitToUser(userId, 'wallet:payment:success', {
       rideId,
-      amount,
-      balance: updatedWallet.balance,
+      amount: debit.amount,
+      balance: debit.balanceAfter,
     });
 
-    // Notify captain
+    // Earnings were credited to the captain when the ride was completed
     if (ride.captain) {
       emitToCaptain(ride.captain, 'payment:received', {
         rideId,
-        amount,
-        earning: Math.round(amount * 0.80),
+        amount: debit.amount,
+        earning: ride.fare?.captainEarnings,
         method: 'wallet',
       });
     }
-
-    res.status(200).json({
-      success: true,
-      message: 'Payment successful',
-      data: {
-        paymentId: payment[0]._id,
-        rideId,
-        amount,
-        newBalance: updatedWallet.balance,
-      },
-    });
-
-  } catch (error) {
-    await session.endSession();
-    logger.error('Wallet payment failed:', error);
-    return next(new AppError('Payment failed', 500));
   }
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment successful',
+    data: {
+      paymentId: payment._id,
+      rideId,
+      amount: debit.amount,
+      newBalance: debit.balanceAfter,
+    },
+  });
 });
 
 /**
@@ -1088,44 +1043,47 @@ exports.requestWithdrawal = asyncHandler(async (req, res, next) => {
     return next(new AppError('Please add bank details first', 400));
   }
 
-  // Deduct from wallet (withdrawal will be processed manually or via payout API)
-  wallet.balance -= amount;
-  await wallet.save();
-
-  // In production, you would integrate with Razorpay Payouts or similar
-  const withdrawalId = `WD_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-  // Notify captain
-  emitToCaptain(captainId, 'wallet:withdrawal:requested', {
-    withdrawalId,
+  // Held in the payouts account until finance pays it out (or rejects it)
+  const { transactions, replayed } = await WalletService.requestWithdrawal({
+    ownerId: captainId,
     amount,
-    status: 'processing',
+    req,
   });
+  const [withdrawal] = transactions;
+  const withdrawalId = withdrawal._id;
 
-  // Log withdrawal for manual processing
-  logger.info('Withdrawal requested:', {
-    withdrawalId,
-    captainId,
-    amount,
-    bankDetails: {
-      accountNumber: `XXXX${captain.bankDetails.accountNumber.slice(-4)}`,
-      ifscCode: captain.bankDetails.ifscCode,
-      bankName: captain.bankDetails.bankName,
-    },
-  });
+  if (!replayed) {
+    emitToCaptain(captainId, 'wallet:withdrawal:requested', {
+      withdrawalId,
+      amount,
+      status: withdrawal.status,
+    });
+
+    logger.info('Withdrawal requested:', {
+      withdrawalId,
+      captainId,
+      amount,
+      bankDetails: {
+        accountNumber: `XXXX${captain.bankDetails.accountNumber.slice(-4)}`,
+        ifscCode: captain.bankDetails.ifscCode,
+        bankName: captain.bankDetails.bankName,
+      },
+    });
+  }
 
   res.status(201).json({
     success: true,
-    message: 'Withdrawal request submitted',
+    message: replayed ? 'Withdrawal was already requested' : 'Withdrawal request submitted',
     data: {
+      replayed,
       withdrawalId,
-      amount,
-      status: 'processing',
+      amount: withdrawal.amount,
+      status: withdrawal.status,
       bankDetails: {
         accountNumber: `XXXX${captain.bankDetails.accountNumber.slice(-4)}`,
         bankName: captain.bankDetails.bankName,
       },
-      newBalance: wallet.balance,
+      newBalance: withdrawal.balanceAfter,
       estimatedProcessingTime: '1-3 business days',
     },
   });
@@ -1478,25 +1436,24 @@ exports.redeemReward = asyncHandler(async (req, res, next) => {
 /**
  * @desc    Get referral bonus in wallet
  * @route   GET /api/v1/wallet/referral-bonus
- * @access  Private (User)
+ * @access  Private (User/Captain)
  */
 exports.getReferralBonus = asyncHandler(async (req, res, next) => {
-  const userId = req.user._id;
-
-  // Count successful referrals
-  const referralCount = await User.countDocuments({ referredBy: userId });
+  const { ownerId, ownerType } = getOwnerInfo(req);
+  const account = req.user || req.captain;
 
-  // Assuming ₹100 per referral
-  const bonusPerReferral = 100;
-  const totalEarned = referralCount * bonusPerReferral;
+  const summary = await ReferralService.getSummary(ownerId, ownerType);
 
   res.status(200).json({
     success: true,
     data: {
-      totalEarned,
-      referralCount,
-      bonusPerReferral,
-      referralCode: req.user.referralCode,
+      totalEarned: summary.totalEarned,
+      referralCount: summary.totalReferrals,
+      pendingCount: summary.pending,
+      rewardedCount: summary.rewarded,
+      bonusPerReferral: summary.campaign?.referrerReward ?? 0,
+      campaign: summary.campaign,
+      referralCode: account.referralCode,
     },
   });
 });
@@ -1504,32 +1461,25 @@ exports.getReferralBonus = asyncHandler(async (req, res, next) => {
 /**
  * @desc    Get referral bonus history
  * @route   GET /api/v1/wallet/referral-bonus/history
- * @access  Private (User)
+ * @access  Private (User/Captain)
  */
 exports.getReferralBonusHistory = asyncHandler(async (req, res, next) => {
-  const userId = req.user._id;
+  const { ownerId, ownerType } = getOwnerInfo(req);
   const { page = 1, limit = 20 } = req.query;
 
   const skip = (parseInt(page) - 1) * parseInt(limit);
 
-  // Get users referred by this user
-  const [referredUsers, total] = await Promise.all([
-    User.find({ referredBy: userId })
-      .select('firstName lastName createdAt')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit)),
-    User.countDocuments({ referredBy: userId }),
-  ]);
-
-  const bonusPerReferral = 100;
+  const { referrals, total } = await ReferralService.getHistory(ownerId, ownerType, {
+    skip,
+    limit: parseInt(limit),
+  });
 
-  const bonuses = referredUsers.map(user => ({
-    id: user._id,
-    referredUser: `${user.firstName} ${user.lastName || ''}`.trim(),
-    amount: bonusPerReferral,
-    status: 'completed',
-    createdAt: user.createdAt,
+  const bonuses = referrals.map(({ id, referredUser, amount, status, rewardedAt, createdAt }) => ({
+    id,
+    referredUser,
+    amount,
+    status,
+    createdAt: rewardedAt || createdAt,
   }));
 
   res.status(200).json({
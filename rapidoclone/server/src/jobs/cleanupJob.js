@@ -0,0 +1,109 @@
+// src/jobs/cleanupJob.js
+const Captain = require('../models/Captain');
+const Notification = require('../models/Notification');
+const AuditService = require('../services/auditService');
+const ReferralService = require('../services/referralService');
+const SupportService = require('../services/supportService');
+const IncidentService = require('../services/incidentService');
+const logger = require('../utils/logger');
+
+/**
+ * Lift timed captain suspensions whose suspendedUntil has passed
+ * Suspensions without an end date stay until an admin activates the captain.
+ * @returns {Promise<number>} - Captains reinstated
+ */
+const reinstateSuspendedCaptains = async () => {
+  const now = new Date();
+
+  const expired = await Captain.find({
+    status: 'suspended',
+    suspendedUntil: { $lte: now },
+  }).select('statusReason suspendedUntil');
+
+  let reinstated = 0;
+
+  for (const { _id, statusReason, suspendedUntil } of expired) {
+    const result = await Captain.updateOne(
+      { _id, status: 'suspended', suspendedUntil: { $lte: now } },
+      { status: 'approved', $unset: { suspendedUntil: 1, statusReason: 1 } }
+    );
+
+    if (result.modifiedCount === 0) continue;
+    reinstated += 1;
+
+    await AuditService.record({
+      action: 'captain.reinstate',
+      actor: { type: 'System' },
+      entity: { type: 'Captain', id: _id },
+      before: { status: 'suspended', statusReason, suspendedUntil },
+      after: { status: 'approved' },
+      reason: 'Suspension period ended',
+    });
+
+    await Notification.create({
+      recipient: _id,
+      recipientType: 'Captain',
+      type: 'general',
+      category: 'account',
+      title: 'Suspension ended',
+      message: 'Your suspension period is over. You can go online again.',
+      channels: { push: false, inApp: true },
+      metadata: { source: 'automated' },
+    });
+  }
+
+  if (reinstated > 0) {
+    logger.info(`Reinstated ${reinstated} captain(s) after suspension expiry`);
+  }
+
+  return reinstated;
+};
+
+/**
+ * Close referrals whose referee didn't complete a ride in time
+ * @returns {Promise<number>} - Referrals expired
+ */
+const expireReferrals = async () => {
+  const expired = await ReferralService.expireReferrals();
+
+  if (expired > 0) {
+    logger.info(`Expired ${expired} unqualified referral(s)`);
+  }
+
+  return expired;
+};
+
+/**
+ * Flag support tickets that have run past their SLA deadlines
+ * @returns {Promise<{ firstResponse: number, resolution: number }>} - Tickets newly flagged
+ */
+const flagSlaBreaches = async () => {
+  const breaches = await SupportService.markSlaBreaches();
+
+  if (breaches.firstResponse > 0 || breaches.resolution > 0) {
+    logger.warn(`Support SLA breached: ${breaches.firstResponse} awaiting first response, ${breaches.resolution} unresolved`);
+  }
+
+  return breaches;
+};
+
+/**
+ * Escalate SOS incidents that no admin has acknowledged in time
+ * @returns {Promise<number>} - Incidents escalated
+ */
+const escalateIncidents = async () => {
+  const escalated = await IncidentService.escalateOverdue();
+
+  if (escalated > 0) {
+    logger.warn(`Escalated ${escalated} unacknowledged SOS incidents`);
+  }
+
+  return escalated;
+};
+
+module.exports = {
+  reinstateSuspendedCaptains,
+  expireReferrals,
+  flagSlaBreaches,
+  escalateIncidents,
+};
@@ -1,6 +1,16 @@
 // src/jobs/index.js
 const cron = require('node-cron');
 const logger = require('../utils/logger');
+const rideTimeoutJob = require('./rideTimeoutJob');
+const scheduledRideJob = require('./scheduledRideJob');
+const cleanupJob = require('./cleanupJob');
+const notificationJob = require('./notificationJob');
+const SurgeService = require('../services/surgeService');
+const EmailService = require('../services/emailService');
+const DispatchService = require('../services/dispatchService');
+const TripMonitor = require('../services/tripMonitor');
+const CaptainIndex = require('../services/captainIndex');
+const ReportService = require('../services/reportService');
 
 /**
  * Initialize background jobs
@@ -30,16 +40,144 @@ const initializeJobs = async () => {
       }
     });
 
-    // Example: Check and update ride statuses every 5 minutes
+    // Cancel rides nobody accepted within the search timeout (every 10 seconds)
+    cron.schedule('*/10 * * * * *', async () => {
+      try {
+        await rideTimeoutJob.expireSearchingRides();
+      } catch (error) {
+        logger.error('Error in ride search timeout job:', error);
+      }
+    });
+
+    // Offer searching rides to their next wave once the current one timed out (every 5 seconds)
+    cron.schedule('*/5 * * * * *', async () => {
+      try {
+        await DispatchService.advanceDueWaves();
+      } catch (error) {
+        logger.error('Error in dispatch wave job:', error);
+      }
+    });
+
+    // Recompute surge per zone and vehicle type every minute
+    cron.schedule('* * * * *', async () => {
+      try {
+        await SurgeService.refreshSurgeZones();
+      } catch (error) {
+        logger.error('Error in surge refresh job:', error);
+      }
+    });
+
+    // Remind, re-quote and dispatch scheduled rides every minute
+    cron.schedule('* * * * *', async () => {
+      try {
+        await scheduledRideJob.processScheduledRides();
+      } catch (error) {
+        logger.error('Error in scheduled ride job:', error);
+      }
+    });
+
+    // Reassign accepted rides whose captain went silent, every 5 minutes
     cron.schedule('*/5 * * * *', async () => {
       logger.debug('Running ride status check job');
       try {
-        // Add logic to check and update ride statuses
+        await rideTimeoutJob.sweepStaleAssignments();
       } catch (error) {
         logger.error('Error in ride status check job:', error);
       }
     });
 
+    // Lift captain suspensions that have run their course, every 15 minutes
+    cron.schedule('*/15 * * * *', async () => {
+      try {
+        await cleanupJob.reinstateSuspendedCaptains();
+      } catch (error) {
+        logger.error('Error in suspension expiry job:', error);
+      }
+    });
+
+    // Expire referrals whose referee never took a first ride, every hour
+    cron.schedule('30 * * * *', async () => {
+      try {
+        await cleanupJob.expireReferrals();
+      } catch (error) {
+        logger.error('Error in referral expiry job:', error);
+      }
+    });
+
+    // Flag support tickets past their SLA deadlines, every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        await cleanupJob.flagSlaBreaches();
+      } catch (error) {
+        logger.error('Error in support SLA job:', error);
+      }
+    });
+
+    // Escalate unacknowledged SOS incidents, every minute
+    cron.schedule('* * * * *', async () => {
+      try {
+        await cleanupJob.escalateIncidents();
+      } catch (error) {
+        logger.error('Error in SOS escalation job:', error);
+      }
+    });
+
+    // Flag trips whose captain's location went quiet and chase unanswered safety checks, every minute
+    cron.schedule('* * * * *', async () => {
+      try {
+        await TripMonitor.sweepActiveTrips();
+      } catch (error) {
+        logger.error('Error in trip monitor job:', error);
+      }
+    });
+
+    // Write batched captain locations to Mongo, every 5 seconds
+    cron.schedule('*/5 * * * * *', async () => {
+      try {
+        await CaptainIndex.flushLocations();
+      } catch (error) {
+        logger.error('Error in captain location flush job:', error);
+      }
+    });
+
+    // Drop captains whose location went stale from the live index, every minute
+    cron.schedule('* * * * *', async () => {
+      try {
+        await CaptainIndex.pruneStale();
+      } catch (error) {
+        logger.error('Error in captain index prune job:', error);
+      }
+    });
+
+    // Retry queued emails whose next attempt is due, every minute
+    cron.schedule('* * * * *', async () => {
+      try {
+        await EmailService.processQueue();
+      } catch (error) {
+        logger.error('Error in email queue job:', error);
+      }
+    });
+
+    // Email captains last week's earnings, Mondays at 9 AM
+    cron.schedule('0 9 * * 1', async () => {
+      try {
+        const queued = await notificationJob.sendWeeklyEarningsEmails();
+        logger.info(`Queued ${queued} weekly earnings emails`);
+      } catch (error) {
+        logger.error('Error in weekly earnings email job:', error);
+      }
+    }, { timezone: 'Asia/Kolkata' });
+
+    // Email scheduled reports that are due, every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        const sent = await ReportService.runDueReports();
+        if (sent) logger.info(`Sent ${sent} scheduled report(s)`);
+      } catch (error) {
+        logger.error('Error in scheduled report job:', error);
+      }
+    });
+
     // Example: Send reminder notifications
     cron.schedule('*/30 * * * *', async () => {
       logger.debug('Running notification reminder job');
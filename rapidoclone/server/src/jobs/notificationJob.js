@@ -0,0 +1,70 @@
+// src/jobs/notificationJob.js
+const Ride = require('../models/Ride');
+const Captain = require('../models/Captain');
+const IncentiveService = require('../services/incentiveService');
+const { sendEmail } = require('../services/emailService');
+const logger = require('../utils/logger');
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Email each captain who drove last week (Monday to Sunday, local time) a summary of their earnings
+ * Safe to run more than once: each captain gets one summary per week.
+ * @returns {Promise<number>} - Summaries queued
+ */
+const sendWeeklyEarningsEmails = async (now = new Date()) => {
+  const { endsAt: nextMonday } = IncentiveService.periodFor({ period: 'weekly' }, IncentiveService.localClock(now));
+  const to = new Date(nextMonday.getTime() - WEEK_MS);
+  const from = new Date(to.getTime() - WEEK_MS);
+  const { key: week } = IncentiveService.periodFor({ period: 'weekly' }, IncentiveService.localClock(from));
+
+  const totals = await Ride.aggregate([
+    {
+      $match: {
+        status: 'completed',
+        captain: { $ne: null },
+        'timestamps.completed': { $gte: from, $lt: to },
+      },
+    },
+    {
+      $group: {
+        _id: '$captain',
+        earnings: { $sum: { $add: [{ $ifNull: ['$fare.captainEarnings', 0] }, { $ifNull: ['$tip', 0] }] } },
+        tips: { $sum: { $ifNull: ['$tip', 0] } },
+        rides: { $sum: 1 },
+        distance: { $sum: { $ifNull: ['$route.distance', 0] } },
+      },
+    },
+  ]);
+
+  if (!totals.length) return 0;
+
+  const captains = await Captain.find({ _id: { $in: totals.map(({ _id }) => _id) }, email: { $exists: true, $ne: null } })
+    .select('firstName email')
+    .lean();
+  const byId = new Map(captains.map((captain) => [captain._id.toString(), captain]));
+
+  let queued = 0;
+  for (const { _id, ...summary } of totals) {
+    const captain = byId.get(_id.toString());
+    if (!captain) continue;
+
+    try {
+      const message = await sendEmail({
+        to: captain.email,
+        template: 'weekly_earnings',
+        data: { summary: { ...summary, from, to: new Date(to.getTime() - 1) }, name: captain.firstName },
+        dedupeKey: `weekly_earnings:${_id}:${week}`,
+      });
+      if (message) queued += 1;
+    } catch (error) {
+      logger.error(`Weekly earnings email for captain ${_id} not queued: ${error.message}`);
+    }
+  }
+
+  return queued;
+};
+
+module.exports = {
+  sendWeeklyEarningsEmails,
+};
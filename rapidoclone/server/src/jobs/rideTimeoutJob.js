@@ -0,0 +1,135 @@
+// src/jobs/rideTimeoutJob.js
+const Ride = require('../models/Ride');
+const Captain = require('../models/Captain');
+const DispatchService = require('../services/dispatchService');
+const WalletService = require('../services/walletService');
+const { emitToUser, emitToCaptain } = require('../config/socket');
+const logger = require('../utils/logger');
+const { RIDE } = require('../config/constants');
+
+// Each ride is claimed with a conditional update, so several instances can run
+// these sweeps side by side and only one of them acts on a given ride.
+
+/**
+ * Cancel rides that have been searching longer than RIDE.SEARCH_TIMEOUT
+ * Scheduled rides keep searching until jobs/scheduledRideJob gives up on them.
+ * @returns {Promise<number>} - Rides cancelled
+ */
+const expireSearchingRides = async () => {
+  const cutoff = new Date(Date.now() - RIDE.SEARCH_TIMEOUT * 1000);
+
+  const staleRides = await Ride.find({
+    status: 'searching',
+    isScheduled: { $ne: true },
+    'timestamps.requested': { $lte: cutoff },
+  }).select('_id');
+
+  let cancelled = 0;
+
+  for (const { _id } of staleRides) {
+    const ride = await Ride.findOneAndUpdate(
+      { _id, status: 'searching', 'timestamps.requested': { $lte: cutoff } },
+      {
+        status: 'cancelled',
+        cancellation: { by: 'system', reason: 'No captain available' },
+        'timestamps.cancelled': new Date(),
+      },
+      { new: true }
+    );
+
+    if (!ride) continue;
+
+    await DispatchService.cancelDispatch(ride._id.toString(), 'no-captain');
+    await WalletService.releaseRideDues(ride._id);
+
+    emitToUser(ride.user.toString(), 'ride:no-captain', {
+      rideId: ride._id,
+      message: 'No captain available at the moment. Please try again.',
+    });
+
+    cancelled += 1;
+  }
+
+  if (cancelled > 0) {
+    logger.info(`Ride timeout job cancelled ${cancelled} unmatched ride(s)`);
+  }
+
+  return cancelled;
+};
+
+/**
+ * Last time the captain was heard from on this ride
+ */
+const getLastSeen = (ride) => {
+  const lastTrack = ride.tracking?.length ? ride.tracking[ride.tracking.length - 1].timestamp : null;
+  const times = [ride.captain?.lastLocationUpdate, lastTrack, ride.timestamps?.accepted]
+    .filter(Boolean)
+    .map((t) => new Date(t).getTime());
+
+  return times.length ? Math.max(...times) : 0;
+};
+
+/**
+ * Reassign accepted/arriving rides whose captain stopped sending locations
+ * The ride goes back to searching and is dispatched without that captain.
+ * @returns {Promise<number>} - Rides reassigned
+ */
+const sweepStaleAssignments = async () => {
+  const cutoff = Date.now() - RIDE.STALE_ASSIGNMENT_TIMEOUT * 1000;
+
+  const candidates = await Ride.find({
+    status: { $in: ['accepted', 'arriving'] },
+    'timestamps.accepted': { $lte: new Date(cutoff) },
+  })
+    .select('_id status captain timestamps')
+    .slice('tracking', -1)
+    .populate('captain', 'lastLocationUpdate');
+
+  let reassigned = 0;
+
+  for (const stale of candidates) {
+    if (!stale.captain || getLastSeen(stale) > cutoff) continue;
+
+    const captainId = stale.captain._id;
+
+    const ride = await Ride.findOneAndUpdate(
+      { _id: stale._id, status: stale.status, captain: captainId },
+      {
+        status: 'searching',
+        captain: null,
+        'timestamps.requested': new Date(),
+        $unset: { 'timestamps.accepted': 1 },
+      },
+      { new: true }
+    );
+
+    if (!ride) continue;
+
+    await Captain.findByIdAndUpdate(captainId, { isOnRide: false });
+
+    emitToCaptain(captainId.toString(), 'ride:cancelled', {
+      rideId: ride._id,
+      cancelledBy: 'system',
+      reason: 'No location updates received',
+    });
+
+    // The ride itself goes on: the rider stays on the ride screen while it's re-searched
+    emitToUser(ride.user.toString(), 'ride:captain-reassigning', {
+      rideId: ride._id,
+      reason: 'Captain unreachable',
+      message: 'We lost contact with your captain. Searching for another captain...',
+    });
+
+    await DispatchService.redispatch(ride, [captainId.toString()]);
+
+    logger.warn(`Ride ${ride._id} reassigned: captain ${captainId} sent no location since ${new Date(getLastSeen(stale)).toISOString()}`);
+    reassigned += 1;
+  }
+
+  return reassigned;
+};
+
+module.exports = {
+  expireSearchingRides,
+  sweepStaleAssignments,
+};
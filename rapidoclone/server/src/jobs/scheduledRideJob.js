@@ -0,0 +1,285 @@
+// src/jobs/scheduledRideJob.js
+const Ride = require('../models/Ride');
+const Notification = require('../models/Notification');
+const FareCalculator = require('../services/fareCalculator');
+const SurgeService = require('../services/surgeService');
+const CaptainMatcher = require('../services/captainMatcher');
+const DispatchService = require('../services/dispatchService');
+const { emitToUser } = require('../config/socket');
+const logger = require('../utils/logger');
+const { SCHEDULED_RIDE } = require('../config/constants');
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+const formatPickupTime = (date) =>
+  new Date(date).toLocaleTimeString('en-IN', {
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'Asia/Kolkata',
+  });
+
+/**
+ * In-app notification plus a socket event for the rider
+ */
+const notifyRider = async (ride, { type, event, title, message, priority = 'medium', data = {} }) => {
+  try {
+    await Notification.create({
+      recipient: ride.user,
+      recipientType: 'User',
+      type,
+      category: 'ride',
+      priority,
+      title,
+      message,
+      action: { type: 'open_ride' },
+      relatedEntity: { entityType: 'Ride', entityId: ride._id },
+      channels: { push: false, inApp: true },
+      metadata: { source: 'automated', triggeredBy: 'scheduledRideJob' },
+    });
+  } catch (error) {
+    logger.error(`Failed to store notification for ride ${ride._id}:`, error);
+  }
+
+  emitToUser(ride.user.toString(), event, { rideId: ride._id, message, ...data });
+};
+
+/**
+ * Remind riders SCHEDULED_RIDE.REMINDER_BEFORE minutes ahead of pickup
+ * @returns {Promise<number>} - Reminders sent
+ */
+const sendReminders = async () => {
+  const due = await Ride.find({
+    isScheduled: true,
+    status: 'scheduled',
+    scheduledTime: { $lte: minutesFromNow(SCHEDULED_RIDE.REMINDER_BEFORE), $gt: new Date() },
+    'scheduling.reminderSentAt': { $exists: false },
+  }).select('_id');
+
+  let sent = 0;
+
+  for (const { _id } of due) {
+    const ride = await Ride.findOneAndUpdate(
+      { _id, status: 'scheduled', 'scheduling.reminderSentAt': { $exists: false } },
+      { 'scheduling.reminderSentAt': new Date() },
+      { new: true }
+    );
+
+    if (!ride) continue;
+
+    await notifyRider(ride, {
+      type: 'ride_scheduled_reminder',
+      event: 'ride:scheduled-reminder',
+      title: 'Upcoming ride',
+      message: `Your ${ride.vehicleType} ride is scheduled for ${formatPickupTime(ride.scheduledTime)}. We will start finding a captain shortly.`,
+      data: { scheduledTime: ride.scheduledTime },
+    });
+
+    sent += 1;
+  }
+
+  return sent;
+};
+
+/**
+ * Re-quote the fare with the current surge before dispatch
+ * The rider is warned when surge moved since booking.
+ */
+const requoteFare = async (ride) => {
+  const surgeMultiplier = await SurgeService.getSurgeMultiplier(
+    ride.pickup.coordinates.latitude,
+    ride.pickup.coordinates.longitude,
+    ride.vehicleType
+  );
+
+  const previousSurge = ride.surgeMultiplier || 1;
+  const previousTotal = ride.fare.total;
+
+  const fareDetails = await FareCalculator.calculateFare(
+    ride.vehicleType,
+    ride.route.distance,
+    ride.route.duration,
+    surgeMultiplier,
+    { city: ride.city, pickupTime: ride.scheduledTime }
+  );
+
+  // Discounts and carried dues stay as booked
+  const { discount = 0, couponDiscount = 0, previousDues = 0 } = ride.fare;
+  const total = Math.round((Math.max(fareDetails.total - discount - couponDiscount, 0) + previousDues) * 100) / 100;
+
+  ride.surgeMultiplier = surgeMultiplier;
+  Object.assign(ride.fare, {
+    baseFare: fareDetails.baseFare,
+    distanceFare: fareDetails.distanceFare,
+    timeFare: fareDetails.timeFare,
+    surgeFare: fareDetails.surgeFare,
+    nightCharge: fareDetails.nightCharge,
+    bookingFee: fareDetails.bookingFee,
+    total,
+    platformFee: fareDetails.platformFee,
+    captainEarnings: fareDetails.captainEarnings,
+  });
+  await ride.save();
+
+  if (surgeMultiplier !== previousSurge) {
+    await notifyRider(ride, {
+      type: 'fare_updated',
+      event: 'ride:fare-updated',
+      title: 'Fare updated',
+      message: surgeMultiplier > previousSurge
+        ? `Demand is high right now. Your fare changed from ₹${previousTotal} to ₹${total} (${surgeMultiplier}x surge). You can cancel for free before a captain accepts.`
+        : `Good news! Your fare dropped from ₹${previousTotal} to ₹${total}.`,
+      priority: surgeMultiplier > previousSurge ? 'high' : 'medium',
+      data: {
+        previousFare: previousTotal,
+        fare: ride.fare,
+        previousSurge,
+        surgeMultiplier,
+      },
+    });
+  }
+};
+
+/**
+ * Start matching rides SCHEDULED_RIDE.DISPATCH_BEFORE minutes ahead of pickup
+ * @returns {Promise<number>} - Rides activated
+ */
+const activateDueRides = async () => {
+  const due = await Ride.find({
+    isScheduled: true,
+    status: 'scheduled',
+    scheduledTime: { $lte: minutesFromNow(SCHEDULED_RIDE.DISPATCH_BEFORE) },
+  }).select('_id');
+
+  let activated = 0;
+
+  for (const { _id } of due) {
+    const now = new Date();
+    const ride = await Ride.findOneAndUpdate(
+      { _id, status: 'scheduled' },
+      {
+        status: 'searching',
+        'timestamps.requested': now,
+        'scheduling.activatedAt': now,
+      },
+      { new: true }
+    );
+
+    if (!ride) continue;
+
+    try {
+      await requoteFare(ride);
+    } catch (error) {
+      logger.error(`Could not re-quote scheduled ride ${ride._id}, keeping booked fare:`, error);
+    }
+
+    const nearbyCaptains = await CaptainMatcher.findNearbyCaptains(
+      ride.pickup.coordinates,
+      ride.vehicleType,
+      undefined,
+      { userId: ride.user }
+    );
+    await DispatchService.startDispatch(ride, CaptainMatcher.rankCaptains(nearbyCaptains));
+
+    emitToUser(ride.user.toString(), 'ride:searching', {
+      rideId: ride._id,
+      message: 'Finding a captain for your scheduled ride',
+    });
+
+    logger.info(`Scheduled ride ${ride._id} activated for ${ride.scheduledTime.toISOString()}`);
+    activated += 1;
+  }
+
+  return activated;
+};
+
+/**
+ * Keep offering activated rides whose dispatch waves ran out
+ * Captains who already declined are skipped.
+ * @returns {Promise<number>} - Rides re-dispatched
+ */
+const retryExhaustedDispatch = async () => {
+  const searching = await Ride.find({
+    isScheduled: true,
+    status: 'searching',
+    scheduledTime: { $gt: minutesFromNow(SCHEDULED_RIDE.GIVE_UP_BEFORE) },
+  });
+
+  let retried = 0;
+
+  for (const ride of searching) {
+    const state = await DispatchService.getState(ride._id.toString());
+    if (state && state.status === 'dispatching') continue;
+
+    await DispatchService.redispatch(ride, state?.rejectedBy || []);
+    retried += 1;
+  }
+
+  return retried;
+};
+
+/**
+ * Give up on scheduled rides still unmatched close to pickup and tell the rider
+ * @returns {Promise<number>} - Rides cancelled
+ */
+const failUnmatchedRides = async () => {
+  const cutoff = minutesFromNow(SCHEDULED_RIDE.GIVE_UP_BEFORE);
+
+  const unmatched = await Ride.find({
+    isScheduled: true,
+    status: 'searching',
+    scheduledTime: { $lte: cutoff },
+  }).select('_id');
+
+  let failed = 0;
+
+  for (const { _id } of unmatched) {
+    const ride = await Ride.findOneAndUpdate(
+      { _id, status: 'searching' },
+      {
+        status: 'cancelled',
+        cancellation: { by: 'system', reason: 'No captain available for scheduled ride' },
+        'timestamps.cancelled': new Date(),
+      },
+      { new: true }
+    );
+
+    if (!ride) continue;
+
+    await DispatchService.cancelDispatch(ride._id.toString(), 'no-captain');
+
+    await notifyRider(ride, {
+      type: 'ride_cancelled',
+      event: 'ride:no-captain',
+      title: 'No captain found',
+      message: `We couldn't find a captain for your ${formatPickupTime(ride.scheduledTime)} ride. Please book another ride or choose a different vehicle type.`,
+      priority: 'high',
+      data: { scheduledTime: ride.scheduledTime },
+    });
+
+    failed += 1;
+  }
+
+  if (failed > 0) {
+    logger.warn(`Scheduled ride job cancelled ${failed} unmatched ride(s)`);
+  }
+
+  return failed;
+};
+
+/**
+ * Run every scheduled-ride step in order
+ */
+const processScheduledRides = async () => {
+  await sendReminders();
+  await activateDueRides();
+  await failUnmatchedRides();
+  await retryExhaustedDispatch();
+};
+
+module.exports = {
+  processScheduledRides,
+  sendReminders,
+  activateDueRides,
+  retryExhaustedDispatch,
+  failUnmatchedRides,
+};
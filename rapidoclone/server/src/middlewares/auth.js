@@ -1029,11 +1029,15 @@ const userRateLimit = (maxRequests = 100, windowMs = 60000) => {
 
 /**
  * @desc    Socket.io authentication middleware
+ *          Sets socket.user, socket.userType ('user' | 'captain' | 'admin') and socket.userId
  * @usage   io.use(socketAuth)
  */
 const socketAuth = async (socket, next) => {
   try {
-    const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+    const token =
+      socket.handshake.auth?.token ||
+      socket.handshake.headers?.authorization?.split(' ')[1] ||
+      socket.handshake.query?.token;
 
     if (!token) {
       return next(new Error('Authentication token required'));
@@ -1044,22 +1048,36 @@ const socketAuth = async (socket, next) => {
     }
 
     const decoded = verifyToken(token);
+    // Older tokens carry the account kind as `type` instead of `role`
+    const role = decoded.role || decoded.type || 'user';
 
     let entity = null;
     let entityType = null;
 
-    if (decoded.role === 'captain') {
+    if (role === 'captain') {
       entity = await Captain.findById(decoded.id).select('-password -refreshToken');
       entityType = 'captain';
+    } else if (['admin', 'superadmin', 'moderator'].includes(role)) {
+      entity = await Admin.findById(decoded.id).select('-password -refreshToken');
+      entityType = 'admin';
     } else {
       entity = await User.findById(decoded.id).select('-password -refreshToken');
       entityType = 'user';
     }
 
-    if (!entity || !entity.isActive) {
+    if (!entity || entity.isActive === false) {
       return next(new Error('User not found or inactive'));
     }
 
+    // Pending captains may connect to hear about their approval
+    if (entityType === 'captain' && !['pending', 'approved'].includes(entity.status)) {
+      return next(new Error('Captain account is not active'));
+    }
+
+    if (isPasswordChangedAfterToken(entity, decoded.iat)) {
+      return next(new Error('Password recently changed. Please login again'));
+    }
+
     // Attach to socket
     socket.user = entity;
     socket.userType = entityType;
@@ -1068,7 +1086,7 @@ const socketAuth = async (socket, next) => {
 
     next();
   } catch (error) {
-    logger.error('Socket auth error:', error);
+    logger.error('Socket auth error:', error.message);
     next(new Error(error.message || 'Authentication failed'));
   }
 };
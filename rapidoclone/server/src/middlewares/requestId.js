@@ -0,0 +1,18 @@
+// src/middlewares/requestId.js
+const crypto = require('crypto');
+
+const HEADER = 'X-Request-Id';
+const VALID_ID = /^[\w.-]{1,128}$/;
+
+/**
+ * Tag every request with an ID (the caller's X-Request-Id when sane)
+ * and echo it back so client reports can be matched to audit logs.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get(HEADER);
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(HEADER, req.id);
+  next();
+};
+
+module.exports = requestId;
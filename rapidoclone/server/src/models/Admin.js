@@ -41,7 +41,7 @@ const adminSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['super_admin', 'moderator'],
+      enum: ['superadmin', 'admin', 'moderator'],
       default: 'moderator',
     },
     permissions: {
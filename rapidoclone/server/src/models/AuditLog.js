@@ -0,0 +1,78 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // Dotted verb, e.g. 'captain.approve', 'wallet.credit', 'fare_config.update'
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  actor: {
+    type: {
+      type: String,
+      enum: ['Admin', 'User', 'Captain', 'System'],
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'actor.type'
+    },
+    role: String,
+    name: String
+  },
+
+  // What the action was performed on
+  entity: {
+    type: {
+      type: String,
+      required: true
+    },
+    id: mongoose.Schema.Types.ObjectId,
+    label: String // human-readable key, e.g. rideId or coupon code
+  },
+
+  // Only the fields that changed
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+
+  reason: String,
+
+  // Request context (absent for jobs and other system actions)
+  ip: String,
+  userAgent: String,
+  requestId: String,
+
+  metadata: mongoose.Schema.Types.Mixed
+}, { timestamps: { createdAt: true, updatedAt: false }, minimize: false });
+
+auditLogSchema.index({ 'entity.type': 1, 'entity.id': 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Append-only: entries can be created but never changed or removed
+const rejectMutation = function() {
+  throw new Error('Audit log entries are append-only');
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation();
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach((method) => auditLogSchema.pre(method, rejectMutation));
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
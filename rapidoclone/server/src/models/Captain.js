@@ -36,6 +36,16 @@ const captainSchema = new mongoose.Schema({
     enum: ['pending', 'approved', 'rejected', 'suspended'],
     default: 'pending'
   },
+  // Admin review of the account
+  statusReason: String,
+  suspendedUntil: Date,
+  // Kept out of dispatch until then (reliability penalty)
+  dispatchCooldownUntil: Date,
+  approvedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
   isOnline: {
     type: Boolean,
     default: false
@@ -68,32 +78,44 @@ const captainSchema = new mongoose.Schema({
       number: String,
       image: String,
       expiryDate: Date,
-      verified: { type: Boolean, default: false }
+      verified: { type: Boolean, default: false },
+      verifiedAt: Date,
+      rejectionReason: String
     },
     vehicleRC: {
       number: String,
       image: String,
-      verified: { type: Boolean, default: false }
+      verified: { type: Boolean, default: false },
+      verifiedAt: Date,
+      rejectionReason: String
     },
     insurance: {
       number: String,
       image: String,
       expiryDate: Date,
-      verified: { type: Boolean, default: false }
+      verified: { type: Boolean, default: false },
+      verifiedAt: Date,
+      rejectionReason: String
     },
     aadhar: {
       number: String,
       image: String,
-      verified: { type: Boolean, default: false }
+      verified: { type: Boolean, default: false },
+      verifiedAt: Date,
+      rejectionReason: String
     },
     pan: {
       number: String,
       image: String,
-      verified: { type: Boolean, default: false }
+      verified: { type: Boolean, default: false },
+      verifiedAt: Date,
+      rejectionReason: String
     },
     profilePhoto: {
       image: String,
-      verified: { type: Boolean, default: false }
+      verified: { type: Boolean, default: false },
+      verifiedAt: Date,
+      rejectionReason: String
     }
   },
   
@@ -110,6 +132,8 @@ const captainSchema = new mongoose.Schema({
     }
   },
   lastLocationUpdate: Date,
+  onlineSince: Date,
+  lastRideCompletedAt: Date,
   
   // Ratings & Stats
   ratings: {
@@ -136,6 +160,21 @@ const captainSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Wallet'
   },
+
+  referralCode: {
+    type: String,
+    index: true
+  },
+  referredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Captain'
+  },
+  // Device the account signed up from, used by the referral fraud checks
+  deviceId: {
+    type: String,
+    select: false,
+    index: true
+  },
   
   fcmToken: String,
   refreshToken: String
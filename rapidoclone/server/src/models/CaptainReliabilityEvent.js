@@ -0,0 +1,32 @@
+// models/CaptainReliabilityEvent.js
+const mongoose = require('mongoose');
+const { RELIABILITY } = require('../config/constants');
+
+// What happened to a ride offer or an accepted ride, from the captain's side
+const captainReliabilityEventSchema = new mongoose.Schema({
+  captain: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Captain',
+    required: true
+  },
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride'
+  },
+  type: {
+    type: String,
+    enum: ['offer', 'accept', 'reject', 'timeout', 'cancel', 'no_show'],
+    required: true
+  },
+  reason: String,
+  metadata: mongoose.Schema.Types.Mixed
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+captainReliabilityEventSchema.index({ captain: 1, type: 1, createdAt: -1 });
+captainReliabilityEventSchema.index({ ride: 1 });
+captainReliabilityEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RELIABILITY.EVENT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('CaptainReliabilityEvent', captainReliabilityEventSchema);
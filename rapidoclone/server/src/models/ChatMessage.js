@@ -0,0 +1,60 @@
+// models/ChatMessage.js
+const mongoose = require('mongoose');
+const { CHAT } = require('../config/constants');
+
+// One message in a ride's chat between rider and captain
+const chatMessageSchema = new mongoose.Schema({
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  senderType: {
+    type: String,
+    enum: ['User', 'Captain', 'Admin'],
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'senderType',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['text', 'quick_reply'],
+    default: 'text'
+  },
+  quickReply: String,
+  // Stored with phone numbers and links already masked
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: CHAT.MAX_LENGTH
+  },
+  masked: {
+    type: Boolean,
+    default: false
+  },
+  // Id the client gave the message, so a resend after a reconnect isn't stored twice
+  clientId: String,
+  status: {
+    type: String,
+    enum: ['sent', 'delivered', 'read'],
+    default: 'sent'
+  },
+  deliveredAt: Date,
+  readAt: Date
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+chatMessageSchema.index({ ride: 1, createdAt: 1 });
+chatMessageSchema.index(
+  { ride: 1, sender: 1, clientId: 1 },
+  { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } }
+);
+chatMessageSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: CHAT.RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
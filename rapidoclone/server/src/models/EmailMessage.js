@@ -0,0 +1,61 @@
+// models/EmailMessage.js
+const mongoose = require('mongoose');
+const { EMAIL } = require('../config/constants');
+
+const attachmentSchema = new mongoose.Schema({
+  filename: String,
+  content: Buffer,
+  contentType: String
+}, { _id: false });
+
+// An email waiting in, or sent through, the outgoing queue
+const emailMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  html: String,
+  text: String,
+  attachments: [attachmentSchema],
+  template: String,
+  // Notification whose deliveryStatus.email follows this message
+  notification: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification'
+  },
+  // Set for emails that must go out once, e.g. one earnings summary per captain per week
+  dedupeKey: String,
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  providerMessageId: String,
+  lastError: String,
+  sentAt: Date,
+  failedAt: Date
+}, { timestamps: true });
+
+emailMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+emailMessageSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } });
+emailMessageSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: EMAIL.RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('EmailMessage', emailMessageSchema);
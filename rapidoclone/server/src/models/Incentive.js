@@ -0,0 +1,99 @@
+// models/Incentive.js
+const mongoose = require('mongoose');
+
+const HH_MM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Local time window, e.g. weekday mornings { days: [1, 2, 3, 4, 5], start: '08:00', end: '11:00' }
+const timeWindowSchema = new mongoose.Schema({
+  days: [{
+    type: Number,
+    min: 0, // Sunday
+    max: 6
+  }],
+  start: {
+    type: String,
+    match: HH_MM,
+    required: true
+  },
+  end: {
+    type: String,
+    match: HH_MM,
+    required: true
+  }
+}, { _id: false });
+
+// Bonus for captains who hit a ride target, configured by admins
+const incentiveSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // ride_count: complete `target` rides in the period
+  // peak_hour: complete `target` rides inside the time windows
+  // streak: complete `target` rides in a row without rejecting, missing or cancelling one
+  type: {
+    type: String,
+    enum: ['ride_count', 'peak_hour', 'streak'],
+    required: true
+  },
+  target: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  reward: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Progress starts over every day, every week (from Monday), or runs for the whole campaign
+  period: {
+    type: String,
+    enum: ['daily', 'weekly', 'campaign'],
+    default: 'daily'
+  },
+  // How many times one captain can earn it per period
+  maxAwardsPerPeriod: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Only rides matching every condition set here count
+  conditions: {
+    vehicleTypes: [{
+      type: String,
+      enum: ['bike', 'auto', 'cab']
+    }],
+    zones: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Zone'
+    }],
+    timeWindows: [timeWindowSchema]
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, { timestamps: true });
+
+incentiveSchema.index({ isActive: 1, validFrom: 1, validUntil: 1 });
+
+incentiveSchema.pre('validate', function(next) {
+  if (this.type === 'peak_hour' && !this.conditions?.timeWindows?.length) {
+    this.invalidate('conditions.timeWindows', 'Peak hour incentives need at least one time window');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Incentive', incentiveSchema);
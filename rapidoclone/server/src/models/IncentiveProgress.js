@@ -0,0 +1,67 @@
+// models/IncentiveProgress.js
+const mongoose = require('mongoose');
+
+// A captain's progress on one incentive for one period
+const incentiveProgressSchema = new mongoose.Schema({
+  incentive: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incentive',
+    required: true
+  },
+  captain: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Captain',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['ride_count', 'peak_hour', 'streak'],
+    required: true
+  },
+  // e.g. '2026-10-19' (daily), 'W2026-10-19' (week starting that Monday), 'campaign'
+  periodKey: {
+    type: String,
+    required: true
+  },
+  periodEndsAt: Date,
+  // Qualifying rides so far; for streaks, rides in the current unbroken run
+  count: {
+    type: Number,
+    default: 0
+  },
+  rides: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride'
+  }],
+  awardCount: {
+    type: Number,
+    default: 0
+  },
+  awards: [{
+    amount: Number,
+    ride: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ride'
+    },
+    ledgerEntry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerEntry'
+    },
+    awardedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['in_progress', 'achieved'],
+    default: 'in_progress'
+  },
+  lastRideAt: Date
+}, { timestamps: true });
+
+incentiveProgressSchema.index({ incentive: 1, captain: 1, periodKey: 1 }, { unique: true });
+incentiveProgressSchema.index({ captain: 1, type: 1, status: 1 });
+incentiveProgressSchema.index({ captain: 1, awardCount: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('IncentiveProgress', incentiveProgressSchema);
@@ -0,0 +1,119 @@
+// models/Incident.js
+const mongoose = require('mongoose');
+
+// One location fix sent by the rider's or captain's app while an SOS is open
+const trailPointSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['user', 'captain'],
+    required: true
+  },
+  latitude: {
+    type: Number,
+    required: true
+  },
+  longitude: {
+    type: Number,
+    required: true
+  },
+  accuracy: Number,
+  speed: Number,
+  heading: Number,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// An SOS raised during a ride, worked from the admin incident console
+const incidentSchema = new mongoose.Schema({
+  incidentNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true
+  },
+  raisedByType: {
+    type: String,
+    enum: ['User', 'Captain'],
+    required: true
+  },
+  raisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'raisedByType',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  captain: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Captain'
+  },
+  // open until an admin acknowledges it; escalates while it stays open
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+  location: {
+    latitude: Number,
+    longitude: Number,
+    accuracy: Number
+  },
+  trail: [trailPointSchema],
+  // Emergency contacts texted when the SOS was raised
+  contactsNotified: [{
+    name: String,
+    phone: String,
+    status: {
+      type: String,
+      enum: ['sent', 'failed']
+    },
+    error: String,
+    at: Date,
+    _id: false
+  }],
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  escalations: [{
+    level: Number,
+    at: Date,
+    _id: false
+  }],
+  nextEscalationAt: Date,
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  acknowledgedAt: Date,
+  resolution: {
+    outcome: {
+      type: String,
+      enum: ['assisted', 'false_alarm', 'police_involved', 'other']
+    },
+    note: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    at: Date
+  },
+  supportTicket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SupportTicket'
+  }
+}, { timestamps: true });
+
+incidentSchema.index({ status: 1, createdAt: -1 });
+incidentSchema.index({ ride: 1 });
+incidentSchema.index({ status: 1, nextEscalationAt: 1 });
+
+module.exports = mongoose.model('Incident', incidentSchema);
@@ -0,0 +1,102 @@
+// models/LedgerEntry.js
+const mongoose = require('mongoose');
+
+// One leg of a posting: wallets use 'wallet:<walletId>', platform and external
+// accounts use fixed names (see WalletService.ACCOUNTS)
+const postingSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true
+  },
+  wallet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Wallet'
+  },
+  side: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  }
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  // Same key = same movement; a retried request finds the existing entry instead of posting twice
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: [
+      'ride_settlement',
+      'ride_payment',
+      'cancellation_fee',
+      'tip',
+      'transfer',
+      'topup',
+      'withdrawal',
+      'withdrawal_reversal',
+      'payout',
+      'refund',
+      'referral',
+      'incentive',
+      'penalty',
+      'adjustment'
+    ],
+    required: true
+  },
+  postings: {
+    type: [postingSchema],
+    validate: {
+      validator: (postings) => postings.length >= 2,
+      message: 'A ledger entry needs at least two postings'
+    }
+  },
+  reference: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'referenceType'
+  },
+  referenceType: {
+    type: String,
+    enum: ['Ride', 'Payment', 'Transaction']
+  },
+  description: String,
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  metadata: mongoose.Schema.Types.Mixed
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+ledgerEntrySchema.index({ 'postings.account': 1, createdAt: -1 });
+ledgerEntrySchema.index({ reference: 1, kind: 1 });
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+// Debits and credits must cancel out, compared in paise to avoid float drift
+ledgerEntrySchema.pre('validate', function(next) {
+  const net = (this.postings || []).reduce(
+    (sum, { side, amount }) => sum + (side === 'debit' ? toPaise(amount) : -toPaise(amount)),
+    0
+  );
+
+  if (net !== 0) {
+    this.invalidate('postings', `Ledger entry is unbalanced by ${net / 100}`);
+  }
+  next();
+});
+
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be changed once posted'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
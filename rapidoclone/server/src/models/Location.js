@@ -1,5 +1,6 @@
 // models/Location.js
 const mongoose = require('mongoose');
+const { LOCATIONS } = require('../config/constants');
 
 const locationSchema = new mongoose.Schema({
   // Unique identifier for the location
@@ -202,6 +203,32 @@ locationSchema.methods.incrementSearchCount = function() {
   return this.save();
 };
 
+// Static method to count a search for a place, saving its details when given.
+// Places searched often enough become popular in their city.
+locationSchema.statics.recordSearch = async function(placeId, details) {
+  const update = { $inc: { searchCount: 1 } };
+
+  if (details) {
+    Object.assign(update, details, {
+      coordinates: {
+        type: 'Point',
+        coordinates: [details.longitude, details.latitude]
+      }
+    });
+  }
+
+  const location = await this.findOneAndUpdate({ placeId }, update, {
+    new: true,
+    upsert: Boolean(details)
+  });
+
+  if (location && !location.isPopular && location.searchCount >= LOCATIONS.POPULAR_AFTER_SEARCHES) {
+    await this.updateOne({ _id: location._id }, { isPopular: true });
+  }
+
+  return location;
+};
+
 // Pre-save middleware to sync coordinates
 locationSchema.pre('save', function(next) {
   if (this.latitude && this.longitude) {
@@ -29,6 +29,7 @@ const notificationSchema = new mongoose.Schema({
       'ride_started',
       'ride_completed',
       'ride_scheduled_reminder',
+      'fare_updated',
       
       // Payment related
       'payment_successful',
@@ -71,14 +72,18 @@ const notificationSchema = new mongoose.Schema({
       // Safety
       'sos_alert',
       'safety_tip',
-      'emergency_contact_notified'
+      'emergency_contact_notified',
+      'safety_check',
+
+      // Support
+      'support_update'
     ]
   },
   
   // Notification category for grouping
   category: {
     type: String,
-    enum: ['ride', 'payment', 'promotion', 'account', 'rating', 'system', 'safety'],
+    enum: ['ride', 'payment', 'promotion', 'account', 'rating', 'system', 'safety', 'support'],
     required: true
   },
   
@@ -148,7 +153,7 @@ const notificationSchema = new mongoose.Schema({
   relatedEntity: {
     entityType: {
       type: String,
-      enum: ['Ride', 'Payment', 'Coupon', 'User', 'Captain', 'Transaction']
+      enum: ['Ride', 'Payment', 'Coupon', 'User', 'Captain', 'Transaction', 'SupportTicket']
     },
     entityId: mongoose.Schema.Types.ObjectId
   },
@@ -0,0 +1,79 @@
+// models/Referral.js
+const mongoose = require('mongoose');
+
+// One referee signing up with someone's code, and the rewards it earned
+const referralSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReferralCampaign',
+    required: true
+  },
+  referrerType: {
+    type: String,
+    enum: ['User', 'Captain'],
+    required: true
+  },
+  referrer: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'referrerType',
+    required: true
+  },
+  refereeType: {
+    type: String,
+    enum: ['User', 'Captain'],
+    required: true
+  },
+  referee: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'refereeType',
+    required: true
+  },
+  code: String,
+  // pending until the referee's first completed ride, then rewarded;
+  // expired if that doesn't happen by qualifyBy; rejected by the fraud checks or an admin
+  status: {
+    type: String,
+    enum: ['pending', 'rewarded', 'expired', 'rejected'],
+    default: 'pending'
+  },
+  // Reward terms copied from the campaign when the code was applied
+  referrerReward: {
+    type: Number,
+    required: true
+  },
+  refereeReward: {
+    type: Number,
+    default: 0
+  },
+  qualifyBy: Date,
+  deviceId: String,
+  fraudFlags: [{
+    type: String,
+    enum: ['same_device', 'device_reused', 'phone_prefix', 'referral_loop']
+  }],
+  review: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    note: String,
+    at: Date
+  },
+  qualifyingRide: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride'
+  },
+  ledgerEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+  rewardedAt: Date
+}, { timestamps: true });
+
+referralSchema.index({ referee: 1, refereeType: 1 }, { unique: true });
+referralSchema.index({ referrer: 1, referrerType: 1, createdAt: -1 });
+referralSchema.index({ campaign: 1, referrer: 1 });
+referralSchema.index({ deviceId: 1 });
+referralSchema.index({ status: 1, qualifyBy: 1 });
+
+module.exports = mongoose.model('Referral', referralSchema);
@@ -0,0 +1,56 @@
+// models/ReferralCampaign.js
+const mongoose = require('mongoose');
+
+// Reward terms for referrals made while the campaign runs
+const referralCampaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // Who refers whom: riders refer riders, captains refer captains
+  audience: {
+    type: String,
+    enum: ['User', 'Captain'],
+    required: true
+  },
+  referrerReward: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  refereeReward: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Referee has this many days from signing up to complete a first ride
+  qualifyWithinDays: {
+    type: Number,
+    default: 30,
+    min: 1
+  },
+  // Per referrer, over the whole campaign; empty means no limit
+  maxReferrals: {
+    type: Number,
+    min: 1
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, { timestamps: true });
+
+referralCampaignSchema.index({ audience: 1, isActive: 1, validFrom: -1 });
+
+module.exports = mongoose.model('ReferralCampaign', referralCampaignSchema);
@@ -40,6 +40,13 @@ const rideSchema = new mongoose.Schema({
     }
   },
   
+  // City the ride was booked in (used for tariffs)
+  city: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  
   // Route
   route: {
     distance: Number, // in kilometers
@@ -51,6 +58,7 @@ const rideSchema = new mongoose.Schema({
   status: {
     type: String,
     enum: [
+      'scheduled',      // Booked for later, not yet dispatched
       'searching',      // Looking for captain
       'accepted',       // Captain accepted
       'arriving',       // Captain on the way
@@ -68,11 +76,58 @@ const rideSchema = new mongoose.Schema({
     distanceFare: Number,
     timeFare: Number,
     surgeFare: Number,
+    nightCharge: Number,
+    bookingFee: Number,
     discount: Number,
     couponDiscount: Number,
+    waitingCharges: Number, // at pickup beyond the free minutes, added at completion
+    tollCharges: Number,    // entered by the captain at completion, paid to them in full
     total: Number,
     platformFee: Number,
-    captainEarnings: Number
+    captainEarnings: Number,
+    previousDues: Number // unpaid cancellation fees carried into this fare
+  },
+
+  // How the final fare was worked out at completion, kept for disputes
+  fareBreakdown: {
+    policy: { type: String, enum: ['quoted', 'recalculated'] },
+    reason: { type: String, enum: ['within_tolerance', 'route_deviated', 'trail_unreliable'] },
+    maxDeviationPercent: Number,
+    quoted: {
+      distance: Number, // km
+      duration: Number, // minutes
+      fare: mongoose.Schema.Types.Mixed // Ride.fare as booked
+    },
+    actual: {
+      distance: Number, // km driven according to the GPS trail
+      duration: Number, // minutes from start to completion
+      fixes: Number,
+      keptFixes: Number,
+      discardedFixes: Number,
+      gaps: Number,
+      gapDistance: Number, // km estimated across gaps in the trail
+      coveragePercent: Number,
+      reliable: Boolean
+    },
+    deviationPercent: {
+      distance: Number,
+      duration: Number
+    },
+    waiting: {
+      minutes: Number,
+      freeMinutes: Number,
+      chargeableMinutes: Number,
+      ratePerMinute: Number,
+      charge: Number
+    },
+    tollCharges: Number,
+    finalizedAt: Date
+  },
+
+  // Added by the rider after the ride; goes to the captain in full
+  tip: {
+    type: Number,
+    default: 0
   },
   
   // Payment
@@ -86,7 +141,8 @@ const rideSchema = new mongoose.Schema({
       enum: ['pending', 'completed', 'failed', 'refunded'],
       default: 'pending'
     },
-    transactionId: String
+    transactionId: String,
+    refundedAmount: { type: Number, default: 0 }
   },
   
   // Timestamps
@@ -107,9 +163,12 @@ const rideSchema = new mongoose.Schema({
   
   // Cancellation
   cancellation: {
-    by: { type: String, enum: ['user', 'captain', 'system'] },
+    by: { type: String, enum: ['user', 'captain', 'system', 'admin'] },
     reason: String,
-    fee: Number
+    fee: Number,
+    feeStatus: { type: String, enum: ['collected', 'due'] },
+    captainCompensation: Number,
+    noShow: { type: Boolean, default: false } // captain gave up waiting for the rider at pickup
   },
   
   // Ratings
@@ -131,6 +190,32 @@ const rideSchema = new mongoose.Schema({
     timestamp: Date
   }],
   
+  // Raised by the trip monitor while the ride was in progress
+  safetyAlerts: [{
+    type: {
+      type: String,
+      enum: ['off_route', 'unexpected_stop', 'gps_dark']
+    },
+    raisedAt: Date,
+    location: {
+      latitude: Number,
+      longitude: Number
+    },
+    distanceFromRoute: Number, // meters, off_route only
+    minutes: Number,           // how long the trip had been off route, stopped or silent
+    clearedAt: Date,           // trip back to normal
+    riderResponse: {
+      type: String,
+      enum: ['safe', 'unsafe']
+    },
+    respondedAt: Date,
+    unansweredAlertedAt: Date,
+    incident: { type: mongoose.Schema.Types.ObjectId, ref: 'Incident' }
+  }],
+
+  // Trip monitor progress while the ride is in progress (services/tripMonitor)
+  monitor: mongoose.Schema.Types.Mixed,
+
   // Applied coupon
   coupon: {
     type: mongoose.Schema.Types.ObjectId,
@@ -148,7 +233,42 @@ const rideSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  scheduledTime: Date
+  scheduledTime: Date,
+  scheduling: {
+    reminderSentAt: Date,
+    activatedAt: Date
+  },
+
+  // Sequential dispatch progress (services/dispatchService); captain ids kept as strings
+  dispatch: {
+    status: {
+      type: String,
+      enum: ['dispatching', 'exhausted', 'accepted', 'cancelled']
+    },
+    wave: Number,
+    closedWave: Number,      // last wave claimed for closing, so it's closed only once
+    candidates: [{
+      _id: false,
+      captainId: String,
+      distance: Number,
+      eta: Number,
+      score: Number
+    }],
+    offeredTo: [String],
+    currentWave: [String],
+    rejectedBy: [String],
+    excludedIds: [String],
+    waveExpiresAt: Date,
+    acceptedBy: String,
+    startedAt: Date
+  },
+
+  // Support notes added from the admin panel
+  adminNotes: [{
+    note: String,
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    addedAt: { type: Date, default: Date.now }
+  }]
   
 }, { timestamps: true });
 
@@ -156,6 +276,8 @@ const rideSchema = new mongoose.Schema({
 rideSchema.index({ user: 1, createdAt: -1 });
 rideSchema.index({ captain: 1, createdAt: -1 });
 rideSchema.index({ status: 1 });
+rideSchema.index({ isScheduled: 1, status: 1, scheduledTime: 1 });
+rideSchema.index({ status: 1, 'dispatch.waveExpiresAt': 1 });
 rideSchema.index({ 'pickup.coordinates': '2dsphere' });
 
 module.exports = mongoose.model('Ride', rideSchema);
\ No newline at end of file
@@ -0,0 +1,60 @@
+// src/models/ScheduledReport.js
+const mongoose = require('mongoose');
+
+// A report export emailed to its recipients on a schedule
+const scheduledReportSchema = new mongoose.Schema(
+  {
+    reportType: {
+      type: String,
+      required: [true, 'Please provide report type'],
+    },
+    format: {
+      type: String,
+      enum: ['csv', 'json'],
+      default: 'csv',
+    },
+    schedule: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly'],
+      required: [true, 'Please provide schedule'],
+    },
+    recipients: {
+      type: [{
+        type: String,
+        lowercase: true,
+        trim: true,
+        match: [
+          /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+          'Please provide valid recipient emails',
+        ],
+      }],
+      validate: [(recipients) => recipients.length > 0, 'Please provide at least one recipient'],
+    },
+    // Same filters as a one-off export of this report type
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+    nextRunAt: {
+      type: Date,
+      required: true,
+    },
+    // End of the period the last run covered; the next run starts from here
+    lastRunAt: Date,
+    lastRowCount: Number,
+    lastError: String,
+  },
+  { timestamps: true }
+);
+
+scheduledReportSchema.index({ isActive: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('ScheduledReport', scheduledReportSchema);
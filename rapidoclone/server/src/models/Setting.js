@@ -0,0 +1,37 @@
+// models/Setting.js
+const mongoose = require('mongoose');
+
+// One document per settings group (e.g. 'app', 'rides', 'admin_roles')
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, { timestamps: true, minimize: false });
+
+// Stored value for a key, or the fallback when nothing is stored
+settingSchema.statics.getValue = async function(key, fallback = {}) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : fallback;
+};
+
+settingSchema.statics.setValue = function(key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
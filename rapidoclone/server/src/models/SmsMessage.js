@@ -0,0 +1,55 @@
+// models/SmsMessage.js
+const mongoose = require('mongoose');
+const { SMS } = require('../config/constants');
+
+// One try at handing the message to a provider
+const attemptSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  error: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Delivery log for every outgoing text message
+const smsMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
+  },
+  template: String,
+  // Left empty for sensitive templates such as OTPs
+  body: String,
+  // Provider that accepted the message and its id there, used to match status callbacks
+  provider: String,
+  providerMessageId: String,
+  // sent: accepted by a provider; delivered/undelivered/failed come from its status callbacks
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'delivered', 'undelivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: [attemptSchema],
+  errorCode: String,
+  error: String,
+  sentAt: Date,
+  deliveredAt: Date,
+  failedAt: Date
+}, { timestamps: true });
+
+smsMessageSchema.index({ provider: 1, providerMessageId: 1 });
+smsMessageSchema.index({ to: 1, createdAt: -1 });
+smsMessageSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: SMS.RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('SmsMessage', smsMessageSchema);
@@ -0,0 +1,130 @@
+// models/SupportTicket.js
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: String,
+  name: String,
+  mimeType: String,
+  size: Number
+}, { _id: false });
+
+// One entry in the conversation between the customer and support
+const messageSchema = new mongoose.Schema({
+  senderType: {
+    type: String,
+    enum: ['User', 'Captain', 'Admin'],
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'messages.senderType'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 5000
+  },
+  attachments: [attachmentSchema],
+  // Notes between agents, never shown to the customer
+  internal: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// A rider's or captain's request for help, worked by admin agents
+const supportTicketSchema = new mongoose.Schema({
+  ticketNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  raisedByType: {
+    type: String,
+    enum: ['User', 'Captain'],
+    required: true
+  },
+  raisedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'raisedByType',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['ride', 'payment', 'account', 'safety', 'lost_item', 'other'],
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  // What the ticket is about; ride and payment tickets must name one
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Where the ticket came from: the support screen, a ride issue report or an SOS
+  source: {
+    type: String,
+    enum: ['app', 'ride_report', 'sos'],
+    default: 'app'
+  },
+  issueType: String,
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent'],
+    default: 'medium'
+  },
+  // awaiting_customer: support replied and is waiting on the customer
+  status: {
+    type: String,
+    enum: ['open', 'in_progress', 'awaiting_customer', 'resolved', 'closed'],
+    default: 'open'
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  assignedAt: Date,
+  messages: [messageSchema],
+  lastMessageAt: Date,
+  // Deadlines set from the SLA policy when the ticket is opened or its priority changes
+  sla: {
+    firstResponseDue: Date,
+    resolutionDue: Date,
+    firstRespondedAt: Date,
+    firstResponseBreached: {
+      type: Boolean,
+      default: false
+    },
+    resolutionBreached: {
+      type: Boolean,
+      default: false
+    }
+  },
+  resolution: String,
+  resolvedAt: Date,
+  closedAt: Date,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, { timestamps: true });
+
+supportTicketSchema.index({ raisedBy: 1, createdAt: -1 });
+supportTicketSchema.index({ status: 1, priority: 1, createdAt: -1 });
+supportTicketSchema.index({ assignee: 1, status: 1 });
+supportTicketSchema.index({ ride: 1 });
+supportTicketSchema.index({ 'sla.resolutionDue': 1, status: 1 });
+
+module.exports = mongoose.model('SupportTicket', supportTicketSchema);
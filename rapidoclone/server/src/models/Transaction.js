@@ -26,7 +26,11 @@ const transactionSchema = new mongoose.Schema({
       'withdrawal',
       'bonus',
       'referral',
-      'cancellation_fee'
+      'cancellation_fee',
+      'tip',
+      'transfer',
+      'penalty',
+      'adjustment'
     ],
     required: true
   },
@@ -36,15 +40,40 @@ const transactionSchema = new mongoose.Schema({
   },
   referenceType: {
     type: String,
-    enum: ['Ride', 'Payment']
+    enum: ['Ride', 'Payment', 'Transaction']
   },
   description: String,
   status: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
+    enum: ['pending', 'processing', 'completed', 'failed'],
     default: 'completed'
   },
-  balanceAfter: Number
+  balanceAfter: Number,
+
+  // Double-entry posting this statement line belongs to
+  ledgerEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerEntry'
+  },
+
+  // Admin who created the entry (manual credits/debits)
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+
+  // Withdrawals: payout review by finance
+  payout: {
+    reference: String,
+    notes: String,
+    rejectionReason: String,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    reviewedAt: Date,
+    processedAt: Date
+  }
 }, { timestamps: true });
 
+transactionSchema.index({ wallet: 1, createdAt: -1 });
+transactionSchema.index({ category: 1, status: 1 });
+
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
@@ -40,6 +40,13 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set by admins; anything but 'active' also clears isActive
+  accountStatus: {
+    type: String,
+    enum: ['active', 'suspended', 'banned'],
+    default: 'active'
+  },
+  statusReason: String,
   savedLocations: [{
     name: String,
     address: String,
@@ -73,6 +80,12 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Wallet'
   },
+  // Cancellation fees the wallet couldn't cover; added to the next ride's fare
+  outstandingDues: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   savedCards: [{
     id: { type: String, required: true },
     last4: { type: String, required: true },
@@ -99,11 +112,28 @@ const userSchema = new mongoose.Schema({
     average: { type: Number, default: 5 },
     count: { type: Number, default: 0 }
   },
-  referralCode: String,
+  blockedCaptains: [{
+    captain: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Captain'
+    },
+    reason: String,
+    blockedAt: { type: Date, default: Date.now }
+  }],
+  referralCode: {
+    type: String,
+    index: true
+  },
   referredBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Device the account signed up from, used by the referral fraud checks
+  deviceId: {
+    type: String,
+    select: false,
+    index: true
+  },
   fcmToken: String,
   refreshToken: String
 }, { timestamps: true });
@@ -1,11 +1,40 @@
 const mongoose = require('mongoose');
 
+// Per-km rate that applies up to `upToKm` of total trip distance
+const distanceSlabSchema = new mongoose.Schema({
+  upToKm: { type: Number, required: true, min: 0 },
+  perKmRate: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const nightChargesSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: true },
+  startHour: { type: Number, min: 0, max: 23 },
+  endHour: { type: Number, min: 0, max: 23 },
+  multiplier: { type: Number, min: 1 }
+}, { _id: false });
+
+// City-specific overrides; unset fields fall back to the vehicle defaults
+const cityFareSchema = new mongoose.Schema({
+  city: { type: String, required: true, lowercase: true, trim: true },
+  baseFare: { type: Number, min: 0 },
+  baseDistance: { type: Number, min: 0 },
+  perKmRate: { type: Number, min: 0 },
+  perMinuteRate: { type: Number, min: 0 },
+  minimumFare: { type: Number, min: 0 },
+  bookingFee: { type: Number, min: 0 },
+  waitingChargePerMinute: { type: Number, min: 0 },
+  commissionPercentage: { type: Number, min: 0, max: 100 },
+  distanceSlabs: { type: [distanceSlabSchema], default: undefined },
+  nightCharges: nightChargesSchema,
+  isActive: { type: Boolean, default: true }
+}, { _id: false });
+
 const vehicleTypeSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
     unique: true,
-    enum: ['bike', 'auto', 'car', 'premium']
+    enum: ['bike', 'auto', 'cab', 'car', 'premium']
   },
   displayName: { type: String, required: true },
   description: String,
@@ -13,10 +42,15 @@ const vehicleTypeSchema = new mongoose.Schema({
   image: String,
   capacity: { type: Number, required: true, min: 1, max: 6 },
   baseFare: { type: Number, required: true, min: 0 },
+  baseDistance: { type: Number, default: 0, min: 0 }, // km included in base fare
   perKmRate: { type: Number, required: true, min: 0 },
   perMinuteRate: { type: Number, required: true, min: 0 },
   minimumFare: { type: Number, required: true, min: 0 },
   bookingFee: { type: Number, default: 0 },
+  distanceSlabs: [distanceSlabSchema],
+  nightCharges: nightChargesSchema,
+  commissionPercentage: { type: Number, min: 0, max: 100 },
+  cityFares: [cityFareSchema],
   surgeMultiplier: { type: Number, default: 1, min: 1, max: 5 },
   waitingChargePerMinute: { type: Number, default: 0 },
   cancellationFee: { type: Number, default: 0 },
@@ -26,7 +60,17 @@ const vehicleTypeSchema = new mongoose.Schema({
   order: { type: Number, default: 0 }
 }, { timestamps: true });
 
-vehicleTypeSchema.index({ name: 1 });
 vehicleTypeSchema.index({ isActive: 1 });
 
+// Active vehicle types offered in a city (empty availableIn = everywhere)
+vehicleTypeSchema.statics.getActiveForCity = function(city) {
+  return this.find({
+    isActive: true,
+    $or: [
+      { availableIn: { $size: 0 } },
+      { availableIn: city }
+    ]
+  }).sort({ order: 1 });
+};
+
 module.exports = mongoose.model('VehicleType', vehicleTypeSchema);
@@ -26,4 +26,7 @@ const walletSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+// One wallet per account; lets ledger credits upsert the wallet safely
+walletSchema.index({ owner: 1, ownerType: 1 }, { unique: true });
+
 module.exports = mongoose.model('Wallet', walletSchema);
\ No newline at end of file
@@ -0,0 +1,125 @@
+// models/Zone.js
+const mongoose = require('mongoose');
+
+const ZONE_TYPES = ['city', 'service_area', 'airport', 'surge_zone', 'no_pickup'];
+
+const zoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // What the polygon means
+  type: {
+    type: String,
+    enum: ZONE_TYPES,
+    required: true
+  },
+
+  // City id the zone belongs to (e.g. 'bangalore'); a city zone uses its own id
+  city: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  state: String,
+  description: String,
+
+  // GeoJSON boundary, coordinates are [longitude, latitude]
+  boundary: {
+    type: {
+      type: String,
+      enum: ['Polygon', 'MultiPolygon'],
+      required: true
+    },
+    coordinates: {
+      type: Array,
+      required: true
+    }
+  },
+
+  // Display point (defaults to the average of the outer ring)
+  center: {
+    latitude: Number,
+    longitude: Number
+  },
+
+  // Surge zones: highest live multiplier across vehicle types (kept by surgeService)
+  surgeMultiplier: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 5
+  },
+
+  // Surge zones: admin override, wins over the computed value until it expires
+  manualSurge: {
+    multiplier: { type: Number, min: 1, max: 5 },
+    expiresAt: Date,
+    reason: String,
+    setBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+  },
+
+  // City zones: ceiling for computed surge in the city
+  maxSurgeMultiplier: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+
+  // Higher wins when zones of the same type overlap
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+
+}, { timestamps: true });
+
+// Indexes
+zoneSchema.index({ boundary: '2dsphere' });
+zoneSchema.index({ type: 1, city: 1, isActive: 1 });
+
+zoneSchema.pre('save', function(next) {
+  if (this.isModified('boundary') || !this.center?.latitude) {
+    const ring = this.boundary.type === 'MultiPolygon'
+      ? this.boundary.coordinates[0][0]
+      : this.boundary.coordinates[0];
+    const points = ring.slice(0, -1);
+
+    this.center = {
+      latitude: points.reduce((sum, p) => sum + p[1], 0) / points.length,
+      longitude: points.reduce((sum, p) => sum + p[0], 0) / points.length
+    };
+  }
+  next();
+});
+
+// Active zones whose polygon contains the point
+zoneSchema.statics.findContaining = function(latitude, longitude, filter = {}) {
+  return this.find({
+    ...filter,
+    isActive: true,
+    boundary: {
+      $geoIntersects: {
+        $geometry: { type: 'Point', coordinates: [longitude, latitude] }
+      }
+    }
+  }).sort({ priority: -1 });
+};
+
+zoneSchema.statics.ZONE_TYPES = ZONE_TYPES;
+
+module.exports = mongoose.model('Zone', zoneSchema);
@@ -2,7 +2,9 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
-const { protectAdmin, adminRole } = require('../middlewares/auth');
+const { protectAdmin, adminRole, hasPermission } = require('../middlewares/auth');
+const { uploadSupportAttachment } = require('../config/cloudinary');
+const { SUPPORT } = require('../config/constants');
 
 // All routes require admin authentication
 router.use(protectAdmin);
@@ -90,7 +92,7 @@ router.get('/users/:userId', adminController.getUserDetails);
  * @access  Private (Admin)
  * @body    { firstName, lastName, email, phone, isActive }
  */
-router.put('/users/:userId', adminController.updateUser);
+router.put('/users/:userId', hasPermission('manage_users'), adminController.updateUser);
 
 /**
  * @route   PUT /api/v1/admin/users/:userId/status
@@ -98,7 +100,7 @@ router.put('/users/:userId', adminController.updateUser);
  * @access  Private (Admin)
  * @body    { status, reason? }
  */
-router.put('/users/:userId/status', adminController.updateUserStatus);
+router.put('/users/:userId/status', hasPermission('manage_users'), adminController.updateUserStatus);
 
 /**
  * @route   DELETE /api/v1/admin/users/:userId
@@ -136,7 +138,7 @@ router.get('/users/:userId/wallet', adminController.getUserWallet);
  * @access  Private (Admin)
  * @body    { amount, reason }
  */
-router.post('/users/:userId/wallet/credit', adminController.creditUserWallet);
+router.post('/users/:userId/wallet/credit', hasPermission('manage_payments'), adminController.creditUserWallet);
 
 /**
  * @route   POST /api/v1/admin/users/:userId/wallet/debit
@@ -144,7 +146,7 @@ router.post('/users/:userId/wallet/credit', adminController.creditUserWallet);
  * @access  Private (Admin)
  * @body    { amount, reason }
  */
-router.post('/users/:userId/wallet/debit', adminController.debitUserWallet);
+router.post('/users/:userId/wallet/debit', hasPermission('manage_payments'), adminController.debitUserWallet);
 
 // ==========================================
 // CAPTAIN MANAGEMENT
@@ -187,7 +189,7 @@ router.get('/captains/:captainId', adminController.getCaptainDetails);
  * @access  Private (Admin)
  * @body    { firstName, lastName, email, phone }
  */
-router.put('/captains/:captainId', adminController.updateCaptain);
+router.put('/captains/:captainId', hasPermission('manage_captains'), adminController.updateCaptain);
 
 /**
  * @route   PUT /api/v1/admin/captains/:captainId/approve
@@ -195,7 +197,7 @@ router.put('/captains/:captainId', adminController.updateCaptain);
  * @access  Private (Admin)
  * @body    { notes? }
  */
-router.put('/captains/:captainId/approve', adminController.approveCaptain);
+router.put('/captains/:captainId/approve', hasPermission('manage_captains'), adminController.approveCaptain);
 
 /**
  * @route   PUT /api/v1/admin/captains/:captainId/reject
@@ -203,7 +205,7 @@ router.put('/captains/:captainId/approve', adminController.approveCaptain);
  * @access  Private (Admin)
  * @body    { reason }
  */
-router.put('/captains/:captainId/reject', adminController.rejectCaptain);
+router.put('/captains/:captainId/reject', hasPermission('manage_captains'), adminController.rejectCaptain);
 
 /**
  * @route   PUT /api/v1/admin/captains/:captainId/suspend
@@ -211,14 +213,14 @@ router.put('/captains/:captainId/reject', adminController.rejectCaptain);
  * @access  Private (Admin)
  * @body    { reason, duration? }
  */
-router.put('/captains/:captainId/suspend', adminController.suspendCaptain);
+router.put('/captains/:captainId/suspend', hasPermission('manage_captains'), adminController.suspendCaptain);
 
 /**
  * @route   PUT /api/v1/admin/captains/:captainId/activate
  * @desc    Activate captain
  * @access  Private (Admin)
  */
-router.put('/captains/:captainId/activate', adminController.activateCaptain);
+router.put('/captains/:captainId/activate', hasPermission('manage_captains'), adminController.activateCaptain);
 
 /**
  * @route   DELETE /api/v1/admin/captains/:captainId
@@ -239,7 +241,7 @@ router.get('/captains/:captainId/documents', adminController.getCaptainDocuments
  * @desc    Verify captain document
  * @access  Private (Admin)
  */
-router.put('/captains/:captainId/documents/:docType/verify', adminController.verifyCaptainDocument);
+router.put('/captains/:captainId/documents/:docType/verify', hasPermission('manage_captains'), adminController.verifyCaptainDocument);
 
 /**
  * @route   PUT /api/v1/admin/captains/:captainId/documents/:docType/reject
@@ -247,7 +249,7 @@ router.put('/captains/:captainId/documents/:docType/verify', adminController.ver
  * @access  Private (Admin)
  * @body    { reason }
  */
-router.put('/captains/:captainId/documents/:docType/reject', adminController.rejectCaptainDocument);
+router.put('/captains/:captainId/documents/:docType/reject', hasPermission('manage_captains'), adminController.rejectCaptainDocument);
 
 /**
  * @route   GET /api/v1/admin/captains/:captainId/rides
@@ -278,7 +280,7 @@ router.get('/captains/:captainId/wallet', adminController.getCaptainWallet);
  * @access  Private (Admin)
  * @body    { amount, reason, category }
  */
-router.post('/captains/:captainId/wallet/credit', adminController.creditCaptainWallet);
+router.post('/captains/:captainId/wallet/credit', hasPermission('manage_payments'), adminController.creditCaptainWallet);
 
 // ==========================================
 // RIDE MANAGEMENT
@@ -321,7 +323,7 @@ router.get('/rides/:rideId', adminController.getRideDetails);
  * @access  Private (Admin)
  * @body    { status?, fare?, notes? }
  */
-router.put('/rides/:rideId', adminController.updateRide);
+router.put('/rides/:rideId', hasPermission('manage_rides'), adminController.updateRide);
 
 /**
  * @route   PUT /api/v1/admin/rides/:rideId/cancel
@@ -329,7 +331,7 @@ router.put('/rides/:rideId', adminController.updateRide);
  * @access  Private (Admin)
  * @body    { reason }
  */
-router.put('/rides/:rideId/cancel', adminController.cancelRide);
+router.put('/rides/:rideId/cancel', hasPermission('manage_rides'), adminController.cancelRide);
 
 /**
  * @route   PUT /api/v1/admin/rides/:rideId/reassign
@@ -337,7 +339,7 @@ router.put('/rides/:rideId/cancel', adminController.cancelRide);
  * @access  Private (Admin)
  * @body    { captainId }
  */
-router.put('/rides/:rideId/reassign', adminController.reassignRide);
+router.put('/rides/:rideId/reassign', hasPermission('manage_rides'), adminController.reassignRide);
 
 /**
  * @route   PUT /api/v1/admin/rides/:rideId/refund
@@ -345,7 +347,7 @@ router.put('/rides/:rideId/reassign', adminController.reassignRide);
  * @access  Private (Admin)
  * @body    { amount, reason }
  */
-router.put('/rides/:rideId/refund', adminController.processRefund);
+router.put('/rides/:rideId/refund', hasPermission('manage_payments'), adminController.processRefund);
 
 /**
  * @route   GET /api/v1/admin/rides/:rideId/tracking
@@ -409,7 +411,7 @@ router.get('/withdrawals/:withdrawalId', adminController.getWithdrawalDetails);
  * @access  Private (Admin)
  * @body    { transactionReference? }
  */
-router.put('/withdrawals/:withdrawalId/approve', adminController.approveWithdrawal);
+router.put('/withdrawals/:withdrawalId/approve', hasPermission('manage_payments'), adminController.approveWithdrawal);
 
 /**
  * @route   PUT /api/v1/admin/withdrawals/:withdrawalId/reject
@@ -417,7 +419,7 @@ router.put('/withdrawals/:withdrawalId/approve', adminController.approveWithdraw
  * @access  Private (Admin)
  * @body    { reason }
  */
-router.put('/withdrawals/:withdrawalId/reject', adminController.rejectWithdrawal);
+router.put('/withdrawals/:withdrawalId/reject', hasPermission('manage_payments'), adminController.rejectWithdrawal);
 
 /**
  * @route   PUT /api/v1/admin/withdrawals/:withdrawalId/process
@@ -425,7 +427,7 @@ router.put('/withdrawals/:withdrawalId/reject', adminController.rejectWithdrawal
  * @access  Private (Admin)
  * @body    { transactionReference, notes? }
  */
-router.put('/withdrawals/:withdrawalId/process', adminController.processWithdrawal);
+router.put('/withdrawals/:withdrawalId/process', hasPermission('manage_payments'), adminController.processWithdrawal);
 
 // ==========================================
 // COUPON MANAGEMENT
@@ -445,7 +447,7 @@ router.get('/coupons', adminController.getCoupons);
  * @access  Private (Admin)
  * @body    { code, discountType, discountValue, ... }
  */
-router.post('/coupons', adminController.createCoupon);
+router.post('/coupons', hasPermission('manage_coupons'), adminController.createCoupon);
 
 /**
  * @route   GET /api/v1/admin/coupons/:couponId
@@ -460,21 +462,21 @@ router.get('/coupons/:couponId', adminController.getCouponDetails);
  * @access  Private (Admin)
  * @body    { discountValue, validUntil, usageLimit, ... }
  */
-router.put('/coupons/:couponId', adminController.updateCoupon);
+router.put('/coupons/:couponId', hasPermission('manage_coupons'), adminController.updateCoupon);
 
 /**
  * @route   DELETE /api/v1/admin/coupons/:couponId
  * @desc    Delete coupon
  * @access  Private (Admin)
  */
-router.delete('/coupons/:couponId', adminController.deleteCoupon);
+router.delete('/coupons/:couponId', hasPermission('manage_coupons'), adminController.deleteCoupon);
 
 /**
  * @route   PUT /api/v1/admin/coupons/:couponId/toggle
  * @desc    Toggle coupon active status
  * @access  Private (Admin)
  */
-router.put('/coupons/:couponId/toggle', adminController.toggleCoupon);
+router.put('/coupons/:couponId/toggle', hasPermission('manage_coupons'), adminController.toggleCoupon);
 
 /**
  * @route   GET /api/v1/admin/coupons/:couponId/usage
@@ -483,6 +485,76 @@ router.put('/coupons/:couponId/toggle', adminController.toggleCoupon);
  */
 router.get('/coupons/:couponId/usage', adminController.getCouponUsage);
 
+// ==========================================
+// REFERRALS
+// ==========================================
+
+/**
+ * @route   GET /api/v1/admin/referral-campaigns
+ * @desc    Get referral campaigns with referral counts
+ * @access  Private (Admin)
+ * @query   { page, limit, status, audience }
+ */
+router.get('/referral-campaigns', adminController.getReferralCampaigns);
+
+/**
+ * @route   POST /api/v1/admin/referral-campaigns
+ * @desc    Create referral campaign
+ * @access  Private (Admin)
+ * @body    { name, audience, referrerReward, refereeReward, qualifyWithinDays, maxReferrals, validFrom, validUntil }
+ */
+router.post('/referral-campaigns', hasPermission('manage_referrals'), adminController.createReferralCampaign);
+
+/**
+ * @route   PUT /api/v1/admin/referral-campaigns/:campaignId
+ * @desc    Update referral campaign
+ * @access  Private (Admin)
+ */
+router.put('/referral-campaigns/:campaignId', hasPermission('manage_referrals'), adminController.updateReferralCampaign);
+
+/**
+ * @route   GET /api/v1/admin/referrals
+ * @desc    Get referrals
+ * @access  Private (Admin)
+ * @query   { page, limit, status, campaign, type, flagged }
+ */
+router.get('/referrals', adminController.getReferrals);
+
+/**
+ * @route   PUT /api/v1/admin/referrals/:referralId/review
+ * @desc    Approve or reject a referral held back by the fraud checks
+ * @access  Private (Admin)
+ * @body    { decision: 'approve'|'reject', note? }
+ */
+router.put('/referrals/:referralId/review', hasPermission('manage_referrals'), adminController.reviewReferral);
+
+// ==========================================
+// CAPTAIN INCENTIVES
+// ==========================================
+
+/**
+ * @route   GET /api/v1/admin/incentives
+ * @desc    Get captain incentives with participation and payouts
+ * @access  Private (Admin)
+ * @query   { page, limit, status, type }
+ */
+router.get('/incentives', adminController.getIncentives);
+
+/**
+ * @route   POST /api/v1/admin/incentives
+ * @desc    Create captain incentive
+ * @access  Private (Admin)
+ * @body    { title, type, target, reward, period, maxAwardsPerPeriod, conditions, validFrom, validUntil }
+ */
+router.post('/incentives', hasPermission('manage_incentives'), adminController.createIncentive);
+
+/**
+ * @route   PUT /api/v1/admin/incentives/:incentiveId
+ * @desc    Update captain incentive
+ * @access  Private (Admin)
+ */
+router.put('/incentives/:incentiveId', hasPermission('manage_incentives'), adminController.updateIncentive);
+
 // ==========================================
 // FARE & PRICING CONFIGURATION
 // ==========================================
@@ -501,7 +573,7 @@ router.get('/fare-config', adminController.getFareConfig);
  * @access  Private (Admin)
  * @body    { vehicleType, city?, baseFare, perKm, perMinute, ... }
  */
-router.put('/fare-config', adminController.updateFareConfig);
+router.put('/fare-config', hasPermission('manage_pricing'), adminController.updateFareConfig);
 
 /**
  * @route   GET /api/v1/admin/vehicle-types
@@ -516,21 +588,55 @@ router.get('/vehicle-types', adminController.getVehicleTypes);
  * @access  Private (Admin)
  * @body    { code, name, category, capacity, ... }
  */
-router.post('/vehicle-types', adminController.addVehicleType);
+router.post('/vehicle-types', hasPermission('manage_pricing'), adminController.addVehicleType);
 
 /**
  * @route   PUT /api/v1/admin/vehicle-types/:vehicleTypeId
  * @desc    Update vehicle type
  * @access  Private (Admin)
  */
-router.put('/vehicle-types/:vehicleTypeId', adminController.updateVehicleType);
+router.put('/vehicle-types/:vehicleTypeId', hasPermission('manage_pricing'), adminController.updateVehicleType);
 
 /**
  * @route   DELETE /api/v1/admin/vehicle-types/:vehicleTypeId
  * @desc    Delete vehicle type
  * @access  Private (Admin)
  */
-router.delete('/vehicle-types/:vehicleTypeId', adminController.deleteVehicleType);
+router.delete('/vehicle-types/:vehicleTypeId', hasPermission('manage_pricing'), adminController.deleteVehicleType);
+
+// ==========================================
+// ZONES & SERVICE AREAS
+// ==========================================
+
+/**
+ * @route   GET /api/v1/admin/zones
+ * @desc    Get zones
+ * @access  Private (Admin)
+ * @query   { type?, city?, isActive? }
+ */
+router.get('/zones', adminController.getZones);
+
+/**
+ * @route   POST /api/v1/admin/zones
+ * @desc    Create zone (city, service_area, airport, surge_zone, no_pickup)
+ * @access  Private (Admin)
+ * @body    { name, type, city, boundary | polygon, ... }
+ */
+router.post('/zones', hasPermission('manage_pricing'), adminController.createZone);
+
+/**
+ * @route   PUT /api/v1/admin/zones/:zoneId
+ * @desc    Update zone
+ * @access  Private (Admin)
+ */
+router.put('/zones/:zoneId', hasPermission('manage_pricing'), adminController.updateZone);
+
+/**
+ * @route   DELETE /api/v1/admin/zones/:zoneId
+ * @desc    Delete zone
+ * @access  Private (Admin)
+ */
+router.delete('/zones/:zoneId', hasPermission('manage_pricing'), adminController.deleteZone);
 
 // ==========================================
 // SURGE PRICING
@@ -549,7 +655,7 @@ router.get('/surge', adminController.getSurgeSettings);
  * @access  Private (Admin)
  * @body    { enabled, maxMultiplier, ... }
  */
-router.put('/surge', adminController.updateSurgeSettings);
+router.put('/surge', hasPermission('manage_pricing'), adminController.updateSurgeSettings);
 
 /**
  * @route   GET /api/v1/admin/surge/zones
@@ -564,21 +670,21 @@ router.get('/surge/zones', adminController.getSurgeZones);
  * @access  Private (Admin)
  * @body    { name, polygon, multiplier, ... }
  */
-router.post('/surge/zones', adminController.createSurgeZone);
+router.post('/surge/zones', hasPermission('manage_pricing'), adminController.createSurgeZone);
 
 /**
  * @route   PUT /api/v1/admin/surge/zones/:zoneId
  * @desc    Update surge zone
  * @access  Private (Admin)
  */
-router.put('/surge/zones/:zoneId', adminController.updateSurgeZone);
+router.put('/surge/zones/:zoneId', hasPermission('manage_pricing'), adminController.updateSurgeZone);
 
 /**
  * @route   DELETE /api/v1/admin/surge/zones/:zoneId
  * @desc    Delete surge zone
  * @access  Private (Admin)
  */
-router.delete('/surge/zones/:zoneId', adminController.deleteSurgeZone);
+router.delete('/surge/zones/:zoneId', hasPermission('manage_pricing'), adminController.deleteSurgeZone);
 
 /**
  * @route   PUT /api/v1/admin/surge/manual
@@ -586,7 +692,7 @@ router.delete('/surge/zones/:zoneId', adminController.deleteSurgeZone);
  * @access  Private (Admin)
  * @body    { zoneId, multiplier, duration }
  */
-router.put('/surge/manual', adminController.setManualSurge);
+router.put('/surge/manual', hasPermission('manage_pricing'), adminController.setManualSurge);
 
 // ==========================================
 // NOTIFICATIONS
@@ -605,14 +711,14 @@ router.get('/notifications/templates', adminController.getNotificationTemplates)
  * @access  Private (Admin)
  * @body    { name, code, type, title, message, ... }
  */
-router.post('/notifications/templates', adminController.createNotificationTemplate);
+router.post('/notifications/templates', hasPermission('manage_notifications'), adminController.createNotificationTemplate);
 
 /**
  * @route   PUT /api/v1/admin/notifications/templates/:templateId
  * @desc    Update notification template
  * @access  Private (Admin)
  */
-router.put('/notifications/templates/:templateId', adminController.updateNotificationTemplate);
+router.put('/notifications/templates/:templateId', hasPermission('manage_notifications'), adminController.updateNotificationTemplate);
 
 /**
  * @route   POST /api/v1/admin/notifications/send
@@ -620,7 +726,7 @@ router.put('/notifications/templates/:templateId', adminController.updateNotific
  * @access  Private (Admin)
  * @body    { userIds, title, message, data? }
  */
-router.post('/notifications/send', adminController.sendNotification);
+router.post('/notifications/send', hasPermission('manage_notifications'), adminController.sendNotification);
 
 /**
  * @route   POST /api/v1/admin/notifications/broadcast
@@ -628,7 +734,7 @@ router.post('/notifications/send', adminController.sendNotification);
  * @access  Private (Admin)
  * @body    { target: 'users' | 'captains' | 'all', title, message, data? }
  */
-router.post('/notifications/broadcast', adminController.broadcastNotification);
+router.post('/notifications/broadcast', hasPermission('manage_notifications'), adminController.broadcastNotification);
 
 /**
  * @route   GET /api/v1/admin/notifications/history
@@ -688,22 +794,22 @@ router.get('/reports/financial', adminController.getFinancialReports);
  * @access  Private (Admin)
  * @body    { reportType, format, startDate, endDate, filters }
  */
-router.post('/reports/export', adminController.exportReport);
+router.post('/reports/export', hasPermission('view_analytics'), adminController.exportReport);
 
 /**
  * @route   GET /api/v1/admin/reports/scheduled
  * @desc    Get scheduled reports
  * @access  Private (Admin)
  */
-router.get('/reports/scheduled', adminController.getScheduledReports);
+router.get('/reports/scheduled', hasPermission('view_analytics'), adminController.getScheduledReports);
 
 /**
  * @route   POST /api/v1/admin/reports/scheduled
  * @desc    Create scheduled report
  * @access  Private (Admin)
- * @body    { reportType, schedule, recipients, filters }
+ * @body    { reportType, schedule, recipients, format, filters }
  */
-router.post('/reports/scheduled', adminController.createScheduledReport);
+router.post('/reports/scheduled', hasPermission('view_analytics'), adminController.createScheduledReport);
 
 // ==========================================
 // SETTINGS
@@ -722,7 +828,7 @@ router.get('/settings', adminController.getSettings);
  * @access  Private (Admin)
  * @body    { category, settings }
  */
-router.put('/settings', adminController.updateSettings);
+router.put('/settings', hasPermission('manage_settings'), adminController.updateSettings);
 
 /**
  * @route   GET /api/v1/admin/settings/app
@@ -737,7 +843,7 @@ router.get('/settings/app', adminController.getAppConfig);
  * @access  Private (Admin)
  * @body    { appName, logo, colors, features, ... }
  */
-router.put('/settings/app', adminController.updateAppConfig);
+router.put('/settings/app', hasPermission('manage_settings'), adminController.updateAppConfig);
 
 /**
  * @route   GET /api/v1/admin/settings/commission
@@ -752,7 +858,7 @@ router.get('/settings/commission', adminController.getCommissionSettings);
  * @access  Private (Admin)
  * @body    { percentage, vehicleType?, city? }
  */
-router.put('/settings/commission', adminController.updateCommissionSettings);
+router.put('/settings/commission', hasPermission('manage_settings'), adminController.updateCommissionSettings);
 
 // ==========================================
 // SUPPORT & TICKETS
@@ -762,7 +868,7 @@ router.put('/settings/commission', adminController.updateCommissionSettings);
  * @route   GET /api/v1/admin/support/tickets
  * @desc    Get support tickets
  * @access  Private (Admin)
- * @query   { page, limit, status, priority, category }
+ * @query   { page, limit, status, priority, category, source, assignee ('me'|'unassigned'|id), breached, search }
  */
 router.get('/support/tickets', adminController.getSupportTickets);
 
@@ -779,15 +885,20 @@ router.get('/support/tickets/:ticketId', adminController.getTicketDetails);
  * @access  Private (Admin)
  * @body    { status, priority, assignee }
  */
-router.put('/support/tickets/:ticketId', adminController.updateTicket);
+router.put('/support/tickets/:ticketId', hasPermission('manage_support'), adminController.updateTicket);
 
 /**
  * @route   POST /api/v1/admin/support/tickets/:ticketId/reply
  * @desc    Reply to ticket
  * @access  Private (Admin)
- * @body    { message }
+ * @body    { message, internal? } + attachments[]
  */
-router.post('/support/tickets/:ticketId/reply', adminController.replyToTicket);
+router.post(
+  '/support/tickets/:ticketId/reply',
+  hasPermission('manage_support'),
+  uploadSupportAttachment.array('attachments', SUPPORT.MAX_ATTACHMENTS),
+  adminController.replyToTicket
+);
 
 /**
  * @route   PUT /api/v1/admin/support/tickets/:ticketId/close
@@ -795,7 +906,41 @@ router.post('/support/tickets/:ticketId/reply', adminController.replyToTicket);
  * @access  Private (Admin)
  * @body    { resolution }
  */
-router.put('/support/tickets/:ticketId/close', adminController.closeTicket);
+router.put('/support/tickets/:ticketId/close', hasPermission('manage_support'), adminController.closeTicket);
+
+// ==========================================
+// SAFETY INCIDENTS
+// ==========================================
+
+/**
+ * @route   GET /api/v1/admin/incidents
+ * @desc    Get SOS incidents
+ * @access  Private (Admin)
+ * @query   { page, limit, status, escalated, raisedByType, startDate, endDate, search }
+ */
+router.get('/incidents', adminController.getIncidents);
+
+/**
+ * @route   GET /api/v1/admin/incidents/:incidentId
+ * @desc    Get incident details
+ * @access  Private (Admin)
+ */
+router.get('/incidents/:incidentId', adminController.getIncidentDetails);
+
+/**
+ * @route   PUT /api/v1/admin/incidents/:incidentId/acknowledge
+ * @desc    Acknowledge incident
+ * @access  Private (Admin)
+ */
+router.put('/incidents/:incidentId/acknowledge', hasPermission('manage_incidents'), adminController.acknowledgeIncident);
+
+/**
+ * @route   PUT /api/v1/admin/incidents/:incidentId/resolve
+ * @desc    Resolve incident
+ * @access  Private (Admin)
+ * @body    { outcome ('assisted'|'false_alarm'|'police_involved'|'other'), note }
+ */
+router.put('/incidents/:incidentId/resolve', hasPermission('manage_incidents'), adminController.resolveIncident);
 
 // ==========================================
 // ADMIN MANAGEMENT (Super Admin only)
@@ -890,6 +1035,13 @@ router.get('/audit-logs/:logId', adminRole('superadmin'), adminController.getAud
  */
 router.get('/system/health', adminController.getSystemHealth);
 
+/**
+ * @route   GET /api/v1/admin/system/maps
+ * @desc    Get map provider and lookup cache stats
+ * @access  Private (Admin)
+ */
+router.get('/system/maps', adminController.getMapStats);
+
 /**
  * @route   GET /api/v1/admin/system/logs
  * @desc    Get system logs
@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const captainController = require('../controllers/captainController');
 const { protectCaptain } = require('../middlewares/auth');
-const { uploadAvatar, uploadDocument, uploadVehicleImage } = require('../config/cloudinary');
+const { uploadAvatar, uploadDocument, uploadVehicleImage, uploadSupportAttachment } = require('../config/cloudinary');
+const { SUPPORT } = require('../config/constants');
 const {
   validateUpdateProfile,
   validateVehicle,
@@ -134,4 +135,30 @@ router.get('/incentives/active', captainController.getActiveIncentives);
 
 router.get('/incentives/progress', captainController.getIncentiveProgress);
 
+router.get('/incentives/history', captainController.getIncentiveHistory);
+
+router.get('/referral', captainController.getReferralInfo);
+
+router.post('/referral/apply', captainController.applyReferralCode);
+
+router.get('/referral/history', captainController.getReferralHistory);
+
+router.get('/support/tickets', captainController.getSupportTickets);
+
+router.post(
+  '/support/tickets',
+  uploadSupportAttachment.array('attachments', SUPPORT.MAX_ATTACHMENTS),
+  captainController.createSupportTicket
+);
+
+router.get('/support/tickets/:ticketId', captainController.getSupportTicketDetails);
+
+router.post(
+  '/support/tickets/:ticketId/reply',
+  uploadSupportAttachment.array('attachments', SUPPORT.MAX_ATTACHMENTS),
+  captainController.replySupportTicket
+);
+
+router.get('/support/faqs', captainController.getFAQs);
+
 module.exports = router;
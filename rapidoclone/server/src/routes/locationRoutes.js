@@ -12,7 +12,7 @@ const { protect, protectCaptain, protectBoth } = require('../middlewares/auth');
  * @route   GET /api/v1/locations/autocomplete
  * @desc    Search places with autocomplete
  * @access  Private (User/Captain)
- * @query   { input, latitude?, longitude?, radius?, types? }
+ * @query   { input, latitude?, longitude?, radius?, types?, sessionToken? }
  */
 router.get('/autocomplete', protectBoth, locationController.autocomplete);
 
@@ -36,6 +36,7 @@ router.get('/reverse-geocode', protectBoth, locationController.reverseGeocode);
  * @route   GET /api/v1/locations/place-details/:placeId
  * @desc    Get place details by place ID
  * @access  Private (User/Captain)
+ * @query   { sessionToken? }
  */
 router.get('/place-details/:placeId', protectBoth, locationController.getPlaceDetails);
 
@@ -232,7 +233,7 @@ router.put('/saved/work', protect, locationController.setWorkLocation);
  * @route   GET /api/v1/locations/zones
  * @desc    Get all service zones
  * @access  Private (User/Captain)
- * @query   { latitude?, longitude? }
+ * @query   { latitude?, longitude?, type?, city? }
  */
 router.get('/zones', protectBoth, locationController.getZones);
 
@@ -42,8 +42,10 @@ router.post('/captain/arrived/:rideId', protectCaptain, rideController.captainAr
 router.post('/captain/start/:rideId', protectCaptain, validateStartRide, rideController.startRide);
 router.post('/captain/complete/:rideId', protectCaptain, rideController.completeRide);
 router.post('/captain/cancel/:rideId', protectCaptain, validateCancelRide, rideController.captainCancelRide);
+router.post('/captain/no-show/:rideId', protectCaptain, rideController.markNoShow);
 router.put('/captain/location/:rideId', protectCaptain, rideController.updateRideLocation);
 router.post('/captain/rate/:rideId', protectCaptain, rideController.rateCaptainRide);
+router.post('/captain/sos/:rideId', protectCaptain, rideController.captainTriggerSOS);
 router.post('/captain/report/:rideId', protectCaptain, rideController.reportUserIssue);
 router.post('/captain/collect-cash/:rideId', protectCaptain, rideController.collectCash);
 
@@ -75,6 +77,7 @@ router.get('/stats', protect, rideController.getUserRideStats);
 router.get('/:rideId', protectBoth, rideController.getRideDetails);
 router.get('/:rideId/tracking', protect, rideController.getRideTracking);
 router.get('/:rideId/route', protectBoth, rideController.getRideRoute);
+router.get('/:rideId/chat', protectBoth, rideController.getChatHistory);
 router.post('/:rideId/cancel', protect, validateCancelRide, rideController.cancelRide);
 router.post('/:rideId/rate', protect, validateRateRide, rideController.rateRide);
 router.post('/:rideId/tip', protect, rideController.addTip);
@@ -83,6 +86,8 @@ router.post('/:rideId/receipt/email', protect, rideController.emailRideReceipt);
 router.post('/:rideId/share', protect, rideController.shareRide);
 router.delete('/:rideId/share', protect, rideController.stopShareRide);
 router.post('/:rideId/sos', protect, rideController.triggerSOS);
+router.post('/:rideId/sos/location', protectBoth, rideController.updateSOSLocation);
+router.post('/:rideId/safety-check/:alertId', protect, rideController.respondToSafetyCheck);
 router.post('/:rideId/report', protect, rideController.reportRideIssue);
 
 module.exports = router;
\ No newline at end of file
@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
 const { protect } = require('../middlewares/auth');
-const { uploadAvatar } = require('../config/cloudinary');
+const { uploadAvatar, uploadSupportAttachment } = require('../config/cloudinary');
+const { SUPPORT } = require('../config/constants');
 const {
   validateUpdateProfile,
   validateSavedLocation,
@@ -120,11 +121,19 @@ router.delete('/blocked-captains/:captainId', userController.unblockCaptain);
 
 router.get('/support/tickets', userController.getSupportTickets);
 
-router.post('/support/tickets', userController.createSupportTicket);
+router.post(
+  '/support/tickets',
+  uploadSupportAttachment.array('attachments', SUPPORT.MAX_ATTACHMENTS),
+  userController.createSupportTicket
+);
 
 router.get('/support/tickets/:ticketId', userController.getSupportTicketDetails);
 
-router.post('/support/tickets/:ticketId/reply', userController.replySupportTicket);
+router.post(
+  '/support/tickets/:ticketId/reply',
+  uploadSupportAttachment.array('attachments', SUPPORT.MAX_ATTACHMENTS),
+  userController.replySupportTicket
+);
 
 router.get('/support/faqs', userController.getFAQs);
 
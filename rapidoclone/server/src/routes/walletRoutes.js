@@ -44,8 +44,8 @@ router.post('/offers/:offerId/apply', protect, walletController.applyWalletOffer
 router.get('/rewards', protect, walletController.getRewards);
 router.post('/rewards/:rewardId/redeem', protect, walletController.redeemReward);
 
-router.get('/referral-bonus', protect, walletController.getReferralBonus);
-router.get('/referral-bonus/history', protect, walletController.getReferralBonusHistory);
+router.get('/referral-bonus', protectBoth, walletController.getReferralBonus);
+router.get('/referral-bonus/history', protectBoth, walletController.getReferralBonusHistory);
 
 router.get('/limits', protectBoth, walletController.getWalletLimits);
 router.post('/upgrade', protect, walletController.requestWalletUpgrade);
@@ -1,5 +1,8 @@
 // src/routes/webhookRoutes.js
 const express = require('express');
+const SmsService = require('../services/smsService');
+const logger = require('../utils/logger');
+
 const router = express.Router();
 
 /**
@@ -15,13 +18,26 @@ router.post('/razorpay', (req, res) => {
 });
 
 /**
- * Twilio SMS webhook
+ * Twilio SMS status callback
+ * Twilio posts each delivery state change (sent, delivered, undelivered, failed) for messages
+ * sent with TWILIO_STATUS_CALLBACK_URL pointing here.
  */
-router.post('/twilio', (req, res) => {
+router.post('/twilio', async (req, res) => {
   try {
-    // Webhook logic here
+    if (!SmsService.verifyTwilioSignature(req)) {
+      logger.warn('Invalid Twilio webhook signature');
+      return res.status(403).json({ success: false, error: 'Invalid signature' });
+    }
+
+    const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body;
+    await SmsService.recordDeliveryStatus('twilio', MessageSid, MessageStatus, {
+      errorCode: ErrorCode,
+      error: ErrorMessage,
+    });
+
     res.json({ success: true, message: 'Webhook received' });
   } catch (error) {
+    logger.error('Twilio webhook failed:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
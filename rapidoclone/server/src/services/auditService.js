@@ -0,0 +1,110 @@
+// src/services/auditService.js
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+
+// Never copied into an audit entry, even when part of a changed document
+const REDACTED_FIELDS = ['password', 'refreshToken', 'otp', 'resetPasswordToken', 'passwordResetToken'];
+
+const toPlain = (value) => {
+  if (!value) return value;
+  const plain = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : value;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const redact = (value) => {
+  if (!value || typeof value !== 'object') return value;
+  const copy = { ...value };
+  REDACTED_FIELDS.forEach((field) => delete copy[field]);
+  return copy;
+};
+
+/**
+ * Reduce two snapshots to the top-level fields that differ
+ * A missing snapshot (creation or deletion) keeps the other one whole.
+ * @param {object|null} before - State before the change (document or plain object)
+ * @param {object|null} after - State after the change
+ * @returns {{ before: object|null, after: object|null }}
+ */
+const diff = (before, after) => {
+  const prev = redact(toPlain(before)) || null;
+  const next = redact(toPlain(after)) || null;
+
+  if (!prev || !next) {
+    return { before: prev, after: next };
+  }
+
+  const changes = { before: {}, after: {} };
+  const fields = new Set([...Object.keys(prev), ...Object.keys(next)]);
+
+  fields.forEach((field) => {
+    if (['updatedAt', '__v'].includes(field)) return;
+    if (JSON.stringify(prev[field]) === JSON.stringify(next[field])) return;
+    changes.before[field] = prev[field];
+    changes.after[field] = next[field];
+  });
+
+  return changes;
+};
+
+/**
+ * Who is acting on this request, as stored on the entry
+ * @param {object} [req] - Express request (omit for jobs)
+ */
+const actorFromRequest = (req) => {
+  const admin = req?.admin;
+  if (admin) {
+    return {
+      type: 'Admin',
+      id: admin._id,
+      role: admin.role,
+      name: [admin.firstName, admin.lastName].filter(Boolean).join(' ') || admin.email,
+    };
+  }
+
+  if (req?.captain) return { type: 'Captain', id: req.captain._id };
+  if (req?.user) return { type: 'User', id: req.user._id };
+
+  return { type: 'System' };
+};
+
+/**
+ * Append an audit entry
+ * Failures are logged rather than thrown so the action itself isn't reported as failed
+ * after it has already been applied.
+ * @param {object} entry
+ * @param {string} entry.action - e.g. 'captain.approve'
+ * @param {{ type: string, id?: *, label?: string }} entry.entity - What was acted on
+ * @param {object} [entry.before] - Snapshot before the change
+ * @param {object} [entry.after] - Snapshot after the change
+ * @param {string} [entry.reason] - Reason given by the actor
+ * @param {object} [entry.metadata] - Anything else worth keeping (amounts, references...)
+ * @param {object} [entry.req] - Express request, for actor, IP and request ID
+ * @param {object} [entry.actor] - Explicit actor when there is no request
+ * @returns {Promise<object|null>} - Created entry
+ */
+const record = async ({ action, entity, before, after, reason, metadata, req, actor }) => {
+  try {
+    const hasChanges = before !== undefined || after !== undefined;
+
+    return await AuditLog.create({
+      action,
+      actor: actor || actorFromRequest(req),
+      entity,
+      ...(hasChanges && { changes: diff(before, after) }),
+      reason,
+      ip: req?.ip,
+      userAgent: req?.get?.('User-Agent'),
+      requestId: req?.id,
+      metadata,
+    });
+  } catch (error) {
+    logger.error(`Failed to write audit log for ${action} on ${entity?.type} ${entity?.id}: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  diff,
+  actorFromRequest,
+  record,
+};
@@ -0,0 +1,85 @@
+// src/services/cancellationService.js
+const VehicleType = require('../models/VehicleType');
+const Setting = require('../models/Setting');
+const { RIDE, CANCELLATION } = require('../config/constants');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Fee rules from constants, overridden by the 'rides' setting's `cancellation` group
+ * @returns {Promise<{ freeWindow: number, fees: object, vehicleFees: object, captainSharePercentage: number, noShowWait: number }>}
+ */
+const getPolicy = async () => {
+  const { cancellation = {} } = await Setting.getValue('rides');
+
+  return {
+    freeWindow: cancellation.freeWindow ?? RIDE.CANCELLATION_FREE_TIME,
+    fees: { ...CANCELLATION.FEES, ...cancellation.fees },
+    vehicleFees: { ...CANCELLATION.VEHICLE_FEES, ...cancellation.vehicleFees },
+    captainSharePercentage: cancellation.captainSharePercentage ?? CANCELLATION.CAPTAIN_SHARE_PERCENTAGE,
+    noShowWait: cancellation.noShowWait ?? CANCELLATION.NO_SHOW_WAIT,
+  };
+};
+
+/**
+ * Fee and captain share for cancelling a ride in the given status
+ * Per-vehicle policy fee first, then the vehicle type's flat fee, then the per-status fee.
+ */
+const feeForStatus = async (ride, status, policy) => {
+  let fee = policy.vehicleFees[ride.vehicleType]?.[status];
+
+  if (fee === undefined) {
+    const vehicleType = await VehicleType.findOne({ name: ride.vehicleType }).select('cancellationFee').lean();
+    fee = vehicleType?.cancellationFee > 0 ? vehicleType.cancellationFee : policy.fees[status];
+  }
+
+  fee = round2(fee || 0);
+  return {
+    fee,
+    captainShare: round2((fee * policy.captainSharePercentage) / 100),
+  };
+};
+
+/**
+ * Fee for the rider cancelling the ride now
+ * Nothing is charged before a captain accepts or within the free window after.
+ * @param {object} ride - Ride in its pre-cancellation status
+ * @returns {Promise<{ fee: number, captainShare: number }>}
+ */
+const calculateRiderFee = async (ride, now = new Date()) => {
+  const none = { fee: 0, captainShare: 0 };
+  const policy = await getPolicy();
+
+  if (!ride.captain || policy.fees[ride.status] === undefined || !ride.timestamps?.accepted) {
+    return none;
+  }
+
+  const sinceAccepted = (now - new Date(ride.timestamps.accepted)) / 1000;
+  if (sinceAccepted <= policy.freeWindow) return none;
+
+  return feeForStatus(ride, ride.status, policy);
+};
+
+/**
+ * Fee for a rider who didn't show up at pickup
+ * Charged as a cancellation after arrival, once the captain has waited long enough.
+ * @param {object} ride - Ride in 'arrived' status
+ * @returns {Promise<{ fee: number, captainShare: number, waitUntil: Date }>}
+ *   waitUntil in the future means the captain has to keep waiting
+ */
+const calculateNoShowFee = async (ride, now = new Date()) => {
+  const policy = await getPolicy();
+  const waitUntil = new Date(new Date(ride.timestamps.captainArrived).getTime() + policy.noShowWait * 60 * 1000);
+
+  if (now < waitUntil) {
+    return { fee: 0, captainShare: 0, waitUntil };
+  }
+
+  return { ...(await feeForStatus(ride, 'arrived', policy)), waitUntil };
+};
+
+module.exports = {
+  getPolicy,
+  calculateRiderFee,
+  calculateNoShowFee,
+};
@@ -0,0 +1,455 @@
+// src/services/captainIndex.js
+const Captain = require('../models/Captain');
+const Zone = require('../models/Zone');
+const ZoneService = require('./zoneService');
+const { cache, getClient } = require('../config/redis');
+const logger = require('../utils/logger');
+const { CAPTAIN_INDEX, MATCHING, DEFAULT_TARIFFS } = require('../config/constants');
+
+/**
+ * Live captain locations
+ * Pings go to Redis only: a GEO set per city and vehicle type (captains:geo:<city>:<type>),
+ * a sorted set of last-ping times beside it (captains:seen:<city>:<type>) that expires
+ * captains who stop pinging, and the latest fix under captain:location:<id>. Captains whose
+ * location changed are queued in captains:dirty and written to Mongo in batches by a job.
+ * Without Redis, pings are written straight to Mongo and searches use its 2dsphere index.
+ */
+
+const VEHICLE_TYPES = Object.keys(DEFAULT_TARIFFS);
+// City of captains outside every city zone (or every captain, until cities are drawn)
+const NO_CITY = 'none';
+const BUCKETS_KEY = 'captains:buckets';
+const DIRTY_KEY = 'captains:dirty';
+
+// A bucket is "<city>:<vehicleType>"
+const geoKey = (bucket) => `captains:geo:${bucket}`;
+const seenKey = (bucket) => `captains:seen:${bucket}`;
+const locationKey = (captainId) => `captain:location:${captainId}`;
+
+const staleCutoff = () => Date.now() - MATCHING.LOCATION_STALE_AFTER * 1000;
+
+const toPoint = ({ latitude, longitude } = {}) => {
+  const point = { latitude: Number(latitude), longitude: Number(longitude) };
+  return Number.isFinite(point.latitude) && Number.isFinite(point.longitude) ? point : null;
+};
+
+// Active city boundaries, so placing a ping in its city doesn't query Mongo
+let cityZones = { loadedAt: 0, zones: [] };
+let loadingCities = null;
+
+const getCityZones = () => {
+  if (Date.now() - cityZones.loadedAt < CAPTAIN_INDEX.CITY_REFRESH * 1000) return cityZones.zones;
+
+  if (!loadingCities) {
+    loadingCities = Zone.find({ type: 'city', isActive: true })
+      .select('city boundary')
+      .sort({ priority: -1 })
+      .lean()
+      .then((zones) => {
+        cityZones = { loadedAt: Date.now(), zones };
+        return zones;
+      })
+      .catch((error) => {
+        logger.warn(`City boundaries not reloaded: ${error.message}`);
+        return cityZones.zones;
+      })
+      .finally(() => {
+        loadingCities = null;
+      });
+  }
+
+  return loadingCities;
+};
+
+/**
+ * City id of the zone containing a point, or NO_CITY
+ */
+const cityAt = async ({ latitude, longitude }) => {
+  const zones = await getCityZones();
+  return zones.find((zone) => ZoneService.containsPoint(zone.boundary, latitude, longitude))?.city || NO_CITY;
+};
+
+// MULTI replies are [error, result] pairs; fail on the first error
+const execMulti = async (multi) => {
+  const failed = (await multi.exec()).find(([error]) => error);
+  if (failed) throw failed[0];
+};
+
+const writeToMongo = (captainId, { latitude, longitude }, at) => Captain.updateOne(
+  { _id: captainId },
+  {
+    currentLocation: { type: 'Point', coordinates: [longitude, latitude] },
+    lastLocationUpdate: at,
+  }
+);
+
+/**
+ * Record a captain's location ping
+ * @param {{ _id: object, vehicle?: { type: string } }} captain
+ * @param {{ latitude: number, longitude: number, heading?: number, speed?: number, accuracy?: number }} fix
+ * @returns {Promise<boolean>} - Whether it went to the index (otherwise it was written to Mongo)
+ */
+const updateLocation = async (captain, fix) => {
+  const point = toPoint(fix);
+  if (!point) return false;
+
+  const captainId = captain._id.toString();
+  const vehicleType = captain.vehicle?.type;
+  const client = getClient();
+  const at = new Date();
+
+  if (client && vehicleType) {
+    try {
+      const [previous, city] = await Promise.all([cache.get(locationKey(captainId)), cityAt(point)]);
+      const bucket = `${city}:${vehicleType}`;
+      const multi = client.multi();
+
+      // Crossed into another city: leave the old set
+      if (previous?.bucket && previous.bucket !== bucket) {
+        multi.zrem(geoKey(previous.bucket), captainId).zrem(seenKey(previous.bucket), captainId);
+      }
+
+      multi
+        .geoadd(geoKey(bucket), point.longitude, point.latitude, captainId)
+        .zadd(seenKey(bucket), at.getTime(), captainId)
+        .sadd(BUCKETS_KEY, bucket)
+        .sadd(DIRTY_KEY, captainId)
+        .setex(locationKey(captainId), MATCHING.LOCATION_STALE_AFTER, JSON.stringify({
+          ...point,
+          heading: fix.heading,
+          speed: fix.speed,
+          accuracy: fix.accuracy,
+          isOnline: true,
+          city,
+          vehicleType,
+          bucket,
+          updatedAt: at.toISOString(),
+        }));
+
+      await execMulti(multi);
+      return true;
+    } catch (error) {
+      logger.warn(`Captain ${captainId} location not indexed: ${error.message}`);
+    }
+  }
+
+  await writeToMongo(captainId, point, at);
+  return false;
+};
+
+/**
+ * Take a captain out of the index, e.g. when going offline
+ */
+const remove = async (captainId) => {
+  const client = getClient();
+  if (!client) return;
+
+  const id = captainId.toString();
+
+  try {
+    const previous = await cache.get(locationKey(id));
+    const multi = client.multi().del(locationKey(id));
+
+    if (previous?.bucket) {
+      multi.zrem(geoKey(previous.bucket), id).zrem(seenKey(previous.bucket), id);
+    }
+
+    await execMulti(multi);
+  } catch (error) {
+    logger.warn(`Captain ${id} not removed from the index: ${error.message}`);
+  }
+};
+
+const findNearbyInMongo = async ({ latitude, longitude }, { radius, vehicleTypes, count }) => {
+  const captains = await Captain.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [longitude, latitude] },
+        distanceField: 'distanceMeters',
+        maxDistance: radius,
+        spherical: true,
+        query: {
+          isOnline: true,
+          'vehicle.type': { $in: vehicleTypes },
+          lastLocationUpdate: { $gte: new Date(staleCutoff()) },
+        },
+      },
+    },
+    ...(count ? [{ $limit: count }] : []),
+    { $project: { 'vehicle.type': 1, currentLocation: 1, lastLocationUpdate: 1, distanceMeters: 1 } },
+  ]);
+
+  return captains.map((captain) => ({
+    captainId: captain._id.toString(),
+    vehicleType: captain.vehicle.type,
+    latitude: captain.currentLocation.coordinates[1],
+    longitude: captain.currentLocation.coordinates[0],
+    distanceMeters: captain.distanceMeters,
+    updatedAt: captain.lastLocationUpdate,
+  }));
+};
+
+/**
+ * GEOSEARCH the city's buckets around a point, nearest first
+ * @returns {Promise<{ found: object[], exhausted: boolean }>} - `exhausted` once every captain
+ *   in the radius was read, i.e. no bucket filled `count`
+ */
+const searchIndex = async (client, center, { radius, vehicleTypes, count }) => {
+  const city = await cityAt(center);
+  const cutoff = staleCutoff();
+  const found = [];
+  let exhausted = true;
+
+  for (const vehicleType of vehicleTypes) {
+    const bucket = `${city}:${vehicleType}`;
+    const results = await client.geosearch(
+      geoKey(bucket),
+      'FROMLONLAT', center.longitude, center.latitude,
+      'BYRADIUS', radius, 'm',
+      'ASC',
+      ...(count ? ['COUNT', count] : []),
+      'WITHCOORD', 'WITHDIST'
+    );
+    if (count && results.length >= count) exhausted = false;
+    if (!results.length) continue;
+
+    const seen = await client.zmscore(seenKey(bucket), ...results.map(([captainId]) => captainId));
+
+    results.forEach(([captainId, distance, [longitude, latitude]], i) => {
+      const lastPing = Number(seen[i]);
+      // Expired but not pruned yet
+      if (!seen[i] || lastPing < cutoff) return;
+
+      found.push({
+        captainId,
+        vehicleType,
+        latitude: Number(latitude),
+        longitude: Number(longitude),
+        distanceMeters: Number(distance),
+        updatedAt: new Date(lastPing),
+      });
+    });
+  }
+
+  found.sort((a, b) => a.distanceMeters - b.distanceMeters);
+  return { found, exhausted };
+};
+
+/**
+ * Captains who pinged recently within `radius` of a point, nearest first
+ * Only the city the point is in is searched. Whether a captain is free, approved or in
+ * cooldown isn't known here: use findAvailable for captains who can take a ride.
+ * @param {{ latitude: number, longitude: number }} point
+ * @param {object} [options]
+ * @param {number} [options.radius] - Meters
+ * @param {string[]} [options.vehicleTypes] - Defaults to every vehicle type
+ * @param {number} [options.count] - Most captains returned; every one in the radius when omitted
+ * @returns {Promise<{ captainId: string, vehicleType: string, latitude: number, longitude: number,
+ *   distanceMeters: number, updatedAt: Date }[]>}
+ */
+const findNearby = async (point, { radius = 5000, vehicleTypes = VEHICLE_TYPES, count } = {}) => {
+  const center = toPoint(point);
+  if (!center) return [];
+
+  const client = getClient();
+  if (!client) return findNearbyInMongo(center, { radius, vehicleTypes, count });
+
+  try {
+    const { found } = await searchIndex(client, center, { radius, vehicleTypes, count });
+    return count ? found.slice(0, count) : found;
+  } catch (error) {
+    logger.warn(`Captain index search failed, using Mongo: ${error.message}`);
+    return findNearbyInMongo(center, { radius, vehicleTypes, count });
+  }
+};
+
+// Conditions for a captain who can take a ride
+const AVAILABLE = { isOnline: true, isOnRide: false, status: 'approved' };
+
+/**
+ * Available captains from the index: candidates are checked in Mongo by id, and the search
+ * reads further out (twice the candidates each time) until `limit` pass or the radius runs out
+ */
+const findAvailableInIndex = async (client, center, { radius, vehicleTypes, limit, select, filter }) => {
+  // Captain id to lean captain, or null when not available
+  const checked = new Map();
+  let count = limit && limit * CAPTAIN_INDEX.OVERFETCH;
+
+  for (;;) {
+    const { found, exhausted } = await searchIndex(client, center, { radius, vehicleTypes, count });
+    const unchecked = found.map((entry) => entry.captainId).filter((captainId) => !checked.has(captainId));
+
+    if (unchecked.length) {
+      const captains = await Captain.find({
+        ...filter,
+        _id: { ...filter._id, $in: unchecked },
+        ...AVAILABLE,
+      })
+        .select(select)
+        .lean();
+
+      unchecked.forEach((captainId) => checked.set(captainId, null));
+      captains.forEach((captain) => checked.set(captain._id.toString(), captain));
+    }
+
+    const available = found
+      .filter((entry) => checked.get(entry.captainId))
+      .map((entry) => ({
+        ...checked.get(entry.captainId),
+        currentLocation: { type: 'Point', coordinates: [entry.longitude, entry.latitude] },
+        lastLocationUpdate: entry.updatedAt,
+        distanceMeters: entry.distanceMeters,
+      }));
+
+    if (!limit) return available;
+    if (exhausted || available.length >= limit) return available.slice(0, limit);
+
+    count *= 2;
+  }
+};
+
+/**
+ * Available captains from Mongo's 2dsphere index, filtered inside $geoNear so the limit
+ * applies to captains who can take the ride
+ */
+const findAvailableInMongo = async ({ latitude, longitude }, { radius, vehicleTypes, limit, select, filter }) => {
+  // $geoNear doesn't cast its query, so cast it the way find() would
+  const query = Captain.find({
+    ...filter,
+    ...AVAILABLE,
+    'vehicle.type': { $in: vehicleTypes },
+    lastLocationUpdate: { $gte: new Date(staleCutoff()) },
+  }).cast(Captain);
+  const fields = Object.fromEntries(select.split(/\s+/).filter(Boolean).map((field) => [field, 1]));
+
+  return Captain.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [longitude, latitude] },
+        distanceField: 'distanceMeters',
+        maxDistance: radius,
+        spherical: true,
+        query,
+      },
+    },
+    ...(limit ? [{ $limit: limit }] : []),
+    { $project: { ...fields, currentLocation: 1, lastLocationUpdate: 1, distanceMeters: 1 } },
+  ]);
+};
+
+/**
+ * Nearest captains who can take a ride: online, not on a ride and approved
+ * @param {{ latitude: number, longitude: number }} point
+ * @param {object} [options]
+ * @param {number} [options.radius] - Meters
+ * @param {string[]} [options.vehicleTypes]
+ * @param {number} [options.limit] - Every available captain in the radius when omitted
+ * @param {string} [options.select] - Captain fields to load (space separated, inclusive)
+ * @param {object} [options.filter] - Further Captain conditions
+ * @returns {Promise<object[]>} - Lean captains, nearest first, with distanceMeters and the
+ *   indexed currentLocation and lastLocationUpdate
+ */
+const findAvailable = async (point, {
+  radius = 5000,
+  vehicleTypes = VEHICLE_TYPES,
+  limit,
+  select = 'firstName vehicle ratings',
+  filter = {},
+} = {}) => {
+  const center = toPoint(point);
+  if (!center) return [];
+
+  const options = { radius, vehicleTypes, limit, select, filter };
+  const client = getClient();
+
+  if (client) {
+    try {
+      return await findAvailableInIndex(client, center, options);
+    } catch (error) {
+      logger.warn(`Captain index search failed, using Mongo: ${error.message}`);
+    }
+  }
+
+  return findAvailableInMongo(center, options);
+};
+
+/**
+ * Write queued locations to Captain.currentLocation (run by a job every few seconds)
+ * Ids are popped atomically, so several instances can flush side by side.
+ * @returns {Promise<number>} - Captains written
+ */
+const flushLocations = async () => {
+  const client = getClient();
+  if (!client) return 0;
+
+  let written = 0;
+
+  for (;;) {
+    const ids = await client.spop(DIRTY_KEY, CAPTAIN_INDEX.FLUSH_BATCH);
+    if (!ids.length) break;
+
+    const records = await client.mget(ids.map(locationKey));
+    const operations = records
+      .map((record, i) => record && { captainId: ids[i], ...JSON.parse(record) })
+      .filter(Boolean)
+      .map(({ captainId, latitude, longitude, updatedAt }) => ({
+        updateOne: {
+          // An older ping never overwrites a newer location (e.g. one set on going online)
+          filter: {
+            _id: captainId,
+            $or: [{ lastLocationUpdate: null }, { lastLocationUpdate: { $lt: new Date(updatedAt) } }],
+          },
+          update: {
+            $set: {
+              currentLocation: { type: 'Point', coordinates: [longitude, latitude] },
+              lastLocationUpdate: new Date(updatedAt),
+            },
+          },
+        },
+      }));
+
+    try {
+      if (operations.length) await Captain.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      await client.sadd(DIRTY_KEY, ...ids);
+      throw error;
+    }
+
+    written += operations.length;
+    if (ids.length < CAPTAIN_INDEX.FLUSH_BATCH) break;
+  }
+
+  return written;
+};
+
+/**
+ * Drop captains who stopped pinging from the GEO sets (run by a job every minute)
+ * @returns {Promise<number>} - Captains removed
+ */
+const pruneStale = async () => {
+  const client = getClient();
+  if (!client) return 0;
+
+  const cutoff = staleCutoff();
+  const buckets = await client.smembers(BUCKETS_KEY);
+  let removed = 0;
+
+  for (const bucket of buckets) {
+    const ids = await client.zrangebyscore(seenKey(bucket), '-inf', cutoff);
+    if (!ids.length) continue;
+
+    await execMulti(client.multi().zrem(geoKey(bucket), ...ids).zrem(seenKey(bucket), ...ids));
+    removed += ids.length;
+  }
+
+  return removed;
+};
+
+module.exports = {
+  updateLocation,
+  remove,
+  findNearby,
+  findAvailable,
+  flushLocations,
+  pruneStale,
+};
@@ -0,0 +1,179 @@
+// src/services/captainMatcher.js
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const CaptainIndex = require('./captainIndex');
+const logger = require('../utils/logger');
+const { calculateDistance: haversineDistance } = require('../utils/helpers');
+const { RIDE, MATCHING } = require('../config/constants');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+
+/**
+ * Straight-line distance between two points
+ * @returns {number} - Distance in km
+ */
+const calculateDistance = (lat1, lng1, lat2, lng2) => {
+  return round2(haversineDistance(lat1, lng1, lat2, lng2));
+};
+
+/**
+ * Estimate travel time from a straight-line distance
+ * @param {number} distanceKm - Straight-line distance in km
+ * @param {string} [vehicleType] - Used to pick the average speed
+ * @returns {number} - ETA in minutes (at least 1)
+ */
+const estimateETA = (distanceKm, vehicleType) => {
+  const speed = MATCHING.AVERAGE_SPEED_KMPH[vehicleType] || MATCHING.AVERAGE_SPEED_KMPH.cab;
+  const roadDistance = distanceKm * MATCHING.ROAD_DISTANCE_FACTOR;
+  return Math.max(Math.ceil((roadDistance / speed) * 60), 1);
+};
+
+/**
+ * Estimate travel time between two points
+ * @returns {number} - ETA in minutes
+ */
+const calculateETA = (lat1, lng1, lat2, lng2, vehicleType) => {
+  return estimateETA(haversineDistance(lat1, lng1, lat2, lng2), vehicleType);
+};
+
+/**
+ * Captain IDs the rider has blocked
+ * @param {string} userId - Rider ID
+ * @returns {Promise<string[]>}
+ */
+const getBlockedCaptainIds = async (userId) => {
+  if (!userId) return [];
+
+  const user = await User.findById(userId).select('blockedCaptains').lean();
+  return (user?.blockedCaptains || [])
+    .filter((b) => b.captain)
+    .map((b) => b.captain.toString());
+};
+
+// Captain fields used by ranking and dispatch
+const CANDIDATE_FIELDS = 'firstName lastName phone avatar vehicle ratings stats onlineSince lastRideCompletedAt fcmToken';
+
+/**
+ * One search around the pickup in the live captain index
+ */
+const searchWithinRadius = (pickup, vehicleType, radius, excludeIds, limit) => CaptainIndex.findAvailable(pickup, {
+  radius,
+  vehicleTypes: [vehicleType],
+  limit,
+  select: CANDIDATE_FIELDS,
+  filter: {
+    _id: { $nin: excludeIds },
+    dispatchCooldownUntil: { $not: { $gt: new Date() } },
+  },
+});
+
+/**
+ * Find available captains near a pickup point
+ * Skips captains who are offline, on a ride, not approved, have a stale
+ * location or are blocked by the rider. The radius widens in steps of
+ * MATCHING.RADIUS_STEP until MATCHING.MIN_CAPTAINS are found or maxRadius is hit.
+ * @param {object} pickup - { latitude, longitude }
+ * @param {string} vehicleType - bike | auto | cab
+ * @param {number} [radius] - Initial search radius in meters
+ * @param {object} [options] - { userId, excludeCaptainIds, minCaptains, maxRadius, limit }
+ * @returns {Promise<object[]>} - Captains with distance (km), eta (min) and searchRadius (m)
+ */
+const findNearbyCaptains = async (pickup, vehicleType, radius = RIDE.SEARCH_RADIUS, options = {}) => {
+  const {
+    userId,
+    excludeCaptainIds = [],
+    minCaptains = MATCHING.MIN_CAPTAINS,
+    maxRadius = RIDE.MAX_SEARCH_RADIUS,
+    limit = MATCHING.MAX_CANDIDATES,
+  } = options;
+
+  const blockedIds = await getBlockedCaptainIds(userId);
+  const excludeIds = [...new Set([...blockedIds, ...excludeCaptainIds.map(String)])]
+    .map((id) => new mongoose.Types.ObjectId(id));
+
+  let searchRadius = Math.min(radius, maxRadius);
+  let captains = [];
+
+  try {
+    for (;;) {
+      captains = await searchWithinRadius(pickup, vehicleType, searchRadius, excludeIds, limit);
+
+      if (captains.length >= minCaptains || searchRadius >= maxRadius) break;
+
+      searchRadius = Math.min(searchRadius + MATCHING.RADIUS_STEP, maxRadius);
+    }
+  } catch (error) {
+    logger.error('Error finding nearby captains:', error);
+    return [];
+  }
+
+  logger.debug(
+    `Found ${captains.length} ${vehicleType} captains within ${searchRadius}m of [${pickup.latitude}, ${pickup.longitude}]`
+  );
+
+  return captains.map((captain) => {
+    const distance = round2(captain.distanceMeters / 1000);
+    return {
+      ...captain,
+      distance,
+      eta: estimateETA(distance, vehicleType),
+      searchRadius,
+    };
+  });
+};
+
+/**
+ * Minutes since the captain last finished a ride (or came online)
+ */
+const getIdleMinutes = (captain, now = Date.now()) => {
+  const idleSince = captain.lastRideCompletedAt || captain.onlineSince || captain.lastLocationUpdate;
+  if (!idleSince) return 0;
+  return Math.max((now - new Date(idleSince).getTime()) / 60000, 0);
+};
+
+/**
+ * Score and sort captains for dispatch
+ * Components are normalised to 0..1 and combined with MATCHING.WEIGHTS.
+ * @param {object[]} captains - Output of findNearbyCaptains
+ * @param {object} [weights] - Override MATCHING.WEIGHTS
+ * @returns {object[]} - Captains sorted by score (0-100) with a scoreBreakdown
+ */
+const rankCaptains = (captains, weights = MATCHING.WEIGHTS) => {
+  const now = Date.now();
+
+  return captains
+    .map((captain) => {
+      const idleMinutes = getIdleMinutes(captain, now);
+      const breakdown = {
+        eta: clamp01(1 - (captain.eta || 0) / MATCHING.MAX_ETA_MINUTES),
+        rating: clamp01(((captain.ratings?.average ?? 5) - 1) / 4),
+        acceptance: clamp01((captain.stats?.acceptanceRate ?? 100) / 100),
+        idle: clamp01(idleMinutes / MATCHING.MAX_IDLE_MINUTES),
+      };
+
+      const score = Object.keys(breakdown).reduce(
+        (sum, key) => sum + (weights[key] || 0) * breakdown[key],
+        0
+      );
+
+      return {
+        ...captain,
+        idleMinutes: Math.round(idleMinutes),
+        score: Math.round(score * 1000) / 10,
+        scoreBreakdown: Object.fromEntries(
+          Object.entries(breakdown).map(([key, value]) => [key, round2(value)])
+        ),
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.distance - b.distance);
+};
+
+module.exports = {
+  findNearbyCaptains,
+  rankCaptains,
+  getBlockedCaptainIds,
+  calculateDistance,
+  calculateETA,
+  estimateETA,
+};
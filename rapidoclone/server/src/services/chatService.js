@@ -0,0 +1,217 @@
+// src/services/chatService.js
+const ChatMessage = require('../models/ChatMessage');
+const Ride = require('../models/Ride');
+const ApiError = require('../utils/apiError');
+const { emitToRoom } = require('./socketService');
+const { CHAT } = require('../config/constants');
+
+// Socket and route account kinds to the model names stored on messages
+const ACCOUNT_TYPES = { user: 'User', captain: 'Captain', admin: 'Admin' };
+const OPEN_STATUSES = ['accepted', 'arriving', 'arrived', 'started'];
+
+const QUICK_REPLIES = {
+  Captain: [
+    { key: 'at_pickup', message: "I'm at the pickup point" },
+    { key: 'on_my_way', message: "I'm on my way" },
+    { key: 'in_traffic', message: "I'm stuck in traffic, I'll be there soon" },
+    { key: 'cant_find_you', message: "I can't find you. Please share a landmark" },
+    { key: 'please_wait', message: 'Please wait, arriving in 2 minutes' },
+  ],
+  User: [
+    { key: 'coming', message: "I'm coming" },
+    { key: 'wait_2_min', message: 'Please wait 2 minutes' },
+    { key: 'at_pickup', message: "I'm at the pickup point" },
+    { key: 'where_are_you', message: 'Where are you?' },
+  ],
+};
+
+// Ten or more digits, optionally split by spaces, dots or dashes, with an optional +country code
+const PHONE_PATTERN = /\+?\d(?:[\s.-]?\d){9,}/g;
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|in|net|org|io|me|co|ly|app|link)\b\S*/gi;
+
+/**
+ * Hide phone numbers and links so riders and captains keep talking through the app
+ * @returns {{ message: string, masked: boolean }}
+ */
+const maskContent = (text) => {
+  const message = text
+    .replace(PHONE_PATTERN, '[number hidden]')
+    .replace(LINK_PATTERN, '[link hidden]');
+  return { message, masked: message !== text };
+};
+
+const chatRoom = (rideId) => `chat-${rideId}`;
+
+const isChatOpen = (ride) => OPEN_STATUSES.includes(ride.status);
+
+/**
+ * Message as sent to clients; senderType uses the socket's lowercase account kinds
+ */
+const toPayload = (message) => ({
+  id: message._id,
+  rideId: message.ride,
+  senderId: message.sender,
+  senderType: message.senderType.toLowerCase(),
+  type: message.type,
+  quickReply: message.quickReply,
+  message: message.message,
+  masked: message.masked,
+  clientId: message.clientId,
+  status: message.status,
+  deliveredAt: message.deliveredAt,
+  readAt: message.readAt,
+  timestamp: message.createdAt,
+});
+
+/**
+ * Store a message in the ride's chat
+ * Only open while a captain is assigned and the ride hasn't ended.
+ * @param {object} options
+ * @param {string} options.rideId
+ * @param {'user'|'captain'|'admin'} options.role - Sender's role in the ride
+ * @param {string} options.senderId
+ * @param {string} [options.message] - Free text
+ * @param {string} [options.quickReply] - Key of a quick-reply template instead of free text
+ * @param {string} [options.clientId] - Client's id for the message, makes resends idempotent
+ * @returns {Promise<object>} - Message payload
+ */
+const sendMessage = async ({ rideId, role, senderId, message, quickReply, clientId }) => {
+  const senderType = ACCOUNT_TYPES[role];
+  const ride = await Ride.findById(rideId).select('status').lean();
+
+  if (!ride) {
+    throw new ApiError(404, 'Ride not found');
+  }
+
+  if (!isChatOpen(ride)) {
+    throw new ApiError(400, 'Chat is closed for this ride');
+  }
+
+  let text = typeof message === 'string' ? message.trim() : '';
+  if (quickReply) {
+    const template = QUICK_REPLIES[senderType]?.find(({ key }) => key === quickReply);
+    if (!template) throw new ApiError(400, 'Unknown quick reply');
+    text = template.message;
+  }
+
+  if (!text) {
+    throw new ApiError(400, 'Message is required');
+  }
+
+  if (text.length > CHAT.MAX_LENGTH) {
+    throw new ApiError(400, `Message can be at most ${CHAT.MAX_LENGTH} characters`);
+  }
+
+  const content = maskContent(text);
+
+  try {
+    const created = await ChatMessage.create({
+      ride: rideId,
+      senderType,
+      sender: senderId,
+      type: quickReply ? 'quick_reply' : 'text',
+      quickReply,
+      ...content,
+      clientId: clientId ? String(clientId) : undefined,
+    });
+    return toPayload(created);
+  } catch (error) {
+    // Resent after a reconnect: hand back the stored copy
+    if (error.code === 11000) {
+      const existing = await ChatMessage.findOne({ ride: rideId, sender: senderId, clientId: String(clientId) });
+      return toPayload(existing);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Move the other party's messages forward to delivered or read for this reader
+ * Admins watching a chat never change receipts.
+ * @param {string} rideId
+ * @param {'user'|'captain'|'admin'} role - Reader's role in the ride
+ * @param {'delivered'|'read'} status
+ * @param {string} [upTo] - Message id; only it and earlier messages are updated
+ * @returns {Promise<{ messageIds: object[], at: Date }>}
+ */
+const updateReceipts = async (rideId, role, status, upTo) => {
+  const now = new Date();
+  if (role === 'admin') return { messageIds: [], at: now };
+
+  const filter = {
+    ride: rideId,
+    senderType: { $ne: ACCOUNT_TYPES[role] },
+    status: status === 'read' ? { $in: ['sent', 'delivered'] } : 'sent',
+  };
+
+  if (upTo) {
+    const last = await ChatMessage.findOne({ _id: upTo, ride: rideId }).select('createdAt').lean();
+    if (!last) return { messageIds: [], at: now };
+    filter.createdAt = { $lte: last.createdAt };
+  }
+
+  const messageIds = (await ChatMessage.find(filter).select('_id').lean()).map(({ _id }) => _id);
+  if (!messageIds.length) return { messageIds, at: now };
+
+  await ChatMessage.updateMany({ _id: { $in: messageIds } }, [{
+    $set: {
+      status,
+      deliveredAt: { $ifNull: ['$deliveredAt', now] },
+      ...(status === 'read' && { readAt: now }),
+    },
+  }]);
+
+  return { messageIds, at: now };
+};
+
+/**
+ * Chat history for a ride, oldest first, a page at a time going back from `before`
+ * Loading history counts as delivery of everything the reader hadn't received.
+ */
+const getHistory = async (ride, role, { before, limit } = {}) => {
+  const pageSize = Math.min(parseInt(limit, 10) || CHAT.HISTORY_PAGE_SIZE, 100);
+  const filter = { ride: ride._id };
+
+  if (before) {
+    const anchor = await ChatMessage.findOne({ _id: before, ride: ride._id }).select('createdAt').lean();
+    if (anchor) filter.createdAt = { $lt: anchor.createdAt };
+  }
+
+  const page = await ChatMessage.find(filter).sort({ createdAt: -1 }).limit(pageSize + 1).lean();
+  const hasMore = page.length > pageSize;
+  const messages = page.slice(0, pageSize).reverse();
+
+  const receipts = await updateReceipts(ride._id, role, 'delivered');
+  if (receipts.messageIds.length) {
+    emitToRoom(chatRoom(ride._id), 'message-status', { rideId: ride._id, status: 'delivered', ...receipts });
+  }
+
+  const delivered = new Set(receipts.messageIds.map(String));
+
+  return {
+    messages: messages.map((message) => toPayload(delivered.has(String(message._id))
+      ? { ...message, status: 'delivered', deliveredAt: receipts.at }
+      : message)),
+    hasMore,
+    isOpen: isChatOpen(ride),
+    quickReplies: isChatOpen(ride) ? QUICK_REPLIES[ACCOUNT_TYPES[role]] || [] : [],
+  };
+};
+
+/**
+ * Tell everyone in the ride's chat that it has closed
+ */
+const closeChat = (rideId, reason = 'ride_completed') => {
+  emitToRoom(chatRoom(rideId), 'chat-closed', { rideId, reason, timestamp: new Date() });
+};
+
+module.exports = {
+  QUICK_REPLIES,
+  chatRoom,
+  maskContent,
+  isChatOpen,
+  sendMessage,
+  updateReceipts,
+  getHistory,
+  closeChat,
+};
@@ -0,0 +1,321 @@
+// src/services/dispatchService.js
+const Ride = require('../models/Ride');
+const CaptainMatcher = require('./captainMatcher');
+const ReliabilityService = require('./reliabilityService');
+const { emitToCaptain } = require('../config/socket');
+const logger = require('../utils/logger');
+const { RIDE, DISPATCH } = require('../config/constants');
+
+// Offer state is kept on the ride (Ride.dispatch), so waves survive restarts and every
+// instance sees the same state. A job closes expired waves through advanceDueWaves, and
+// each change is a conditional update, so only one caller wins it.
+
+const toState = (ride) => {
+  if (!ride?.dispatch?.status) return null;
+
+  const dispatch = typeof ride.toObject === 'function' ? ride.toObject().dispatch : ride.dispatch;
+
+  return {
+    ...dispatch,
+    rideId: ride._id.toString(),
+    userId: ride.user.toString(),
+    vehicleType: ride.vehicleType,
+    pickup: {
+      latitude: ride.pickup.coordinates.latitude,
+      longitude: ride.pickup.coordinates.longitude,
+    },
+  };
+};
+
+const dispatchFields = (fields) => Object.fromEntries(
+  Object.entries(fields).map(([field, value]) => [`dispatch.${field}`, value])
+);
+
+/**
+ * Current dispatch state of a ride, or null if it was never dispatched
+ * @param {string} rideId - Ride ID
+ */
+const getState = async (rideId) => {
+  const ride = await Ride.findById(rideId).select('user vehicleType pickup dispatch').lean();
+  return toState(ride);
+};
+
+const toCandidates = (rankedCaptains) => rankedCaptains.map((captain) => ({
+  captainId: captain._id.toString(),
+  distance: captain.distance,
+  eta: captain.eta,
+  score: captain.score,
+}));
+
+// Captains never see the rider's OTP or who else was offered the ride
+const toOfferPayload = (ride) => {
+  const payload = ride.toObject();
+  delete payload.otp;
+  delete payload.dispatch;
+  return payload;
+};
+
+/**
+ * Offer the ride to the next WAVE_SIZE candidates that have not seen it yet
+ * Candidates are topped up with a fresh search once the initial list runs out.
+ * Nothing is offered if the ride was accepted or cancelled meanwhile.
+ * @returns {Promise<object|null>} - New dispatch state, null if the ride moved on
+ */
+const offerNextWave = async (state, ride) => {
+  const pendingCandidates = () => state.candidates.filter(
+    (c) => !state.offeredTo.includes(c.captainId)
+  );
+
+  let next = pendingCandidates();
+
+  if (next.length === 0 && state.wave > 0 && state.wave < DISPATCH.MAX_WAVES) {
+    const fresh = await CaptainMatcher.findNearbyCaptains(
+      state.pickup,
+      state.vehicleType,
+      RIDE.SEARCH_RADIUS,
+      {
+        userId: state.userId,
+        excludeCaptainIds: [...state.offeredTo, ...state.excludedIds],
+      }
+    );
+    state.candidates.push(...toCandidates(CaptainMatcher.rankCaptains(fresh)));
+    next = pendingCandidates();
+  }
+
+  // Only while the wave being replaced is still the current one
+  const current = { _id: state.rideId, status: 'searching', 'dispatch.status': 'dispatching', 'dispatch.wave': state.wave };
+
+  if (next.length === 0 || state.wave >= DISPATCH.MAX_WAVES) {
+    const exhausted = await Ride.updateOne(current, {
+      $set: dispatchFields({ status: 'exhausted', currentWave: [], waveExpiresAt: null }),
+    });
+    if (!exhausted.modifiedCount) return null;
+
+    logger.info(`Dispatch exhausted for ride ${state.rideId} after ${state.wave} wave(s)`);
+    return { ...state, status: 'exhausted', currentWave: [], waveExpiresAt: null };
+  }
+
+  const wave = next.slice(0, DISPATCH.WAVE_SIZE);
+  const expiresAt = new Date(Date.now() + RIDE.CAPTAIN_RESPONSE_TIME * 1000);
+  const currentWave = wave.map((c) => c.captainId);
+  const offered = {
+    wave: state.wave + 1,
+    currentWave,
+    offeredTo: [...state.offeredTo, ...currentWave],
+    candidates: state.candidates,
+    waveExpiresAt: expiresAt,
+  };
+
+  const saved = await Ride.updateOne(current, { $set: dispatchFields(offered) });
+  if (!saved.modifiedCount) return null;
+
+  const payload = toOfferPayload(ride);
+  wave.forEach((candidate) => {
+    emitToCaptain(candidate.captainId, 'ride:new-request', {
+      ride: payload,
+      distance: candidate.distance,
+      eta: candidate.eta,
+      wave: offered.wave,
+      expiresAt,
+    });
+  });
+
+  await ReliabilityService.recordOffers(currentWave, state.rideId);
+
+  logger.info(`Ride ${state.rideId} wave ${offered.wave} offered to ${wave.length} captain(s)`);
+
+  return { ...state, ...offered };
+};
+
+/**
+ * Close the current wave and offer the ride to the next one
+ * @param {string} rideId - Ride ID
+ * @param {number} expectedWave - Wave being closed; stale calls are ignored
+ * @returns {Promise<boolean>} - Whether this call closed the wave
+ */
+const advanceWave = async (rideId, expectedWave) => {
+  // Claim the wave, so it's closed once however many sweeps and rejections race for it
+  const ride = await Ride.findOneAndUpdate(
+    {
+      _id: rideId,
+      status: 'searching',
+      'dispatch.status': 'dispatching',
+      'dispatch.wave': expectedWave,
+      'dispatch.closedWave': { $lt: expectedWave },
+    },
+    { $set: { 'dispatch.closedWave': expectedWave } },
+    { new: true }
+  );
+
+  if (!ride) return false;
+
+  const state = toState(ride);
+  const timedOut = state.currentWave.filter((captainId) => !state.rejectedBy.includes(captainId));
+
+  timedOut.forEach((captainId) => {
+    emitToCaptain(captainId, 'ride:expired', { rideId, reason: 'timeout' });
+  });
+
+  await Promise.all(
+    timedOut.map((captainId) => ReliabilityService.recordEvent(captainId, 'timeout', { rideId }))
+  );
+
+  await offerNextWave(state, ride);
+  return true;
+};
+
+/**
+ * Close every wave whose response time ran out (run by a job every few seconds)
+ * @returns {Promise<number>} - Waves closed
+ */
+const advanceDueWaves = async () => {
+  const due = await Ride.find({
+    status: 'searching',
+    'dispatch.status': 'dispatching',
+    'dispatch.waveExpiresAt': { $lte: new Date() },
+  })
+    .select('_id dispatch.wave')
+    .lean();
+
+  let advanced = 0;
+
+  for (const ride of due) {
+    try {
+      if (await advanceWave(ride._id.toString(), ride.dispatch.wave)) advanced += 1;
+    } catch (error) {
+      logger.error(`Error advancing dispatch wave for ride ${ride._id}:`, error);
+    }
+  }
+
+  return advanced;
+};
+
+/**
+ * Start offering a freshly booked ride in waves
+ * @param {object} ride - Ride document in 'searching' status
+ * @param {object[]} rankedCaptains - Output of CaptainMatcher.rankCaptains
+ * @param {object} [options] - { excludeCaptainIds } never offered the ride
+ * @returns {Promise<object>} - Dispatch state
+ */
+const startDispatch = async (ride, rankedCaptains, options = {}) => {
+  const { excludeCaptainIds = [] } = options;
+  const excludedIds = excludeCaptainIds.map(String);
+
+  const dispatch = {
+    status: 'dispatching',
+    wave: 0,
+    closedWave: 0,
+    candidates: toCandidates(rankedCaptains).filter((c) => !excludedIds.includes(c.captainId)),
+    offeredTo: [],
+    currentWave: [],
+    rejectedBy: [],
+    excludedIds,
+    waveExpiresAt: null,
+    acceptedBy: null,
+    startedAt: new Date(),
+  };
+
+  // Replaces any earlier dispatch of the ride, e.g. before a captain dropped it
+  await Ride.updateOne({ _id: ride._id }, { $set: { dispatch } });
+
+  const state = toState({ ...ride.toObject(), dispatch });
+  return (await offerNextWave(state, ride)) || state;
+};
+
+/**
+ * Record a captain declining an offer
+ * Only declines within the captain's own wave count against their acceptance rate.
+ * Moves on early once everyone in the current wave has declined.
+ * @param {string} rideId - Ride ID
+ * @param {string} captainId - Captain ID
+ */
+const recordRejection = async (rideId, captainId) => {
+  const id = captainId.toString();
+
+  const ride = await Ride.findOneAndUpdate(
+    {
+      _id: rideId,
+      'dispatch.status': 'dispatching',
+      'dispatch.currentWave': id,
+      'dispatch.rejectedBy': { $ne: id },
+    },
+    { $addToSet: { 'dispatch.rejectedBy': id } },
+    { new: true }
+  ).select('dispatch');
+
+  if (!ride) return;
+
+  await ReliabilityService.recordEvent(id, 'reject', { rideId: rideId.toString() });
+
+  const { wave, currentWave, rejectedBy } = ride.dispatch;
+  if (currentWave.every((c) => rejectedBy.includes(c))) {
+    await advanceWave(rideId.toString(), wave);
+  }
+};
+
+/**
+ * Stop dispatching after a captain accepted
+ * Only captains who were offered the ride are told it is taken.
+ * @param {string} rideId - Ride ID
+ * @param {string} captainId - Accepting captain
+ */
+const completeDispatch = async (rideId, captainId) => {
+  await ReliabilityService.recordEvent(captainId, 'accept', { rideId });
+
+  const ride = await Ride.findOneAndUpdate(
+    { _id: rideId, 'dispatch.status': { $exists: true } },
+    { $set: dispatchFields({ status: 'accepted', acceptedBy: captainId.toString(), currentWave: [], waveExpiresAt: null }) }
+  ).select('dispatch.offeredTo');
+
+  if (!ride) return;
+
+  ride.dispatch.offeredTo
+    .filter((id) => id !== captainId.toString())
+    .forEach((id) => emitToCaptain(id, 'ride:taken', { rideId }));
+};
+
+/**
+ * Stop dispatching a ride that was cancelled while searching
+ * @param {string} rideId - Ride ID
+ * @param {string} [reason] - Sent with the ride:expired event
+ */
+const cancelDispatch = async (rideId, reason = 'cancelled') => {
+  const ride = await Ride.findOneAndUpdate(
+    { _id: rideId, 'dispatch.status': 'dispatching' },
+    { $set: dispatchFields({ status: 'cancelled', currentWave: [], waveExpiresAt: null }) }
+  ).select('dispatch.currentWave dispatch.rejectedBy');
+
+  if (!ride) return;
+
+  ride.dispatch.currentWave
+    .filter((id) => !ride.dispatch.rejectedBy.includes(id))
+    .forEach((id) => emitToCaptain(id, 'ride:expired', { rideId, reason }));
+};
+
+/**
+ * Dispatch a ride again after the assigned captain dropped it
+ * @param {object} ride - Ride document back in 'searching' status
+ * @param {string[]} [excludeCaptainIds] - Captains who must not get it again
+ * @returns {Promise<object>} - Dispatch state
+ */
+const redispatch = async (ride, excludeCaptainIds = []) => {
+  const nearbyCaptains = await CaptainMatcher.findNearbyCaptains(
+    ride.pickup.coordinates,
+    ride.vehicleType,
+    RIDE.SEARCH_RADIUS,
+    { userId: ride.user, excludeCaptainIds }
+  );
+
+  return startDispatch(ride, CaptainMatcher.rankCaptains(nearbyCaptains), { excludeCaptainIds });
+};
+
+module.exports = {
+  getState,
+  startDispatch,
+  advanceWave,
+  advanceDueWaves,
+  recordRejection,
+  completeDispatch,
+  cancelDispatch,
+  redispatch,
+};
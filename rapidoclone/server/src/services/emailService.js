@@ -0,0 +1,241 @@
+// src/services/emailService.js
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const EmailMessage = require('../models/EmailMessage');
+const Notification = require('../models/Notification');
+const logger = require('../utils/logger');
+const {
+  rideReceiptTemplate,
+  emailVerificationTemplate,
+  passwordResetTemplate,
+  weeklyEarningsTemplate,
+} = require('../utils/emailTemplates');
+const { EMAIL } = require('../config/constants');
+
+const MINUTE_MS = 60 * 1000;
+
+// Subject and body for each named email
+const TEMPLATES = {
+  ride_receipt: ({ receipt, name }) => ({
+    subject: `Your receipt for ride ${receipt.rideId}`,
+    html: rideReceiptTemplate(receipt, name),
+  }),
+  email_verification: ({ verifyUrl, name }) => ({
+    subject: 'Verify your email address',
+    html: emailVerificationTemplate(verifyUrl, name),
+  }),
+  password_reset: ({ otp, name, minutes }) => ({
+    subject: 'Your password reset OTP',
+    html: passwordResetTemplate(otp, name, minutes),
+  }),
+  weekly_earnings: ({ summary, name }) => ({
+    subject: 'Your weekly earnings summary',
+    html: weeklyEarningsTemplate(summary, name),
+  }),
+};
+
+let transporter = null;
+
+/**
+ * SMTP when SMTP_HOST is set; otherwise a development transport that writes each email
+ * as an .eml file under EMAIL_OUTBOX_DIR (logs/emails by default) for previewing
+ */
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (process.env.SMTP_HOST) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+    return transporter;
+  }
+
+  const outbox = process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'logs', 'emails');
+  const stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  transporter = {
+    sendMail: async (mail) => {
+      const info = await stream.sendMail(mail);
+      const file = path.join(outbox, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`);
+
+      await fs.mkdir(outbox, { recursive: true });
+      await fs.writeFile(file, info.message);
+      logger.info(`[Email to ${mail.to}] ${mail.subject} (saved to ${file})`);
+
+      return info;
+    },
+  };
+  return transporter;
+};
+
+// 5xx SMTP replies are permanent: retrying a rejected address or message won't help
+const isPermanent = (error) => error.responseCode >= 500 && error.responseCode < 600;
+
+/**
+ * Mirror the queue's outcome onto the notification the email belongs to
+ */
+const updateNotification = async (message, update) => {
+  if (!message.notification) return;
+
+  try {
+    await Notification.updateOne({ _id: message.notification }, { $set: update });
+  } catch (error) {
+    logger.error(`Email status for notification ${message.notification} not saved: ${error.message}`);
+  }
+};
+
+/**
+ * Send one claimed email and record the result, scheduling a retry on temporary failures
+ */
+const deliver = async (message) => {
+  try {
+    const info = await getTransporter().sendMail({
+      from: process.env.EMAIL_FROM || 'Rapido Clone <no-reply@rapidoclone.com>',
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      attachments: message.attachments.map(({ filename, content, contentType }) => ({ filename, content, contentType })),
+    });
+
+    const sentAt = new Date();
+    await EmailMessage.updateOne({ _id: message._id }, {
+      $set: { status: 'sent', sentAt, providerMessageId: info.messageId },
+      $unset: { lockedAt: 1, lastError: 1 },
+    });
+    await updateNotification(message, {
+      'deliveryStatus.email.sent': true,
+      'deliveryStatus.email.sentAt': sentAt,
+      'deliveryStatus.email.error': null,
+    });
+
+    return true;
+  } catch (error) {
+    const giveUp = isPermanent(error) || message.attempts >= EMAIL.MAX_ATTEMPTS;
+    const retryIn = EMAIL.RETRY_DELAY * 2 ** (message.attempts - 1) * MINUTE_MS;
+
+    await EmailMessage.updateOne({ _id: message._id }, {
+      $set: {
+        status: giveUp ? 'failed' : 'queued',
+        lastError: error.message,
+        ...(giveUp ? { failedAt: new Date() } : { nextAttemptAt: new Date(Date.now() + retryIn) }),
+      },
+      $unset: { lockedAt: 1 },
+    });
+
+    if (giveUp) {
+      logger.error(`Email ${message._id} to ${message.to} failed after ${message.attempts} attempts: ${error.message}`);
+      await updateNotification(message, {
+        'deliveryStatus.email.sent': false,
+        'deliveryStatus.email.error': error.message,
+      });
+    } else {
+      logger.warn(`Email ${message._id} to ${message.to} failed (attempt ${message.attempts}), retrying: ${error.message}`);
+    }
+
+    return false;
+  }
+};
+
+/**
+ * Take the next due email off the queue
+ * Emails left in 'sending' by a crashed worker are picked up again after the lock timeout.
+ */
+const claimNext = (now) => EmailMessage.findOneAndUpdate(
+  {
+    $or: [
+      { status: 'queued', nextAttemptAt: { $lte: now } },
+      { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - EMAIL.LOCK_TIMEOUT * MINUTE_MS) } },
+    ],
+  },
+  { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+  { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+let processing = false;
+
+/**
+ * Send due emails, up to a batch per run
+ * Runs right after an email is queued and from the background job for retries.
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+const processQueue = async () => {
+  const result = { sent: 0, failed: 0 };
+  if (processing) return result;
+
+  processing = true;
+  try {
+    for (let i = 0; i < EMAIL.BATCH_SIZE; i += 1) {
+      const message = await claimNext(new Date());
+      if (!message) break;
+
+      if (await deliver(message)) {
+        result.sent += 1;
+      } else {
+        result.failed += 1;
+      }
+    }
+  } finally {
+    processing = false;
+  }
+
+  return result;
+};
+
+/**
+ * Queue an email; it is sent in the background so callers never wait on the mail server
+ * @param {object} email
+ * @param {string} email.to
+ * @param {string} [email.template] - Key of TEMPLATES; supplies the subject and body from `data`
+ * @param {object} [email.data] - Values for the template
+ * @param {string} [email.subject] - Subject when no template is given
+ * @param {string} [email.html] - Body when no template is given
+ * @param {string} [email.text]
+ * @param {object[]} [email.attachments] - { filename, content, contentType }
+ * @param {string} [email.notification] - Notification whose email delivery status to keep updated
+ * @param {string} [email.dedupeKey] - Emails with the same key are only queued once
+ * @returns {Promise<object|null>} - Queued message, or null for a duplicate dedupeKey
+ */
+const sendEmail = async ({ to, template, data, subject, html, text, attachments, notification, dedupeKey }) => {
+  if (template && !TEMPLATES[template]) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const content = template ? TEMPLATES[template](data || {}) : { subject, html, text };
+
+  if (!to || !content.subject) {
+    throw new Error('Email needs a recipient and a subject');
+  }
+
+  let message;
+  try {
+    message = await EmailMessage.create({
+      to,
+      ...content,
+      attachments,
+      template,
+      notification,
+      dedupeKey,
+    });
+  } catch (error) {
+    if (error.code === 11000 && dedupeKey) return null;
+    throw error;
+  }
+
+  setImmediate(() => {
+    processQueue().catch((error) => logger.error('Email queue run failed:', error));
+  });
+
+  return message;
+};
+
+module.exports = {
+  sendEmail,
+  processQueue,
+};
@@ -0,0 +1,270 @@
+// src/services/fareCalculator.js
+const VehicleType = require('../models/VehicleType');
+const ApiError = require('../utils/apiError');
+const { cache } = require('../config/redis');
+const logger = require('../utils/logger');
+const {
+  DEFAULT_TARIFFS,
+  NIGHT_CHARGES,
+  COMMISSION,
+  SURGE,
+  CACHE_TTL,
+} = require('../config/constants');
+
+const TARIFF_FIELDS = [
+  'baseFare',
+  'baseDistance',
+  'perKmRate',
+  'perMinuteRate',
+  'minimumFare',
+  'bookingFee',
+  'waitingChargePerMinute',
+  'commissionPercentage',
+  'distanceSlabs',
+];
+
+const tariffCacheKey = (vehicleType, city) =>
+  `fare:tariff:${vehicleType}:${city ? city.toLowerCase() : 'default'}`;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Copy defined tariff fields from source onto target
+ */
+const applyOverrides = (target, source = {}) => {
+  TARIFF_FIELDS.forEach((field) => {
+    if (source[field] !== undefined && source[field] !== null) {
+      target[field] = source[field];
+    }
+  });
+
+  if (source.nightCharges) {
+    target.nightCharges = { ...target.nightCharges, ...source.nightCharges };
+  }
+
+  return target;
+};
+
+/**
+ * Resolve the tariff card for a vehicle type in a city
+ * Precedence: city override > VehicleType document > DEFAULT_TARIFFS
+ * @param {string} vehicleType - bike | auto | cab
+ * @param {string} [city] - City id (e.g. 'bangalore')
+ * @returns {Promise<object>} - Resolved tariff
+ */
+const getTariff = async (vehicleType, city) => {
+  const cacheKey = tariffCacheKey(vehicleType, city);
+  const cached = await cache.get(cacheKey);
+  if (cached) return cached;
+
+  let vehicleConfig = null;
+  try {
+    vehicleConfig = await VehicleType.findOne({ name: vehicleType, isActive: true }).lean();
+  } catch (error) {
+    logger.warn(`Could not load tariff for ${vehicleType}, using defaults:`, error.message);
+  }
+
+  if (!vehicleConfig && !DEFAULT_TARIFFS[vehicleType]) {
+    throw ApiError.badRequest(`Vehicle type '${vehicleType}' is not available`);
+  }
+
+  const tariff = applyOverrides(
+    {
+      vehicleType,
+      city: null,
+      baseDistance: 0,
+      bookingFee: 0,
+      waitingChargePerMinute: 0,
+      commissionPercentage: COMMISSION.PLATFORM_PERCENTAGE,
+      distanceSlabs: [],
+      nightCharges: {
+        enabled: NIGHT_CHARGES.ENABLED,
+        startHour: NIGHT_CHARGES.START_HOUR,
+        endHour: NIGHT_CHARGES.END_HOUR,
+        multiplier: NIGHT_CHARGES.MULTIPLIER,
+      },
+    },
+    DEFAULT_TARIFFS[vehicleType]
+  );
+
+  if (vehicleConfig) {
+    applyOverrides(tariff, vehicleConfig);
+  }
+
+  if (city && vehicleConfig?.cityFares?.length) {
+    const cityFare = vehicleConfig.cityFares.find(
+      (c) => c.city === city.toLowerCase() && c.isActive !== false
+    );
+    if (cityFare) {
+      applyOverrides(tariff, cityFare);
+      tariff.city = cityFare.city;
+    }
+  }
+
+  tariff.distanceSlabs = [...(tariff.distanceSlabs || [])].sort((a, b) => a.upToKm - b.upToKm);
+
+  await cache.set(cacheKey, tariff, CACHE_TTL.MEDIUM);
+
+  return tariff;
+};
+
+/**
+ * Drop cached tariffs after an admin fare-config change
+ * @param {string} [vehicleType] - Limit to one vehicle type
+ */
+const clearTariffCache = async (vehicleType) => {
+  await cache.delPattern(`fare:tariff:${vehicleType || '*'}:*`);
+};
+
+/**
+ * Fare for the distance beyond the base distance, walking the slabs
+ * @param {number} distance - Trip distance in km
+ * @param {object} tariff - Resolved tariff
+ * @returns {number}
+ */
+const calculateDistanceFare = (distance, tariff) => {
+  let charged = tariff.baseDistance || 0;
+  let fare = 0;
+
+  for (const slab of tariff.distanceSlabs) {
+    if (distance <= charged) break;
+    const slabEnd = Math.min(distance, slab.upToKm);
+    if (slabEnd > charged) {
+      fare += (slabEnd - charged) * slab.perKmRate;
+      charged = slabEnd;
+    }
+  }
+
+  if (distance > charged) {
+    fare += (distance - charged) * tariff.perKmRate;
+  }
+
+  return fare;
+};
+
+/**
+ * Check whether a time falls inside the night charge window
+ * @param {Date} time - Pickup time
+ * @param {object} nightCharges - { enabled, startHour, endHour }
+ * @returns {boolean}
+ */
+const isNightTime = (time, nightCharges) => {
+  if (!nightCharges?.enabled) return false;
+
+  const hour = new Date(time).getHours();
+  const { startHour, endHour } = nightCharges;
+
+  // Window wraps past midnight (e.g. 23 -> 5)
+  if (startHour > endHour) {
+    return hour >= startHour || hour < endHour;
+  }
+  return hour >= startHour && hour < endHour;
+};
+
+/**
+ * Split a rider-facing total into platform and captain shares
+ * Booking fee goes entirely to the platform; commission applies to the rest
+ * @param {number} total - Amount payable by the rider
+ * @param {object} tariff - Resolved tariff
+ * @returns {{ platformFee: number, captainEarnings: number }}
+ */
+const calculateEarnings = (total, tariff) => {
+  const bookingFee = Math.min(tariff.bookingFee || 0, total);
+  const commission = ((total - bookingFee) * tariff.commissionPercentage) / 100;
+  const platformFee = round2(bookingFee + commission);
+
+  return {
+    platformFee,
+    captainEarnings: round2(total - platformFee),
+  };
+};
+
+/**
+ * Calculate the fare for a trip
+ * @param {string} vehicleType - bike | auto | cab
+ * @param {number} distance - Distance in km
+ * @param {number} duration - Duration in minutes
+ * @param {number} [surgeMultiplier=1] - Surge multiplier
+ * @param {object} [options] - { city, pickupTime }
+ * @returns {Promise<object>} - Fare breakdown matching Ride.fare
+ */
+const calculateFare = async (vehicleType, distance, duration, surgeMultiplier = 1, options = {}) => {
+  const { city, pickupTime = new Date() } = options;
+  const tariff = await getTariff(vehicleType, city);
+
+  const tripDistance = Math.max(Number(distance) || 0, 0);
+  const tripDuration = Math.max(Number(duration) || 0, 0);
+  const surge = Math.max(Number(surgeMultiplier) || 1, 1);
+
+  const baseFare = tariff.baseFare;
+  const distanceFare = calculateDistanceFare(tripDistance, tariff);
+  const timeFare = tripDuration * tariff.perMinuteRate;
+  const rideFare = baseFare + distanceFare + timeFare;
+
+  const isNight = isNightTime(pickupTime, tariff.nightCharges);
+  const nightCharge = isNight ? rideFare * (tariff.nightCharges.multiplier - 1) : 0;
+
+  // Surge applies to the ride fare only, not to night charges or fees
+  const surgeFare = rideFare * (surge - 1);
+
+  let fareBeforeFees = rideFare + nightCharge + surgeFare;
+  const minimumFareAdjustment = Math.max(tariff.minimumFare - fareBeforeFees, 0);
+  fareBeforeFees += minimumFareAdjustment;
+
+  const bookingFee = tariff.bookingFee || 0;
+  const total = Math.round(fareBeforeFees + bookingFee);
+  const { platformFee, captainEarnings } = calculateEarnings(total, tariff);
+
+  return {
+    baseFare: round2(baseFare),
+    distanceFare: round2(distanceFare),
+    timeFare: round2(timeFare),
+    nightCharge: round2(nightCharge),
+    surgeFare: round2(surgeFare),
+    minimumFareAdjustment: round2(minimumFareAdjustment),
+    bookingFee: round2(bookingFee),
+    discount: 0,
+    couponDiscount: 0,
+    total,
+    platformFee,
+    captainEarnings,
+    currency: 'INR',
+    details: {
+      vehicleType,
+      city: tariff.city,
+      distance: round2(tripDistance),
+      duration: Math.round(tripDuration),
+      surgeMultiplier: surge,
+      isNight,
+      commissionPercentage: tariff.commissionPercentage,
+    },
+  };
+};
+
+/**
+ * Calculate a surge multiplier from demand and supply counts
+ * @param {number} demand - Open ride requests in the area
+ * @param {number} supply - Idle captains in the area
+ * @returns {number} - Multiplier between SURGE.MIN_MULTIPLIER and SURGE.MAX_MULTIPLIER
+ */
+const calculateSurge = (demand, supply) => {
+  if (!demand || demand <= supply) {
+    return SURGE.MIN_MULTIPLIER;
+  }
+
+  const ratio = demand / Math.max(supply, 1);
+  const raw = 1 + (ratio - 1) * SURGE.SENSITIVITY;
+  const stepped = Math.round(raw / SURGE.STEP) * SURGE.STEP;
+
+  return Math.min(Math.max(round2(stepped), SURGE.MIN_MULTIPLIER), SURGE.MAX_MULTIPLIER);
+};
+
+module.exports = {
+  getTariff,
+  clearTariffCache,
+  calculateFare,
+  calculateDistanceFare,
+  calculateEarnings,
+  calculateSurge,
+  isNightTime,
+};
@@ -0,0 +1,146 @@
+// src/services/fareFinalizer.js
+const Setting = require('../models/Setting');
+const FareCalculator = require('./fareCalculator');
+const TripService = require('./tripService');
+const { FINAL_FARE } = require('../config/constants');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Ride.fare fields that come from the tariff
+const FARE_COMPONENTS = ['baseFare', 'distanceFare', 'timeFare', 'surgeFare', 'nightCharge', 'bookingFee'];
+
+/**
+ * Finalization rules from constants, overridden by the 'rides' setting's `finalFare` group
+ */
+const getPolicy = async () => {
+  const { finalFare = {} } = await Setting.getValue('rides');
+
+  return {
+    maxDeviationPercent: finalFare.maxDeviationPercent ?? FINAL_FARE.MAX_DEVIATION_PERCENT,
+    freeWaitingMinutes: finalFare.freeWaitingMinutes ?? FINAL_FARE.FREE_WAITING_MINUTES,
+    maxAccuracy: finalFare.maxAccuracy ?? FINAL_FARE.MAX_ACCURACY,
+    minMove: finalFare.minMove ?? FINAL_FARE.MIN_MOVE,
+    maxSpeedKmph: finalFare.maxSpeedKmph ?? FINAL_FARE.MAX_SPEED_KMPH,
+    gapSeconds: finalFare.gapSeconds ?? FINAL_FARE.GAP_SECONDS,
+    minCoveragePercent: finalFare.minCoveragePercent ?? FINAL_FARE.MIN_COVERAGE_PERCENT,
+  };
+};
+
+const percentChange = (actual, quoted) => (quoted > 0 ? round2(((actual - quoted) / quoted) * 100) : null);
+
+/**
+ * Waiting at pickup, from the captain arriving to the ride starting
+ * Whole minutes past the free allowance are charged at the tariff's waitingChargePerMinute.
+ */
+const waitingCharge = (ride, tariff, policy) => {
+  const { captainArrived, started } = ride.timestamps;
+  const minutes = captainArrived && started
+    ? Math.max((new Date(started) - new Date(captainArrived)) / 60000, 0)
+    : 0;
+  const chargeableMinutes = Math.max(Math.floor(minutes - policy.freeWaitingMinutes), 0);
+  const ratePerMinute = tariff.waitingChargePerMinute || 0;
+
+  return {
+    minutes: round2(minutes),
+    freeMinutes: policy.freeWaitingMinutes,
+    chargeableMinutes,
+    ratePerMinute,
+    charge: round2(chargeableMinutes * ratePerMinute),
+  };
+};
+
+/**
+ * Work out what the rider pays for a ride being completed
+ * The quoted fare stands while the driven distance is within `maxDeviationPercent` of the
+ * quoted route, or when the trail is too patchy to trust. Otherwise the fare is recalculated
+ * from the trail with the ride's surge and coupon. Waiting and tolls are added on top either
+ * way; tolls go to the captain in full.
+ * @param {object} ride - Started ride with its booking fare
+ * @param {{ tollCharges?: number, completedAt?: Date }} [options]
+ * @returns {Promise<{ fare: object, breakdown: object }>} - New Ride.fare and Ride.fareBreakdown
+ */
+const finalizeFare = async (ride, { tollCharges = 0, completedAt = new Date() } = {}) => {
+  const policy = await getPolicy();
+  const tariff = await FareCalculator.getTariff(ride.vehicleType, ride.city);
+  const trip = await TripService.measureTrip(ride, completedAt, policy);
+
+  const quoted = ride.toObject().fare;
+  const previousDues = quoted.previousDues || 0;
+  const deviationPercent = {
+    distance: percentChange(trip.distance, ride.route?.distance),
+    duration: percentChange(trip.duration, ride.route?.duration),
+  };
+
+  let reason = 'within_tolerance';
+  if (!trip.reliable) {
+    reason = 'trail_unreliable';
+  } else if (deviationPercent.distance === null || Math.abs(deviationPercent.distance) > policy.maxDeviationPercent) {
+    reason = 'route_deviated';
+  }
+
+  let fare;
+  if (reason === 'route_deviated') {
+    const recalculated = await FareCalculator.calculateFare(
+      ride.vehicleType,
+      trip.distance,
+      trip.duration,
+      ride.surgeMultiplier,
+      { city: ride.city, pickupTime: ride.timestamps.started }
+    );
+    const discount = Math.min(quoted.discount || 0, recalculated.total);
+    const couponDiscount = Math.min(quoted.couponDiscount || 0, recalculated.total - discount);
+
+    fare = {
+      ...Object.fromEntries(FARE_COMPONENTS.map((field) => [field, recalculated[field]])),
+      discount,
+      couponDiscount,
+      total: recalculated.total - discount - couponDiscount,
+    };
+  } else {
+    fare = {
+      ...Object.fromEntries(FARE_COMPONENTS.map((field) => [field, quoted[field]])),
+      discount: quoted.discount || 0,
+      couponDiscount: quoted.couponDiscount || 0,
+      total: round2(quoted.total - previousDues),
+    };
+  }
+
+  const waiting = waitingCharge(ride, tariff, policy);
+  const tolls = round2(Math.max(Number(tollCharges) || 0, 0));
+  const rideTotal = Math.round(fare.total + waiting.charge);
+  const { platformFee, captainEarnings } = FareCalculator.calculateEarnings(rideTotal, tariff);
+
+  const finalFare = {
+    ...fare,
+    waitingCharges: waiting.charge,
+    tollCharges: tolls,
+    previousDues: quoted.previousDues,
+    total: round2(rideTotal + tolls + previousDues),
+    platformFee,
+    captainEarnings: round2(captainEarnings + tolls),
+  };
+
+  return {
+    fare: finalFare,
+    breakdown: {
+      policy: reason === 'route_deviated' ? 'recalculated' : 'quoted',
+      reason,
+      maxDeviationPercent: policy.maxDeviationPercent,
+      quoted: {
+        distance: ride.route?.distance,
+        duration: ride.route?.duration,
+        fare: quoted,
+      },
+      actual: trip,
+      deviationPercent,
+      waiting,
+      tollCharges: tolls,
+      finalizedAt: completedAt,
+    },
+  };
+};
+
+module.exports = {
+  getPolicy,
+  finalizeFare,
+};
@@ -0,0 +1,334 @@
+// src/services/incentiveService.js
+const Incentive = require('../models/Incentive');
+const IncentiveProgress = require('../models/IncentiveProgress');
+const Notification = require('../models/Notification');
+const WalletService = require('./walletService');
+const ZoneService = require('./zoneService');
+const { emitToCaptain } = require('./socketService');
+const logger = require('../utils/logger');
+
+// Periods and time windows follow the local day, not UTC
+const TIMEZONE = 'Asia/Kolkata';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const clockFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  weekday: 'short',
+  hourCycle: 'h23',
+});
+
+/**
+ * Local calendar date, weekday and minute of the day for an instant
+ */
+const localClock = (date) => {
+  const parts = Object.fromEntries(clockFormat.formatToParts(date).map(({ type, value }) => [type, value]));
+  const [year, month, day, hour, minute] = ['year', 'month', 'day', 'hour', 'minute'].map((key) => Number(parts[key]));
+  const wholeMinute = Math.floor(date.getTime() / 60000) * 60000;
+
+  return {
+    year,
+    month,
+    day,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: hour * 60 + minute,
+    offsetMs: Date.UTC(year, month - 1, day, hour, minute) - wholeMinute,
+  };
+};
+
+const dateKey = (utcMs) => new Date(utcMs).toISOString().slice(0, 10);
+
+/**
+ * Progress bucket a ride at this local time falls into
+ * @returns {{ key: string, endsAt: Date|null }}
+ */
+const periodFor = (incentive, clock) => {
+  const today = Date.UTC(clock.year, clock.month - 1, clock.day);
+  let key = 'campaign';
+  let endsAt = incentive.validUntil ? new Date(incentive.validUntil) : null;
+
+  if (incentive.period === 'daily') {
+    key = dateKey(today);
+    endsAt = new Date(today + DAY_MS - clock.offsetMs);
+  } else if (incentive.period === 'weekly') {
+    const monday = today - ((clock.weekday + 6) % 7) * DAY_MS;
+    key = `W${dateKey(monday)}`;
+    endsAt = new Date(monday + 7 * DAY_MS - clock.offsetMs);
+  }
+
+  if (incentive.validUntil && endsAt > incentive.validUntil) {
+    endsAt = new Date(incentive.validUntil);
+  }
+
+  return { key, endsAt };
+};
+
+const toMinutes = (hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// A window whose end is before its start runs past midnight
+const inTimeWindow = (windows, clock) => windows.some(({ days, start, end }) => {
+  if (days?.length && !days.includes(clock.weekday)) return false;
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+  return from <= to
+    ? clock.minutes >= from && clock.minutes < to
+    : clock.minutes >= from || clock.minutes < to;
+});
+
+const matchesConditions = (incentive, { vehicleType, clock, zoneIds }) => {
+  const { vehicleTypes = [], zones = [], timeWindows = [] } = incentive.conditions || {};
+
+  if (vehicleTypes.length && !vehicleTypes.includes(vehicleType)) return false;
+  if (zones.length && !zones.some((zone) => zoneIds.includes(zone.toString()))) return false;
+  if (timeWindows.length && !inTimeWindow(timeWindows, clock)) return false;
+  return true;
+};
+
+/**
+ * Incentives admins have switched on whose validity covers the given time
+ */
+const getRunningIncentives = (now = new Date()) => Incentive.find({
+  isActive: true,
+  validFrom: { $lte: now },
+  $or: [{ validUntil: null }, { validUntil: { $gt: now } }],
+}).lean();
+
+const notifyAward = async (captainId, incentive) => {
+  const isStreak = incentive.type === 'streak';
+
+  try {
+    const notification = await Notification.create({
+      recipient: captainId,
+      recipientType: 'Captain',
+      type: isStreak ? 'streak_bonus' : 'incentive_earned',
+      category: 'payment',
+      title: isStreak ? 'Streak Bonus!' : 'Incentive Earned!',
+      message: isStreak
+        ? `Congratulations! You completed a ${incentive.target} rides streak. Bonus: ₹${incentive.reward}`
+        : `You earned ₹${incentive.reward} bonus for ${incentive.title}`,
+      channels: { push: true, inApp: true },
+      action: { type: 'navigate', screen: 'Incentives' },
+      metadata: { source: 'automated' },
+    });
+
+    emitToCaptain(captainId.toString(), 'notification:new', notification.toObject());
+  } catch (error) {
+    logger.error(`Incentive notification for captain ${captainId} failed: ${error.message}`);
+  }
+};
+
+/**
+ * Count a ride towards one incentive and pay the bonus if it hits the target
+ * A ride is only ever counted once per incentive and period.
+ * @returns {Promise<object|null>} - The award, if this ride earned one
+ */
+const recordProgress = async (incentive, captainId, ride, clock) => {
+  const { key, endsAt } = periodFor(incentive, clock);
+
+  let progress;
+  try {
+    progress = await IncentiveProgress.findOneAndUpdate(
+      { incentive: incentive._id, captain: captainId, periodKey: key, rides: { $ne: ride._id } },
+      {
+        $inc: { count: 1 },
+        $push: { rides: ride._id },
+        $set: { lastRideAt: ride.timestamps?.completed || new Date() },
+        $setOnInsert: { type: incentive.type, periodEndsAt: endsAt },
+      },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Ride already counted: the filter missed the existing progress and the upsert hit the unique index
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  if (progress.awardCount >= incentive.maxAwardsPerPeriod) return null;
+
+  const isStreak = incentive.type === 'streak';
+  const threshold = isStreak ? incentive.target : incentive.target * (progress.awardCount + 1);
+  if (progress.count < threshold) return null;
+
+  const awardNumber = progress.awardCount + 1;
+  const { entry } = await WalletService.payIncentive(progress, incentive, awardNumber, { ride });
+
+  // A streak starts counting again after each award
+  const claimed = await IncentiveProgress.findOneAndUpdate(
+    { _id: progress._id, awardCount: progress.awardCount },
+    {
+      $inc: { awardCount: 1, ...(isStreak && { count: -incentive.target }) },
+      $push: { awards: { amount: incentive.reward, ride: ride._id, ledgerEntry: entry._id } },
+      ...(awardNumber >= incentive.maxAwardsPerPeriod && { $set: { status: 'achieved' } }),
+    },
+    { new: true }
+  );
+
+  if (!claimed) return null;
+
+  await notifyAward(captainId, incentive);
+  logger.info(`Captain ${captainId} earned incentive ${incentive._id} (${key}, award ${awardNumber})`);
+
+  return { incentive: incentive._id, title: incentive.title, amount: incentive.reward, awardNumber };
+};
+
+/**
+ * Count a completed ride towards every running incentive it qualifies for
+ * Never throws, so incentive trouble can't fail the ride; each incentive is handled on its own.
+ * @param {object} ride - Ride that has just been completed
+ * @returns {Promise<object[]>} - Awards this ride earned
+ */
+const evaluateRide = async (ride) => {
+  const awards = [];
+  if (!ride.captain) return awards;
+
+  try {
+    const completedAt = ride.timestamps?.completed || new Date();
+    const incentives = await getRunningIncentives(completedAt);
+    if (!incentives.length) return awards;
+
+    const clock = localClock(completedAt);
+
+    let zoneIds = [];
+    if (incentives.some((incentive) => incentive.conditions?.zones?.length)) {
+      const { latitude, longitude } = ride.pickup.coordinates;
+      const { zones } = await ZoneService.resolveLocation(latitude, longitude);
+      zoneIds = zones.map((zone) => zone._id.toString());
+    }
+
+    const qualifying = incentives.filter((incentive) =>
+      matchesConditions(incentive, { vehicleType: ride.vehicleType, clock, zoneIds })
+    );
+
+    for (const incentive of qualifying) {
+      try {
+        const award = await recordProgress(incentive, ride.captain, ride, clock);
+        if (award) awards.push(award);
+      } catch (error) {
+        logger.error(`Incentive ${incentive._id} progress for ride ${ride._id} failed: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    logger.error(`Incentive evaluation for ride ${ride._id} failed: ${error.message}`);
+  }
+
+  return awards;
+};
+
+/**
+ * Reset the captain's running streaks after a rejected, missed or cancelled ride
+ */
+const breakStreaks = async (captainId) => {
+  try {
+    await IncentiveProgress.updateMany(
+      { captain: captainId, type: 'streak', status: 'in_progress', count: { $gt: 0 } },
+      { count: 0 }
+    );
+  } catch (error) {
+    logger.error(`Streak reset for captain ${captainId} failed: ${error.message}`);
+  }
+};
+
+/**
+ * Running incentives open to the captain, with progress in the current period
+ * @param {object} captain - Captain with vehicle.type
+ */
+const getCaptainIncentives = async (captain, now = new Date()) => {
+  const clock = localClock(now);
+  const incentives = (await getRunningIncentives(now)).filter(({ conditions }) =>
+    !conditions?.vehicleTypes?.length || conditions.vehicleTypes.includes(captain.vehicle?.type)
+  );
+
+  const periods = incentives.map((incentive) => ({ incentive, ...periodFor(incentive, clock) }));
+  const progress = periods.length
+    ? await IncentiveProgress.find({
+      captain: captain._id,
+      $or: periods.map(({ incentive, key }) => ({ incentive: incentive._id, periodKey: key })),
+    }).select('incentive periodKey count awardCount status').lean()
+    : [];
+
+  return periods.map(({ incentive, key, endsAt }) => {
+    const current = progress.find((p) => p.incentive.equals(incentive._id) && p.periodKey === key);
+    const count = current?.count || 0;
+    const awardCount = current?.awardCount || 0;
+    const achieved = awardCount >= incentive.maxAwardsPerPeriod;
+
+    // Rides towards the next award: streaks restart after each award, counts keep going
+    const towardsNext = incentive.type === 'streak' ? count : count - incentive.target * awardCount;
+
+    return {
+      id: incentive._id,
+      title: incentive.title,
+      description: incentive.description,
+      type: incentive.type,
+      period: incentive.period,
+      target: incentive.target,
+      current: count,
+      remaining: achieved ? 0 : Math.max(incentive.target - towardsNext, 0),
+      percentage: achieved ? 100 : Math.min(Math.round((towardsNext / incentive.target) * 100), 100),
+      reward: incentive.reward,
+      awardsEarned: awardCount,
+      maxAwards: incentive.maxAwardsPerPeriod,
+      status: achieved ? 'achieved' : 'in_progress',
+      conditions: incentive.conditions,
+      expiresAt: endsAt,
+    };
+  });
+};
+
+/**
+ * Incentive bonuses the captain has been paid, newest first
+ */
+const getAwardHistory = async (captainId, { skip, limit }) => {
+  const [result] = await IncentiveProgress.aggregate([
+    { $match: { captain: captainId, awardCount: { $gt: 0 } } },
+    { $unwind: '$awards' },
+    { $sort: { 'awards.awardedAt': -1 } },
+    {
+      $facet: {
+        history: [
+          { $skip: skip },
+          { $limit: limit },
+          { $lookup: { from: 'incentives', localField: 'incentive', foreignField: '_id', as: 'details' } },
+          {
+            $project: {
+              _id: 0,
+              incentive: 1,
+              title: { $arrayElemAt: ['$details.title', 0] },
+              type: { $arrayElemAt: ['$details.type', 0] },
+              periodKey: 1,
+              amount: '$awards.amount',
+              ride: '$awards.ride',
+              awardedAt: '$awards.awardedAt',
+            },
+          },
+        ],
+        totals: [{ $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$awards.amount' } } }],
+      },
+    },
+  ]);
+
+  return {
+    history: result.history,
+    total: result.totals[0]?.count || 0,
+    totalEarned: result.totals[0]?.amount || 0,
+  };
+};
+
+module.exports = {
+  localClock,
+  periodFor,
+  inTimeWindow,
+  getRunningIncentives,
+  evaluateRide,
+  breakStreaks,
+  getCaptainIncentives,
+  getAwardHistory,
+};
@@ -0,0 +1,318 @@
+// src/services/incidentService.js
+const Incident = require('../models/Incident');
+const Ride = require('../models/Ride');
+const Setting = require('../models/Setting');
+const ApiError = require('../utils/apiError');
+const SupportService = require('./supportService');
+const { sendSMS } = require('./smsService');
+const { emitToUser, emitToCaptain, emitToRoom } = require('./socketService');
+const { cache } = require('../config/redis');
+const { generateReferenceId } = require('../utils/helpers');
+const { SOS } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Every connected admin socket is in this room (sockets/index)
+const ADMIN_FEED = 'admins';
+const MINUTE_MS = 60 * 1000;
+const ACTIVE_STATUSES = ['accepted', 'arriving', 'arrived', 'started'];
+const RIDE_FIELD = { User: 'user', Captain: 'captain' };
+const EMIT = { User: emitToUser, Captain: emitToCaptain };
+
+// Open incident per ride, so location updates don't hit the database when there is none
+const activeKey = (rideId) => `incident:ride:${rideId}`;
+const ACTIVE_TTL = 12 * 60 * 60;
+
+/**
+ * Escalation rules from constants, overridden by the 'safety' setting's `sos` group
+ * @returns {Promise<{ emergencyNumber: string, escalationInterval: number, maxEscalationLevel: number,
+ *   trackingInterval: number, escalationPhones: string[] }>}
+ */
+const getPolicy = async () => {
+  const { sos = {} } = await Setting.getValue('safety');
+
+  return {
+    emergencyNumber: sos.emergencyNumber ?? SOS.EMERGENCY_NUMBER,
+    escalationInterval: sos.escalationInterval ?? SOS.ESCALATION_INTERVAL,
+    maxEscalationLevel: sos.maxEscalationLevel ?? SOS.MAX_ESCALATION_LEVEL,
+    trackingInterval: sos.trackingInterval ?? SOS.TRACKING_INTERVAL,
+    // Safety team numbers texted on every escalation
+    escalationPhones: sos.escalationPhones || [],
+  };
+};
+
+const fullName = (person) => (person ? `${person.firstName} ${person.lastName || ''}`.trim() : null);
+
+const mapsLink = ({ latitude, longitude }) => `https://maps.google.com/?q=${latitude},${longitude}`;
+
+const validPoint = (point) => Number.isFinite(point?.latitude) && Number.isFinite(point?.longitude);
+
+/**
+ * Incident summary for the admin console feed
+ */
+const feedItem = (incident) => ({
+  id: incident._id,
+  incidentNumber: incident.incidentNumber,
+  ride: incident.ride,
+  raisedByType: incident.raisedByType,
+  status: incident.status,
+  escalationLevel: incident.escalationLevel,
+  location: incident.location,
+  createdAt: incident.createdAt,
+});
+
+/**
+ * Text the rider's emergency contacts where they are and who they're riding with
+ * @returns {Promise<object[]>} - One delivery result per contact
+ */
+const notifyEmergencyContacts = async (ride, location, emergencyNumber) => {
+  const contacts = (ride.user.emergencyContacts || []).filter((contact) => contact.phone);
+  const data = {
+    name: fullName(ride.user),
+    link: validPoint(location) && mapsLink(location),
+    vehicle: ride.captain?.vehicle?.registrationNumber,
+    emergencyNumber,
+  };
+
+  return Promise.all(contacts.map(async ({ name, phone }) => {
+    try {
+      await sendSMS({ to: phone, template: 'sos_alert', data });
+      return { name, phone, status: 'sent', at: new Date() };
+    } catch (error) {
+      logger.error(`SOS SMS to emergency contact ${phone} failed: ${error.message}`);
+      return { name, phone, status: 'failed', error: error.message, at: new Date() };
+    }
+  }));
+};
+
+// Policy values the rider's and captain's apps need
+const appPolicy = ({ emergencyNumber, trackingInterval }) => ({ emergencyNumber, trackingInterval });
+
+/**
+ * Raise an SOS on an active ride
+ * Pressing SOS again while an incident is still open returns that incident
+ * instead of alerting everyone twice.
+ * @param {object} options
+ * @param {string} options.rideId
+ * @param {'User'|'Captain'} options.raisedByType
+ * @param {string} options.raisedBy
+ * @param {{ latitude: number, longitude: number, accuracy?: number }} [options.location]
+ * @returns {Promise<{ incident: object, created: boolean, emergencyNumber: string, trackingInterval: number }>}
+ */
+const raiseSOS = async ({ rideId, raisedByType, raisedBy, location }) => {
+  const ride = await Ride.findOne({
+    _id: rideId,
+    [RIDE_FIELD[raisedByType]]: raisedBy,
+    status: { $in: ACTIVE_STATUSES },
+  })
+    .populate('user', 'firstName lastName phone emergencyContacts')
+    .populate('captain', 'firstName lastName phone vehicle');
+
+  if (!ride) {
+    throw new ApiError(404, 'Active ride not found');
+  }
+
+  const policy = await getPolicy();
+  const point = validPoint(location)
+    ? { latitude: location.latitude, longitude: location.longitude, accuracy: location.accuracy }
+    : undefined;
+  const source = RIDE_FIELD[raisedByType];
+
+  const existing = await Incident.findOne({ ride: ride._id, status: { $ne: 'resolved' } });
+  if (existing) {
+    if (point) await recordLocation(ride._id, source, point);
+    return { incident: existing, created: false, ...appPolicy(policy) };
+  }
+
+  const now = new Date();
+  const incident = await Incident.create({
+    incidentNumber: generateReferenceId('SOS'),
+    ride: ride._id,
+    raisedByType,
+    raisedBy,
+    user: ride.user._id,
+    captain: ride.captain?._id,
+    location: point,
+    trail: point ? [{ source, ...point, at: now }] : [],
+    nextEscalationAt: new Date(now.getTime() + policy.escalationInterval * MINUTE_MS),
+  });
+
+  await cache.set(activeKey(ride._id), incident._id.toString(), ACTIVE_TTL);
+
+  const alert = {
+    ...feedItem(incident),
+    rideId: ride.rideId,
+    user: { id: ride.user._id, name: fullName(ride.user), phone: ride.user.phone },
+    captain: ride.captain && {
+      id: ride.captain._id,
+      name: fullName(ride.captain),
+      phone: ride.captain.phone,
+      vehicle: ride.captain.vehicle?.registrationNumber,
+    },
+  };
+  emitToRoom(ADMIN_FEED, 'incident:new', alert);
+  // Event name the admin console used before incidents existed
+  emitToRoom(ADMIN_FEED, 'sos:alert', { ...alert, timestamp: now });
+
+  // Both apps switch to frequent location fixes until the incident is resolved
+  const tracking = { incidentId: incident._id, rideId: ride._id, interval: policy.trackingInterval };
+  emitToUser(ride.user._id.toString(), 'sos:tracking', tracking);
+  if (ride.captain) emitToCaptain(ride.captain._id.toString(), 'sos:tracking', tracking);
+
+  logger.warn(`SOS ${incident.incidentNumber} raised on ride ${ride._id} by ${raisedByType} ${raisedBy}`);
+
+  // Only riders keep emergency contacts
+  const contactsNotified = raisedByType === 'User'
+    ? await notifyEmergencyContacts(ride, point, policy.emergencyNumber)
+    : [];
+  const ticket = await SupportService.openSosTicket(ride, { raisedByType, raisedBy, location: point });
+
+  incident.contactsNotified = contactsNotified;
+  incident.supportTicket = ticket?._id;
+  await incident.save();
+
+  return { incident, created: true, ...appPolicy(policy) };
+};
+
+/**
+ * Add a location fix to the ride's open incident, if it has one
+ * Called for every location update on a ride, so it never throws.
+ * @param {string} rideId
+ * @param {'user'|'captain'} source
+ * @param {{ latitude: number, longitude: number, accuracy?: number, speed?: number, heading?: number }} point
+ * @returns {Promise<boolean>} - Whether the fix was recorded
+ */
+const recordLocation = async (rideId, source, point) => {
+  try {
+    if (!validPoint(point)) return false;
+
+    const incidentId = await cache.get(activeKey(rideId));
+    if (!incidentId) return false;
+
+    const { latitude, longitude, accuracy, speed, heading } = point;
+    const fix = { source, latitude, longitude, accuracy, speed, heading, at: new Date() };
+
+    const result = await Incident.updateOne(
+      { _id: incidentId, status: { $ne: 'resolved' } },
+      { $push: { trail: { $each: [fix], $slice: -SOS.TRAIL_MAX_POINTS } } }
+    );
+    if (result.modifiedCount === 0) return false;
+
+    emitToRoom(ADMIN_FEED, 'incident:location', { incidentId, rideId, ...fix });
+    return true;
+  } catch (error) {
+    logger.error(`Incident location for ride ${rideId} not recorded: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Admin takes ownership of an open incident, which stops the escalation timer
+ */
+const acknowledge = async (incident, adminId) => {
+  if (incident.status !== 'open') {
+    throw new ApiError(400, `Incident is already ${incident.status}`);
+  }
+
+  incident.status = 'acknowledged';
+  incident.acknowledgedBy = adminId;
+  incident.acknowledgedAt = new Date();
+  incident.nextEscalationAt = undefined;
+  await incident.save();
+
+  emitToRoom(ADMIN_FEED, 'incident:updated', feedItem(incident));
+  EMIT[incident.raisedByType](incident.raisedBy.toString(), 'sos:acknowledged', {
+    incidentId: incident._id,
+    message: 'Our safety team has received your alert and is responding',
+  });
+
+  return incident;
+};
+
+/**
+ * Close an incident and stop the apps' high-frequency tracking
+ * @param {{ outcome: string, note?: string }} resolution
+ */
+const resolve = async (incident, adminId, { outcome, note }) => {
+  if (incident.status === 'resolved') {
+    throw new ApiError(400, 'Incident is already resolved');
+  }
+
+  const now = new Date();
+  if (!incident.acknowledgedAt) {
+    incident.acknowledgedBy = adminId;
+    incident.acknowledgedAt = now;
+  }
+  incident.status = 'resolved';
+  incident.resolution = { outcome, note, by: adminId, at: now };
+  incident.nextEscalationAt = undefined;
+  await incident.save();
+
+  await cache.del(activeKey(incident.ride));
+
+  emitToRoom(ADMIN_FEED, 'incident:updated', feedItem(incident));
+  const payload = { incidentId: incident._id, rideId: incident.ride };
+  if (incident.user) emitToUser(incident.user.toString(), 'sos:resolved', payload);
+  if (incident.captain) emitToCaptain(incident.captain.toString(), 'sos:resolved', payload);
+
+  return incident;
+};
+
+/**
+ * Escalate incidents nobody has acknowledged in time
+ * Each escalation re-alerts the admin console and texts the safety team numbers,
+ * until the maximum level is reached.
+ * @returns {Promise<number>} - Incidents escalated
+ */
+const escalateOverdue = async (now = new Date()) => {
+  const policy = await getPolicy();
+  const overdue = await Incident.find({ status: 'open', nextEscalationAt: { $lte: now } })
+    .select('escalationLevel')
+    .limit(50)
+    .lean();
+
+  let escalated = 0;
+  for (const { _id, escalationLevel } of overdue) {
+    const level = escalationLevel + 1;
+
+    // Claimed by level, so overlapping job runs escalate each incident once
+    const incident = await Incident.findOneAndUpdate(
+      { _id, status: 'open', escalationLevel },
+      {
+        $inc: { escalationLevel: 1 },
+        $push: { escalations: { level, at: now } },
+        $set: {
+          nextEscalationAt: level >= policy.maxEscalationLevel
+            ? null
+            : new Date(now.getTime() + policy.escalationInterval * MINUTE_MS),
+        },
+      },
+      { new: true }
+    );
+    if (!incident) continue;
+
+    escalated += 1;
+    emitToRoom(ADMIN_FEED, 'incident:escalated', feedItem(incident));
+    logger.warn(`SOS ${incident.incidentNumber} unacknowledged, escalated to level ${level}`);
+
+    const data = {
+      incidentNumber: incident.incidentNumber,
+      level,
+      link: validPoint(incident.location) && mapsLink(incident.location),
+    };
+
+    await Promise.all(policy.escalationPhones.map((phone) => sendSMS({ to: phone, template: 'sos_escalation', data }).catch((error) => {
+      logger.error(`SOS escalation SMS to ${phone} failed: ${error.message}`);
+    })));
+  }
+
+  return escalated;
+};
+
+module.exports = {
+  getPolicy,
+  raiseSOS,
+  recordLocation,
+  acknowledge,
+  resolve,
+  escalateOverdue,
+};
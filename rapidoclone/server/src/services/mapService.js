@@ -0,0 +1,236 @@
+// src/services/mapService.js
+const ApiError = require('../utils/apiError');
+const logger = require('../utils/logger');
+const googleAdapter = require('./maps/googleAdapter');
+const osrmAdapter = require('./maps/osrmAdapter');
+const offlineAdapter = require('./maps/offlineAdapter');
+const MapCache = require('./maps/mapCache');
+const { MAP_CACHE } = require('../config/constants');
+
+const { GRID, TTL } = MAP_CACHE;
+
+/**
+ * Adapters share one interface, in meters and seconds:
+ *   geocode(address), reverseGeocode(point), autocomplete(input, options), placeDetails(placeId, options),
+ *   nearbyPlaces(point, options), directions(origin, destination, options),
+ *   distanceMatrix(origins, destinations, options)
+ * Places are { placeId, name, address, latitude, longitude, addressComponents };
+ * lookups that find nothing return null or an empty list instead of throwing.
+ */
+const ADAPTERS = {
+  google: googleAdapter,
+  osrm: osrmAdapter,
+  offline: offlineAdapter,
+};
+
+/**
+ * Provider named by MAP_PROVIDER; without one, Google when it has an API key, else offline
+ */
+const getAdapter = () => {
+  const adapter = ADAPTERS[process.env.MAP_PROVIDER?.toLowerCase()];
+  if (adapter) return adapter;
+
+  return googleAdapter.isConfigured() ? googleAdapter : offlineAdapter;
+};
+
+const getProviderName = () => getAdapter().name;
+
+/**
+ * Run an adapter method, turning provider trouble into a 503
+ */
+const call = async (method, ...args) => {
+  const adapter = getAdapter();
+
+  try {
+    return await adapter[method](...args);
+  } catch (error) {
+    logger.error(`Map provider ${adapter.name} ${method} failed:`, error.response?.data || error.message);
+    throw ApiError.serviceUnavailable('Location service unavailable');
+  }
+};
+
+/**
+ * Run an adapter method through the map cache
+ * @param {string} method - Adapter method, also the cache kind
+ * @param {string} key - Everything the answer depends on besides the provider
+ * @param {{ FRESH: number, STALE: number }} ttl
+ */
+const cachedCall = (method, key, ttl, ...args) => MapCache.cached(
+  { provider: getProviderName(), kind: method, key, ttl },
+  () => call(method, ...args)
+);
+
+// Departure times rounded up to the bucket, so nearby times share a cached route
+const departureBucket = (departureTime) => {
+  if (!departureTime) return null;
+  const bucketMs = MAP_CACHE.DEPARTURE_BUCKET * 60 * 1000;
+  return new Date(Math.ceil(new Date(departureTime).getTime() / bucketMs) * bucketMs);
+};
+
+const cells = (points) => points.map((point) => MapCache.cell(point, GRID.ROUTE)).join(';');
+
+const travelKey = ({ mode = 'driving', departureTime }) => `${mode}|${departureTime ? departureTime.getTime() : 'now'}`;
+
+/**
+ * Meters as "850 m" or "5.2 km", matching Google's text values
+ */
+const formatDistance = (meters) => (meters < 1000
+  ? `${Math.round(meters)} m`
+  : `${(meters / 1000).toFixed(1)} km`);
+
+/**
+ * Seconds as "12 mins" or "1 hour 5 mins"
+ */
+const formatDuration = (seconds) => {
+  const minutes = Math.max(Math.ceil(seconds / 60), 1);
+  if (minutes < 60) return `${minutes} min${minutes > 1 ? 's' : ''}`;
+
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `${hours} hour${hours > 1 ? 's' : ''}${rest ? ` ${rest} min${rest > 1 ? 's' : ''}` : ''}`;
+};
+
+/**
+ * { text, value } pairs as the apps have always received them from Google
+ */
+const distanceValue = (meters) => ({ text: formatDistance(meters), value: meters });
+const durationValue = (seconds) => (seconds == null ? null : { text: formatDuration(seconds), value: seconds });
+
+const geocode = (address) => cachedCall('geocode', MapCache.normalizeQuery(address), TTL.GEOCODE, address);
+
+/**
+ * Address of the grid cell around a point
+ */
+const reverseGeocode = (latitude, longitude) => {
+  const point = MapCache.snap({ latitude, longitude }, GRID.POINT);
+  return cachedCall('reverseGeocode', MapCache.cell(point, GRID.POINT), TTL.GEOCODE, point);
+};
+
+/**
+ * Suggestions are shared by everyone typing the same text in the same area. The session
+ * token is passed on (Google bills a typing session that ends in place details as one)
+ * but is not part of the cache key.
+ * @param {string} input
+ * @param {{ location?: object, radius?: number, types?: string, language?: string, sessionToken?: string }} [options]
+ */
+const autocomplete = (input, { location, radius, types, language = 'en', sessionToken } = {}) => {
+  const area = location && MapCache.snap(location, GRID.AREA);
+  const key = [
+    MapCache.normalizeQuery(input),
+    area ? MapCache.cell(area, GRID.AREA) : '',
+    area ? radius : '',
+    types || '',
+    language,
+  ].join('|');
+
+  return cachedCall('autocomplete', key, TTL.AUTOCOMPLETE, input, { location: area, radius, types, language, sessionToken });
+};
+
+/**
+ * @param {string} placeId
+ * @param {{ sessionToken?: string }} [options]
+ */
+const getPlaceDetails = (placeId, options) => cachedCall('placeDetails', placeId, TTL.PLACE, placeId, options);
+
+/**
+ * @param {{ latitude: number, longitude: number }} point - Searched from the centre of its grid cell
+ * @param {{ type?: string, radius?: number }} [options] - type uses Google place types
+ */
+const getNearbyPlaces = (point, { type, radius } = {}) => {
+  const center = MapCache.snap(point, GRID.AREA);
+  const key = `${MapCache.cell(center, GRID.AREA)}|${type || ''}|${radius || ''}`;
+  return cachedCall('nearbyPlaces', key, TTL.NEARBY, center, { type, radius });
+};
+
+/**
+ * Routes between two points, best first
+ * Every point is moved to the centre of its route grid cell.
+ * @param {{ latitude: number, longitude: number }} origin
+ * @param {{ latitude: number, longitude: number }} destination
+ * @param {{ waypoints?: object[], mode?: string, alternatives?: boolean, departureTime?: Date }} [options]
+ */
+const getRoutes = (origin, destination, { waypoints = [], mode, alternatives = false, departureTime } = {}) => {
+  const [from, to, ...stops] = [origin, destination, ...waypoints].map((point) => MapCache.snap(point, GRID.ROUTE));
+  const options = { waypoints: stops, mode, alternatives, departureTime: departureBucket(departureTime) };
+  const key = `${cells([from, ...stops, to])}|${travelKey(options)}|${alternatives ? 'alternatives' : 'best'}`;
+
+  return cachedCall('directions', key, TTL.ROUTE, from, to, options);
+};
+
+/**
+ * Trip length for fares and ride records
+ * @returns {Promise<{ distance: number, duration: number, durationInTraffic: number|null, polyline: string }>}
+ *   - distance in km, durations in minutes
+ * @throws {ApiError} 400 when there is no road route
+ */
+const getDirections = async (origin, destination, options) => {
+  const [route] = await getRoutes(origin, destination, options);
+
+  if (!route) {
+    throw ApiError.badRequest('No route found between these locations');
+  }
+
+  return {
+    distance: Math.round(route.distance / 10) / 100,
+    duration: Math.ceil(route.duration / 60),
+    durationInTraffic: route.durationInTraffic == null ? null : Math.ceil(route.durationInTraffic / 60),
+    polyline: route.polyline,
+  };
+};
+
+/**
+ * @returns {Promise<object[][]>} - rows[origin][destination] of { status, distance, duration, durationInTraffic }
+ */
+const getDistanceMatrix = (origins, destinations, { mode, departureTime } = {}) => {
+  const from = origins.map((point) => MapCache.snap(point, GRID.ROUTE));
+  const to = destinations.map((point) => MapCache.snap(point, GRID.ROUTE));
+  const options = { mode, departureTime: departureBucket(departureTime) };
+  const key = `${cells(from)}>${cells(to)}|${travelKey(options)}`;
+
+  return cachedCall('distanceMatrix', key, TTL.ROUTE, from, to, options);
+};
+
+/**
+ * Driving distance and time from one point to another, or null when there is no route
+ * @returns {Promise<{ distance: number, duration: number, durationInTraffic: number|null }|null>}
+ */
+const getETA = async (origin, destination, options) => {
+  const [[element]] = await getDistanceMatrix([origin], [destination], options);
+  return element.status === 'OK' ? element : null;
+};
+
+/**
+ * Map cache counts by provider and lookup
+ */
+const getCacheStats = () => MapCache.getStats(Object.keys(ADAPTERS));
+
+/**
+ * Static map image URL; only Google serves these
+ * @throws {ApiError} 503 when no Google API key is configured
+ */
+const getStaticMapUrl = (options) => {
+  if (!googleAdapter.isConfigured()) {
+    throw ApiError.serviceUnavailable('Static maps are not available');
+  }
+
+  return googleAdapter.staticMapUrl(options);
+};
+
+module.exports = {
+  getProviderName,
+  formatDistance,
+  formatDuration,
+  distanceValue,
+  durationValue,
+  geocode,
+  reverseGeocode,
+  autocomplete,
+  getPlaceDetails,
+  getNearbyPlaces,
+  getRoutes,
+  getDirections,
+  getDistanceMatrix,
+  getETA,
+  getStaticMapUrl,
+  getCacheStats,
+};
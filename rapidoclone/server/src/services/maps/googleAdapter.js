@@ -0,0 +1,256 @@
+// src/services/maps/googleAdapter.js
+const axios = require('axios');
+
+const BASE_URL = 'https://maps.googleapis.com/maps/api';
+
+const apiKey = () => process.env.GOOGLE_MAPS_API_KEY;
+
+/**
+ * Call a Maps web service and check its status
+ * ZERO_RESULTS and NOT_FOUND are answers, not failures; anything else but OK throws.
+ */
+const request = async (endpoint, params) => {
+  const { data } = await axios.get(`${BASE_URL}${endpoint}`, {
+    params: { ...params, key: apiKey() },
+    timeout: 10000,
+  });
+
+  if (!['OK', 'ZERO_RESULTS', 'NOT_FOUND'].includes(data.status)) {
+    throw new Error(`Google Maps ${endpoint} returned ${data.status}${data.error_message ? `: ${data.error_message}` : ''}`);
+  }
+
+  return data;
+};
+
+const toLatLng = ({ latitude, longitude }) => `${latitude},${longitude}`;
+
+const fromLatLng = ({ lat, lng }) => ({ latitude: lat, longitude: lng });
+
+const departureParams = (departureTime) => ({
+  departure_time: departureTime ? Math.floor(new Date(departureTime).getTime() / 1000) : 'now',
+  traffic_model: 'best_guess',
+});
+
+/**
+ * Flatten Google address components into our address fields
+ */
+const parseAddressComponents = (components = []) => {
+  const result = {};
+
+  components.forEach((component) => {
+    if (component.types.includes('street_number')) {
+      result.streetNumber = component.long_name;
+    }
+    if (component.types.includes('route')) {
+      result.streetName = component.long_name;
+    }
+    if (component.types.includes('sublocality') || component.types.includes('neighborhood')) {
+      result.locality = component.long_name;
+    }
+    if (component.types.includes('locality')) {
+      result.city = component.long_name;
+    }
+    if (component.types.includes('administrative_area_level_2')) {
+      result.district = component.long_name;
+    }
+    if (component.types.includes('administrative_area_level_1')) {
+      result.state = component.long_name;
+    }
+    if (component.types.includes('country')) {
+      result.country = component.long_name;
+    }
+    if (component.types.includes('postal_code')) {
+      result.postalCode = component.long_name;
+    }
+  });
+
+  return result;
+};
+
+const toPlace = (result) => ({
+  placeId: result.place_id,
+  name: result.formatted_address.split(',')[0],
+  address: result.formatted_address,
+  ...fromLatLng(result.geometry.location),
+  addressComponents: parseAddressComponents(result.address_components),
+});
+
+const geocode = async (address) => {
+  const data = await request('/geocode/json', { address, region: 'in' });
+  return data.results?.length ? toPlace(data.results[0]) : null;
+};
+
+const reverseGeocode = async (point) => {
+  const data = await request('/geocode/json', { latlng: toLatLng(point) });
+  return data.results?.length ? toPlace(data.results[0]) : null;
+};
+
+const autocomplete = async (input, { location, radius, types, language = 'en', sessionToken } = {}) => {
+  const data = await request('/place/autocomplete/json', {
+    input,
+    language,
+    components: 'country:in',
+    ...(location && { location: toLatLng(location), radius }),
+    ...(types && { types }),
+    ...(sessionToken && { sessiontoken: sessionToken }),
+  });
+
+  return (data.predictions || []).map((p) => ({
+    placeId: p.place_id,
+    description: p.description,
+    mainText: p.structured_formatting?.main_text,
+    secondaryText: p.structured_formatting?.secondary_text,
+    types: p.types,
+  }));
+};
+
+const placeDetails = async (placeId, { sessionToken } = {}) => {
+  const data = await request('/place/details/json', {
+    place_id: placeId,
+    fields: 'name,formatted_address,geometry,address_components,type,formatted_phone_number,website,rating,user_ratings_total,photos,opening_hours',
+    ...(sessionToken && { sessiontoken: sessionToken }),
+  });
+
+  const result = data.result;
+  if (!result) return null;
+
+  return {
+    placeId,
+    name: result.name,
+    address: result.formatted_address,
+    ...fromLatLng(result.geometry.location),
+    addressComponents: parseAddressComponents(result.address_components),
+    type: result.types?.[0] || 'other',
+    additionalInfo: {
+      phone: result.formatted_phone_number,
+      website: result.website,
+      rating: result.rating,
+      totalRatings: result.user_ratings_total,
+      photos: result.photos?.slice(0, 3).map((p) =>
+        `${BASE_URL}/place/photo?maxwidth=400&photoreference=${p.photo_reference}&key=${apiKey()}`
+      ),
+    },
+    operatingHours: result.opening_hours
+      ? {
+          is24Hours: result.opening_hours.periods?.some(
+            (p) => p.open?.time === '0000' && !p.close
+          ),
+          weekdayText: result.opening_hours.weekday_text,
+        }
+      : null,
+  };
+};
+
+const nearbyPlaces = async (point, { type, radius, language = 'en' } = {}) => {
+  const data = await request('/place/nearbysearch/json', {
+    location: toLatLng(point),
+    radius,
+    language,
+    ...(type && { type }),
+  });
+
+  return (data.results || []).map((place) => ({
+    placeId: place.place_id,
+    name: place.name,
+    address: place.vicinity,
+    ...fromLatLng(place.geometry.location),
+    type: place.types?.[0],
+    rating: place.rating,
+    isOpen: place.opening_hours?.open_now,
+  }));
+};
+
+const sumLegs = (legs, field) => legs.reduce((total, leg) => total + (leg[field]?.value || 0), 0);
+
+const directions = async (origin, destination, { waypoints = [], mode = 'driving', alternatives = false, departureTime } = {}) => {
+  const data = await request('/directions/json', {
+    origin: toLatLng(origin),
+    destination: toLatLng(destination),
+    mode,
+    ...(waypoints.length && { waypoints: waypoints.map(toLatLng).join('|') }),
+    ...(alternatives && { alternatives: true }),
+    ...departureParams(departureTime),
+  });
+
+  return (data.routes || []).map((route) => ({
+    summary: route.summary,
+    distance: sumLegs(route.legs, 'distance'),
+    duration: sumLegs(route.legs, 'duration'),
+    durationInTraffic: route.legs.every((leg) => leg.duration_in_traffic) ? sumLegs(route.legs, 'duration_in_traffic') : null,
+    polyline: route.overview_polyline.points,
+    legs: route.legs.map((leg) => ({
+      startAddress: leg.start_address,
+      endAddress: leg.end_address,
+      distance: leg.distance.value,
+      duration: leg.duration.value,
+      durationInTraffic: leg.duration_in_traffic?.value ?? null,
+      steps: leg.steps.map((step) => ({
+        instruction: step.html_instructions.replace(/<[^>]*>/g, ''),
+        distance: step.distance.value,
+        duration: step.duration.value,
+        startLocation: fromLatLng(step.start_location),
+        endLocation: fromLatLng(step.end_location),
+        maneuver: step.maneuver,
+        polyline: step.polyline.points,
+      })),
+    })),
+  }));
+};
+
+const distanceMatrix = async (origins, destinations, { mode = 'driving', departureTime } = {}) => {
+  const data = await request('/distancematrix/json', {
+    origins: origins.map(toLatLng).join('|'),
+    destinations: destinations.map(toLatLng).join('|'),
+    mode,
+    ...departureParams(departureTime),
+  });
+
+  return data.rows.map((row) => row.elements.map((element) => (element.status === 'OK'
+    ? {
+        status: 'OK',
+        distance: element.distance.value,
+        duration: element.duration.value,
+        durationInTraffic: element.duration_in_traffic?.value ?? null,
+      }
+    : { status: 'NOT_FOUND' })));
+};
+
+/**
+ * Static map image URL
+ * @param {object} options
+ * @param {{ latitude: number, longitude: number }} [options.center]
+ * @param {{ latitude: number, longitude: number, color?: string, label?: string }[]} [options.pins]
+ * @param {string} [options.markers] - Raw Google markers parameter, used instead of pins
+ * @param {string} [options.polyline] - Encoded route to draw
+ */
+const staticMapUrl = ({ center, zoom, width = 600, height = 400, pins = [], markers, polyline }) => {
+  const params = [`size=${width}x${height}`, 'maptype=roadmap'];
+
+  if (center) params.push(`center=${toLatLng(center)}`);
+  if (zoom) params.push(`zoom=${zoom}`);
+  if (polyline) params.push(`path=enc:${encodeURIComponent(polyline)}`);
+
+  if (markers) {
+    params.push(`markers=${markers}`);
+  } else {
+    pins.forEach(({ color = 'red', label, ...point }) => {
+      params.push(`markers=color:${color}${label ? `|label:${label}` : ''}|${toLatLng(point)}`);
+    });
+  }
+
+  params.push(`key=${apiKey()}`);
+  return `${BASE_URL}/staticmap?${params.join('&')}`;
+};
+
+module.exports = {
+  name: 'google',
+  isConfigured: () => Boolean(apiKey()),
+  geocode,
+  reverseGeocode,
+  autocomplete,
+  placeDetails,
+  nearbyPlaces,
+  directions,
+  distanceMatrix,
+  staticMapUrl,
+};
@@ -0,0 +1,166 @@
+// src/services/maps/mapCache.js
+const crypto = require('crypto');
+const { cache, getClient } = require('../../config/redis');
+const logger = require('../../utils/logger');
+const { MAP_CACHE } = require('../../config/constants');
+
+/**
+ * Redis cache for map provider lookups
+ * Entries live under map:<provider>:<kind>:<key>, so switching providers never serves another
+ * provider's place ids. Identical lookups running at the same time share one provider call,
+ * and hit/miss counts are kept per provider in the mapstats:<provider> hash.
+ */
+
+const KEY_PREFIX = 'map:';
+const STATS_PREFIX = 'mapstats:';
+const OUTCOMES = ['hit', 'stale', 'coalesced', 'miss'];
+
+// Provider calls in flight in this process, by cache key
+const inflight = new Map();
+
+/**
+ * "lat,lng" of the grid cell a point falls in
+ */
+const cell = ({ latitude, longitude }, precision) =>
+  `${Number(latitude).toFixed(precision)},${Number(longitude).toFixed(precision)}`;
+
+/**
+ * A point moved to the centre of its grid cell, so the provider answers for what the key says
+ */
+const snap = ({ latitude, longitude }, precision) => ({
+  latitude: parseFloat(Number(latitude).toFixed(precision)),
+  longitude: parseFloat(Number(longitude).toFixed(precision)),
+});
+
+/**
+ * Search text with case, accents, punctuation and spacing differences removed
+ */
+const normalizeQuery = (text = '') => String(text)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// Long keys (distance matrices) are hashed to keep Redis keys short
+const toCacheKey = (provider, kind, key) => {
+  const id = key.length > 120 ? crypto.createHash('sha1').update(key).digest('hex') : key;
+  return `${KEY_PREFIX}${provider}:${kind}:${id}`;
+};
+
+const isEmpty = (value) => value == null || (Array.isArray(value) && !value.length);
+
+const count = (provider, kind, outcome) => {
+  const client = getClient();
+  if (!client) return;
+
+  client.hincrby(`${STATS_PREFIX}${provider}`, `${kind}:${outcome}`, 1).catch((error) => {
+    logger.warn(`Map cache stats not recorded: ${error.message}`);
+  });
+};
+
+/**
+ * Fetch from the provider and store the answer, sharing the call with anyone asking meanwhile
+ */
+const load = (cacheKey, ttl, fetch) => {
+  if (inflight.has(cacheKey)) return inflight.get(cacheKey);
+
+  const promise = (async () => {
+    try {
+      const value = await fetch();
+      const fresh = isEmpty(value) ? MAP_CACHE.EMPTY_TTL : ttl.FRESH;
+      const stale = isEmpty(value) ? 0 : ttl.STALE;
+
+      await cache.set(cacheKey, { value, freshUntil: Date.now() + fresh * 1000 }, fresh + stale);
+      return value;
+    } finally {
+      inflight.delete(cacheKey);
+    }
+  })();
+
+  inflight.set(cacheKey, promise);
+  return promise;
+};
+
+/**
+ * Answer a lookup from the cache, falling back to the provider
+ * Stale entries are returned straight away while a background call refreshes them.
+ * @param {object} lookup
+ * @param {string} lookup.provider - Adapter name
+ * @param {string} lookup.kind - Lookup type, e.g. 'geocode'; also the stats bucket
+ * @param {string} lookup.key - Identifies the lookup within its provider and kind
+ * @param {{ FRESH: number, STALE: number }} lookup.ttl - Seconds, from MAP_CACHE.TTL
+ * @param {Function} fetch - Loads the answer from the provider
+ */
+const cached = async ({ provider, kind, key, ttl }, fetch) => {
+  const cacheKey = toCacheKey(provider, kind, key);
+
+  if (inflight.has(cacheKey)) {
+    count(provider, kind, 'coalesced');
+    return inflight.get(cacheKey);
+  }
+
+  const entry = await cache.get(cacheKey);
+
+  if (entry) {
+    if (entry.freshUntil > Date.now()) {
+      count(provider, kind, 'hit');
+      return entry.value;
+    }
+
+    count(provider, kind, 'stale');
+    load(cacheKey, ttl, fetch).catch((error) => {
+      logger.warn(`Map cache refresh failed for ${cacheKey}: ${error.message}`);
+    });
+    return entry.value;
+  }
+
+  // Another request may have started the same call while we were reading Redis
+  if (inflight.has(cacheKey)) {
+    count(provider, kind, 'coalesced');
+    return inflight.get(cacheKey);
+  }
+
+  count(provider, kind, 'miss');
+  return load(cacheKey, ttl, fetch);
+};
+
+/**
+ * Lookup counts by provider and kind
+ * @param {string[]} providers
+ * @returns {Promise<object>} - { [provider]: { [kind]: { hit, stale, coalesced, miss, hitRate } } }
+ */
+const getStats = async (providers) => {
+  const client = getClient();
+  if (!client) return {};
+
+  const stats = {};
+
+  for (const provider of providers) {
+    const counters = await client.hgetall(`${STATS_PREFIX}${provider}`);
+    const kinds = {};
+
+    Object.entries(counters).forEach(([field, value]) => {
+      const [kind, outcome] = field.split(':');
+      kinds[kind] = kinds[kind] || Object.fromEntries(OUTCOMES.map((o) => [o, 0]));
+      kinds[kind][outcome] = Number(value);
+    });
+
+    Object.values(kinds).forEach((counts) => {
+      const total = OUTCOMES.reduce((sum, outcome) => sum + counts[outcome], 0);
+      counts.hitRate = total ? Math.round(((total - counts.miss) / total) * 1000) / 10 : null;
+    });
+
+    if (Object.keys(kinds).length) stats[provider] = kinds;
+  }
+
+  return stats;
+};
+
+module.exports = {
+  cell,
+  snap,
+  normalizeQuery,
+  cached,
+  getStats,
+};
@@ -0,0 +1,166 @@
+// src/services/maps/offlineAdapter.js
+const Location = require('../../models/Location');
+const { calculateDistance, encodePolyline } = require('../../utils/helpers');
+const { MATCHING } = require('../../config/constants');
+
+/**
+ * Map provider that needs no network or API key, for tests and offline development
+ * Routes are straight lines stretched by the road distance factor and driven at the
+ * matching average speed, so the same points always give the same answer. Places come
+ * from the Location collection, plus "lat,lng" strings and the "geo:lat,lng" ids it hands out.
+ */
+
+const COORDINATES_PATTERN = /^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/;
+
+// Google place types the app asks for, as Location types
+const PLACE_TYPES = { train_station: 'railway_station' };
+
+const parseCoordinates = (text = '') => {
+  const match = String(text).replace(/^geo:/, '').match(COORDINATES_PATTERN);
+  return match ? { latitude: parseFloat(match[1]), longitude: parseFloat(match[2]) } : null;
+};
+
+const coordinatePlace = ({ latitude, longitude }) => {
+  const label = `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+  return {
+    placeId: `geo:${latitude.toFixed(5)},${longitude.toFixed(5)}`,
+    name: label,
+    address: label,
+    latitude,
+    longitude,
+    addressComponents: {},
+  };
+};
+
+const toPlace = (location) => ({
+  placeId: location.placeId || `geo:${location.latitude},${location.longitude}`,
+  name: location.name,
+  address: location.address,
+  latitude: location.latitude,
+  longitude: location.longitude,
+  addressComponents: location.addressComponents || {},
+  type: location.type,
+});
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const searchCatalogue = (text, limit) => Location.find({
+  isActive: true,
+  $or: [
+    { name: { $regex: escapeRegex(text), $options: 'i' } },
+    { address: { $regex: escapeRegex(text), $options: 'i' } },
+  ],
+})
+  .sort({ searchCount: -1 })
+  .limit(limit)
+  .lean();
+
+const geocode = async (address) => {
+  const point = parseCoordinates(address);
+  if (point) return coordinatePlace(point);
+
+  const [location] = await searchCatalogue(address, 1);
+  return location ? toPlace(location) : null;
+};
+
+const reverseGeocode = async (point) => {
+  const [nearest] = await Location.findNearby(point.longitude, point.latitude, 100, 1).lean();
+  return nearest
+    ? { ...toPlace(nearest), latitude: point.latitude, longitude: point.longitude }
+    : coordinatePlace(point);
+};
+
+const autocomplete = async (input) => {
+  const point = parseCoordinates(input);
+  const places = point ? [coordinatePlace(point)] : (await searchCatalogue(input, 5)).map(toPlace);
+
+  return places.map((place) => ({
+    placeId: place.placeId,
+    description: place.address,
+    mainText: place.name,
+    secondaryText: place.address,
+    types: [place.type || 'other'],
+  }));
+};
+
+const placeDetails = async (placeId) => {
+  const point = parseCoordinates(placeId);
+  if (point) return coordinatePlace(point);
+
+  const location = await Location.findOne({ placeId }).lean();
+  return location ? toPlace(location) : null;
+};
+
+const nearbyPlaces = async (point, { type, radius = 5000 } = {}) => {
+  const locations = await Location.findNearby(point.longitude, point.latitude, Number(radius), 20)
+    .where(type ? { type: PLACE_TYPES[type] || type } : {})
+    .lean();
+
+  return locations.map((location) => ({
+    ...toPlace(location),
+    distance: calculateDistance(point.latitude, point.longitude, location.latitude, location.longitude),
+  }));
+};
+
+/**
+ * Road distance (m) and driving time (s) between two points
+ */
+const estimate = (from, to, mode) => {
+  const km = calculateDistance(from.latitude, from.longitude, to.latitude, to.longitude) * MATCHING.ROAD_DISTANCE_FACTOR;
+  const speed = mode === 'walking' ? 5 : MATCHING.AVERAGE_SPEED_KMPH.cab;
+
+  return {
+    distance: Math.round(km * 1000),
+    duration: Math.round((km / speed) * 3600),
+  };
+};
+
+const directions = async (origin, destination, { waypoints = [], mode = 'driving' } = {}) => {
+  const points = [origin, ...waypoints, destination];
+
+  const legs = points.slice(1).map((to, i) => {
+    const from = points[i];
+    const { distance, duration } = estimate(from, to, mode);
+    return {
+      startAddress: null,
+      endAddress: null,
+      distance,
+      duration,
+      durationInTraffic: null,
+      steps: [{
+        instruction: 'Head straight to the next stop',
+        distance,
+        duration,
+        startLocation: { latitude: from.latitude, longitude: from.longitude },
+        endLocation: { latitude: to.latitude, longitude: to.longitude },
+        maneuver: 'straight',
+        polyline: encodePolyline([from, to]),
+      }],
+    };
+  });
+
+  return [{
+    summary: 'Straight-line estimate',
+    distance: legs.reduce((total, leg) => total + leg.distance, 0),
+    duration: legs.reduce((total, leg) => total + leg.duration, 0),
+    durationInTraffic: null,
+    polyline: encodePolyline(points),
+    legs,
+  }];
+};
+
+const distanceMatrix = async (origins, destinations, { mode = 'driving' } = {}) => origins.map((from) =>
+  destinations.map((to) => ({ status: 'OK', ...estimate(from, to, mode), durationInTraffic: null }))
+);
+
+module.exports = {
+  name: 'offline',
+  isConfigured: () => true,
+  geocode,
+  reverseGeocode,
+  autocomplete,
+  placeDetails,
+  nearbyPlaces,
+  directions,
+  distanceMatrix,
+};
@@ -0,0 +1,199 @@
+// src/services/maps/osrmAdapter.js
+const axios = require('axios');
+const { calculateDistance } = require('../../utils/helpers');
+
+// Self-hosted instances in production; the public demo servers are only fit for development
+const osrmUrl = () => process.env.OSRM_URL || 'https://router.project-osrm.org';
+const nominatimUrl = () => process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+
+// OSRM profiles by travel mode
+const PROFILES = { driving: 'driving', walking: 'foot', bicycling: 'bike' };
+
+// Google place types the app asks for, as Nominatim search terms
+const PLACE_TYPES = { airport: 'airport', train_station: 'railway station' };
+
+const nominatim = async (endpoint, params) => {
+  const { data } = await axios.get(`${nominatimUrl()}${endpoint}`, {
+    params: { format: 'jsonv2', addressdetails: 1, ...params },
+    // Nominatim's usage policy requires an identifying user agent
+    headers: { 'User-Agent': process.env.NOMINATIM_USER_AGENT || 'rapidoclone-server' },
+    timeout: 10000,
+  });
+  return data;
+};
+
+const osrm = async (service, points, params, mode = 'driving') => {
+  const coordinates = points.map(({ latitude, longitude }) => `${longitude},${latitude}`).join(';');
+  const { data } = await axios.get(
+    `${osrmUrl()}/${service}/v1/${PROFILES[mode] || PROFILES.driving}/${coordinates}`,
+    { params, timeout: 10000 }
+  );
+
+  if (data.code !== 'Ok' && data.code !== 'NoRoute') {
+    throw new Error(`OSRM ${service} returned ${data.code}${data.message ? `: ${data.message}` : ''}`);
+  }
+
+  return data;
+};
+
+// Nominatim ids are only unique per OSM type; "N123"-style ids also work with /lookup
+const toPlaceId = (place) => `${place.osm_type[0].toUpperCase()}${place.osm_id}`;
+
+const parseAddress = (address = {}) => ({
+  streetNumber: address.house_number,
+  streetName: address.road,
+  locality: address.suburb || address.neighbourhood,
+  city: address.city || address.town || address.village,
+  district: address.state_district || address.county,
+  state: address.state,
+  country: address.country,
+  postalCode: address.postcode,
+});
+
+const toPlace = (place) => ({
+  placeId: toPlaceId(place),
+  name: place.name || place.display_name.split(',')[0],
+  address: place.display_name,
+  latitude: parseFloat(place.lat),
+  longitude: parseFloat(place.lon),
+  addressComponents: parseAddress(place.address),
+  type: place.type,
+});
+
+// Search box of roughly `radius` meters around a point
+const viewbox = ({ latitude, longitude }, radius) => {
+  const latDelta = radius / 111320;
+  const lngDelta = radius / (111320 * Math.cos((latitude * Math.PI) / 180));
+  return [longitude - lngDelta, latitude + latDelta, longitude + lngDelta, latitude - latDelta].join(',');
+};
+
+const geocode = async (address) => {
+  const [place] = await nominatim('/search', { q: address, countrycodes: 'in', limit: 1 });
+  return place ? toPlace(place) : null;
+};
+
+const reverseGeocode = async ({ latitude, longitude }) => {
+  const place = await nominatim('/reverse', { lat: latitude, lon: longitude });
+  return place && !place.error ? toPlace(place) : null;
+};
+
+const autocomplete = async (input, { location, radius = 50000, language = 'en' } = {}) => {
+  const places = await nominatim('/search', {
+    q: input,
+    countrycodes: 'in',
+    limit: 5,
+    'accept-language': language,
+    ...(location && { viewbox: viewbox(location, radius) }),
+  });
+
+  return places.map((place) => {
+    const [mainText, ...rest] = place.display_name.split(', ');
+    return {
+      placeId: toPlaceId(place),
+      description: place.display_name,
+      mainText: place.name || mainText,
+      secondaryText: rest.join(', '),
+      types: [place.type],
+    };
+  });
+};
+
+const placeDetails = async (placeId) => {
+  const [place] = await nominatim('/lookup', { osm_ids: placeId });
+  return place ? toPlace(place) : null;
+};
+
+const nearbyPlaces = async (point, { type, radius = 5000 } = {}) => {
+  // Nominatim has no open-ended nearby search: without a type there is nothing to look for
+  if (!type) return [];
+
+  const places = await nominatim('/search', {
+    q: PLACE_TYPES[type] || type.replace(/_/g, ' '),
+    viewbox: viewbox(point, radius),
+    bounded: 1,
+    limit: 20,
+  });
+
+  return places.map((place) => ({
+    ...toPlace(place),
+    address: place.display_name,
+    distance: calculateDistance(point.latitude, point.longitude, parseFloat(place.lat), parseFloat(place.lon)),
+  }));
+};
+
+const instructionFor = (step) => {
+  const { type, modifier } = step.maneuver;
+  const road = step.name ? ` onto ${step.name}` : '';
+
+  if (type === 'depart') return `Head ${modifier || 'out'}${road}`;
+  if (type === 'arrive') return 'Arrive at your destination';
+  return `${type.charAt(0).toUpperCase()}${type.slice(1)}${modifier ? ` ${modifier}` : ''}${road}`;
+};
+
+const toLocation = ([longitude, latitude]) => ({ latitude, longitude });
+
+const directions = async (origin, destination, { waypoints = [], mode = 'driving', alternatives = false } = {}) => {
+  const data = await osrm('route', [origin, ...waypoints, destination], {
+    overview: 'full',
+    geometries: 'polyline',
+    steps: true,
+    alternatives: alternatives && !waypoints.length,
+  }, mode);
+
+  return (data.routes || []).map((route) => ({
+    summary: route.legs.map((leg) => leg.summary).filter(Boolean).join(', '),
+    distance: Math.round(route.distance),
+    duration: Math.round(route.duration),
+    // OSRM has no live traffic
+    durationInTraffic: null,
+    polyline: route.geometry,
+    legs: route.legs.map((leg, i) => ({
+      startAddress: null,
+      endAddress: null,
+      distance: Math.round(leg.distance),
+      duration: Math.round(leg.duration),
+      durationInTraffic: null,
+      steps: leg.steps.map((step, j) => ({
+        instruction: instructionFor(step),
+        distance: Math.round(step.distance),
+        duration: Math.round(step.duration),
+        startLocation: toLocation(step.maneuver.location),
+        endLocation: toLocation(leg.steps[j + 1]?.maneuver.location || data.waypoints[i + 1].location),
+        maneuver: [step.maneuver.type, step.maneuver.modifier].filter(Boolean).join('-'),
+        polyline: step.geometry,
+      })),
+    })),
+  }));
+};
+
+const distanceMatrix = async (origins, destinations, { mode = 'driving' } = {}) => {
+  const sources = origins.map((_, i) => i);
+  const targets = destinations.map((_, i) => origins.length + i);
+
+  const data = await osrm('table', [...origins, ...destinations], {
+    sources: sources.join(';'),
+    destinations: targets.join(';'),
+    annotations: 'duration,distance',
+  }, mode);
+
+  return sources.map((i) => targets.map((_, j) => {
+    const duration = data.durations?.[i]?.[j];
+    const distance = data.distances?.[i]?.[j];
+
+    return duration == null || distance == null
+      ? { status: 'NOT_FOUND' }
+      : { status: 'OK', distance: Math.round(distance), duration: Math.round(duration), durationInTraffic: null };
+  }));
+};
+
+module.exports = {
+  name: 'osrm',
+  isConfigured: () => true,
+  geocode,
+  reverseGeocode,
+  autocomplete,
+  placeDetails,
+  nearbyPlaces,
+  directions,
+  distanceMatrix,
+};
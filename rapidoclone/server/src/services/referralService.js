@@ -0,0 +1,352 @@
+// src/services/referralService.js
+const User = require('../models/User');
+const Captain = require('../models/Captain');
+const Ride = require('../models/Ride');
+const Referral = require('../models/Referral');
+const ReferralCampaign = require('../models/ReferralCampaign');
+const Notification = require('../models/Notification');
+const Setting = require('../models/Setting');
+const WalletService = require('./walletService');
+const ApiError = require('../utils/apiError');
+const { REFERRAL } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MODELS = { User, Captain };
+const RIDE_FIELD = { User: 'user', Captain: 'captain' };
+
+/**
+ * Fraud check thresholds from constants, overridden by the 'referrals' setting
+ */
+const getFraudRules = async () => {
+  const settings = await Setting.getValue('referrals');
+
+  return {
+    phonePrefixLength: settings.phonePrefixLength ?? REFERRAL.PHONE_PREFIX_LENGTH,
+    loopDepth: settings.loopDepth ?? REFERRAL.LOOP_DEPTH,
+  };
+};
+
+/**
+ * Campaign currently running for riders ('User') or captains ('Captain')
+ * When several overlap, the most recently started one applies.
+ */
+const getActiveCampaign = (audience, now = new Date()) => ReferralCampaign.findOne({
+  audience,
+  isActive: true,
+  validFrom: { $lte: now },
+  $or: [{ validUntil: null }, { validUntil: { $gt: now } }],
+}).sort({ validFrom: -1 });
+
+const nationalNumber = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+/**
+ * Reasons to hold back a referral's rewards
+ * @returns {Promise<string[]>} - Fraud flags, empty when the referral looks genuine
+ */
+const detectFraud = async ({ referrer, referee, accountType, deviceId }) => {
+  const Model = MODELS[accountType];
+  const rules = await getFraudRules();
+  const flags = [];
+
+  if (deviceId) {
+    const [sharedDevice, reusedDevice] = await Promise.all([
+      Model.exists({ _id: { $ne: referee._id }, deviceId }),
+      Referral.exists({ deviceId, referee: { $ne: referee._id } }),
+    ]);
+    if (sharedDevice) flags.push('same_device');
+    if (reusedDevice) flags.push('device_reused');
+  }
+
+  const prefixLength = rules.phonePrefixLength;
+  const referrerPhone = nationalNumber(referrer.phone);
+  const refereePhone = nationalNumber(referee.phone);
+  if (prefixLength > 0 && referrerPhone.length >= prefixLength
+    && referrerPhone.slice(0, prefixLength) === refereePhone.slice(0, prefixLength)) {
+    flags.push('phone_prefix');
+  }
+
+  // Referee somewhere above the referrer means the two accounts refer each other
+  let ancestorId = referrer.referredBy;
+  for (let depth = 0; ancestorId && depth < rules.loopDepth; depth += 1) {
+    if (ancestorId.toString() === referee._id.toString()) {
+      flags.push('referral_loop');
+      break;
+    }
+    const ancestor = await Model.findById(ancestorId).select('referredBy').lean();
+    ancestorId = ancestor?.referredBy;
+  }
+
+  return flags;
+};
+
+/**
+ * Link a new account to the owner of a referral code
+ * Riders can only use riders' codes and captains only captains'. Suspicious
+ * referrals are still linked but recorded as rejected, so they never pay out
+ * unless an admin approves them.
+ * @param {object} options
+ * @param {object} options.referee - User or Captain document applying the code
+ * @param {'User'|'Captain'} options.accountType
+ * @param {string} options.code - Referral code entered
+ * @param {string} [options.deviceId] - Device the referee signed up from
+ * @returns {Promise<object>} - Referral document
+ */
+const applyReferral = async ({ referee, accountType, code, deviceId }) => {
+  const Model = MODELS[accountType];
+
+  if (referee.referredBy) {
+    throw new ApiError(400, 'You have already applied a referral code');
+  }
+
+  const referrer = await Model.findOne({ referralCode: String(code || '').trim().toUpperCase() })
+    .select('phone referralCode referredBy isActive');
+
+  if (!referrer || referrer.isActive === false) {
+    throw new ApiError(404, 'Invalid referral code');
+  }
+
+  if (referrer._id.equals(referee._id)) {
+    throw new ApiError(400, 'You cannot use your own referral code');
+  }
+
+  const hasRidden = await Ride.exists({ [RIDE_FIELD[accountType]]: referee._id, status: 'completed' });
+  if (hasRidden) {
+    throw new ApiError(400, 'Referral codes can only be applied before your first ride');
+  }
+
+  const campaign = await getActiveCampaign(accountType);
+  if (!campaign) {
+    throw new ApiError(400, 'There is no referral program running right now');
+  }
+
+  if (campaign.maxReferrals) {
+    const used = await Referral.countDocuments({
+      campaign: campaign._id,
+      referrer: referrer._id,
+      status: { $ne: 'rejected' },
+    });
+    if (used >= campaign.maxReferrals) {
+      throw new ApiError(400, 'This referral code has reached its limit');
+    }
+  }
+
+  const fraudFlags = await detectFraud({ referrer, referee, accountType, deviceId });
+
+  let referral;
+  try {
+    referral = await Referral.create({
+      campaign: campaign._id,
+      referrerType: accountType,
+      referrer: referrer._id,
+      refereeType: accountType,
+      referee: referee._id,
+      code: referrer.referralCode,
+      status: fraudFlags.length ? 'rejected' : 'pending',
+      referrerReward: campaign.referrerReward,
+      refereeReward: campaign.refereeReward,
+      qualifyBy: new Date(Date.now() + campaign.qualifyWithinDays * DAY_MS),
+      deviceId,
+      fraudFlags,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(400, 'You have already applied a referral code');
+    }
+    throw error;
+  }
+
+  await Model.updateOne({ _id: referee._id }, { referredBy: referrer._id });
+  referee.referredBy = referrer._id;
+
+  if (fraudFlags.length) {
+    logger.warn(`Referral ${referral._id} held back: ${fraudFlags.join(', ')}`);
+  }
+
+  return referral;
+};
+
+const notifyReward = (recipient, recipientType, message) => Notification.create({
+  recipient,
+  recipientType,
+  type: 'referral_bonus',
+  category: 'promotion',
+  title: 'Referral reward credited',
+  message,
+  channels: { push: true, inApp: true },
+  action: { type: 'navigate', screen: 'Referrals' },
+  metadata: { source: 'automated' },
+});
+
+/**
+ * Pay out a pending referral whose referee has completed a ride
+ * @param {object} referral - Referral document in 'pending' status
+ * @param {object} [ride] - The qualifying ride
+ * @returns {Promise<boolean>} - Whether it was paid now
+ */
+const rewardReferral = async (referral, ride) => {
+  const qualifiedAt = ride?.timestamps?.completed || new Date();
+
+  if (referral.qualifyBy && referral.qualifyBy < qualifiedAt) {
+    await Referral.updateOne({ _id: referral._id, status: 'pending' }, { status: 'expired' });
+    return false;
+  }
+
+  const { entry, replayed } = await WalletService.payReferral(referral, { ride });
+
+  const updated = await Referral.updateOne(
+    { _id: referral._id, status: 'pending' },
+    { status: 'rewarded', rewardedAt: new Date(), qualifyingRide: ride?._id, ledgerEntry: entry._id }
+  );
+
+  if (replayed || updated.modifiedCount === 0) return false;
+
+  await Promise.all([
+    notifyReward(referral.referrer, referral.referrerType,
+      `₹${referral.referrerReward} has been added to your wallet. Your referral completed their first ride.`),
+    referral.refereeReward > 0 && notifyReward(referral.referee, referral.refereeType,
+      `₹${referral.refereeReward} has been added to your wallet for joining with a referral code.`),
+  ]);
+
+  logger.info(`Referral ${referral._id} rewarded`);
+  return true;
+};
+
+/**
+ * Reward referrals that a completed ride qualifies, for the rider and the captain
+ * Never throws: a failed payout is logged and retried on the next completed ride.
+ * @param {object} ride - Ride that has just been completed
+ */
+const handleRideCompleted = async (ride) => {
+  const referees = [
+    { referee: ride.user, refereeType: 'User' },
+    { referee: ride.captain, refereeType: 'Captain' },
+  ].filter(({ referee }) => referee);
+
+  await Promise.all(referees.map(async (filter) => {
+    try {
+      const referral = await Referral.findOne({ ...filter, status: 'pending' });
+      if (referral) await rewardReferral(referral, ride);
+    } catch (error) {
+      logger.error(`Referral reward for ${filter.refereeType} ${filter.referee} failed: ${error.message}`);
+    }
+  }));
+};
+
+/**
+ * Mark pending referrals whose referee never completed a ride in time
+ * @returns {Promise<number>} - Referrals expired
+ */
+const expireReferrals = async () => {
+  const result = await Referral.updateMany(
+    { status: 'pending', qualifyBy: { $lte: new Date() } },
+    { status: 'expired' }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Referral totals and the running campaign for a referrer
+ */
+const getSummary = async (ownerId, ownerType) => {
+  const [counts, campaign] = await Promise.all([
+    Referral.aggregate([
+      { $match: { referrer: ownerId, referrerType: ownerType } },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          earned: { $sum: { $cond: [{ $eq: ['$status', 'rewarded'] }, '$referrerReward', 0] } },
+        },
+      },
+    ]),
+    getActiveCampaign(ownerType),
+  ]);
+
+  const byStatus = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+  return {
+    totalReferrals: counts.reduce((sum, { count }) => sum + count, 0),
+    pending: byStatus.pending || 0,
+    rewarded: byStatus.rewarded || 0,
+    totalEarned: counts.reduce((sum, { earned }) => sum + earned, 0),
+    campaign: campaign && {
+      name: campaign.name,
+      referrerReward: campaign.referrerReward,
+      refereeReward: campaign.refereeReward,
+      qualifyWithinDays: campaign.qualifyWithinDays,
+      maxReferrals: campaign.maxReferrals ?? null,
+      validUntil: campaign.validUntil ?? null,
+    },
+  };
+};
+
+/**
+ * Referrals made by an account, newest first
+ */
+const getHistory = async (ownerId, ownerType, { skip, limit }) => {
+  const filter = { referrer: ownerId, referrerType: ownerType };
+
+  const [referrals, total] = await Promise.all([
+    Referral.find(filter)
+      .select('referee refereeType status referrerReward qualifyBy rewardedAt createdAt')
+      .populate('referee', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Referral.countDocuments(filter),
+  ]);
+
+  return {
+    total,
+    referrals: referrals.map((referral) => ({
+      id: referral._id,
+      referredUser: referral.referee
+        ? `${referral.referee.firstName} ${referral.referee.lastName || ''}`.trim()
+        : null,
+      // Fraud holds are shown as pending so the checks aren't revealed
+      status: referral.status === 'rejected' ? 'pending' : referral.status,
+      amount: referral.referrerReward,
+      qualifyBy: referral.qualifyBy,
+      rewardedAt: referral.rewardedAt,
+      createdAt: referral.createdAt,
+    })),
+  };
+};
+
+/**
+ * Admin decision on a referral held back by the fraud checks
+ * Approving pays out straight away if the referee has already completed a ride.
+ * @param {object} referral - Referral document in 'rejected' or 'pending' status
+ * @param {'approve'|'reject'} decision
+ */
+const reviewReferral = async (referral, decision, { adminId, note }) => {
+  if (!['pending', 'rejected'].includes(referral.status)) {
+    throw new ApiError(400, `Referral is already ${referral.status}`);
+  }
+
+  referral.status = decision === 'approve' ? 'pending' : 'rejected';
+  referral.review = { by: adminId, note, at: new Date() };
+  await referral.save();
+
+  if (decision === 'approve') {
+    const ride = await Ride.findOne({ [RIDE_FIELD[referral.refereeType]]: referral.referee, status: 'completed' })
+      .sort({ 'timestamps.completed': 1 })
+      .select('timestamps.completed');
+    if (ride) await rewardReferral(referral, ride);
+  }
+
+  return Referral.findById(referral._id);
+};
+
+module.exports = {
+  getActiveCampaign,
+  detectFraud,
+  applyReferral,
+  handleRideCompleted,
+  expireReferrals,
+  getSummary,
+  getHistory,
+  reviewReferral,
+};
@@ -0,0 +1,222 @@
+// src/services/reliabilityService.js
+const Captain = require('../models/Captain');
+const CaptainReliabilityEvent = require('../models/CaptainReliabilityEvent');
+const Notification = require('../models/Notification');
+const Setting = require('../models/Setting');
+const AuditService = require('./auditService');
+const WalletService = require('./walletService');
+const IncentiveService = require('./incentiveService');
+const { emitToCaptain } = require('./socketService');
+const { RELIABILITY } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const DECISIONS = ['accept', 'reject', 'timeout'];
+const STREAK_BREAKERS = ['reject', 'timeout', 'cancel'];
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+/**
+ * Penalty rules from constants, overridden by the 'rides' setting's `reliability` group
+ */
+const getPolicy = async () => {
+  const { reliability = {} } = await Setting.getValue('rides');
+
+  return {
+    windowSize: reliability.windowSize ?? RELIABILITY.WINDOW_SIZE,
+    minSample: reliability.minSample ?? RELIABILITY.MIN_SAMPLE,
+    freeCancellationsPerDay: reliability.freeCancellationsPerDay ?? RELIABILITY.FREE_CANCELLATIONS_PER_DAY,
+    cancelCooldown: reliability.cancelCooldown ?? RELIABILITY.CANCEL_COOLDOWN,
+    cancelFine: reliability.cancelFine ?? RELIABILITY.CANCEL_FINE,
+    suspendCancellationRate: reliability.suspendCancellationRate ?? RELIABILITY.SUSPEND_CANCELLATION_RATE,
+    suspensionHours: reliability.suspensionHours ?? RELIABILITY.SUSPENSION_HOURS,
+  };
+};
+
+/**
+ * Record something a captain did with an offer or a ride
+ * Tracking must never break the ride flow, so failures are only logged.
+ * @param {string} captainId
+ * @param {'offer'|'accept'|'reject'|'timeout'|'cancel'|'no_show'} type
+ * @param {{ rideId?: string, reason?: string, metadata?: object }} [details]
+ */
+const recordEvent = async (captainId, type, { rideId, reason, metadata } = {}) => {
+  try {
+    await CaptainReliabilityEvent.create({ captain: captainId, ride: rideId, type, reason, metadata });
+    if (type !== 'offer') await refreshRates(captainId);
+    if (STREAK_BREAKERS.includes(type)) await IncentiveService.breakStreaks(captainId);
+  } catch (error) {
+    logger.error(`Reliability event ${type} for captain ${captainId} not recorded: ${error.message}`);
+  }
+};
+
+/**
+ * Record one offer per captain in a dispatch wave
+ */
+const recordOffers = async (captainIds, rideId) => {
+  if (!captainIds.length) return;
+
+  try {
+    await CaptainReliabilityEvent.insertMany(
+      captainIds.map((captain) => ({ captain, ride: rideId, type: 'offer' })),
+      { ordered: false }
+    );
+  } catch (error) {
+    logger.error(`Offer events for ride ${rideId} not recorded: ${error.message}`);
+  }
+};
+
+/**
+ * Rolling rates over the captain's most recent activity
+ * acceptanceRate: accepts out of the last N answered or expired offers.
+ * cancellationRate: accepted rides the captain then cancelled, out of the last N accepted.
+ * @returns {Promise<{ acceptanceRate: number, cancellationRate: number, decisions: number, accepted: number }>}
+ */
+const computeRates = async (captainId, windowSize) => {
+  const [decisions, accepts] = await Promise.all([
+    CaptainReliabilityEvent.find({ captain: captainId, type: { $in: DECISIONS } })
+      .sort({ createdAt: -1 })
+      .limit(windowSize)
+      .select('type')
+      .lean(),
+    CaptainReliabilityEvent.find({ captain: captainId, type: 'accept' })
+      .sort({ createdAt: -1 })
+      .limit(windowSize)
+      .select('ride')
+      .lean(),
+  ]);
+
+  const cancelled = accepts.length
+    ? (await CaptainReliabilityEvent.distinct('ride', {
+      captain: captainId,
+      type: 'cancel',
+      ride: { $in: accepts.map((event) => event.ride) },
+    })).length
+    : 0;
+
+  const acceptedCount = decisions.filter((event) => event.type === 'accept').length;
+  const percent = (part, whole) => Math.round((part / whole) * 1000) / 10;
+
+  return {
+    acceptanceRate: decisions.length ? percent(acceptedCount, decisions.length) : 100,
+    cancellationRate: accepts.length ? percent(cancelled, accepts.length) : 0,
+    decisions: decisions.length,
+    accepted: accepts.length,
+  };
+};
+
+/**
+ * Recompute the captain's rates and store them on Captain.stats
+ */
+const refreshRates = async (captainId, policy) => {
+  const { windowSize } = policy || await getPolicy();
+  const rates = await computeRates(captainId, windowSize);
+
+  await Captain.updateOne(
+    { _id: captainId },
+    { 'stats.acceptanceRate': rates.acceptanceRate, 'stats.cancellationRate': rates.cancellationRate }
+  );
+
+  return rates;
+};
+
+/**
+ * Suspend a captain whose cancellation rate crossed the threshold
+ * Only approved captains are touched, so an admin decision is never overridden.
+ */
+const autoSuspend = async (captainId, rates, policy) => {
+  const suspendedUntil = new Date(Date.now() + policy.suspensionHours * HOUR_MS);
+  const reason = `Cancellation rate ${rates.cancellationRate}% over the last ${rates.accepted} accepted rides`;
+
+  const captain = await Captain.findOneAndUpdate(
+    { _id: captainId, status: 'approved' },
+    { status: 'suspended', isOnline: false, statusReason: reason, suspendedUntil },
+    { new: true }
+  ).select('status statusReason suspendedUntil');
+
+  if (!captain) return false;
+
+  await AuditService.record({
+    action: 'captain.auto_suspend',
+    actor: { type: 'System' },
+    entity: { type: 'Captain', id: captainId },
+    before: { status: 'approved' },
+    after: { status: captain.status, statusReason: reason, suspendedUntil },
+    reason,
+    metadata: { ...rates, threshold: policy.suspendCancellationRate },
+  });
+
+  emitToCaptain(captainId.toString(), 'captain:suspended', { reason, suspendedUntil });
+
+  await Notification.create({
+    recipient: captainId,
+    recipientType: 'Captain',
+    type: 'account_suspended',
+    category: 'account',
+    priority: 'high',
+    title: 'Account suspended',
+    message: `Your account is suspended until ${suspendedUntil.toLocaleString()}. Reason: ${reason}`,
+    channels: { push: true, inApp: true },
+    metadata: { source: 'automated' },
+  });
+
+  return true;
+};
+
+/**
+ * Record a captain cancelling an accepted ride and apply the penalties
+ * Every cancellation puts the captain on a dispatch cooldown; those beyond the
+ * daily free allowance are also fined, and a cancellation rate at or above the
+ * threshold (with enough rides to judge) suspends the account.
+ * @param {string} captainId
+ * @param {object} ride - The cancelled ride
+ * @returns {Promise<{ cooldownUntil?: Date, fine: number, suspended: boolean }|null>} - null if tracking failed
+ */
+const recordCancellation = async (captainId, ride, { reason, req } = {}) => {
+  try {
+    const policy = await getPolicy();
+    await CaptainReliabilityEvent.create({ captain: captainId, ride: ride._id, type: 'cancel', reason });
+    await IncentiveService.breakStreaks(captainId);
+
+    const startOfDay = new Date();
+    startOfDay.setHours(0, 0, 0, 0);
+
+    const [rates, cancelledToday] = await Promise.all([
+      refreshRates(captainId, policy),
+      CaptainReliabilityEvent.countDocuments({ captain: captainId, type: 'cancel', createdAt: { $gte: startOfDay } }),
+    ]);
+
+    const outcome = { fine: 0, suspended: false };
+
+    if (policy.cancelCooldown > 0) {
+      outcome.cooldownUntil = new Date(Date.now() + policy.cancelCooldown * MINUTE_MS);
+      await Captain.updateOne({ _id: captainId }, { dispatchCooldownUntil: outcome.cooldownUntil });
+    }
+
+    if (cancelledToday > policy.freeCancellationsPerDay && policy.cancelFine > 0) {
+      try {
+        const { replayed } = await WalletService.fineCaptain(captainId, ride, policy.cancelFine, { reason, req });
+        if (!replayed) outcome.fine = policy.cancelFine;
+      } catch (error) {
+        logger.error(`Cancellation fine for captain ${captainId} not posted: ${error.message}`);
+      }
+    }
+
+    if (rates.accepted >= policy.minSample && rates.cancellationRate >= policy.suspendCancellationRate) {
+      outcome.suspended = await autoSuspend(captainId, rates, policy);
+    }
+
+    return outcome;
+  } catch (error) {
+    logger.error(`Cancellation by captain ${captainId} not tracked: ${error.message}`);
+    return null;
+  }
+};
+
+module.exports = {
+  getPolicy,
+  recordEvent,
+  recordOffers,
+  computeRates,
+  refreshRates,
+  recordCancellation,
+};
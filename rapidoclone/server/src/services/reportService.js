@@ -0,0 +1,284 @@
+// src/services/reportService.js
+const Ride = require('../models/Ride');
+const Payment = require('../models/Payment');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const Captain = require('../models/Captain');
+const ScheduledReport = require('../models/ScheduledReport');
+const EmailService = require('./emailService');
+const logger = require('../utils/logger');
+
+const SCHEDULES = ['daily', 'weekly', 'monthly'];
+const RUN_HOUR = 6; // scheduled reports go out at 6 AM IST
+const IST_OFFSET_MS = 330 * 60 * 1000; // IST is UTC+5:30 all year
+const DUE_BATCH = 20; // scheduled reports run per job tick
+
+/**
+ * Ride filter shared by the ride list, analytics and reports
+ */
+const buildRideFilter = ({ status, vehicleType, city, start, end } = {}) => ({
+  ...(status && { status }),
+  ...(vehicleType && { vehicleType }),
+  ...(city && { city: city.toLowerCase() }),
+  ...((start || end) && {
+    createdAt: { ...(start && { $gte: start }), ...(end && { $lte: end }) },
+  }),
+});
+
+const EXPORT_LIMIT = 10000;
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => {
+  if (rows.length === 0) return '';
+  const columns = Object.keys(rows[0]);
+  return [
+    columns.join(','),
+    ...rows.map((row) => columns.map((column) => csvCell(row[column])).join(',')),
+  ].join('\n');
+};
+
+const fullName = (person) => (person ? [person.firstName, person.lastName].filter(Boolean).join(' ') : '');
+
+// Flat rows per exportable report
+const EXPORTERS = {
+  rides: async ({ start, end }, filters) => {
+    const rides = await Ride.find(buildRideFilter({ ...filters, start, end }))
+      .select('rideId status vehicleType city pickup.address destination.address route fare payment cancellation user captain createdAt')
+      .populate('user', 'firstName lastName phone')
+      .populate('captain', 'firstName lastName phone')
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+
+    return rides.map((ride) => ({
+      rideId: ride.rideId,
+      createdAt: ride.createdAt,
+      status: ride.status,
+      vehicleType: ride.vehicleType,
+      city: ride.city,
+      rider: fullName(ride.user),
+      riderPhone: ride.user?.phone,
+      captain: fullName(ride.captain),
+      captainPhone: ride.captain?.phone,
+      pickup: ride.pickup?.address,
+      destination: ride.destination?.address,
+      distanceKm: ride.route?.distance,
+      durationMin: ride.route?.duration,
+      fare: ride.fare?.total,
+      platformFee: ride.fare?.platformFee,
+      captainEarnings: ride.fare?.captainEarnings,
+      paymentMethod: ride.payment?.method,
+      paymentStatus: ride.payment?.status,
+      refunded: ride.payment?.refundedAmount,
+      cancelledBy: ride.cancellation?.by,
+      cancellationReason: ride.cancellation?.reason,
+    }));
+  },
+
+  payments: async ({ start, end }, filters) => {
+    const payments = await Payment.find({
+      createdAt: { $gte: start, $lte: end },
+      ...(filters.status && { status: filters.status }),
+      ...(filters.method && { method: filters.method }),
+    })
+      .populate('ride', 'rideId')
+      .populate('user', 'firstName lastName phone')
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+
+    return payments.map((payment) => ({
+      paymentId: payment._id,
+      createdAt: payment.createdAt,
+      rideId: payment.ride?.rideId,
+      rider: fullName(payment.user),
+      amount: payment.amount,
+      method: payment.method,
+      status: payment.status,
+      gateway: payment.gateway?.provider,
+      gatewayPaymentId: payment.gateway?.paymentId,
+      refundAmount: payment.refund?.amount,
+    }));
+  },
+
+  transactions: async ({ start, end }, filters) => {
+    const transactions = await Transaction.find({
+      createdAt: { $gte: start, $lte: end },
+      ...(filters.type && { type: filters.type }),
+      ...(filters.category && { category: filters.category }),
+    })
+      .populate('wallet', 'owner ownerType')
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+
+    return transactions.map((t) => ({
+      transactionId: t._id,
+      createdAt: t.createdAt,
+      ownerType: t.wallet?.ownerType,
+      ownerId: t.wallet?.owner,
+      type: t.type,
+      category: t.category,
+      amount: t.amount,
+      status: t.status,
+      balanceAfter: t.balanceAfter,
+      description: t.description,
+    }));
+  },
+
+  users: async ({ start, end }) => {
+    const users = await User.find({ createdAt: { $gte: start, $lte: end } })
+      .select('firstName lastName email phone accountStatus isVerified ratings createdAt')
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+
+    return users.map((user) => ({
+      userId: user._id,
+      name: fullName(user),
+      email: user.email,
+      phone: user.phone,
+      status: user.accountStatus || 'active',
+      verified: user.isVerified,
+      rating: user.ratings?.average,
+      joinedAt: user.createdAt,
+    }));
+  },
+
+  captains: async ({ start, end }, filters) => {
+    const captains = await Captain.find({
+      createdAt: { $gte: start, $lte: end },
+      ...(filters.status && { status: filters.status }),
+      ...(filters.vehicleType && { 'vehicle.type': filters.vehicleType }),
+    })
+      .select('firstName lastName email phone status vehicle ratings stats approvedAt createdAt')
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+
+    return captains.map((captain) => ({
+      captainId: captain._id,
+      name: fullName(captain),
+      email: captain.email,
+      phone: captain.phone,
+      status: captain.status,
+      vehicleType: captain.vehicle?.type,
+      registrationNumber: captain.vehicle?.registrationNumber,
+      rating: captain.ratings?.average,
+      totalRides: captain.stats?.totalRides,
+      totalEarnings: captain.stats?.totalEarnings,
+      approvedAt: captain.approvedAt,
+      joinedAt: captain.createdAt,
+    }));
+  },
+};
+
+/**
+ * First run of a schedule after `after`: 6 AM IST every day, on Mondays or on the 1st of the month
+ */
+const nextRunAt = (schedule, after = new Date()) => {
+  // IST wall clock, read through the UTC getters
+  const local = new Date(after.getTime() + IST_OFFSET_MS);
+  const run = new Date(Date.UTC(
+    local.getUTCFullYear(),
+    local.getUTCMonth(),
+    schedule === 'monthly' ? 1 : local.getUTCDate(),
+    RUN_HOUR
+  ));
+
+  if (schedule === 'weekly') run.setUTCDate(run.getUTCDate() + ((8 - run.getUTCDay()) % 7));
+
+  while (run <= local) {
+    if (schedule === 'monthly') run.setUTCMonth(run.getUTCMonth() + 1);
+    else run.setUTCDate(run.getUTCDate() + (schedule === 'weekly' ? 7 : 1));
+  }
+
+  return new Date(run.getTime() - IST_OFFSET_MS);
+};
+
+// Start of the period a run at `end` covers when there's no earlier run to continue from
+const periodStart = (schedule, end) => {
+  const start = new Date(end);
+  if (schedule === 'monthly') start.setUTCMonth(start.getUTCMonth() - 1);
+  else start.setUTCDate(start.getUTCDate() - (schedule === 'weekly' ? 7 : 1));
+  return start;
+};
+
+const day = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Export the period since the report's last run and email it to each recipient
+ * @returns {Promise<number>} - Rows exported
+ */
+const runReport = async (report, runAt) => {
+  const range = { start: report.lastRunAt || periodStart(report.schedule, runAt), end: runAt };
+  const rows = await EXPORTERS[report.reportType](range, report.filters || {});
+  const json = report.format === 'json';
+  const period = `${day(range.start)} to ${day(range.end)}`;
+
+  await Promise.all(report.recipients.map((to) => EmailService.sendEmail({
+    to,
+    subject: `Your ${report.schedule} ${report.reportType} report (${period})`,
+    text: `${rows.length} row(s) for ${period}${rows.length === EXPORT_LIMIT ? `, cut off at ${EXPORT_LIMIT}` : ''}.`,
+    attachments: [{
+      filename: `${report.reportType}_${day(range.start)}_${day(range.end)}.${json ? 'json' : 'csv'}`,
+      content: Buffer.from(json ? JSON.stringify(rows) : toCsv(rows)),
+      contentType: json ? 'application/json' : 'text/csv',
+    }],
+    dedupeKey: `scheduled_report:${report._id}:${runAt.toISOString()}:${to}`,
+  })));
+
+  return rows.length;
+};
+
+/**
+ * Run the scheduled reports that are due
+ * Each run is claimed by moving nextRunAt on, so only one worker sends it. A failed run
+ * leaves lastRunAt where it was, and the next run covers the missed period too.
+ * @returns {Promise<number>} - Reports sent
+ */
+const runDueReports = async (now = new Date()) => {
+  const due = await ScheduledReport.find({ isActive: true, nextRunAt: { $lte: now } })
+    .sort({ nextRunAt: 1 })
+    .limit(DUE_BATCH)
+    .lean();
+
+  let sent = 0;
+  for (const report of due) {
+    const runAt = report.nextRunAt;
+    const claimed = await ScheduledReport.updateOne(
+      { _id: report._id, nextRunAt: runAt },
+      { $set: { nextRunAt: nextRunAt(report.schedule, now) } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    try {
+      const count = await runReport(report, runAt);
+      await ScheduledReport.updateOne(
+        { _id: report._id },
+        { $set: { lastRunAt: runAt, lastRowCount: count }, $unset: { lastError: 1 } }
+      );
+      sent += 1;
+    } catch (error) {
+      logger.error(`Scheduled report ${report._id} failed:`, error);
+      await ScheduledReport.updateOne({ _id: report._id }, { $set: { lastError: error.message } });
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  EXPORT_LIMIT,
+  EXPORTERS,
+  SCHEDULES,
+  buildRideFilter,
+  toCsv,
+  nextRunAt,
+  runDueReports,
+};
@@ -0,0 +1,277 @@
+// src/services/smsService.js
+const fs = require('fs/promises');
+const path = require('path');
+const axios = require('axios');
+const SmsMessage = require('../models/SmsMessage');
+const ApiError = require('../utils/apiError');
+const logger = require('../utils/logger');
+const { formatPhoneNumber } = require('../utils/helpers');
+const { SMS_TEMPLATES, renderSmsTemplate } = require('../utils/smsTemplates');
+const { SMS } = require('../config/constants');
+
+const MSG91_URL = 'https://api.msg91.com/api/v2/sendsms';
+
+let twilioClient = null;
+
+// Required lazily so environments without Twilio credentials never load the SDK
+const getTwilio = () => require('twilio');
+
+/**
+ * Provider error worth another try on the same provider: network trouble, rate limits and 5xx
+ */
+const isRetryable = (error) => {
+  const status = error.status || error.response?.status;
+  return !status || status === 429 || status >= 500;
+};
+
+// Development provider: writes the message to the log instead of sending it
+const consoleProvider = {
+  name: 'console',
+  isConfigured: () => true,
+  send: async ({ to, message }) => {
+    logger.info(`[SMS to ${to}] ${message}`);
+    return { id: `console-${Date.now()}` };
+  },
+};
+
+// Test provider: appends each message as a JSON line, so tests can read back what was sent
+const fileProvider = {
+  name: 'file',
+  isConfigured: () => true,
+  send: async ({ to, message }) => {
+    const file = process.env.SMS_LOG_FILE || path.join(process.cwd(), 'logs', 'sms.log');
+    const id = `file-${Date.now()}`;
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, `${JSON.stringify({ id, to, message, at: new Date() })}\n`);
+
+    return { id };
+  },
+};
+
+const twilioProvider = {
+  name: 'twilio',
+  isConfigured: () => Boolean(
+    process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_PHONE_NUMBER
+  ),
+  send: async ({ to, message }) => {
+    if (!twilioClient) {
+      twilioClient = getTwilio()(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+
+    const result = await twilioClient.messages.create({
+      to,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      body: message,
+      // Delivery reports come back to webhookRoutes /twilio
+      ...(process.env.TWILIO_STATUS_CALLBACK_URL && { statusCallback: process.env.TWILIO_STATUS_CALLBACK_URL }),
+    });
+
+    return { id: result.sid };
+  },
+};
+
+const msg91Provider = {
+  name: 'msg91',
+  isConfigured: () => Boolean(process.env.MSG91_AUTH_KEY && process.env.MSG91_SENDER_ID),
+  send: async ({ to, message }) => {
+    const { data } = await axios.post(MSG91_URL, {
+      sender: process.env.MSG91_SENDER_ID,
+      route: process.env.MSG91_ROUTE || '4',
+      sms: [{ message, to: [to.replace(/^\+/, '')] }],
+    }, {
+      headers: { authkey: process.env.MSG91_AUTH_KEY },
+      timeout: 10000,
+    });
+
+    if (data?.type !== 'success') {
+      throw new Error(`MSG91 rejected the message: ${data?.message || 'unknown error'}`);
+    }
+
+    return { id: data.message };
+  },
+};
+
+const PROVIDERS = {
+  console: consoleProvider,
+  file: fileProvider,
+  twilio: twilioProvider,
+  msg91: msg91Provider,
+};
+
+/**
+ * Providers to try, in order, from SMS_PROVIDERS (comma separated) or SMS_PROVIDER
+ * Unknown or unconfigured providers are skipped; with none left, messages go to the console.
+ */
+const getProviderChain = () => {
+  const names = (process.env.SMS_PROVIDERS || process.env.SMS_PROVIDER || 'console')
+    .split(',')
+    .map((name) => name.trim().toLowerCase());
+
+  const chain = names
+    .map((name) => PROVIDERS[name])
+    .filter((provider) => provider?.isConfigured());
+
+  return chain.length ? chain : [consoleProvider];
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Hand the message to one provider, retrying transient failures
+ * @returns {Promise<{ result?: object, attempts: object[] }>}
+ */
+const tryProvider = async (provider, sms) => {
+  const attempts = [];
+
+  for (let attempt = 1; attempt <= SMS.MAX_ATTEMPTS; attempt += 1) {
+    try {
+      const result = await provider.send(sms);
+      attempts.push({ provider: provider.name, success: true, at: new Date() });
+      return { result, attempts };
+    } catch (error) {
+      attempts.push({ provider: provider.name, success: false, error: error.message, at: new Date() });
+      logger.warn(`SMS via ${provider.name} failed (attempt ${attempt}): ${error.message}`);
+
+      if (!isRetryable(error) || attempt === SMS.MAX_ATTEMPTS) break;
+      await wait(SMS.RETRY_DELAY * 2 ** (attempt - 1));
+    }
+  }
+
+  return { attempts };
+};
+
+// The delivery log is bookkeeping: a database problem must not stop the text going out
+const saveLog = async (log) => {
+  try {
+    await log.save();
+  } catch (error) {
+    logger.error(`SMS delivery log not saved: ${error.message}`);
+  }
+};
+
+/**
+ * Send a text message, failing over through the configured providers
+ * Pass either a template and its data, or a ready-made message.
+ * @param {object} sms
+ * @param {string} sms.to - Phone number; ten-digit numbers get the default country code
+ * @param {string} [sms.template] - Key of SMS_TEMPLATES
+ * @param {object} [sms.data] - Values for the template
+ * @param {string} [sms.message] - Text to send when no template is given
+ * @returns {Promise<{ provider: string, id: string, messageId: object }>}
+ * @throws {ApiError} 503 when every provider failed
+ */
+const sendSMS = async ({ to, template, data, message }) => {
+  const text = template ? renderSmsTemplate(template, data) : message;
+
+  if (!to || !text) {
+    throw new Error('SMS needs a recipient and a message');
+  }
+
+  const number = formatPhoneNumber(to);
+  const log = new SmsMessage({
+    to: number,
+    template,
+    body: SMS_TEMPLATES[template]?.sensitive ? undefined : text,
+  });
+
+  for (const provider of getProviderChain()) {
+    const { result, attempts } = await tryProvider(provider, { to: number, message: text });
+    log.attempts.push(...attempts);
+
+    if (result) {
+      Object.assign(log, {
+        provider: provider.name,
+        providerMessageId: result.id,
+        status: 'sent',
+        sentAt: new Date(),
+      });
+      await saveLog(log);
+
+      return { provider: provider.name, id: result.id, messageId: log._id };
+    }
+  }
+
+  Object.assign(log, {
+    status: 'failed',
+    error: log.attempts[log.attempts.length - 1]?.error,
+    failedAt: new Date(),
+  });
+  await saveLog(log);
+
+  logger.error(`SMS to ${number} failed on every provider`);
+  throw new ApiError(503, 'Unable to send SMS right now, please try again');
+};
+
+// Provider status names mapped onto the log's statuses; anything else is an in-flight state
+const DELIVERY_STATUSES = {
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'delivered',
+  undelivered: 'undelivered',
+  failed: 'failed',
+};
+
+// Statuses each final status may replace, so late or repeated callbacks never move a message backwards
+const REPLACEABLE = {
+  sent: ['pending'],
+  delivered: ['pending', 'sent'],
+  undelivered: ['pending', 'sent'],
+  failed: ['pending', 'sent'],
+};
+
+/**
+ * Apply a provider's delivery report to the message log
+ * @param {string} provider - Provider name
+ * @param {string} providerMessageId - Id the provider returned when accepting the message
+ * @param {string} providerStatus - Status as the provider reports it
+ * @param {{ errorCode?: string, error?: string }} [details]
+ * @returns {Promise<object|null>} - Updated log entry, or null when nothing changed
+ */
+const recordDeliveryStatus = async (provider, providerMessageId, providerStatus, { errorCode, error } = {}) => {
+  const status = DELIVERY_STATUSES[String(providerStatus).toLowerCase()];
+  if (!providerMessageId || !status) return null;
+
+  const now = new Date();
+  const failed = status === 'undelivered' || status === 'failed';
+
+  const message = await SmsMessage.findOneAndUpdate(
+    { provider, providerMessageId, status: { $in: REPLACEABLE[status] } },
+    {
+      $set: {
+        status,
+        ...(status === 'delivered' && { deliveredAt: now }),
+        ...(failed && { failedAt: now, errorCode, error }),
+      },
+    },
+    { new: true }
+  );
+
+  if (message && failed) {
+    logger.warn(`SMS ${providerMessageId} to ${message.to} ${status} (${provider} error ${errorCode || 'unknown'})`);
+  }
+
+  return message;
+};
+
+/**
+ * Check the X-Twilio-Signature of a status callback
+ * The URL must be the one Twilio posted to, so TWILIO_STATUS_CALLBACK_URL is preferred
+ * over rebuilding it from the request behind a proxy.
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+const verifyTwilioSignature = (req) => {
+  const signature = req.headers['x-twilio-signature'];
+  if (!signature || !process.env.TWILIO_AUTH_TOKEN) return false;
+
+  const url = process.env.TWILIO_STATUS_CALLBACK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  return getTwilio().validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, url, req.body);
+};
+
+module.exports = {
+  getProviderChain,
+  sendSMS,
+  recordDeliveryStatus,
+  verifyTwilioSignature,
+};
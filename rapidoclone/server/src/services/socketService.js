@@ -15,8 +15,18 @@ const emitToCaptain = (captainId, event, payload = {}) => {
   io.to(`captain:${captainId}`).emit(event, payload);
 };
 
+const emitToRoom = (room, event, payload = {}) => {
+  if (!io || !room) return;
+  io.to(room).emit(event, payload);
+};
+
+// Every connected admin socket joins this room (sockets/index)
+const emitToAdmins = (event, payload = {}) => emitToRoom('admins', event, payload);
+
 module.exports = {
   initSocketService,
   emitToUser,
   emitToCaptain,
+  emitToRoom,
+  emitToAdmins,
 };
@@ -0,0 +1,428 @@
+// src/services/supportService.js
+const SupportTicket = require('../models/SupportTicket');
+const Ride = require('../models/Ride');
+const Payment = require('../models/Payment');
+const Notification = require('../models/Notification');
+const Setting = require('../models/Setting');
+const ApiError = require('../utils/apiError');
+const { emitToUser, emitToCaptain } = require('./socketService');
+const { generateReferenceId } = require('../utils/helpers');
+const { SUPPORT } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+const RIDE_FIELD = { User: 'user', Captain: 'captain' };
+const EMIT = { User: emitToUser, Captain: emitToCaptain };
+const CLOSED_STATUSES = ['resolved', 'closed'];
+
+// Priority a ticket starts with when the customer doesn't get to choose
+const DEFAULT_PRIORITY = {
+  safety: 'urgent',
+  payment: 'high',
+  ride: 'medium',
+  lost_item: 'medium',
+  account: 'medium',
+  other: 'low',
+};
+
+/**
+ * SLA minutes per priority from constants, overridden by the 'support' setting's `sla` group
+ */
+const getSlaPolicy = async () => {
+  const { sla = {} } = await Setting.getValue('support');
+
+  return Object.fromEntries(
+    Object.entries(SUPPORT.SLA).map(([priority, targets]) => [priority, { ...targets, ...sla[priority] }])
+  );
+};
+
+const slaDeadlines = async (priority, openedAt) => {
+  const targets = (await getSlaPolicy())[priority];
+  return {
+    firstResponseDue: new Date(openedAt.getTime() + targets.firstResponse * MINUTE_MS),
+    resolutionDue: new Date(openedAt.getTime() + targets.resolution * MINUTE_MS),
+  };
+};
+
+// Ride issue types that belong to a more specific queue than 'ride'
+const ISSUE_CATEGORIES = {
+  overcharged: 'payment',
+  payment: 'payment',
+  refund: 'payment',
+  safety: 'safety',
+  harassment: 'safety',
+  rash_driving: 'safety',
+  lost_item: 'lost_item',
+};
+
+/**
+ * Attachment details for files uploaded to Cloudinary through multer
+ */
+const toAttachments = (files = []) => files.map((file) => ({
+  url: file.path,
+  publicId: file.filename,
+  name: file.originalname,
+  mimeType: file.mimetype,
+  size: file.size,
+}));
+
+/**
+ * Open a ticket for a rider or captain
+ * Ride and payment tickets must reference one of the customer's own rides or payments.
+ * @param {object} options
+ * @param {'User'|'Captain'} options.raisedByType
+ * @param {string} options.raisedBy
+ * @param {string} options.category
+ * @param {string} options.subject
+ * @param {string} options.description - First message of the conversation
+ * @param {string} [options.rideId]
+ * @param {string} [options.paymentId]
+ * @param {'app'|'ride_report'|'sos'} [options.source]
+ * @param {object[]} [options.attachments]
+ * @returns {Promise<object>} - SupportTicket document
+ */
+const createTicket = async ({
+  raisedByType,
+  raisedBy,
+  category,
+  subject,
+  description,
+  rideId,
+  paymentId,
+  issueType,
+  priority,
+  source = 'app',
+  attachments = [],
+}) => {
+  if (!DEFAULT_PRIORITY[category]) {
+    throw new ApiError(400, `Category must be one of: ${Object.keys(DEFAULT_PRIORITY).join(', ')}`);
+  }
+
+  if (!subject || !description) {
+    throw new ApiError(400, 'Subject and description are required');
+  }
+
+  if (category === 'ride' && !rideId) {
+    throw new ApiError(400, 'Ride tickets must reference a ride');
+  }
+
+  if (category === 'payment' && !rideId && !paymentId) {
+    throw new ApiError(400, 'Payment tickets must reference a ride or payment');
+  }
+
+  if (rideId) {
+    const ownsRide = await Ride.exists({ _id: rideId, [RIDE_FIELD[raisedByType]]: raisedBy });
+    if (!ownsRide) throw new ApiError(404, 'Ride not found');
+  }
+
+  if (paymentId) {
+    const ownsPayment = raisedByType === 'User' && await Payment.exists({ _id: paymentId, user: raisedBy });
+    if (!ownsPayment) throw new ApiError(404, 'Payment not found');
+  }
+
+  const openedAt = new Date();
+  const ticketPriority = priority || DEFAULT_PRIORITY[category];
+
+  const ticket = await SupportTicket.create({
+    ticketNumber: generateReferenceId('TKT'),
+    raisedByType,
+    raisedBy,
+    category,
+    subject,
+    ride: rideId,
+    payment: paymentId,
+    source,
+    issueType,
+    priority: ticketPriority,
+    messages: [{ senderType: raisedByType, sender: raisedBy, message: description, attachments }],
+    lastMessageAt: openedAt,
+    sla: await slaDeadlines(ticketPriority, openedAt),
+  });
+
+  logger.info(`Support ticket ${ticket.ticketNumber} opened by ${raisedByType} ${raisedBy} (${category}, ${ticketPriority})`);
+  return ticket;
+};
+
+/**
+ * Open a ticket from a ride issue report or an SOS without failing the caller
+ * @returns {Promise<object|null>} - The ticket, or null if it couldn't be created
+ */
+const openTicketSafely = async (details) => {
+  try {
+    return await createTicket(details);
+  } catch (error) {
+    logger.error(`Support ticket for ${details.raisedByType} ${details.raisedBy} not opened: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Open a ticket for an issue reported on a ride by its rider or captain
+ */
+const openRideIssue = (ride, { raisedByType, raisedBy, issueType, description }) => createTicket({
+  raisedByType,
+  raisedBy,
+  category: ISSUE_CATEGORIES[issueType] || 'ride',
+  subject: `Issue reported on ride ${ride.rideId}`,
+  description,
+  rideId: ride._id,
+  issueType,
+  source: 'ride_report',
+});
+
+/**
+ * Open an urgent safety ticket for an SOS raised during a ride
+ * Never throws, so the SOS alert itself always goes out.
+ */
+const openSosTicket = (ride, { raisedByType, raisedBy, location }) => openTicketSafely({
+  raisedByType,
+  raisedBy,
+  category: 'safety',
+  subject: `SOS on ride ${ride.rideId}`,
+  description: location
+    ? `SOS triggered at ${location.latitude}, ${location.longitude}`
+    : 'SOS triggered during the ride',
+  rideId: ride._id,
+  priority: 'urgent',
+  source: 'sos',
+});
+
+/**
+ * A customer's own tickets, newest first, without the conversation
+ */
+const listForOwner = async (ownerType, ownerId, { status, skip, limit }) => {
+  const filter = {
+    raisedByType: ownerType,
+    raisedBy: ownerId,
+    ...(status === 'open' && { status: { $nin: CLOSED_STATUSES } }),
+    ...(status === 'closed' && { status: { $in: CLOSED_STATUSES } }),
+  };
+
+  const [tickets, total] = await Promise.all([
+    SupportTicket.find(filter)
+      .select('ticketNumber category subject status priority ride lastMessageAt createdAt')
+      .sort({ lastMessageAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    SupportTicket.countDocuments(filter),
+  ]);
+
+  return { tickets, total };
+};
+
+/**
+ * One of the customer's tickets with the conversation, minus agents' internal notes
+ */
+const getForOwner = async (ownerType, ownerId, ticketId) => {
+  const ticket = await SupportTicket.findOne({ _id: ticketId, raisedByType: ownerType, raisedBy: ownerId })
+    .select('-sla -assignee -assignedAt')
+    .populate('ride', 'rideId pickup.address dropoff.address status createdAt')
+    .lean();
+
+  if (!ticket) {
+    throw new ApiError(404, 'Ticket not found');
+  }
+
+  // Agents answer as the support team, so their ids stay out of the customer's view
+  ticket.messages = ticket.messages
+    .filter((entry) => !entry.internal)
+    .map((entry) => (entry.senderType === 'Admin' ? { ...entry, sender: undefined } : entry));
+
+  return ticket;
+};
+
+const notifyCustomer = async (ticket, title, message) => {
+  EMIT[ticket.raisedByType](ticket.raisedBy.toString(), 'support:ticket-updated', {
+    ticketId: ticket._id,
+    ticketNumber: ticket.ticketNumber,
+    status: ticket.status,
+  });
+
+  try {
+    await Notification.create({
+      recipient: ticket.raisedBy,
+      recipientType: ticket.raisedByType,
+      type: 'support_update',
+      category: 'support',
+      title,
+      message: message.slice(0, 500),
+      channels: { push: true, inApp: true },
+      action: { type: 'navigate', screen: 'SupportTicket', params: { ticketId: ticket._id.toString() } },
+      relatedEntity: { entityType: 'SupportTicket', entityId: ticket._id },
+      metadata: { source: 'automated' },
+    });
+  } catch (error) {
+    logger.error(`Support notification for ticket ${ticket.ticketNumber} failed: ${error.message}`);
+  }
+};
+
+/**
+ * Customer reply on their own ticket
+ * Replying to a resolved ticket reopens it; closed tickets stay closed.
+ */
+const replyAsOwner = async (ownerType, ownerId, ticketId, { message, attachments = [] }) => {
+  if (!message && !attachments.length) {
+    throw new ApiError(400, 'Message or attachment is required');
+  }
+
+  const ticket = await SupportTicket.findOne({ _id: ticketId, raisedByType: ownerType, raisedBy: ownerId });
+
+  if (!ticket) {
+    throw new ApiError(404, 'Ticket not found');
+  }
+
+  if (ticket.status === 'closed') {
+    throw new ApiError(400, 'This ticket is closed. Please open a new one.');
+  }
+
+  ticket.messages.push({ senderType: ownerType, sender: ownerId, message, attachments });
+  ticket.lastMessageAt = new Date();
+  if (['awaiting_customer', 'resolved'].includes(ticket.status)) {
+    ticket.status = ticket.assignee ? 'in_progress' : 'open';
+    ticket.resolvedAt = undefined;
+  }
+  await ticket.save();
+
+  return ticket;
+};
+
+/**
+ * Agent reply or internal note
+ * A customer-visible reply counts as the first response and waits on the customer.
+ */
+const replyAsAgent = async (ticket, adminId, { message, attachments = [], internal = false }) => {
+  if (!message && !attachments.length) {
+    throw new ApiError(400, 'Message or attachment is required');
+  }
+
+  if (ticket.status === 'closed') {
+    throw new ApiError(400, 'Ticket is closed');
+  }
+
+  const now = new Date();
+  ticket.messages.push({ senderType: 'Admin', sender: adminId, message, attachments, internal });
+
+  if (!internal) {
+    ticket.lastMessageAt = now;
+    ticket.status = 'awaiting_customer';
+    if (!ticket.sla.firstRespondedAt) {
+      ticket.sla.firstRespondedAt = now;
+      ticket.sla.firstResponseBreached = now > ticket.sla.firstResponseDue;
+    }
+    if (!ticket.assignee) {
+      ticket.assignee = adminId;
+      ticket.assignedAt = now;
+    }
+  }
+
+  await ticket.save();
+
+  if (!internal) {
+    await notifyCustomer(ticket, `Reply on ticket ${ticket.ticketNumber}`, message || 'Support sent you an attachment');
+  }
+
+  return ticket;
+};
+
+/**
+ * Change status, priority or assignee from the admin panel
+ * A new priority restarts the SLA clock from the time the ticket was opened.
+ */
+const updateTicket = async (ticket, { status, priority, assignee }) => {
+  if (status !== undefined) {
+    if (status === 'closed') {
+      throw new ApiError(400, 'Use the close endpoint to close a ticket');
+    }
+    if (ticket.status === 'closed') {
+      throw new ApiError(400, 'Ticket is closed');
+    }
+    ticket.status = status;
+    ticket.resolvedAt = status === 'resolved' ? new Date() : undefined;
+  }
+
+  if (priority !== undefined && priority !== ticket.priority) {
+    ticket.priority = priority;
+    Object.assign(ticket.sla, await slaDeadlines(priority, ticket.createdAt));
+  }
+
+  if (assignee !== undefined) {
+    ticket.assignee = assignee || undefined;
+    ticket.assignedAt = assignee ? new Date() : undefined;
+    if (assignee && ticket.status === 'open') ticket.status = 'in_progress';
+  }
+
+  await ticket.save();
+
+  if (status === 'resolved') {
+    await notifyCustomer(ticket, `Ticket ${ticket.ticketNumber} resolved`,
+      'Your issue has been marked as resolved. Reply if you still need help.');
+  }
+
+  return ticket;
+};
+
+/**
+ * Close a ticket for good
+ */
+const closeTicket = async (ticket, adminId, resolution) => {
+  if (ticket.status === 'closed') {
+    throw new ApiError(400, 'Ticket is already closed');
+  }
+
+  const now = new Date();
+  ticket.status = 'closed';
+  ticket.resolution = resolution;
+  ticket.resolvedAt = ticket.resolvedAt || now;
+  ticket.closedAt = now;
+  ticket.closedBy = adminId;
+  if (ticket.sla.resolutionDue && ticket.resolvedAt > ticket.sla.resolutionDue) {
+    ticket.sla.resolutionBreached = true;
+  }
+  await ticket.save();
+
+  await notifyCustomer(ticket, `Ticket ${ticket.ticketNumber} closed`, resolution || 'Your support ticket has been closed.');
+
+  return ticket;
+};
+
+/**
+ * Flag open tickets that have missed their first response or resolution deadline
+ * @returns {Promise<{ firstResponse: number, resolution: number }>} - Tickets newly flagged
+ */
+const markSlaBreaches = async (now = new Date()) => {
+  const open = { status: { $nin: CLOSED_STATUSES } };
+
+  const [firstResponse, resolution] = await Promise.all([
+    SupportTicket.updateMany(
+      {
+        ...open,
+        'sla.firstRespondedAt': null,
+        'sla.firstResponseBreached': false,
+        'sla.firstResponseDue': { $lte: now },
+      },
+      { 'sla.firstResponseBreached': true }
+    ),
+    SupportTicket.updateMany(
+      { ...open, 'sla.resolutionBreached': false, 'sla.resolutionDue': { $lte: now } },
+      { 'sla.resolutionBreached': true }
+    ),
+  ]);
+
+  return { firstResponse: firstResponse.modifiedCount, resolution: resolution.modifiedCount };
+};
+
+module.exports = {
+  getSlaPolicy,
+  toAttachments,
+  createTicket,
+  openRideIssue,
+  openSosTicket,
+  listForOwner,
+  getForOwner,
+  replyAsOwner,
+  replyAsAgent,
+  updateTicket,
+  closeTicket,
+  markSlaBreaches,
+};
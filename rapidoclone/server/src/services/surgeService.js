@@ -0,0 +1,281 @@
+// src/services/surgeService.js
+const Ride = require('../models/Ride');
+const Zone = require('../models/Zone');
+const FareCalculator = require('./fareCalculator');
+const ZoneService = require('./zoneService');
+const CaptainIndex = require('./captainIndex');
+const { cache, getClient } = require('../config/redis');
+const logger = require('../utils/logger');
+const { calculateDistance } = require('../utils/helpers');
+const { SURGE, DEFAULT_TARIFFS } = require('../config/constants');
+
+const VEHICLE_TYPES = Object.keys(DEFAULT_TARIFFS);
+
+// Computed multipliers live in Redis; this map covers single-instance runs without it
+const memoryState = new Map();
+
+const surgeKey = (zoneId, vehicleType) => `surge:zone:${zoneId}:${vehicleType}`;
+const REFRESH_LOCK_KEY = 'surge:refresh:lock';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const roundToStep = (value) => round2(Math.round(value / SURGE.STEP) * SURGE.STEP);
+// Gaps are compared in whole steps, since 1.2 - 1.0 is just under 0.2 in floating point
+const stepsBetween = (a, b) => Math.round(Math.abs(a - b) / SURGE.STEP);
+
+const getZoneState = async (zoneId, vehicleType) => {
+  const key = surgeKey(zoneId, vehicleType);
+  if (!getClient()) {
+    const entry = memoryState.get(key);
+    return entry && entry.expiresAt > Date.now() ? entry.value : null;
+  }
+  return cache.get(key);
+};
+
+const setZoneState = async (zoneId, vehicleType, value) => {
+  const key = surgeKey(zoneId, vehicleType);
+  if (!getClient()) {
+    memoryState.set(key, { value, expiresAt: Date.now() + SURGE.STATE_TTL * 1000 });
+    return;
+  }
+  await cache.set(key, value, SURGE.STATE_TTL);
+};
+
+/**
+ * Admin override multiplier if one is set and not expired
+ * @returns {number|null}
+ */
+const getActiveOverride = (zone, now = new Date()) => {
+  const override = zone.manualSurge;
+  if (!override?.multiplier || !override.expiresAt || new Date(override.expiresAt) <= now) {
+    return null;
+  }
+  return override.multiplier;
+};
+
+/**
+ * Move from the previous multiplier toward the raw one without flapping
+ * Raw moves inside the hysteresis band are ignored; bigger moves close
+ * SURGE.SMOOTHING of the gap per refresh and snap once they are close.
+ * @param {number} previous - Last computed multiplier
+ * @param {number} raw - Multiplier from current demand/supply
+ * @returns {number}
+ */
+const smoothMultiplier = (previous, raw) => {
+  const band = stepsBetween(SURGE.HYSTERESIS, 0);
+
+  if (stepsBetween(raw, previous) < band) {
+    return previous;
+  }
+
+  const next = roundToStep(previous + (raw - previous) * SURGE.SMOOTHING);
+  return stepsBetween(raw, next) < band ? raw : next;
+};
+
+/**
+ * Smallest circle around a zone's bounding box, for searching the captain index
+ * @returns {{ center: { latitude: number, longitude: number }, radius: number }} - radius in meters
+ */
+const boundingCircle = (boundary) => {
+  const polygons = boundary.type === 'MultiPolygon' ? boundary.coordinates : [boundary.coordinates];
+  const vertices = polygons.flat(2);
+  const lngs = vertices.map(([lng]) => lng);
+  const lats = vertices.map(([, lat]) => lat);
+  const center = {
+    latitude: (Math.min(...lats) + Math.max(...lats)) / 2,
+    longitude: (Math.min(...lngs) + Math.max(...lngs)) / 2,
+  };
+  const radius = Math.max(...vertices.map(([lng, lat]) => calculateDistance(center.latitude, center.longitude, lat, lng)));
+
+  return { center, radius: Math.ceil(radius * 1000) };
+};
+
+/**
+ * Idle captains per vehicle type inside a zone, from the live captain index
+ */
+const countSupply = async (zone) => {
+  const { center, radius } = boundingCircle(zone.boundary);
+  const captains = await CaptainIndex.findAvailable(center, { radius, select: 'vehicle.type' });
+
+  return captains.reduce((counts, captain) => {
+    const [longitude, latitude] = captain.currentLocation.coordinates;
+    if (!ZoneService.containsPoint(zone.boundary, latitude, longitude)) return counts;
+
+    counts[captain.vehicle.type] = (counts[captain.vehicle.type] || 0) + 1;
+    return counts;
+  }, {});
+};
+
+/**
+ * Recompute one surge zone for every vehicle type
+ * @param {object} zone - Lean surge zone
+ * @param {object[]} recentRides - Rides requested inside SURGE.DEMAND_WINDOW
+ * @param {number} cityCap - Max computed multiplier for the zone's city
+ * @returns {Promise<object>} - vehicleType -> stored state
+ */
+const refreshZone = async (zone, recentRides, cityCap) => {
+  const now = new Date();
+  const supply = await countSupply(zone);
+  const override = getActiveOverride(zone, now);
+
+  const ridesInZone = recentRides.filter((ride) => ZoneService.containsPoint(
+    zone.boundary,
+    ride.pickup.coordinates.latitude,
+    ride.pickup.coordinates.longitude
+  ));
+
+  const results = {};
+
+  for (const vehicleType of VEHICLE_TYPES) {
+    const demand = ridesInZone.filter((ride) => ride.vehicleType === vehicleType).length;
+    const available = supply[vehicleType] || 0;
+    const raw = FareCalculator.calculateSurge(demand, available);
+
+    const previous = await getZoneState(zone._id, vehicleType);
+    const computed = Math.min(
+      smoothMultiplier(previous?.computed ?? SURGE.MIN_MULTIPLIER, raw),
+      cityCap
+    );
+
+    const state = {
+      multiplier: override ?? computed,
+      computed,
+      raw,
+      demand,
+      supply: available,
+      isManual: override !== null,
+      updatedAt: now.toISOString(),
+    };
+
+    await setZoneState(zone._id, vehicleType, state);
+    results[vehicleType] = state;
+  }
+
+  const highest = Math.max(...Object.values(results).map((r) => r.multiplier));
+  if (highest !== zone.surgeMultiplier) {
+    await Zone.updateOne({ _id: zone._id }, { surgeMultiplier: highest });
+  }
+
+  return results;
+};
+
+/**
+ * Only one instance refreshes per tick when Redis is shared
+ */
+const acquireRefreshLock = async () => {
+  const client = getClient();
+  if (!client) return true;
+
+  try {
+    return (await client.set(REFRESH_LOCK_KEY, '1', 'EX', 50, 'NX')) === 'OK';
+  } catch (error) {
+    logger.warn('Surge refresh lock failed:', error.message);
+    return false;
+  }
+};
+
+/**
+ * Recompute every active surge zone (run by the surge cron)
+ * @returns {Promise<number>} - Zones refreshed
+ */
+const refreshSurgeZones = async () => {
+  if (!(await acquireRefreshLock())) return 0;
+
+  const since = new Date(Date.now() - SURGE.DEMAND_WINDOW * 60 * 1000);
+
+  const [zones, cityZones, recentRides] = await Promise.all([
+    Zone.find({ type: 'surge_zone', isActive: true }).lean(),
+    Zone.find({ type: 'city', isActive: true }).select('city maxSurgeMultiplier').lean(),
+    Ride.find({
+      'timestamps.requested': { $gte: since },
+      status: { $ne: 'scheduled' },
+    })
+      .select('vehicleType pickup.coordinates')
+      .lean(),
+  ]);
+
+  const cityCaps = Object.fromEntries(
+    cityZones.map((c) => [c.city, c.maxSurgeMultiplier || SURGE.MAX_MULTIPLIER])
+  );
+
+  for (const zone of zones) {
+    try {
+      await refreshZone(zone, recentRides, cityCaps[zone.city] || SURGE.MAX_MULTIPLIER);
+    } catch (error) {
+      logger.error(`Surge refresh failed for zone ${zone._id}:`, error);
+    }
+  }
+
+  return zones.length;
+};
+
+/**
+ * Current surge for a pickup point
+ * Points outside every surge zone have no surge.
+ * @param {number} latitude - Pickup latitude
+ * @param {number} longitude - Pickup longitude
+ * @param {string} vehicleType - bike | auto | cab
+ * @returns {Promise<object>} - { multiplier, isManual, zone, demand, supply, updatedAt }
+ */
+const getSurgeInfo = async (latitude, longitude, vehicleType) => {
+  const [zone] = await Zone.findContaining(
+    Number(latitude),
+    Number(longitude),
+    { type: 'surge_zone' }
+  ).lean();
+
+  if (!zone) {
+    return { multiplier: SURGE.MIN_MULTIPLIER, isManual: false, zone: null };
+  }
+
+  // Overrides apply immediately, without waiting for the next refresh
+  const override = getActiveOverride(zone);
+  const state = await getZoneState(zone._id, vehicleType);
+
+  return {
+    multiplier: override ?? state?.multiplier ?? SURGE.MIN_MULTIPLIER,
+    isManual: override !== null,
+    overrideExpiresAt: override !== null ? zone.manualSurge.expiresAt : undefined,
+    zone: { id: zone._id, name: zone.name, city: zone.city },
+    demand: state?.demand,
+    supply: state?.supply,
+    updatedAt: state?.updatedAt,
+  };
+};
+
+/**
+ * Surge multiplier for a pickup point
+ * @param {number} latitude - Pickup latitude
+ * @param {number} longitude - Pickup longitude
+ * @param {string} vehicleType - bike | auto | cab
+ * @returns {Promise<number>} - Multiplier (1 when it cannot be read)
+ */
+const getSurgeMultiplier = async (latitude, longitude, vehicleType) => {
+  try {
+    const { multiplier } = await getSurgeInfo(latitude, longitude, vehicleType);
+    return multiplier;
+  } catch (error) {
+    logger.error('Error reading surge:', error);
+    return SURGE.MIN_MULTIPLIER;
+  }
+};
+
+/**
+ * Stored state of a zone for every vehicle type (admin view)
+ * @param {string} zoneId - Zone ID
+ * @returns {Promise<object>} - vehicleType -> state or null
+ */
+const getZoneSurge = async (zoneId) => {
+  const entries = await Promise.all(
+    VEHICLE_TYPES.map(async (vehicleType) => [vehicleType, await getZoneState(zoneId, vehicleType)])
+  );
+  return Object.fromEntries(entries);
+};
+
+module.exports = {
+  refreshSurgeZones,
+  getSurgeInfo,
+  getSurgeMultiplier,
+  getZoneSurge,
+  getActiveOverride,
+  smoothMultiplier,
+};
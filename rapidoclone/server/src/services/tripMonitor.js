@@ -0,0 +1,438 @@
+// src/services/tripMonitor.js
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+const Notification = require('../models/Notification');
+const Setting = require('../models/Setting');
+const ApiError = require('../utils/apiError');
+const IncidentService = require('./incidentService');
+const { emitToUser, emitToAdmins } = require('./socketService');
+const { calculateDistance, decodePolyline } = require('../utils/helpers');
+const { TRIP_MONITOR } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Live safety checks on trips in progress
+ * Each captain location fix is compared with the planned route (off route) and with the
+ * fixes before it (stopped); a job looks for trips whose location has gone quiet. A flagged
+ * trip asks the rider "Are you safe?" and alerts the admin console, and the flag clears by
+ * itself once the trip is back to normal. Rules are fixed for the trip when it starts.
+ * Monitor state is kept on the ride (`Ride.monitor`), so it holds across restarts and instances.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+const ALERT_MESSAGES = {
+  off_route: 'Your ride has left the planned route.',
+  unexpected_stop: 'Your ride has been stopped for a while.',
+  gps_dark: "We can't see your captain's location right now.",
+};
+
+/**
+ * Rules from constants, overridden by the 'safety' setting's `tripMonitor` group and then by
+ * its `cities.<city>` entry
+ */
+const getRules = async (city) => {
+  const { tripMonitor = {} } = await Setting.getValue('safety');
+  const { cities = {}, ...overrides } = tripMonitor;
+
+  return {
+    enabled: true,
+    offRouteMeters: TRIP_MONITOR.OFF_ROUTE_METERS,
+    offRouteSeconds: TRIP_MONITOR.OFF_ROUTE_SECONDS,
+    stopRadius: TRIP_MONITOR.STOP_RADIUS,
+    stopMinutes: TRIP_MONITOR.STOP_MINUTES,
+    destinationRadius: TRIP_MONITOR.DESTINATION_RADIUS,
+    darkMinutes: TRIP_MONITOR.DARK_MINUTES,
+    maxAccuracy: TRIP_MONITOR.MAX_ACCURACY,
+    responseMinutes: TRIP_MONITOR.RESPONSE_MINUTES,
+    realertMinutes: TRIP_MONITOR.REALERT_MINUTES,
+    ...overrides,
+    ...(city && cities[city]),
+  };
+};
+
+const toPoint = ({ latitude, longitude }) => ({ latitude, longitude });
+
+const metersBetween = (a, b) => calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude) * 1000;
+
+const minutesSince = (time, now) => Math.round(((now - time) / MINUTE_MS) * 10) / 10;
+
+/**
+ * Meters from a point to the nearest segment of the route, on a flat projection around the point
+ * @param {{ latitude: number, longitude: number }} point
+ * @param {number[][]} route - [latitude, longitude] pairs
+ */
+const distanceToRoute = ({ latitude, longitude }, route) => {
+  const metersPerDegree = 111320;
+  const project = ([lat, lng]) => [
+    (lng - longitude) * metersPerDegree * Math.cos((latitude * Math.PI) / 180),
+    (lat - latitude) * metersPerDegree,
+  ];
+
+  let [ax, ay] = project(route[0]);
+  let nearest = Math.hypot(ax, ay);
+
+  for (let i = 1; i < route.length; i += 1) {
+    const [bx, by] = project(route[i]);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq ? Math.min(Math.max(-(ax * dx + ay * dy) / lengthSq, 0), 1) : 0;
+
+    nearest = Math.min(nearest, Math.hypot(ax + t * dx, ay + t * dy));
+    [ax, ay] = [bx, by];
+  }
+
+  return nearest;
+};
+
+/**
+ * Planned route as [latitude, longitude] pairs
+ */
+const decodeRoute = (polyline) => decodePolyline(polyline || '').map(({ latitude, longitude }) => [latitude, longitude]);
+
+/**
+ * Change a monitor state field, e.g. `open.off_route`, and note it for saveState
+ */
+const setField = (state, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  keys.reduce((target, key) => target[key], state)[last] = value;
+  state.changes = { ...state.changes, [`monitor.${path}`]: value };
+};
+
+// Only the changed fields, so a fix and a job run checking the same trip don't undo each
+// other; and only while the ride is in progress, so a late write can't bring back a stopped monitor
+const saveState = async (state) => {
+  if (state.ended || !state.changes) return;
+  await Ride.updateOne({ _id: state.rideId, status: 'started' }, { $set: state.changes });
+};
+
+/**
+ * Alert summary for the admin console feed
+ */
+const feedItem = (ride, alert) => ({
+  rideId: ride._id,
+  rideNumber: ride.rideId,
+  user: ride.user,
+  captain: ride.captain,
+  alertId: alert._id,
+  type: alert.type,
+  message: ALERT_MESSAGES[alert.type],
+  raisedAt: alert.raisedAt,
+  location: alert.location,
+  distanceFromRoute: alert.distanceFromRoute,
+  minutes: alert.minutes,
+});
+
+/**
+ * Start watching a trip; called when a ride starts
+ * Failures are logged, never thrown: the job picks up started trips it isn't watching.
+ * @param {object} ride - Started ride
+ */
+const startMonitoring = async (ride) => {
+  try {
+    const rules = await getRules(ride.city);
+    const hasRoute = decodeRoute(ride.route?.polyline).length > 0;
+
+    if (!hasRoute) {
+      logger.warn(`Trip monitor for ride ${ride._id} has no planned route; off-route checks are off`);
+    }
+
+    const monitor = {
+      rideId: ride._id.toString(),
+      rules,
+      hasRoute,
+      destination: toPoint(ride.destination.coordinates),
+      lastFixAt: Date.now(),
+      lastPoint: toPoint(ride.pickup.coordinates),
+      offRouteSince: null,
+      stop: null,
+      // Open alert id and earliest next alert time, by alert type
+      open: {},
+      quietUntil: {},
+    };
+
+    await Ride.updateOne({ _id: ride._id, status: 'started' }, { $set: { monitor } });
+  } catch (error) {
+    logger.error(`Trip monitor not started for ride ${ride._id}: ${error.message}`);
+  }
+};
+
+/**
+ * Stop watching a trip; called when a ride is completed or cancelled
+ */
+const stopMonitoring = async (rideId) => {
+  await Ride.updateOne({ _id: rideId }, { $unset: { monitor: 1 } });
+};
+
+/**
+ * Flag the trip, ask the rider if they are safe and alert the admin console
+ * @returns {Promise<boolean>} - Whether an alert was raised
+ */
+const raiseAlert = async (state, type, point, details, now) => {
+  if (state.open[type] || (state.quietUntil[type] || 0) > now) return false;
+
+  const { rules } = state;
+  const alert = {
+    _id: new mongoose.Types.ObjectId(),
+    type,
+    raisedAt: new Date(now),
+    location: point,
+    ...details,
+  };
+
+  // Claimed in the ride, so overlapping fixes and job runs raise each flag once
+  const ride = await Ride.findOneAndUpdate(
+    {
+      _id: state.rideId,
+      status: 'started',
+      safetyAlerts: {
+        $not: {
+          $elemMatch: {
+            type,
+            $or: [{ clearedAt: null }, { clearedAt: { $gt: new Date(now - rules.realertMinutes * MINUTE_MS) } }],
+          },
+        },
+      },
+    },
+    { $push: { safetyAlerts: alert } },
+    { new: true }
+  ).select('rideId user captain');
+
+  if (!ride) {
+    if (!(await Ride.exists({ _id: state.rideId, status: 'started' }))) {
+      state.ended = true;
+      await stopMonitoring(state.rideId);
+    } else {
+      setField(state, `quietUntil.${type}`, now + rules.realertMinutes * MINUTE_MS);
+    }
+    return false;
+  }
+
+  setField(state, `open.${type}`, alert._id.toString());
+
+  const message = ALERT_MESSAGES[type];
+
+  Notification.create({
+    recipient: ride.user,
+    recipientType: 'User',
+    type: 'safety_check',
+    category: 'safety',
+    priority: 'urgent',
+    title: 'Are you safe?',
+    message,
+    action: { type: 'open_ride' },
+    relatedEntity: { entityType: 'Ride', entityId: ride._id },
+    channels: { push: true, inApp: true },
+    metadata: { source: 'automated', triggeredBy: 'tripMonitor' },
+  }).catch((error) => {
+    logger.error(`Safety check notification for ride ${ride._id} not stored: ${error.message}`);
+  });
+
+  emitToUser(ride.user.toString(), 'ride:safety-check', {
+    rideId: ride._id,
+    alertId: alert._id,
+    type,
+    title: 'Are you safe?',
+    message,
+    respondWithin: rules.responseMinutes,
+  });
+  emitToAdmins('trip:alert', feedItem(ride, alert));
+
+  logger.warn(`Ride ${ride.rideId} flagged ${type}`);
+  return true;
+};
+
+/**
+ * Close a flag once the trip is back to normal
+ */
+const clearAlert = async (state, type, now) => {
+  const alertId = state.open[type];
+  const clearedAt = new Date(now);
+
+  setField(state, `open.${type}`, null);
+  setField(state, `quietUntil.${type}`, now + state.rules.realertMinutes * MINUTE_MS);
+
+  await Ride.updateOne(
+    { _id: state.rideId, 'safetyAlerts._id': alertId },
+    { $set: { 'safetyAlerts.$.clearedAt': clearedAt } }
+  );
+  emitToAdmins('trip:alert-cleared', { rideId: state.rideId, alertId, type, clearedAt });
+};
+
+/**
+ * Check a captain location fix against the trip's route and recent movement
+ * Does nothing for rides that aren't being monitored. Failures are logged, never thrown.
+ * @param {string} rideId
+ * @param {{ latitude: number, longitude: number, accuracy?: number }} fix
+ */
+const checkLocation = async (rideId, { latitude, longitude, accuracy }) => {
+  try {
+    const ride = await Ride.findOne({ _id: rideId, status: 'started' })
+      .select('monitor route.polyline')
+      .lean();
+    const state = ride?.monitor;
+    if (!state?.rules.enabled || accuracy > state.rules.maxAccuracy) return;
+
+    const { rules } = state;
+    const now = Date.now();
+    const point = { latitude, longitude };
+
+    setField(state, 'lastFixAt', now);
+    setField(state, 'lastPoint', point);
+    if (state.open.gps_dark) await clearAlert(state, 'gps_dark', now);
+
+    if (state.hasRoute) {
+      const route = decodeRoute(ride.route.polyline);
+      const offBy = distanceToRoute(point, route);
+
+      if (offBy <= rules.offRouteMeters) {
+        if (state.offRouteSince) setField(state, 'offRouteSince', null);
+        if (state.open.off_route) await clearAlert(state, 'off_route', now);
+      } else {
+        if (!state.offRouteSince) setField(state, 'offRouteSince', now);
+
+        if (now - state.offRouteSince >= rules.offRouteSeconds * 1000) {
+          await raiseAlert(state, 'off_route', point, {
+            distanceFromRoute: Math.round(offBy),
+            minutes: minutesSince(state.offRouteSince, now),
+          }, now);
+        }
+      }
+    }
+
+    if (!state.stop || metersBetween(point, state.stop) > rules.stopRadius) {
+      setField(state, 'stop', { ...point, since: now });
+      if (state.open.unexpected_stop) await clearAlert(state, 'unexpected_stop', now);
+    } else if (
+      now - state.stop.since >= rules.stopMinutes * MINUTE_MS
+      && metersBetween(point, state.destination) > rules.destinationRadius
+    ) {
+      await raiseAlert(state, 'unexpected_stop', point, { minutes: minutesSince(state.stop.since, now) }, now);
+    }
+
+    await saveState(state);
+  } catch (error) {
+    logger.error(`Trip monitor check failed for ride ${rideId}: ${error.message}`);
+  }
+};
+
+/**
+ * Re-alert admins about checks the rider hasn't answered while the trip is still flagged
+ * @returns {Promise<number>} - Alerts re-raised
+ */
+const alertUnanswered = async (ride, rules, now) => {
+  const cutoff = now - rules.responseMinutes * MINUTE_MS;
+  const overdue = (ride.safetyAlerts || []).filter((alert) => !alert.riderResponse
+    && !alert.clearedAt
+    && !alert.unansweredAlertedAt
+    && new Date(alert.raisedAt).getTime() <= cutoff);
+
+  let alerted = 0;
+  for (const alert of overdue) {
+    const { modifiedCount } = await Ride.updateOne(
+      { _id: ride._id, safetyAlerts: { $elemMatch: { _id: alert._id, riderResponse: null, unansweredAlertedAt: null } } },
+      { $set: { 'safetyAlerts.$.unansweredAlertedAt': new Date(now) } }
+    );
+    if (!modifiedCount) continue;
+
+    emitToAdmins('trip:alert-unanswered', feedItem(ride, alert));
+    alerted += 1;
+  }
+
+  return alerted;
+};
+
+/**
+ * Flag trips whose location has gone quiet and re-alert admins about unanswered checks
+ * Started rides the monitor isn't watching (started before a deploy, or by an admin) are picked up.
+ * @returns {Promise<number>} - Alerts raised or re-raised
+ */
+const sweepActiveTrips = async (now = Date.now()) => {
+  const rides = await Ride.find({ status: 'started' })
+    .select('rideId user captain city pickup destination route.polyline safetyAlerts monitor')
+    .lean();
+
+  let alerted = 0;
+
+  for (const ride of rides) {
+    const state = ride.monitor;
+    if (!state) {
+      await startMonitoring(ride);
+      continue;
+    }
+
+    const { rules } = state;
+    if (!rules.enabled) continue;
+
+    if (!state.open.gps_dark && now - state.lastFixAt >= rules.darkMinutes * MINUTE_MS) {
+      const raised = await raiseAlert(state, 'gps_dark', state.lastPoint, { minutes: minutesSince(state.lastFixAt, now) }, now);
+      if (raised) alerted += 1;
+      await saveState(state);
+    }
+
+    alerted += await alertUnanswered(ride, rules, now);
+  }
+
+  return alerted;
+};
+
+/**
+ * Rider's answer to "Are you safe?"
+ * Answering no raises an SOS on the ride, the same as pressing the SOS button.
+ * @param {object} options
+ * @param {string} options.rideId
+ * @param {string} options.alertId
+ * @param {string} options.userId
+ * @param {boolean} options.safe
+ * @param {{ latitude: number, longitude: number, accuracy?: number }} [options.location]
+ * @returns {Promise<{ alert: object, incident: object|null }>}
+ */
+const respondToCheck = async ({ rideId, alertId, userId, safe, location }) => {
+  const ride = await Ride.findOne({ _id: rideId, user: userId, 'safetyAlerts._id': alertId })
+    .select('rideId user captain safetyAlerts');
+
+  if (!ride) {
+    throw new ApiError(404, 'Safety check not found');
+  }
+
+  const alert = ride.safetyAlerts.id(alertId);
+
+  if (alert.riderResponse) {
+    throw new ApiError(400, 'Safety check already answered');
+  }
+
+  let incident = null;
+  if (!safe) {
+    ({ incident } = await IncidentService.raiseSOS({
+      rideId: ride._id,
+      raisedByType: 'User',
+      raisedBy: userId,
+      location,
+    }));
+  }
+
+  alert.riderResponse = safe ? 'safe' : 'unsafe';
+  alert.respondedAt = new Date();
+  if (incident) alert.incident = incident._id;
+  await ride.save();
+
+  emitToAdmins('trip:alert-answered', {
+    ...feedItem(ride, alert),
+    riderResponse: alert.riderResponse,
+    incident: alert.incident,
+  });
+
+  return { alert, incident };
+};
+
+module.exports = {
+  getRules,
+  distanceToRoute,
+  startMonitoring,
+  stopMonitoring,
+  checkLocation,
+  sweepActiveTrips,
+  respondToCheck,
+};
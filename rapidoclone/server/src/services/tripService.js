@@ -0,0 +1,148 @@
+// src/services/tripService.js
+const CaptainLocationHistory = require('../models/CaptainLocationHistory');
+const TripMonitor = require('./tripMonitor');
+const { calculateDistance } = require('../utils/helpers');
+const { MATCHING } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const validPoint = (point) => Number.isFinite(point?.latitude) && Number.isFinite(point?.longitude);
+
+/**
+ * Store a captain location fix against the ride it was sent during
+ * Every location entry point (REST and sockets) calls this, so the trail is complete
+ * whichever one the captain's app uses, and the trip monitor sees every fix.
+ * Failures are logged, never thrown.
+ * @param {string} rideId
+ * @param {string} captainId
+ * @param {{ latitude: number, longitude: number, accuracy?: number, speed?: number, heading?: number }} fix
+ * @returns {Promise<boolean>} - Whether the fix was stored
+ */
+const recordLocation = async (rideId, captainId, fix) => {
+  const point = { ...fix, latitude: Number(fix?.latitude), longitude: Number(fix?.longitude) };
+
+  try {
+    if (!rideId || !validPoint(point)) return false;
+
+    await CaptainLocationHistory.create({
+      captain: captainId,
+      ride: rideId,
+      location: {
+        type: 'Point',
+        coordinates: [point.longitude, point.latitude],
+      },
+      heading: Number.isFinite(point.heading) ? point.heading : undefined,
+      speed: Number.isFinite(point.speed) && point.speed >= 0 ? point.speed : undefined,
+      accuracy: Number.isFinite(point.accuracy) && point.accuracy >= 0 ? point.accuracy : undefined,
+    });
+
+    await TripMonitor.checkLocation(rideId, point);
+    return true;
+  } catch (error) {
+    logger.error(`Location for ride ${rideId} not recorded: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Distance and time actually driven between the start of a ride and `endedAt`
+ * The trail starts at the pickup point. Inaccurate fixes, jitter below `minMove` and jumps
+ * faster than `maxSpeedKmph` are skipped; when the captain's app went quiet for longer than
+ * `gapSeconds`, the straight line across the gap is stretched to an estimated road distance.
+ * @param {object} ride - Started ride
+ * @param {Date} endedAt
+ * @param {{ maxAccuracy: number, minMove: number, maxSpeedKmph: number, gapSeconds: number,
+ *   minCoveragePercent: number }} rules
+ * @returns {Promise<{ distance: number, duration: number, fixes: number, keptFixes: number,
+ *   discardedFixes: number, gaps: number, gapDistance: number, coveragePercent: number, reliable: boolean }>}
+ *   - distance in km, duration in minutes
+ */
+const measureTrip = async (ride, endedAt, rules) => {
+  const startedAt = new Date(ride.timestamps.started);
+  const tripSeconds = Math.max((endedAt - startedAt) / 1000, 0);
+
+  const fixes = await CaptainLocationHistory.find({
+    ride: ride._id,
+    createdAt: { $gte: startedAt, $lte: endedAt },
+  })
+    .sort({ createdAt: 1 })
+    .select('location accuracy createdAt')
+    .lean();
+
+  let last = { ...ride.pickup.coordinates, at: startedAt };
+  let lastSeenAt = startedAt;
+  let distance = 0;
+  let gapDistance = 0;
+  let gapSeconds = 0;
+  let gaps = 0;
+  let keptFixes = 0;
+  let discardedFixes = 0;
+
+  fixes.forEach((fix) => {
+    if (fix.accuracy > rules.maxAccuracy) {
+      discardedFixes += 1;
+      return;
+    }
+
+    const [longitude, latitude] = fix.location.coordinates;
+    const at = new Date(fix.createdAt);
+    const km = calculateDistance(last.latitude, last.longitude, latitude, longitude);
+    const silentSeconds = (at - lastSeenAt) / 1000;
+    lastSeenAt = at;
+
+    // A gap counts even if the captain was standing still through it
+    const isGap = silentSeconds > rules.gapSeconds;
+    if (isGap) {
+      gaps += 1;
+      gapSeconds += silentSeconds;
+    }
+
+    if (km * 1000 < rules.minMove) return;
+
+    const hours = (at - last.at) / 3600000;
+    if (hours <= 0 || km / hours > rules.maxSpeedKmph) {
+      discardedFixes += 1;
+      return;
+    }
+
+    if (isGap) {
+      const bridged = km * MATCHING.ROAD_DISTANCE_FACTOR;
+      gapDistance += bridged;
+      distance += bridged;
+    } else {
+      distance += km;
+    }
+
+    keptFixes += 1;
+    last = { latitude, longitude, at };
+  });
+
+  // Silence at the end of the trip can't be bridged, it only lowers the coverage
+  const tailSeconds = (endedAt - lastSeenAt) / 1000;
+  if (tailSeconds > rules.gapSeconds) {
+    gaps += 1;
+    gapSeconds += tailSeconds;
+  }
+
+  const coveragePercent = tripSeconds
+    ? round2(Math.max(100 - (gapSeconds / tripSeconds) * 100, 0))
+    : 0;
+
+  return {
+    distance: round2(distance),
+    duration: Math.ceil(tripSeconds / 60),
+    fixes: fixes.length,
+    keptFixes,
+    discardedFixes,
+    gaps,
+    gapDistance: round2(gapDistance),
+    coveragePercent,
+    reliable: keptFixes > 0 && coveragePercent >= rules.minCoveragePercent,
+  };
+};
+
+module.exports = {
+  recordLocation,
+  measureTrip,
+};
@@ -0,0 +1,639 @@
+// src/services/walletService.js
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const User = require('../models/User');
+const Ride = require('../models/Ride');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const Setting = require('../models/Setting');
+const AuditService = require('./auditService');
+const ApiError = require('../utils/apiError');
+const { TAX } = require('../config/constants');
+
+// Non-wallet ledger accounts. Wallets are 'wallet:<walletId>'.
+const ACCOUNTS = {
+  RIDE_RECEIVABLE: 'receivable:rides', // owed by riders for completed rides until they pay
+  RIDER_DUES: 'receivable:rider_dues', // cancellation fees riders couldn't pay from their wallet
+  CASH: 'external:cash',               // fares collected in cash by captains
+  GATEWAY: 'external:gateway',         // money received through the payment gateway
+  BANK: 'external:bank',               // money paid out to bank accounts
+  PAYOUTS: 'payable:payouts',          // withdrawals requested but not yet paid out
+  COMMISSION: 'platform:commission',
+  TAX: 'platform:tax',
+  ADJUSTMENTS: 'platform:adjustments', // manual credits/debits, refunds and bonuses
+  PENALTIES: 'platform:penalties',     // fines charged to captains
+  REFERRALS: 'platform:referrals',     // referral rewards paid out
+  INCENTIVES: 'platform:incentives',   // captain incentive bonuses paid out
+};
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const VALID_KEY = /^[\w.:-]{1,128}$/;
+const REPEAT_WINDOW = 60; // seconds a header-less repeat of the same movement counts as a retry
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const walletAccount = (walletId) => `wallet:${walletId}`;
+const signed = ({ side, amount }) => (side === 'credit' ? amount : -amount);
+
+/**
+ * Idempotency key for a movement triggered by a request
+ * Uses the client's Idempotency-Key header (scoped to the caller) when sent, otherwise
+ * the fallback: a natural key, or a repeatKey for movements that have none.
+ * @param {object} req - Express request
+ * @param {string} scope - Kind of movement, e.g. 'transfer'
+ * @param {string} [fallback] - Key identifying the movement from the request itself
+ * @returns {string}
+ */
+const idempotencyKey = (req, scope, fallback) => {
+  const header = req?.get?.(IDEMPOTENCY_HEADER);
+
+  if (header) {
+    if (!VALID_KEY.test(header)) {
+      throw new ApiError(400, `Invalid ${IDEMPOTENCY_HEADER} header`);
+    }
+    const caller = req.admin?._id || req.captain?._id || req.user?._id;
+    return `${scope}:${caller}:${header}`;
+  }
+
+  if (!fallback) {
+    throw new ApiError(400, `${IDEMPOTENCY_HEADER} header is required`);
+  }
+
+  return fallback;
+};
+
+/**
+ * Fallback key for movements with no natural key: the same movement again within
+ * REPEAT_WINDOW is taken for a retry of the first
+ * @param {...*} parts - What identifies the movement (caller, counterparty, amount, ...)
+ */
+const repeatKey = (...parts) => [...parts, Math.floor(Date.now() / (REPEAT_WINDOW * 1000))].join(':');
+
+/**
+ * Apply the wallet legs of a posting with conditional $inc updates
+ * Debits only match when the balance covers them; credits create the wallet if needed.
+ */
+const applyWalletLeg = async (leg, session) => {
+  const isCredit = leg.side === 'credit';
+  const filter = leg.wallet.id
+    ? { _id: leg.wallet.id }
+    : { owner: leg.wallet.owner, ownerType: leg.wallet.ownerType };
+
+  if (!isCredit) {
+    filter.isActive = true;
+    if (!leg.allowNegative) filter.balance = { $gte: leg.amount };
+  }
+
+  const wallet = await Wallet.findOneAndUpdate(
+    filter,
+    { $inc: { balance: signed(leg) } },
+    { new: true, session, upsert: isCredit && !leg.wallet.id, setDefaultsOnInsert: true }
+  );
+
+  if (!wallet) {
+    if (isCredit) throw new ApiError(404, 'Wallet not found');
+    throw new ApiError(400, 'Insufficient wallet balance');
+  }
+
+  return wallet;
+};
+
+const replay = async (entry) => ({
+  entry,
+  transactions: await Transaction.find({ ledgerEntry: entry._id }).sort({ _id: 1 }),
+  replayed: true,
+});
+
+const auditMovements = ({ entry, transactions }, { req, actor }) => Promise.all(
+  transactions.map((transaction) => AuditService.record({
+    action: `wallet.${transaction.type}`,
+    entity: { type: 'Wallet', id: transaction.wallet },
+    before: { balance: round2(transaction.balanceAfter - signed({ side: transaction.type, amount: transaction.amount })) },
+    after: { balance: transaction.balanceAfter },
+    reason: transaction.description,
+    metadata: {
+      transaction: transaction._id,
+      ledgerEntry: entry._id,
+      kind: entry.kind,
+      category: transaction.category,
+      amount: transaction.amount,
+      status: transaction.status,
+      reference: transaction.reference,
+      referenceType: transaction.referenceType,
+    },
+    req,
+    actor,
+  }))
+);
+
+/**
+ * Post a balanced double-entry movement in one Mongo transaction
+ * Every wallet leg also gets a Transaction (the owner's statement line) and an audit entry.
+ * Posting the same idempotency key again returns the original result instead.
+ * @param {object} posting
+ * @param {string} posting.idempotencyKey - Unique key for this movement
+ * @param {string} posting.kind - LedgerEntry kind
+ * @param {Array<object>} posting.lines - { side, amount } plus either { account } or
+ *   { wallet: { id } | { owner, ownerType }, category, status?, allowNegative? }
+ * @param {string} [posting.description]
+ * @param {*} [posting.reference] - Ride, Payment or Transaction ID
+ * @param {string} [posting.referenceType]
+ * @param {object} [posting.metadata]
+ * @param {object} [posting.req] - Express request (actor, request ID, performedBy)
+ * @param {object} [posting.actor] - Explicit audit actor when there is no request
+ * @param {function} [posting.apply] - async (session) => {}; extra writes committed with the posting
+ * @returns {Promise<{ entry: object, transactions: object[], replayed: boolean }>} -
+ *   transactions are in the order of the wallet lines
+ */
+const post = async ({
+  idempotencyKey: key,
+  kind,
+  lines,
+  description,
+  reference,
+  referenceType,
+  metadata,
+  req,
+  actor,
+  apply,
+}) => {
+  const legs = lines
+    .map((line) => ({ ...line, amount: round2(Number(line.amount) || 0) }))
+    .filter((line) => line.amount !== 0);
+
+  if (legs.some((line) => line.amount < 0)) {
+    throw new ApiError(400, 'Amount must be a positive number');
+  }
+
+  const existing = await LedgerEntry.findOne({ idempotencyKey: key });
+  if (existing) return replay(existing);
+
+  const performedBy = req?.admin?._id;
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      const entryId = new mongoose.Types.ObjectId();
+      const postings = [];
+      const statementLines = [];
+
+      for (const leg of legs) {
+        if (!leg.wallet) {
+          postings.push({ account: leg.account, side: leg.side, amount: leg.amount });
+          continue;
+        }
+
+        const wallet = await applyWalletLeg(leg, session);
+        postings.push({ account: walletAccount(wallet._id), wallet: wallet._id, side: leg.side, amount: leg.amount });
+        statementLines.push({
+          wallet: wallet._id,
+          type: leg.side,
+          amount: leg.amount,
+          category: leg.category,
+          status: leg.status || 'completed',
+          description: leg.description || description,
+          balanceAfter: round2(wallet.balance),
+          ledgerEntry: entryId,
+          performedBy,
+          ...(reference && { reference, referenceType }),
+        });
+      }
+
+      const [entry] = await LedgerEntry.create([{
+        _id: entryId,
+        idempotencyKey: key,
+        kind,
+        postings,
+        description,
+        performedBy,
+        metadata,
+        ...(reference && { reference, referenceType }),
+      }], { session });
+
+      const transactions = await Transaction.insertMany(statementLines, { session });
+      if (apply) await apply(session);
+      result = { entry, transactions, replayed: false };
+    });
+  } catch (error) {
+    // Lost a race with the same key: the other request's posting stands
+    if (error.code === 11000 && error.keyPattern?.idempotencyKey) {
+      return replay(await LedgerEntry.findOne({ idempotencyKey: key }));
+    }
+    // Standalone mongod (see config/database.js)
+    if (error.code === 20) {
+      throw new ApiError(503, 'Wallet is unavailable: MongoDB must run as a replica set');
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  await auditMovements(result, { req, actor });
+  return result;
+};
+
+/**
+ * Split the platform's share of a fare into commission and the tax included in it
+ */
+const splitPlatformShare = async (share) => {
+  const { taxPercentage = TAX.PERCENTAGE } = await Setting.getValue('payments');
+  const tax = round2((share * taxPercentage) / (100 + taxPercentage));
+  return { commission: round2(share - tax), tax };
+};
+
+/**
+ * Where the rider's money for a ride comes from in the ledger
+ */
+const riderSource = (ride) => (ride.payment?.method === 'cash' ? ACCOUNTS.CASH : ACCOUNTS.RIDE_RECEIVABLE);
+
+/**
+ * Book a completed ride: the fare is split between the captain's wallet,
+ * platform commission and tax. Unpaid dues carried into the fare settle the
+ * rider's dues instead (they were taken off the rider when the ride was booked).
+ * Posts once per ride.
+ * @param {object} ride - Completed ride (fare.total and fare.captainEarnings set)
+ */
+const settleRide = async (ride, { req } = {}) => {
+  const total = round2(ride.fare?.total || 0);
+  if (total <= 0) return null;
+
+  const dues = round2(Math.min(ride.fare.previousDues || 0, total));
+  const rideTotal = round2(total - dues);
+  const captainEarnings = round2(Math.min(ride.fare.captainEarnings ?? rideTotal, rideTotal));
+  const { commission, tax } = await splitPlatformShare(round2(rideTotal - captainEarnings));
+
+  return post({
+    idempotencyKey: `ride:${ride._id}:settlement`,
+    kind: 'ride_settlement',
+    description: `Earnings from ride ${ride.rideId}`,
+    reference: ride._id,
+    referenceType: 'Ride',
+    lines: [
+      { account: riderSource(ride), side: 'debit', amount: total },
+      { wallet: { owner: ride.captain, ownerType: 'Captain' }, side: 'credit', amount: captainEarnings, category: 'ride_earnings' },
+      { account: ACCOUNTS.COMMISSION, side: 'credit', amount: commission },
+      { account: ACCOUNTS.TAX, side: 'credit', amount: tax },
+      { account: ACCOUNTS.RIDER_DUES, side: 'credit', amount: dues },
+    ],
+    metadata: { paymentMethod: ride.payment?.method, total, captainEarnings, commission, tax, dues },
+    req,
+  });
+};
+
+const addDues = (userId, amount, session) => User.updateOne(
+  { _id: userId },
+  [{ $set: { outstandingDues: { $round: [{ $add: [{ $ifNull: ['$outstandingDues', 0] }, amount] }, 2] } } }],
+  { session }
+);
+
+/**
+ * Take a rider's outstanding dues off them for a ride being booked
+ * Only dues still owed are taken, so rides booked side by side can't both carry them.
+ * @param {object} user - Rider, with the outstandingDues they were loaded with
+ * @returns {Promise<number>} - Dues to carry in the ride's fare
+ */
+const reserveDues = async (user) => {
+  const dues = round2(user?.outstandingDues || 0);
+  if (dues <= 0) return 0;
+
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, outstandingDues: { $gte: dues } },
+    [{ $set: { outstandingDues: { $round: [{ $subtract: ['$outstandingDues', dues] }, 2] } } }]
+  );
+  return modifiedCount ? dues : 0;
+};
+
+/**
+ * Give back dues reserved for a ride that was never created
+ */
+const releaseDues = (userId, amount) => addDues(userId, round2(amount));
+
+/**
+ * Give back the dues carried by a cancelled ride. Releases once per ride.
+ * @returns {Promise<number>} - Dues released
+ */
+const releaseRideDues = async (rideId) => {
+  const session = await mongoose.startSession();
+  let released = 0;
+
+  try {
+    await session.withTransaction(async () => {
+      // Returns the ride as it was, with the dues it carried
+      const ride = await Ride.findOneAndUpdate(
+        { _id: rideId, status: 'cancelled', 'fare.previousDues': { $gt: 0 } },
+        [{
+          $set: {
+            'fare.total': { $round: [{ $subtract: ['$fare.total', '$fare.previousDues'] }, 2] },
+            'fare.previousDues': 0,
+          },
+        }],
+        { session }
+      ).select('user fare.previousDues');
+
+      released = ride ? ride.fare.previousDues : 0;
+      if (released) await addDues(ride.user, released, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return released;
+};
+
+/**
+ * Charge a rider's cancellation fee, part of it compensating the captain
+ * Taken from the rider's wallet when the balance covers it; otherwise it is
+ * booked as a due on the rider, added to their next fare. Posts once per ride.
+ * @param {object} ride - Cancelled ride with a captain assigned
+ * @param {{ fee: number, captainShare: number }} charge - Amounts in rupees
+ * @returns {Promise<{ status: 'collected'|'due', result: object }>}
+ */
+const chargeCancellationFee = async (ride, { fee, captainShare }, { req } = {}) => {
+  const platformShare = round2(fee - captainShare);
+  const { commission, tax } = await splitPlatformShare(platformShare);
+
+  const posting = (source, extra) => post({
+    idempotencyKey: `ride:${ride._id}:cancellation_fee`,
+    kind: 'cancellation_fee',
+    description: `Cancellation fee for ride ${ride.rideId}`,
+    reference: ride._id,
+    referenceType: 'Ride',
+    lines: [
+      source,
+      { wallet: { owner: ride.captain, ownerType: 'Captain' }, side: 'credit', amount: captainShare, category: 'cancellation_fee' },
+      { account: ACCOUNTS.COMMISSION, side: 'credit', amount: commission },
+      { account: ACCOUNTS.TAX, side: 'credit', amount: tax },
+    ],
+    metadata: { fee, captainShare, commission, tax },
+    req,
+    ...extra,
+  });
+
+  try {
+    const result = await posting({
+      wallet: { owner: ride.user, ownerType: 'User' },
+      side: 'debit',
+      amount: fee,
+      category: 'cancellation_fee',
+    });
+    // A replay returns whichever posting was made first
+    const isDue = result.entry.postings.some((line) => line.account === ACCOUNTS.RIDER_DUES);
+    return { status: isDue ? 'due' : 'collected', result };
+  } catch (error) {
+    // Anything but a short or inactive wallet is a real failure
+    if (error.statusCode !== 400) throw error;
+  }
+
+  const result = await posting(
+    { account: ACCOUNTS.RIDER_DUES, side: 'debit', amount: fee },
+    {
+      apply: (session) => addDues(ride.user, fee, session),
+    }
+  );
+  return { status: 'due', result };
+};
+
+/**
+ * Fine a captain for cancelling an accepted ride. Posts once per ride and captain, so a
+ * captain who takes over a redispatched ride and cancels it too is fined as well.
+ * The wallet may go negative; the shortfall comes out of later earnings.
+ */
+const fineCaptain = (captainId, ride, amount, { reason, req } = {}) => post({
+  idempotencyKey: `ride:${ride._id}:captain_penalty:${captainId}`,
+  kind: 'penalty',
+  description: `Cancellation penalty for ride ${ride.rideId}`,
+  reference: ride._id,
+  referenceType: 'Ride',
+  lines: [
+    { wallet: { owner: captainId, ownerType: 'Captain' }, side: 'debit', amount, category: 'penalty', allowNegative: true },
+    { account: ACCOUNTS.PENALTIES, side: 'credit', amount },
+  ],
+  metadata: { reason },
+  req,
+});
+
+/**
+ * Pay both sides of a referral once the referee qualifies. Posts once per referral.
+ */
+const payReferral = (referral, { ride } = {}) => post({
+  idempotencyKey: `referral:${referral._id}`,
+  kind: 'referral',
+  description: 'Referral reward',
+  reference: ride?._id,
+  referenceType: ride ? 'Ride' : undefined,
+  lines: [
+    { account: ACCOUNTS.REFERRALS, side: 'debit', amount: round2(referral.referrerReward + referral.refereeReward) },
+    { wallet: { owner: referral.referrer, ownerType: referral.referrerType }, side: 'credit', amount: referral.referrerReward, category: 'referral' },
+    { wallet: { owner: referral.referee, ownerType: referral.refereeType }, side: 'credit', amount: referral.refereeReward, category: 'referral' },
+  ],
+  metadata: { referral: referral._id, campaign: referral.campaign },
+});
+
+/**
+ * Credit a captain's incentive bonus. Posts once per award.
+ * @param {object} progress - IncentiveProgress the award belongs to
+ * @param {number} awardNumber - 1 for the first award in the period, 2 for the next...
+ */
+const payIncentive = (progress, incentive, awardNumber, { ride } = {}) => post({
+  idempotencyKey: `incentive:${progress._id}:${awardNumber}`,
+  kind: 'incentive',
+  description: `Incentive: ${incentive.title}`,
+  reference: ride?._id,
+  referenceType: ride ? 'Ride' : undefined,
+  lines: [
+    { account: ACCOUNTS.INCENTIVES, side: 'debit', amount: incentive.reward },
+    { wallet: { owner: progress.captain, ownerType: 'Captain' }, side: 'credit', amount: incentive.reward, category: 'bonus' },
+  ],
+  metadata: { incentive: incentive._id, periodKey: progress.periodKey, awardNumber },
+});
+
+/**
+ * Rider pays what they owe for a ride from their wallet. Posts once per ride.
+ */
+const payRideFromWallet = (ride, amount, { req } = {}) => post({
+  idempotencyKey: `ride:${ride._id}:wallet_payment`,
+  kind: 'ride_payment',
+  description: `Payment for ride ${ride.rideId || ride._id}`,
+  reference: ride._id,
+  referenceType: 'Ride',
+  lines: [
+    { wallet: { owner: ride.user, ownerType: 'User' }, side: 'debit', amount, category: 'ride_payment' },
+    { account: ACCOUNTS.RIDE_RECEIVABLE, side: 'credit', amount },
+  ],
+  req,
+});
+
+/**
+ * Tip the ride's captain; wallet riders pay it from their wallet,
+ * others settle it along with the fare
+ * Without an Idempotency-Key header, the same amount on the same ride counts as a retry.
+ */
+const tipCaptain = (ride, amount, { req } = {}) => post({
+  idempotencyKey: idempotencyKey(req, `ride:${ride._id}:tip`, `ride:${ride._id}:tip:${round2(amount)}`),
+  kind: 'tip',
+  description: `Tip from ride ${ride.rideId}`,
+  reference: ride._id,
+  referenceType: 'Ride',
+  lines: [
+    ride.payment?.method === 'wallet'
+      ? { wallet: { owner: ride.user, ownerType: 'User' }, side: 'debit', amount, category: 'tip' }
+      : { account: riderSource(ride), side: 'debit', amount },
+    { wallet: { owner: ride.captain, ownerType: 'Captain' }, side: 'credit', amount, category: 'tip' },
+  ],
+  req,
+});
+
+/**
+ * Move money between two user wallets
+ * Without an Idempotency-Key header, the same transfer again within a minute counts as a retry.
+ */
+const transfer = ({ fromUserId, toUserId, amount, note, req }) => post({
+  idempotencyKey: idempotencyKey(req, 'transfer', repeatKey('transfer', fromUserId, toUserId, round2(amount))),
+  kind: 'transfer',
+  description: note || 'Wallet transfer',
+  lines: [
+    { wallet: { owner: fromUserId, ownerType: 'User' }, side: 'debit', amount, category: 'transfer' },
+    { wallet: { owner: toUserId, ownerType: 'User' }, side: 'credit', amount, category: 'transfer' },
+  ],
+  metadata: { from: fromUserId, to: toUserId },
+  req,
+});
+
+/**
+ * Credit a gateway top-up. Posts once per gateway payment ID.
+ */
+const topup = ({ userId, amount, gatewayPaymentId, req }) => post({
+  idempotencyKey: `topup:${gatewayPaymentId}`,
+  kind: 'topup',
+  description: 'Wallet top-up',
+  lines: [
+    { account: ACCOUNTS.GATEWAY, side: 'debit', amount },
+    { wallet: { owner: userId, ownerType: 'User' }, side: 'credit', amount, category: 'wallet_topup' },
+  ],
+  metadata: { gatewayPaymentId },
+  req,
+});
+
+/**
+ * Hold a withdrawal: the amount leaves the wallet now and is paid out after review
+ * Without an Idempotency-Key header, the same amount again within a minute counts as a retry.
+ * @returns {Promise<object>} - Posting result; transactions[0] is the pending withdrawal
+ */
+const requestWithdrawal = ({ ownerId, ownerType = 'Captain', amount, description, req }) => post({
+  idempotencyKey: idempotencyKey(req, 'withdrawal', repeatKey('withdrawal', ownerId, round2(amount))),
+  kind: 'withdrawal',
+  description: description || 'Withdrawal to bank account',
+  lines: [
+    { wallet: { owner: ownerId, ownerType }, side: 'debit', amount, category: 'withdrawal', status: 'pending' },
+    { account: ACCOUNTS.PAYOUTS, side: 'credit', amount },
+  ],
+  req,
+});
+
+/**
+ * Return a rejected or cancelled withdrawal to its wallet. Posts once per withdrawal.
+ * @param {object} withdrawal - Withdrawal Transaction
+ */
+const reverseWithdrawal = (withdrawal, { reason, req, actor } = {}) => post({
+  idempotencyKey: `withdrawal:${withdrawal._id}:reversal`,
+  kind: 'withdrawal_reversal',
+  description: reason || 'Withdrawal cancelled',
+  reference: withdrawal._id,
+  referenceType: 'Transaction',
+  lines: [
+    { account: ACCOUNTS.PAYOUTS, side: 'debit', amount: withdrawal.amount },
+    { wallet: { id: withdrawal.wallet._id || withdrawal.wallet }, side: 'credit', amount: withdrawal.amount, category: 'refund' },
+  ],
+  req,
+  actor,
+});
+
+/**
+ * Record that a withdrawal left for the bank. Posts once per withdrawal.
+ */
+const completePayout = (withdrawal, { payoutReference, req } = {}) => post({
+  idempotencyKey: `withdrawal:${withdrawal._id}:payout`,
+  kind: 'payout',
+  description: `Payout ${payoutReference || ''}`.trim(),
+  reference: withdrawal._id,
+  referenceType: 'Transaction',
+  lines: [
+    { account: ACCOUNTS.PAYOUTS, side: 'debit', amount: withdrawal.amount },
+    { account: ACCOUNTS.BANK, side: 'credit', amount: withdrawal.amount },
+  ],
+  metadata: { payoutReference },
+  req,
+});
+
+/**
+ * Manual credit or debit against the platform (admin adjustments, refunds, bonuses)
+ * Without an Idempotency-Key header, the same movement again within a minute counts as a retry.
+ * `apply` writes with the posting, and is skipped when the request is a replay.
+ */
+const adjust = ({ ownerId, ownerType, type, amount, category, description, reference, referenceType, req, apply }) => {
+  const platformSide = type === 'credit' ? 'debit' : 'credit';
+
+  return post({
+    idempotencyKey: idempotencyKey(
+      req,
+      `adjust:${ownerType}:${ownerId}`,
+      repeatKey('adjust', ownerType, ownerId, type, category, round2(amount), reference || '')
+    ),
+    kind: category === 'refund' ? 'refund' : 'adjustment',
+    description,
+    reference,
+    referenceType,
+    lines: [
+      { wallet: { owner: ownerId, ownerType }, side: type, amount, category },
+      { account: ACCOUNTS.ADJUSTMENTS, side: platformSide, amount },
+    ],
+    req,
+    apply,
+  });
+};
+
+/**
+ * Net balance of a ledger account (credits minus debits)
+ * @param {string} account - e.g. ACCOUNTS.COMMISSION or 'wallet:<id>'
+ */
+const getAccountBalance = async (account) => {
+  const [result] = await LedgerEntry.aggregate([
+    { $match: { 'postings.account': account } },
+    { $unwind: '$postings' },
+    { $match: { 'postings.account': account } },
+    {
+      $group: {
+        _id: null,
+        balance: {
+          $sum: { $cond: [{ $eq: ['$postings.side', 'credit'] }, '$postings.amount', { $multiply: ['$postings.amount', -1] }] },
+        },
+      },
+    },
+  ]);
+
+  return round2(result?.balance || 0);
+};
+
+module.exports = {
+  ACCOUNTS,
+  IDEMPOTENCY_HEADER,
+  idempotencyKey,
+  post,
+  settleRide,
+  reserveDues,
+  releaseDues,
+  releaseRideDues,
+  chargeCancellationFee,
+  fineCaptain,
+  payReferral,
+  payIncentive,
+  payRideFromWallet,
+  tipCaptain,
+  transfer,
+  topup,
+  requestWithdrawal,
+  reverseWithdrawal,
+  completePayout,
+  adjust,
+  getAccountBalance,
+};
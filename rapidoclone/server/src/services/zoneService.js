@@ -0,0 +1,184 @@
+// src/services/zoneService.js
+const Zone = require('../models/Zone');
+const ApiError = require('../utils/apiError');
+
+const COVERAGE_TYPES = ['city', 'service_area'];
+
+const toLngLat = (point) => {
+  if (Array.isArray(point)) return [Number(point[0]), Number(point[1])];
+  const lat = point.latitude ?? point.lat;
+  const lng = point.longitude ?? point.lng;
+  return [Number(lng), Number(lat)];
+};
+
+const toLatLng = (point) => ({
+  latitude: point.latitude ?? point.lat,
+  longitude: point.longitude ?? point.lng,
+});
+
+/**
+ * Normalise an admin-drawn shape into a GeoJSON boundary
+ * Accepts GeoJSON, or a list of points as [lng, lat] / { latitude, longitude }.
+ * @param {object|Array} input - Boundary or polygon points
+ * @returns {object} - GeoJSON Polygon or MultiPolygon with closed rings
+ */
+const toBoundary = (input) => {
+  if (input?.type === 'MultiPolygon') {
+    return input;
+  }
+
+  const points = input?.type === 'Polygon' ? input.coordinates[0] : input;
+
+  if (!Array.isArray(points)) {
+    throw ApiError.badRequest('Zone boundary must be a GeoJSON polygon or a list of points');
+  }
+
+  const ring = points.map(toLngLat);
+
+  if (ring.some(([lng, lat]) => !Number.isFinite(lng) || !Number.isFinite(lat)
+    || Math.abs(lat) > 90 || Math.abs(lng) > 180)) {
+    throw ApiError.badRequest('Zone boundary has invalid coordinates');
+  }
+
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    ring.push([...first]);
+  }
+
+  if (ring.length < 4) {
+    throw ApiError.badRequest('Zone boundary needs at least 3 points');
+  }
+
+  return { type: 'Polygon', coordinates: [ring] };
+};
+
+/**
+ * Ray-casting test for one ring of [lng, lat] points
+ */
+const ringContains = (ring, lng, lat) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * In-memory point-in-polygon check against a GeoJSON boundary (holes respected)
+ * Use when testing many points against an already loaded zone.
+ * @param {object} boundary - GeoJSON Polygon or MultiPolygon
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {boolean}
+ */
+const containsPoint = (boundary, latitude, longitude) => {
+  const polygons = boundary.type === 'MultiPolygon' ? boundary.coordinates : [boundary.coordinates];
+
+  return polygons.some(([outer, ...holes]) =>
+    ringContains(outer, longitude, latitude)
+    && !holes.some((hole) => ringContains(hole, longitude, latitude)));
+};
+
+/**
+ * Serviceability is only enforced once a city or service area has been drawn
+ */
+const isCoverageConfigured = async () => {
+  return !!(await Zone.exists({ type: { $in: COVERAGE_TYPES }, isActive: true }));
+};
+
+/**
+ * Describe a point in terms of the zones that contain it
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {Promise<object>} - { city, cityZone, serviceArea, airport, surgeZone,
+ *   noPickupZone, zones, isServiceable, isPickupAllowed }
+ */
+const resolveLocation = async (latitude, longitude) => {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+
+  const [zones, coverageConfigured] = await Promise.all([
+    Zone.findContaining(lat, lng).lean(),
+    isCoverageConfigured(),
+  ]);
+
+  // Zones come back highest priority first
+  const firstOf = (type) => zones.find((z) => z.type === type) || null;
+
+  const cityZone = firstOf('city');
+  const serviceArea = firstOf('service_area');
+  const noPickupZone = firstOf('no_pickup');
+  const covered = !!(cityZone || serviceArea);
+
+  return {
+    city: cityZone?.city || serviceArea?.city || zones[0]?.city || null,
+    cityZone,
+    serviceArea,
+    airport: firstOf('airport'),
+    surgeZone: firstOf('surge_zone'),
+    noPickupZone,
+    zones,
+    isServiceable: covered || !coverageConfigured,
+    isPickupAllowed: !noPickupZone,
+  };
+};
+
+/**
+ * Check pickup and destination of a trip
+ * @param {object} pickup - { latitude, longitude } or { lat, lng }
+ * @param {object} destination - { latitude, longitude } or { lat, lng }
+ * @returns {Promise<object>} - { isServiceable, reason, city, pickup, destination }
+ */
+const checkRoute = async (pickup, destination) => {
+  const origin = toLatLng(pickup);
+  const target = toLatLng(destination);
+
+  const [from, to] = await Promise.all([
+    resolveLocation(origin.latitude, origin.longitude),
+    resolveLocation(target.latitude, target.longitude),
+  ]);
+
+  let reason = null;
+  if (!from.isServiceable) {
+    reason = 'Pickup location is not serviceable';
+  } else if (!from.isPickupAllowed) {
+    reason = `Pickups are not allowed in ${from.noPickupZone.name}`;
+  } else if (!to.isServiceable) {
+    reason = 'Destination is not serviceable';
+  }
+
+  return {
+    isServiceable: !reason,
+    reason,
+    city: from.city,
+    pickup: from,
+    destination: to,
+  };
+};
+
+/**
+ * Throw a 400 when a trip cannot be booked
+ * @returns {Promise<object>} - checkRoute result for serviceable trips
+ */
+const assertServiceable = async (pickup, destination) => {
+  const result = await checkRoute(pickup, destination);
+
+  if (!result.isServiceable) {
+    throw ApiError.badRequest(result.reason, [{ code: 'NOT_SERVICEABLE' }]);
+  }
+
+  return result;
+};
+
+module.exports = {
+  toBoundary,
+  containsPoint,
+  resolveLocation,
+  checkRoute,
+  assertServiceable,
+};
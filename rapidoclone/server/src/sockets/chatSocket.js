@@ -1,37 +1,90 @@
 // src/sockets/chatSocket.js
 const logger = require('../utils/logger');
+const ChatService = require('../services/chatService');
+const { getRideRole, grantedRideRole, denyRideAccess } = require('./rideAccess');
+
+/**
+ * Sender details taken from the authenticated socket, not the payload
+ */
+const senderOf = (socket) => ({
+  userId: socket.userId,
+  userName: [socket.user.firstName, socket.user.lastName].filter(Boolean).join(' '),
+  senderType: socket.userType,
+});
 
 /**
  * Initialize chat socket events
  */
 const initializeChatSocket = (io) => {
-  // Store chat messages (in production, use database)
-  const chatMessages = new Map();
-
   io.on('connection', (socket) => {
+    const inChat = (rideId) => socket.rooms.has(`chat-${rideId}`);
+
     /**
-     * User joins chat room (ride-specific chat)
+     * Handle a chat event only from sockets that joined the ride's chat
+     * The optional acknowledgement callback is passed through to the handler.
      */
-    socket.on('join-chat', (data) => {
-      const { rideId, userId, userName } = data;
-      socket.join(`chat-${rideId}`);
-      
-      // Notify others
-      io.to(`chat-${rideId}`).emit('user-joined', {
-        rideId,
-        userId,
-        userName,
-        timestamp: new Date(),
+    const member = (event, handler) => {
+      socket.on(event, async (data = {}, ack) => {
+        if (!inChat(data.rideId)) return denyRideAccess(socket, event, data.rideId);
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+          await handler(data, reply);
+        } catch (error) {
+          logger.error(`Chat ${event} failed for ride ${data.rideId}: ${error.message}`);
+          const message = error.statusCode ? error.message : 'Chat action failed';
+          reply({ success: false, message });
+          socket.emit('error', { event, rideId: data.rideId, message });
+        }
       });
+    };
+
+    /**
+     * Move the other party's messages to delivered/read and tell the room
+     */
+    const sendReceipts = async (rideId, status, upTo) => {
+      const role = grantedRideRole(socket, rideId);
+      const { messageIds, at } = await ChatService.updateReceipts(rideId, role, status, upTo);
+      if (!messageIds.length) return;
+
+      io.to(`chat-${rideId}`).emit('message-status', { rideId, status, messageIds, at });
+    };
+
+    /**
+     * Rider, captain or admin joins chat room (ride-specific chat)
+     */
+    socket.on('join-chat', async (data = {}) => {
+      const { rideId } = data;
+      try {
+        const role = await getRideRole(socket, rideId);
+        if (!role) return denyRideAccess(socket, 'join-chat', rideId);
+
+        socket.join(`chat-${rideId}`);
+        const { userId, userName } = senderOf(socket);
+
+        // Notify others
+        io.to(`chat-${rideId}`).emit('user-joined', {
+          rideId,
+          userId,
+          userName,
+          timestamp: new Date(),
+        });
 
-      logger.info(`User ${userName} joined chat for ride: ${rideId}`);
+        // Anything sent while this party was away has now reached them
+        await sendReceipts(rideId, 'delivered');
+
+        logger.info(`User ${userName} joined chat for ride: ${rideId}`);
+      } catch (error) {
+        logger.error(`Error joining chat for ride ${rideId}:`, error);
+        socket.emit('error', { message: 'Failed to join chat' });
+      }
     });
 
     /**
      * User leaves chat room
      */
-    socket.on('leave-chat', (data) => {
-      const { rideId, userName } = data;
+    member('leave-chat', (data) => {
+      const { rideId } = data;
+      const { userName } = senderOf(socket);
       socket.leave(`chat-${rideId}`);
       
       io.to(`chat-${rideId}`).emit('user-left', {
@@ -44,39 +97,42 @@ const initializeChatSocket = (io) => {
     });
 
     /**
-     * Send message in chat
+     * Send message in chat: free text, or a quick reply by key
      */
-    socket.on('send-message', (data) => {
-      const { rideId, message, userId, userName, senderType } = data;
-      
-      const messageData = {
-        id: `msg-${Date.now()}-${Math.random()}`,
+    member('send-message', async (data, reply) => {
+      const { rideId, message, quickReply, clientId } = data;
+      const { userId, userName } = senderOf(socket);
+
+      const messageData = await ChatService.sendMessage({
         rideId,
-        userId,
-        userName,
-        senderType, // 'user', 'captain', 'admin'
+        role: grantedRideRole(socket, rideId),
+        senderId: userId,
         message,
-        timestamp: new Date(),
-        read: false,
-      };
-
-      // Store message
-      if (!chatMessages.has(rideId)) {
-        chatMessages.set(rideId, []);
-      }
-      chatMessages.get(rideId).push(messageData);
+        quickReply,
+        clientId,
+      });
 
       // Broadcast to all in chat room
-      io.to(`chat-${rideId}`).emit('new-message', messageData);
+      io.to(`chat-${rideId}`).emit('new-message', { ...messageData, userId, userName });
+      reply({ success: true, message: messageData });
 
       logger.debug(`New message in ride ${rideId} from ${userName}`);
     });
 
+    /**
+     * Recipient's app received messages, up to and including messageId (or all so far)
+     */
+    member('message-delivered', async (data, reply) => {
+      await sendReceipts(data.rideId, 'delivered', data.messageId);
+      reply({ success: true });
+    });
+
     /**
      * Typing indicator
      */
-    socket.on('typing', (data) => {
-      const { rideId, userId, userName } = data;
+    member('typing', (data) => {
+      const { rideId } = data;
+      const { userId, userName } = senderOf(socket);
       io.to(`chat-${rideId}`).emit('user-typing', {
         rideId,
         userId,
@@ -87,8 +143,9 @@ const initializeChatSocket = (io) => {
     /**
      * Stop typing indicator
      */
-    socket.on('stop-typing', (data) => {
-      const { rideId, userId } = data;
+    member('stop-typing', (data) => {
+      const { rideId } = data;
+      const { userId } = senderOf(socket);
       io.to(`chat-${rideId}`).emit('user-stopped-typing', {
         rideId,
         userId,
@@ -96,14 +153,19 @@ const initializeChatSocket = (io) => {
     });
 
     /**
-     * Mark message as read
+     * Mark messages as read, up to and including messageId (or all so far)
      */
-    socket.on('mark-as-read', (data) => {
+    member('mark-as-read', async (data, reply) => {
       const { rideId, messageId } = data;
-      io.to(`chat-${rideId}`).emit('message-read', {
-        rideId,
-        messageId,
-      });
+      const role = grantedRideRole(socket, rideId);
+      const { messageIds, at } = await ChatService.updateReceipts(rideId, role, 'read', messageId);
+
+      if (messageIds.length) {
+        io.to(`chat-${rideId}`).emit('message-status', { rideId, status: 'read', messageIds, at });
+        // Older clients listen for a single read receipt
+        io.to(`chat-${rideId}`).emit('message-read', { rideId, messageId, messageIds, readAt: at });
+      }
+      reply({ success: true });
     });
 
     /**
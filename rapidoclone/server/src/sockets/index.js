@@ -1,6 +1,7 @@
 // src/sockets/index.js
 const { Server } = require('socket.io');
 const logger = require('../utils/logger');
+const { socketAuth } = require('../middlewares/auth');
 
 const initializeRideSocket = require('./rideSocket');
 const initializeLocationSocket = require('./locationSocket');
@@ -29,28 +30,28 @@ const initializeSocket = (server) => {
     reconnectionAttempts: 5,
   });
 
-  // Optional socket auth middleware
-  io.use((socket, next) => {
-    // Add token-based auth here if needed later
-    next();
-  });
+  // Every connection must carry a valid access token
+  io.use(socketAuth);
 
   io.on('connection', (socket) => {
-    logger.info(`Client connected: ${socket.id}`);
+    const { userType, userId } = socket;
+    logger.info(`Client connected: ${socket.id} (${userType}:${userId})`);
 
-    // 🔑 JOIN USER ROOM
-    socket.on('join:user', (userId) => {
-      if (!userId) return;
-      socket.join(`user:${userId}`);
-      logger.info(`Socket ${socket.id} joined user:${userId}`);
-    });
+    // Personal rooms come from the token, never from the client.
+    // `${userType}:${id}` is used by services/socketService, the bare id by the
+    // config/socket emit helpers.
+    socket.join([`${userType}:${userId}`, userId, `${userType}s`]);
 
-    // 🔑 JOIN CAPTAIN ROOM
-    socket.on('join:captain', (captainId) => {
-      if (!captainId) return;
-      socket.join(`captain:${captainId}`);
-      logger.info(`Socket ${socket.id} joined captain:${captainId}`);
-    });
+    // Kept for older clients: the room is already joined, just flag mismatches
+    const confirmRoom = (type) => (requestedId) => {
+      if (userType !== type || (requestedId && String(requestedId) !== userId)) {
+        logger.warn(`Socket ${socket.id} (${userType}:${userId}) tried to join ${type}:${requestedId}`);
+        socket.emit('error', { message: 'Not authorized for this room' });
+      }
+    };
+
+    socket.on('join:user', confirmRoom('user'));
+    socket.on('join:captain', confirmRoom('captain'));
 
     socket.on('disconnect', () => {
       logger.info(`Client disconnected: ${socket.id}`);
@@ -69,6 +70,9 @@ const initializeSocket = (server) => {
   // 🔥 Make io available to socketService (VERY IMPORTANT)
   initSocketService(io);
 
+  // config/socket emit helpers (used by controllers and jobs) read global.io
+  global.io = io;
+
   logger.info('✅ Socket.io initialized successfully');
 
   return io;
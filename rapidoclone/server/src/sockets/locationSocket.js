@@ -1,5 +1,8 @@
 // src/sockets/locationSocket.js
 const logger = require('../utils/logger');
+const IncidentService = require('../services/incidentService');
+const TripService = require('../services/tripService');
+const { getRideRole, grantedRideRole, denyRideAccess } = require('./rideAccess');
 
 /**
  * Initialize location tracking socket events
@@ -12,12 +15,20 @@ const initializeLocationSocket = (io) => {
     /**
      * Start tracking location for ride
      */
-    socket.on('start-tracking', (rideId) => {
-      socket.join(`location-${rideId}`);
-      if (!trackedLocations.has(rideId)) {
-        trackedLocations.set(rideId, []);
+    socket.on('start-tracking', async (rideId) => {
+      try {
+        const role = await getRideRole(socket, rideId);
+        if (!role) return denyRideAccess(socket, 'start-tracking', rideId);
+
+        socket.join(`location-${rideId}`);
+        if (!trackedLocations.has(rideId)) {
+          trackedLocations.set(rideId, []);
+        }
+        logger.info(`Location tracking started for ride: ${rideId}`);
+      } catch (error) {
+        logger.error(`Error starting tracking for ride ${rideId}:`, error);
+        socket.emit('error', { message: 'Failed to start tracking' });
       }
-      logger.info(`Location tracking started for ride: ${rideId}`);
     });
 
     /**
@@ -31,8 +42,13 @@ const initializeLocationSocket = (io) => {
     /**
      * Update current location
      */
-    socket.on('location-update', (data) => {
+    socket.on('location-update', (data = {}) => {
       const { rideId, lat, lng, accuracy } = data;
+
+      // Only the ride's captain publishes its position
+      if (grantedRideRole(socket, rideId) !== 'captain' || !socket.rooms.has(`location-${rideId}`)) {
+        return denyRideAccess(socket, 'location-update', rideId);
+      }
       
       // Validate coordinates
       if (typeof lat === 'number' && typeof lng === 'number') {
@@ -53,18 +69,41 @@ const initializeLocationSocket = (io) => {
           lng,
           accuracy,
           timestamp: new Date(),
-          userId: socket.id,
+          userId: socket.userId,
         });
 
+        TripService.recordLocation(rideId, socket.userId, { latitude: lat, longitude: lng, accuracy });
+        IncidentService.recordLocation(rideId, 'captain', { latitude: lat, longitude: lng, accuracy });
+
         logger.debug(`Location update for ride ${rideId}: [${lat}, ${lng}]`);
       }
     });
 
+    /**
+     * Location fix from the rider's or captain's app while an SOS is open
+     */
+    socket.on('sos:location', async (data = {}) => {
+      const { rideId, lat, lng, accuracy, speed, heading } = data;
+
+      try {
+        const role = grantedRideRole(socket, rideId) || await getRideRole(socket, rideId);
+        if (role !== 'user' && role !== 'captain') return denyRideAccess(socket, 'sos:location', rideId);
+
+        await IncidentService.recordLocation(rideId, role, { latitude: lat, longitude: lng, accuracy, speed, heading });
+      } catch (error) {
+        logger.error(`Error recording SOS location for ride ${rideId}:`, error);
+      }
+    });
+
     /**
      * Request current location of captain
      */
-    socket.on('request-location', (data) => {
-      const { rideId, userId } = data;
+    socket.on('request-location', (data = {}) => {
+      const { rideId } = data;
+      if (!socket.rooms.has(`location-${rideId}`)) {
+        return denyRideAccess(socket, 'request-location', rideId);
+      }
+
       io.to(`location-${rideId}`).emit('location-requested', {
         rideId,
         requestedBy: socket.id,
@@ -74,10 +113,12 @@ const initializeLocationSocket = (io) => {
     /**
      * Cleanup on disconnect
      */
-    socket.on('disconnect', () => {
-      trackedLocations.forEach((_, rideId) => {
-        io.to(`location-${rideId}`).emit('user-disconnected', {
-          userId: socket.id,
+    socket.on('disconnecting', () => {
+      // Only tell the rides this socket was actually tracking
+      socket.rooms.forEach((room) => {
+        if (!room.startsWith('location-')) return;
+        socket.to(room).emit('user-disconnected', {
+          userId: socket.userId,
         });
       });
     });
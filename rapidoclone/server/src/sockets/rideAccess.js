@@ -0,0 +1,55 @@
+// src/sockets/rideAccess.js
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+
+/**
+ * Work out how an authenticated socket takes part in a ride
+ * Only the ride's own rider and captain, or an admin, get a role.
+ * @param {import('socket.io').Socket} socket - Socket authenticated by socketAuth
+ * @param {string} rideId - Ride _id sent by the client
+ * @returns {Promise<'user'|'captain'|'admin'|null>}
+ */
+const getRideRole = async (socket, rideId) => {
+  if (!rideId || !mongoose.Types.ObjectId.isValid(String(rideId))) return null;
+
+  const ride = await Ride.findById(rideId).select('user captain').lean();
+  if (!ride) return null;
+
+  let role = null;
+  if (socket.userType === 'admin') {
+    role = 'admin';
+  } else if (socket.userType === 'user' && ride.user?.toString() === socket.userId) {
+    role = 'user';
+  } else if (socket.userType === 'captain' && ride.captain?.toString() === socket.userId) {
+    role = 'captain';
+  }
+
+  if (role) {
+    socket.data.rideRoles = { ...socket.data.rideRoles, [rideId]: role };
+  }
+
+  return role;
+};
+
+/**
+ * Role already granted to this socket for the ride (no DB lookup)
+ * @returns {'user'|'captain'|'admin'|undefined}
+ */
+const grantedRideRole = (socket, rideId) => socket.data.rideRoles?.[rideId];
+
+/**
+ * Tell the client it isn't allowed into the ride
+ */
+const denyRideAccess = (socket, event, rideId) => {
+  socket.emit('error', {
+    event,
+    rideId,
+    message: 'Not authorized for this ride',
+  });
+};
+
+module.exports = {
+  getRideRole,
+  grantedRideRole,
+  denyRideAccess,
+};
@@ -1,5 +1,6 @@
 // src/sockets/rideSocket.js
 const logger = require('../utils/logger');
+const { getRideRole, grantedRideRole, denyRideAccess } = require('./rideAccess');
 
 /**
  * Initialize ride-related socket events
@@ -10,16 +11,38 @@ const initializeRideSocket = (io) => {
 
   io.on('connection', (socket) => {
     /**
-     * User joins a ride room
+     * Relay a ride event, but only from sockets allowed to drive the ride
+     * @param {string[]} roles - Ride roles allowed to send the event
      */
-    socket.on('join-ride', (rideId) => {
-      socket.join(`ride-${rideId}`);
-      logger.info(`User joined ride: ${rideId}`);
-      
-      activeRides.set(rideId, {
-        ...activeRides.get(rideId),
-        [socket.id]: socket.id,
+    const relay = (event, roles, handler) => {
+      socket.on(event, (data = {}) => {
+        const role = grantedRideRole(socket, data.rideId);
+        if (!role || !roles.includes(role)) {
+          return denyRideAccess(socket, event, data.rideId);
+        }
+        handler(data);
       });
+    };
+
+    /**
+     * Rider, captain or admin joins a ride room
+     */
+    socket.on('join-ride', async (rideId) => {
+      try {
+        const role = await getRideRole(socket, rideId);
+        if (!role) return denyRideAccess(socket, 'join-ride', rideId);
+
+        socket.join(`ride-${rideId}`);
+        logger.info(`${socket.userType} ${socket.userId} joined ride: ${rideId}`);
+
+        activeRides.set(rideId, {
+          ...activeRides.get(rideId),
+          [socket.id]: socket.id,
+        });
+      } catch (error) {
+        logger.error(`Error joining ride ${rideId}:`, error);
+        socket.emit('error', { message: 'Failed to join ride' });
+      }
     });
 
     /**
@@ -33,7 +56,7 @@ const initializeRideSocket = (io) => {
     /**
      * Update ride status
      */
-    socket.on('ride-status-update', (data) => {
+    relay('ride-status-update', ['captain', 'admin'], (data) => {
       const { rideId, status } = data;
       io.to(`ride-${rideId}`).emit('ride-status-changed', {
         rideId,
@@ -46,7 +69,7 @@ const initializeRideSocket = (io) => {
     /**
      * Captain accepted ride
      */
-    socket.on('ride-accepted', (data) => {
+    relay('ride-accepted', ['captain', 'admin'], (data) => {
       io.to(`ride-${data.rideId}`).emit('ride-accepted', data);
       logger.info(`Ride ${data.rideId} accepted by captain`);
     });
@@ -54,7 +77,7 @@ const initializeRideSocket = (io) => {
     /**
      * Captain rejected ride
      */
-    socket.on('ride-rejected', (data) => {
+    relay('ride-rejected', ['captain', 'admin'], (data) => {
       io.to(`ride-${data.rideId}`).emit('ride-rejected', data);
       logger.info(`Ride ${data.rideId} rejected by captain`);
     });
@@ -62,7 +85,7 @@ const initializeRideSocket = (io) => {
     /**
      * Ride started
      */
-    socket.on('ride-started', (data) => {
+    relay('ride-started', ['captain', 'admin'], (data) => {
       io.to(`ride-${data.rideId}`).emit('ride-started', data);
       logger.info(`Ride ${data.rideId} started`);
     });
@@ -70,7 +93,7 @@ const initializeRideSocket = (io) => {
     /**
      * Ride completed
      */
-    socket.on('ride-completed', (data) => {
+    relay('ride-completed', ['captain', 'admin'], (data) => {
       io.to(`ride-${data.rideId}`).emit('ride-completed', data);
       activeRides.delete(data.rideId);
       logger.info(`Ride ${data.rideId} completed`);
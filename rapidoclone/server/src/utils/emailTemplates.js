@@ -91,9 +91,142 @@ const paymentReceiptTemplate = (paymentDetails) => {
   `;
 };
 
+// Names and addresses come from users, so they are escaped before going into the HTML
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatAmount = (amount) => `${amount < 0 ? '-' : ''}₹${Math.abs(Number(amount || 0)).toFixed(2)}`;
+
+const rideReceiptTemplate = (receipt, userName = 'User') => {
+  const fareRows = [
+    ['Base fare', receipt.fare.baseFare],
+    ['Distance fare', receipt.fare.distanceFare],
+    ['Time fare', receipt.fare.timeFare],
+    ['Surge', receipt.fare.surgeFare],
+    ['Waiting charges', receipt.fare.waitingCharges],
+    ['Tolls', receipt.fare.tollCharges],
+    ['Discount', receipt.fare.discount && -receipt.fare.discount],
+  ]
+    .filter(([, amount]) => amount)
+    .map(([label, amount]) => `
+            <tr>
+              <td style="padding: 6px 0;">${label}</td>
+              <td style="text-align: right;">${formatAmount(amount)}</td>
+            </tr>`)
+    .join('');
+
+  return `
+    <html>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2>Your Ride Receipt</h2>
+          <p>Hello ${escapeHtml(userName)},</p>
+          <p>Thanks for riding with us. Here is the receipt for ride ${escapeHtml(receipt.rideId)}.</p>
+          <div style="background: #f5f5f5; padding: 15px; border-radius: 5px;">
+            <p><strong>Date:</strong> ${new Date(receipt.date).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}</p>
+            <p><strong>From:</strong> ${escapeHtml(receipt.pickup)}</p>
+            <p><strong>To:</strong> ${escapeHtml(receipt.destination)}</p>
+            <p><strong>Distance:</strong> ${receipt.distance} km &middot; <strong>Duration:</strong> ${receipt.duration} min</p>
+            ${receipt.captain ? `<p><strong>Captain:</strong> ${escapeHtml(receipt.captain.name)}</p>` : ''}
+          </div>
+          <table style="width: 100%; border-collapse: collapse; margin-top: 15px;">${fareRows}
+            <tr style="border-top: 1px solid #ddd;">
+              <td style="padding: 8px 0;"><strong>Total</strong></td>
+              <td style="text-align: right;"><strong>${formatAmount(receipt.fare.total)}</strong></td>
+            </tr>
+          </table>
+          <p><strong>Paid by:</strong> ${escapeHtml(receipt.paymentMethod)}${receipt.coupon ? ` (coupon ${escapeHtml(receipt.coupon)})` : ''}</p>
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
+          <p style="font-size: 12px; color: #666;">
+            Thank you for using Rapido Clone!
+          </p>
+        </div>
+      </body>
+    </html>
+  `;
+};
+
+const emailVerificationTemplate = (verifyUrl, userName = 'User') => {
+  return `
+    <html>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2>Verify Your Email</h2>
+          <p>Hello ${escapeHtml(userName)},</p>
+          <p>Please confirm this is your email address so we can send you receipts and account updates.</p>
+          <p style="text-align: center;">
+            <a href="${escapeHtml(verifyUrl)}" style="display: inline-block; padding: 10px 20px; background: #007bff; color: white; text-decoration: none; border-radius: 5px;">Verify Email</a>
+          </p>
+          <p>This link is valid for 24 hours.</p>
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
+          <p style="font-size: 12px; color: #666;">
+            If you did not create an account, please ignore this email.
+          </p>
+        </div>
+      </body>
+    </html>
+  `;
+};
+
+const passwordResetTemplate = (otp, userName = 'User', minutes = 10) => {
+  return `
+    <html>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2>Reset Your Password</h2>
+          <p>Hello ${escapeHtml(userName)},</p>
+          <p>Use this OTP to reset your password:</p>
+          <h1 style="text-align: center; color: #007bff; letter-spacing: 2px;">${otp}</h1>
+          <p>This OTP is valid for ${minutes} minutes.</p>
+          <p>Do not share this OTP with anyone.</p>
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
+          <p style="font-size: 12px; color: #666;">
+            If you did not ask to reset your password, you can ignore this email. Your password has not changed.
+          </p>
+        </div>
+      </body>
+    </html>
+  `;
+};
+
+const weeklyEarningsTemplate = (summary, captainName = 'Captain') => {
+  const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+
+  return `
+    <html>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2>Your Weekly Earnings</h2>
+          <p>Hello ${escapeHtml(captainName)},</p>
+          <p>Here is how your week went (${formatDate(summary.from)} - ${formatDate(summary.to)}).</p>
+          <div style="background: #f5f5f5; padding: 15px; border-radius: 5px;">
+            <p><strong>Earnings:</strong> ${formatAmount(summary.earnings)}</p>
+            <p><strong>Rides completed:</strong> ${summary.rides}</p>
+            <p><strong>Distance covered:</strong> ${Number(summary.distance || 0).toFixed(1)} km</p>
+            ${summary.tips ? `<p><strong>Tips:</strong> ${formatAmount(summary.tips)}</p>` : ''}
+          </div>
+          <p>See the full breakdown in the Earnings section of the captain app.</p>
+          <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
+          <p style="font-size: 12px; color: #666;">
+            Thank you for driving with Rapido Clone!
+          </p>
+        </div>
+      </body>
+    </html>
+  `;
+};
+
 module.exports = {
   otpTemplate,
   welcomeTemplate,
   rideConfirmationTemplate,
   paymentReceiptTemplate,
+  rideReceiptTemplate,
+  emailVerificationTemplate,
+  passwordResetTemplate,
+  weeklyEarningsTemplate,
 };
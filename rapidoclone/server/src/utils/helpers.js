@@ -20,6 +20,11 @@ const generateReferenceId = (prefix = 'REF') => {
   return `${prefix}_${timestamp}_${random}`;
 };
 
+/**
+ * Generate a unique ride ID
+ */
+const generateRideId = () => generateReferenceId('RIDE');
+
 /**
  * Format phone number to E.164 format
  */
@@ -65,6 +70,67 @@ const calculateDistance = (lat1, lng1, lat2, lng2) => {
   return R * c; // Distance in km
 };
 
+/**
+ * Encode points as a Google encoded polyline (precision 5)
+ * @param {{ latitude: number, longitude: number }[]} points
+ * @returns {string}
+ */
+const encodePolyline = (points = []) => {
+  let lastLat = 0;
+  let lastLng = 0;
+
+  const encodeValue = (value) => {
+    let num = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (num >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (num & 0x1f)) + 63);
+      num >>= 5;
+    }
+    return chunk + String.fromCharCode(num + 63);
+  };
+
+  return points.map(({ latitude, longitude }) => {
+    const lat = Math.round(latitude * 1e5);
+    const lng = Math.round(longitude * 1e5);
+    const chunk = encodeValue(lat - lastLat) + encodeValue(lng - lastLng);
+    lastLat = lat;
+    lastLng = lng;
+    return chunk;
+  }).join('');
+};
+
+/**
+ * Decode a Google encoded polyline (precision 5)
+ * @param {string} encoded
+ * @returns {{ latitude: number, longitude: number }[]}
+ */
+const decodePolyline = (encoded = '') => {
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20 && index < encoded.length);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    lat += decodeValue();
+    lng += decodeValue();
+    points.push({ latitude: lat / 1e5, longitude: lng / 1e5 });
+  }
+
+  return points;
+};
+
 /**
  * Sleep/delay function
  */
@@ -121,9 +187,12 @@ const parsePagination = (query = {}) => {
 module.exports = {
   generateOTP,
   generateReferenceId,
+  generateRideId,
   formatPhoneNumber,
   isValidCoordinates,
   calculateDistance,
+  encodePolyline,
+  decodePolyline,
   delay,
   chunkArray,
   retryAsync,
@@ -0,0 +1,62 @@
+// src/utils/smsTemplates.js
+
+/**
+ * SMS template functions
+ * Templates marked sensitive carry one-time codes, so their text is never logged or stored.
+ */
+
+const APP_NAME = 'Rapido Clone';
+
+const otpMessage = (purpose) => ({ otp, minutes = 5 }) =>
+  `${otp} is your ${APP_NAME} ${purpose} OTP. It is valid for ${minutes} minutes. Do not share it with anyone.`;
+
+const SMS_TEMPLATES = {
+  login_otp: {
+    sensitive: true,
+    render: otpMessage('login'),
+  },
+  verify_otp: {
+    sensitive: true,
+    render: otpMessage('verification'),
+  },
+  reset_otp: {
+    sensitive: true,
+    render: otpMessage('password reset'),
+  },
+  sos_alert: {
+    render: ({ name, link, vehicle, emergencyNumber }) => [
+      `SOS: ${name} raised an emergency alert during a ${APP_NAME} ride.`,
+      link && `Last location: ${link}.`,
+      vehicle && `Vehicle: ${vehicle}.`,
+      `If you can't reach them, call ${emergencyNumber}.`,
+    ].filter(Boolean).join(' '),
+  },
+  sos_escalation: {
+    render: ({ incidentNumber, level, link }) =>
+      `Unacknowledged SOS ${incidentNumber} (escalation ${level}).${link ? ` Location: ${link}` : ''}`,
+  },
+  notification: {
+    render: ({ title, message }) => `${title}: ${message}`,
+  },
+};
+
+/**
+ * Text for a named template
+ * @param {string} name - Key of SMS_TEMPLATES
+ * @param {object} data - Values the template fills in
+ * @returns {string}
+ */
+const renderSmsTemplate = (name, data = {}) => {
+  const template = SMS_TEMPLATES[name];
+
+  if (!template) {
+    throw new Error(`Unknown SMS template: ${name}`);
+  }
+
+  return template.render(data);
+};
+
+module.exports = {
+  SMS_TEMPLATES,
+  renderSmsTemplate,
+};
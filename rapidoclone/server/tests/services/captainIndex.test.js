@@ -0,0 +1,121 @@
+// tests/services/captainIndex.test.js
+jest.mock('../../src/config/redis', () => ({
+  getClient: jest.fn(),
+  cache: { get: jest.fn(), set: jest.fn(), del: jest.fn() },
+}));
+jest.mock('../../src/models/Zone', () => ({
+  find: jest.fn(() => ({
+    select() { return this; },
+    sort() { return this; },
+    lean: () => Promise.resolve([]),
+  })),
+}));
+jest.mock('../../src/models/Captain', () => ({
+  find: jest.fn(),
+  aggregate: jest.fn(),
+}));
+
+const mongoose = require('mongoose');
+const Captain = require('../../src/models/Captain');
+const { getClient } = require('../../src/config/redis');
+const CaptainIndex = require('../../src/services/captainIndex');
+
+const pickup = { latitude: 12.97, longitude: 77.59 };
+
+// Ten captains in the cab bucket, 100 m apart
+const indexed = Array.from({ length: 10 }, (_, i) => [`c${i}`, String((i + 1) * 100), ['77.59', '12.97']]);
+
+const fakeClient = () => ({
+  geosearch: jest.fn(async (...args) => {
+    const countAt = args.indexOf('COUNT');
+    return countAt === -1 ? indexed : indexed.slice(0, args[countAt + 1]);
+  }),
+  zmscore: jest.fn(async (key, ...ids) => ids.map(() => String(Date.now()))),
+});
+
+// Captain.find returning the ids asked for that are in `free`
+const mockFind = (free) => {
+  Captain.find.mockImplementation((conditions) => ({
+    select() { return this; },
+    lean: async () => conditions._id.$in.filter((id) => free.includes(id)).map((id) => ({ _id: id })),
+  }));
+};
+
+describe('CaptainIndex.findAvailable with the Redis index', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = fakeClient();
+    getClient.mockReturnValue(client);
+  });
+
+  it('reads further out until enough captains are free', async () => {
+    mockFind(['c7', 'c8']);
+
+    const captains = await CaptainIndex.findAvailable(pickup, { vehicleTypes: ['cab'], limit: 1 });
+
+    expect(captains.map((captain) => captain._id)).toEqual(['c7']);
+    expect(captains[0].distanceMeters).toBe(800);
+    // 3, then 6, then 12 candidates; each captain is checked in Mongo once
+    expect(client.geosearch).toHaveBeenCalledTimes(3);
+    expect(Captain.find.mock.calls.map(([conditions]) => conditions._id.$in.length)).toEqual([3, 3, 4]);
+  });
+
+  it('stops once every captain in the radius was read', async () => {
+    mockFind([]);
+
+    const captains = await CaptainIndex.findAvailable(pickup, { vehicleTypes: ['cab'], limit: 2 });
+
+    expect(captains).toEqual([]);
+    expect(client.geosearch).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps the caller filter beside the candidate ids', async () => {
+    mockFind(['c0', 'c1', 'c2']);
+
+    await CaptainIndex.findAvailable(pickup, {
+      vehicleTypes: ['cab'],
+      limit: 2,
+      filter: { _id: { $nin: ['c0'] } },
+    });
+
+    expect(Captain.find.mock.calls[0][0]).toMatchObject({
+      _id: { $nin: ['c0'], $in: ['c0', 'c1', 'c2', 'c3', 'c4', 'c5'] },
+      isOnline: true,
+      isOnRide: false,
+      status: 'approved',
+    });
+  });
+});
+
+describe('CaptainIndex.findAvailable without Redis', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getClient.mockReturnValue(null);
+    Captain.find.mockImplementation((conditions) => ({ cast: () => conditions }));
+    Captain.aggregate.mockResolvedValue([]);
+  });
+
+  it('filters for availability inside $geoNear, before the limit', async () => {
+    const excluded = new mongoose.Types.ObjectId();
+
+    await CaptainIndex.findAvailable(pickup, {
+      vehicleTypes: ['cab'],
+      limit: 2,
+      select: 'firstName vehicle',
+      filter: { _id: { $nin: [excluded] } },
+    });
+
+    const [[geoNear, limit, project]] = Captain.aggregate.mock.calls[0];
+    expect(geoNear.$geoNear.query).toMatchObject({
+      _id: { $nin: [excluded] },
+      isOnline: true,
+      isOnRide: false,
+      status: 'approved',
+      'vehicle.type': { $in: ['cab'] },
+    });
+    expect(limit).toEqual({ $limit: 2 });
+    expect(project.$project).toMatchObject({ firstName: 1, vehicle: 1, distanceMeters: 1 });
+  });
+});
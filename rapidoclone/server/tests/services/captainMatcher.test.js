@@ -0,0 +1,46 @@
+// tests/services/captainMatcher.test.js
+const CaptainMatcher = require('../../src/services/captainMatcher');
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000);
+
+describe('CaptainMatcher.rankCaptains', () => {
+  it('scores a close, top-rated, always-accepting captain idle for long at 100', () => {
+    const [captain] = CaptainMatcher.rankCaptains([{
+      eta: 0,
+      ratings: { average: 5 },
+      stats: { acceptanceRate: 100 },
+      lastRideCompletedAt: minutesAgo(45),
+    }]);
+
+    expect(captain.score).toBe(100);
+    expect(captain.scoreBreakdown).toEqual({ eta: 1, rating: 1, acceptance: 1, idle: 1 });
+  });
+
+  it('combines the components with the configured weights', () => {
+    // Half marks on ETA, rating and acceptance, no idle time: 0.45 + 0.25 + 0.2 halved
+    const [captain] = CaptainMatcher.rankCaptains([{
+      eta: 10,
+      ratings: { average: 3 },
+      stats: { acceptanceRate: 50 },
+    }]);
+
+    expect(captain.score).toBe(45);
+    expect(captain.idleMinutes).toBe(0);
+  });
+
+  it('treats new captains as fully rated and accepting', () => {
+    const [captain] = CaptainMatcher.rankCaptains([{ eta: 20 }]);
+
+    expect(captain.scoreBreakdown).toMatchObject({ eta: 0, rating: 1, acceptance: 1 });
+    expect(captain.score).toBe(45);
+  });
+
+  it('orders by score, then by distance', () => {
+    const near = { id: 'near', eta: 2, distance: 0.5, ratings: { average: 4 } };
+    const rated = { id: 'rated', eta: 8, distance: 2, ratings: { average: 5 } };
+    const twin = { ...near, id: 'twin', distance: 0.4 };
+
+    expect(CaptainMatcher.rankCaptains([rated, near, twin]).map((c) => c.id)).toEqual(['twin', 'near', 'rated']);
+    expect(CaptainMatcher.rankCaptains([near, rated], { eta: 0, rating: 1 }).map((c) => c.id)).toEqual(['rated', 'near']);
+  });
+});
@@ -0,0 +1,96 @@
+// tests/services/chatService.test.js
+jest.mock('../../src/models/ChatMessage', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  find: jest.fn(),
+  updateMany: jest.fn(),
+}));
+jest.mock('../../src/models/Ride', () => ({ findById: jest.fn() }));
+jest.mock('../../src/services/socketService', () => ({ emitToRoom: jest.fn() }));
+
+const ChatMessage = require('../../src/models/ChatMessage');
+const Ride = require('../../src/models/Ride');
+const ChatService = require('../../src/services/chatService');
+
+const lean = (result) => ({ select() { return this; }, lean: async () => result });
+
+const mockRide = (status) => Ride.findById.mockReturnValue(lean({ _id: 'ride1', status }));
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  ChatMessage.create.mockImplementation(async (doc) => ({ _id: 'm1', createdAt: new Date(), status: 'sent', ...doc }));
+});
+
+describe('ChatService.maskContent', () => {
+  it('hides phone numbers however they are written, and links', () => {
+    expect(ChatService.maskContent('Call +91 98450-12345 or 080.2345.6789')).toEqual({
+      message: 'Call [number hidden] or [number hidden]',
+      masked: true,
+    });
+    expect(ChatService.maskContent('See maps.app/xyz or www.example.com').message)
+      .toBe('See [link hidden] or [link hidden]');
+  });
+
+  it('leaves short numbers like landmarks and minutes alone', () => {
+    expect(ChatService.maskContent('Gate 4, 2 min away')).toEqual({ message: 'Gate 4, 2 min away', masked: false });
+  });
+});
+
+describe('ChatService.sendMessage', () => {
+  it('sends quick replies as their template text', async () => {
+    mockRide('arrived');
+
+    const sent = await ChatService.sendMessage({ rideId: 'ride1', role: 'captain', senderId: 'c1', quickReply: 'at_pickup' });
+
+    expect(sent).toMatchObject({ senderType: 'captain', type: 'quick_reply', message: "I'm at the pickup point" });
+  });
+
+  it('only lets each side use its own quick replies', async () => {
+    mockRide('arrived');
+
+    await expect(ChatService.sendMessage({ rideId: 'ride1', role: 'user', senderId: 'u1', quickReply: 'in_traffic' }))
+      .rejects.toThrow('Unknown quick reply');
+  });
+
+  it('is closed once the ride has ended', async () => {
+    mockRide('completed');
+
+    await expect(ChatService.sendMessage({ rideId: 'ride1', role: 'user', senderId: 'u1', message: 'Thanks!' }))
+      .rejects.toThrow('Chat is closed for this ride');
+  });
+
+  it('hands back the stored message when the client resends it', async () => {
+    mockRide('started');
+    ChatMessage.create.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+    ChatMessage.findOne.mockResolvedValue({ _id: 'm1', senderType: 'User', message: 'Hello', clientId: 'c-1', status: 'read' });
+
+    const sent = await ChatService.sendMessage({ rideId: 'ride1', role: 'user', senderId: 'u1', message: 'Hello', clientId: 'c-1' });
+
+    expect(ChatMessage.findOne).toHaveBeenCalledWith({ ride: 'ride1', sender: 'u1', clientId: 'c-1' });
+    expect(sent).toMatchObject({ id: 'm1', status: 'read' });
+  });
+});
+
+describe('ChatService.updateReceipts', () => {
+  it("marks the other side's messages up to the given one as read", async () => {
+    const upTo = new Date('2026-10-19T10:00:00Z');
+    ChatMessage.findOne.mockReturnValue(lean({ createdAt: upTo }));
+    ChatMessage.find.mockReturnValue(lean([{ _id: 'm1' }, { _id: 'm2' }]));
+
+    const { messageIds } = await ChatService.updateReceipts('ride1', 'user', 'read', 'm2');
+
+    expect(messageIds).toEqual(['m1', 'm2']);
+    expect(ChatMessage.find).toHaveBeenCalledWith({
+      ride: 'ride1',
+      senderType: { $ne: 'User' },
+      status: { $in: ['sent', 'delivered'] },
+      createdAt: { $lte: upTo },
+    });
+    expect(ChatMessage.updateMany.mock.calls[0][1][0].$set).toMatchObject({ status: 'read', deliveredAt: { $ifNull: ['$deliveredAt', expect.any(Date)] } });
+  });
+
+  it('never changes receipts for admins watching the chat', async () => {
+    expect((await ChatService.updateReceipts('ride1', 'admin', 'read')).messageIds).toEqual([]);
+    expect(ChatMessage.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,125 @@
+// tests/services/dispatchService.test.js
+jest.mock('../../src/models/Ride', () => ({
+  updateOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  find: jest.fn(),
+  findById: jest.fn(),
+}));
+jest.mock('../../src/config/socket', () => ({ emitToCaptain: jest.fn() }));
+jest.mock('../../src/services/reliabilityService', () => ({
+  recordOffers: jest.fn(),
+  recordEvent: jest.fn(),
+}));
+jest.mock('../../src/services/captainMatcher', () => ({
+  findNearbyCaptains: jest.fn(async () => []),
+  rankCaptains: jest.fn((captains) => captains),
+}));
+
+const Ride = require('../../src/models/Ride');
+const { emitToCaptain } = require('../../src/config/socket');
+const ReliabilityService = require('../../src/services/reliabilityService');
+const DispatchService = require('../../src/services/dispatchService');
+
+const makeRide = () => {
+  const data = {
+    _id: 'ride1',
+    user: 'user1',
+    vehicleType: 'cab',
+    otp: '1234',
+    pickup: { coordinates: { latitude: 12.97, longitude: 77.59 } },
+  };
+  return { ...data, toObject: () => ({ ...data }) };
+};
+
+const ranked = ['c0', 'c1', 'c2', 'c3', 'c4'].map((id, i) => ({ _id: id, distance: i, eta: i, score: 100 - i }));
+
+describe('DispatchService.startDispatch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Ride.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it('offers the first wave to the best candidates not excluded', async () => {
+    const state = await DispatchService.startDispatch(makeRide(), ranked, { excludeCaptainIds: ['c1'] });
+
+    expect(state.wave).toBe(1);
+    expect(state.currentWave).toEqual(['c0', 'c2', 'c3']);
+    expect(emitToCaptain.mock.calls.map(([captainId]) => captainId)).toEqual(['c0', 'c2', 'c3']);
+    expect(ReliabilityService.recordOffers).toHaveBeenCalledWith(['c0', 'c2', 'c3'], 'ride1');
+
+    // Only while wave 0 is still the current one
+    expect(Ride.updateOne.mock.calls[1][0]).toMatchObject({ status: 'searching', 'dispatch.wave': 0 });
+  });
+
+  it("keeps the rider's OTP and the dispatch state out of the offer", async () => {
+    await DispatchService.startDispatch(makeRide(), ranked);
+
+    const [, , { ride }] = emitToCaptain.mock.calls[0];
+    expect(ride.otp).toBeUndefined();
+    expect(ride.dispatch).toBeUndefined();
+  });
+
+  it('offers nothing once the ride has moved on', async () => {
+    Ride.updateOne
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+
+    const state = await DispatchService.startDispatch(makeRide(), ranked);
+
+    expect(state.wave).toBe(0);
+    expect(emitToCaptain).not.toHaveBeenCalled();
+  });
+});
+
+describe('DispatchService.advanceWave', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('does nothing when another caller already closed the wave', async () => {
+    Ride.findOneAndUpdate.mockResolvedValueOnce(null);
+
+    expect(await DispatchService.advanceWave('ride1', 2)).toBe(false);
+    expect(Ride.findOneAndUpdate.mock.calls[0][0]).toMatchObject({
+      'dispatch.wave': 2,
+      'dispatch.closedWave': { $lt: 2 },
+    });
+    expect(emitToCaptain).not.toHaveBeenCalled();
+  });
+});
+
+describe('DispatchService.recordRejection', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const rejected = (dispatch) => ({ select: async () => ({ dispatch }) });
+
+  it('ignores captains outside the current wave or declining twice', async () => {
+    Ride.findOneAndUpdate.mockReturnValueOnce({ select: async () => null });
+
+    await DispatchService.recordRejection('ride1', 'c9');
+
+    expect(Ride.findOneAndUpdate.mock.calls[0][0]).toMatchObject({
+      'dispatch.currentWave': 'c9',
+      'dispatch.rejectedBy': { $ne: 'c9' },
+    });
+    expect(ReliabilityService.recordEvent).not.toHaveBeenCalled();
+  });
+
+  it('waits for the rest of the wave', async () => {
+    Ride.findOneAndUpdate.mockReturnValueOnce(rejected({ wave: 1, currentWave: ['c0', 'c2'], rejectedBy: ['c0'] }));
+
+    await DispatchService.recordRejection('ride1', 'c0');
+
+    expect(ReliabilityService.recordEvent).toHaveBeenCalledWith('c0', 'reject', { rideId: 'ride1' });
+    expect(Ride.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('closes the wave once everyone in it declined', async () => {
+    Ride.findOneAndUpdate
+      .mockReturnValueOnce(rejected({ wave: 1, currentWave: ['c0', 'c2'], rejectedBy: ['c0', 'c2'] }))
+      .mockResolvedValueOnce(null);
+
+    await DispatchService.recordRejection('ride1', 'c2');
+
+    expect(Ride.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    expect(Ride.findOneAndUpdate.mock.calls[1][0]).toMatchObject({ 'dispatch.wave': 1 });
+  });
+});
@@ -0,0 +1,118 @@
+// tests/services/emailService.test.js
+jest.mock('nodemailer', () => {
+  const sendMail = jest.fn();
+  return { sendMail, createTransport: () => ({ sendMail }) };
+});
+jest.mock('../../src/models/EmailMessage', () => ({ create: jest.fn(), findOneAndUpdate: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/models/Notification', () => ({ updateOne: jest.fn() }));
+
+const nodemailer = require('nodemailer');
+const EmailMessage = require('../../src/models/EmailMessage');
+const Notification = require('../../src/models/Notification');
+const { EMAIL } = require('../../src/config/constants');
+const EmailService = require('../../src/services/emailService');
+
+const MINUTE_MS = 60 * 1000;
+const ENV = { ...process.env };
+
+const queued = (overrides = {}) => ({
+  _id: 'email1',
+  to: 'asha@example.com',
+  subject: 'Hello',
+  html: '<p>Hi</p>',
+  attachments: [],
+  attempts: 1,
+  ...overrides,
+});
+
+// Queue holding the given emails, claimed one at a time
+const mockQueue = (...messages) => {
+  messages.forEach((message) => EmailMessage.findOneAndUpdate.mockResolvedValueOnce(message));
+  EmailMessage.findOneAndUpdate.mockResolvedValue(null);
+};
+
+beforeAll(() => {
+  process.env.SMTP_HOST = 'smtp.example.com';
+});
+
+afterAll(() => {
+  process.env = ENV;
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  EmailMessage.findOneAndUpdate.mockResolvedValue(null);
+});
+
+describe('EmailService.sendEmail', () => {
+  it('queues templated emails with their subject and body', async () => {
+    EmailMessage.create.mockImplementation(async (doc) => doc);
+
+    const message = await EmailService.sendEmail({
+      to: 'captain@example.com',
+      template: 'password_reset',
+      data: { otp: '482193', name: 'Kiran', minutes: 10 },
+    });
+
+    expect(message.subject).toBe('Your password reset OTP');
+    expect(message.html).toContain('482193');
+  });
+
+  it('queues an email with a dedupe key only once', async () => {
+    EmailMessage.create.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+    expect(await EmailService.sendEmail({ to: 'a@example.com', subject: 'Weekly', text: 'Hi', dedupeKey: 'weekly:1' })).toBeNull();
+    await expect(EmailService.sendEmail({ to: 'a@example.com', subject: 'Weekly', text: 'Hi' })).rejects.toThrow('E11000');
+  });
+
+  it('rejects unknown templates', async () => {
+    await expect(EmailService.sendEmail({ to: 'a@example.com', template: 'nope' })).rejects.toThrow('Unknown email template');
+  });
+});
+
+describe('EmailService.processQueue', () => {
+  it('sends due emails and marks their notification delivered', async () => {
+    mockQueue(queued({ notification: 'n1' }));
+    nodemailer.sendMail.mockResolvedValue({ messageId: '<m1@example.com>' });
+
+    expect(await EmailService.processQueue()).toEqual({ sent: 1, failed: 0 });
+
+    expect(EmailMessage.updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'sent', providerMessageId: '<m1@example.com>' });
+    expect(Notification.updateOne.mock.calls[0][1].$set).toMatchObject({ 'deliveryStatus.email.sent': true });
+  });
+
+  it('backs off and retries temporary failures', async () => {
+    const before = Date.now();
+    mockQueue(queued({ attempts: 3 }));
+    nodemailer.sendMail.mockRejectedValue(Object.assign(new Error('Try again later'), { responseCode: 421 }));
+
+    expect(await EmailService.processQueue()).toEqual({ sent: 0, failed: 1 });
+
+    const { $set } = EmailMessage.updateOne.mock.calls[0][1];
+    expect($set.status).toBe('queued');
+    expect($set.nextAttemptAt.getTime() - before).toBeGreaterThanOrEqual(4 * EMAIL.RETRY_DELAY * MINUTE_MS);
+  });
+
+  it('gives up on rejected addresses and on the last attempt', async () => {
+    mockQueue(queued({ notification: 'n1' }), queued({ _id: 'email2', attempts: EMAIL.MAX_ATTEMPTS }));
+    nodemailer.sendMail
+      .mockRejectedValueOnce(Object.assign(new Error('Mailbox unavailable'), { responseCode: 550 }))
+      .mockRejectedValueOnce(new Error('Connection timeout'));
+
+    expect(await EmailService.processQueue()).toEqual({ sent: 0, failed: 2 });
+
+    expect(EmailMessage.updateOne.mock.calls.map(([, { $set }]) => $set.status)).toEqual(['failed', 'failed']);
+    expect(Notification.updateOne.mock.calls[0][1].$set).toEqual({
+      'deliveryStatus.email.sent': false,
+      'deliveryStatus.email.error': 'Mailbox unavailable',
+    });
+  });
+
+  it('picks up emails a crashed worker left sending', async () => {
+    await EmailService.processQueue();
+
+    const [filter, update] = EmailMessage.findOneAndUpdate.mock.calls[0];
+    expect(filter.$or[1]).toEqual({ status: 'sending', lockedAt: { $lte: expect.any(Date) } });
+    expect(update.$inc).toEqual({ attempts: 1 });
+  });
+});
@@ -0,0 +1,99 @@
+// tests/services/fareCalculator.test.js
+jest.mock('../../src/config/redis', () => ({
+  cache: { get: jest.fn(async () => null), set: jest.fn(), delPattern: jest.fn() },
+}));
+jest.mock('../../src/models/VehicleType', () => ({ findOne: jest.fn() }));
+
+const VehicleType = require('../../src/models/VehicleType');
+const FareCalculator = require('../../src/services/fareCalculator');
+
+const mockVehicleType = (doc) => {
+  VehicleType.findOne.mockReturnValue({ lean: async () => doc });
+};
+
+const noon = new Date(2026, 0, 1, 12, 0);
+
+describe('FareCalculator.getTariff', () => {
+  beforeEach(() => {
+    mockVehicleType({
+      name: 'cab',
+      baseFare: 60,
+      perKmRate: 11,
+      cityFares: [
+        { city: 'bangalore', baseFare: 70, isActive: true },
+        { city: 'pune', baseFare: 90, isActive: false },
+      ],
+    });
+  });
+
+  it('prefers the city fare, then the vehicle type, then the defaults', async () => {
+    const tariff = await FareCalculator.getTariff('cab', 'Bangalore');
+
+    expect(tariff.baseFare).toBe(70);
+    expect(tariff.perKmRate).toBe(11);
+    expect(tariff.minimumFare).toBe(80);
+    expect(tariff.city).toBe('bangalore');
+  });
+
+  it('skips inactive city fares', async () => {
+    const tariff = await FareCalculator.getTariff('cab', 'pune');
+
+    expect(tariff.baseFare).toBe(60);
+    expect(tariff.city).toBeNull();
+  });
+
+  it('falls back to the defaults without a vehicle type document', async () => {
+    mockVehicleType(null);
+
+    expect((await FareCalculator.getTariff('cab')).baseFare).toBe(50);
+    await expect(FareCalculator.getTariff('helicopter')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('FareCalculator fare math', () => {
+  it('walks the distance slabs past the base distance', () => {
+    const tariff = {
+      baseDistance: 2,
+      perKmRate: 10,
+      distanceSlabs: [{ upToKm: 10, perKmRate: 14 }, { upToKm: 25, perKmRate: 12 }],
+    };
+
+    // 8 km at 14, 15 km at 12, 5 km at 10
+    expect(FareCalculator.calculateDistanceFare(30, tariff)).toBe(342);
+    expect(FareCalculator.calculateDistanceFare(1.5, tariff)).toBe(0);
+  });
+
+  it('keeps the booking fee out of the commission', () => {
+    expect(FareCalculator.calculateEarnings(110, { bookingFee: 10, commissionPercentage: 20 }))
+      .toEqual({ platformFee: 30, captainEarnings: 80 });
+  });
+
+  it('handles night windows that wrap past midnight', () => {
+    const nightCharges = { enabled: true, startHour: 23, endHour: 5 };
+
+    expect(FareCalculator.isNightTime(new Date(2026, 0, 1, 23, 30), nightCharges)).toBe(true);
+    expect(FareCalculator.isNightTime(new Date(2026, 0, 1, 4, 59), nightCharges)).toBe(true);
+    expect(FareCalculator.isNightTime(new Date(2026, 0, 1, 5, 0), nightCharges)).toBe(false);
+    expect(FareCalculator.isNightTime(new Date(2026, 0, 1, 23, 30), { ...nightCharges, enabled: false })).toBe(false);
+  });
+
+  it('tops short trips up to the minimum fare before the booking fee', async () => {
+    mockVehicleType(null);
+
+    const fare = await FareCalculator.calculateFare('bike', 0.5, 1, 1, { pickupTime: noon });
+
+    expect(fare.minimumFareAdjustment).toBe(4);
+    expect(fare.total).toBe(27);
+    expect(fare.platformFee + fare.captainEarnings).toBe(fare.total);
+  });
+
+  it('applies surge to the ride fare only', async () => {
+    mockVehicleType(null);
+
+    // 20 base + 4 km * 6 + 10 min * 1 = 54, surged 1.5x, plus the booking fee
+    const fare = await FareCalculator.calculateFare('bike', 5, 10, 1.5, { pickupTime: noon });
+
+    expect(fare.surgeFare).toBe(27);
+    expect(fare.total).toBe(83);
+  });
+});
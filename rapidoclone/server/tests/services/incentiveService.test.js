@@ -0,0 +1,143 @@
+// tests/services/incentiveService.test.js
+jest.mock('../../src/models/Incentive', () => ({ find: jest.fn() }));
+jest.mock('../../src/models/IncentiveProgress', () => ({ find: jest.fn(), findOneAndUpdate: jest.fn() }));
+jest.mock('../../src/models/Notification', () => ({ create: jest.fn() }));
+jest.mock('../../src/services/walletService', () => ({ payIncentive: jest.fn() }));
+jest.mock('../../src/services/zoneService', () => ({ resolveLocation: jest.fn() }));
+jest.mock('../../src/services/socketService', () => ({ emitToCaptain: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Incentive = require('../../src/models/Incentive');
+const IncentiveProgress = require('../../src/models/IncentiveProgress');
+const Notification = require('../../src/models/Notification');
+const WalletService = require('../../src/services/walletService');
+const IncentiveService = require('../../src/services/incentiveService');
+
+const lean = (result) => ({ select() { return this; }, lean: async () => result });
+
+const incentive = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Evening rush',
+  type: 'ride_count',
+  period: 'daily',
+  target: 5,
+  reward: 150,
+  maxAwardsPerPeriod: 2,
+  ...overrides,
+});
+
+beforeEach(() => jest.resetAllMocks());
+
+describe('IncentiveService.periodFor', () => {
+  it('buckets rides by the local day, not the UTC one', () => {
+    // 20:00 UTC on the 18th is 01:30 on the 19th in India
+    const clock = IncentiveService.localClock(new Date(Date.UTC(2026, 9, 18, 20, 0)));
+
+    expect(IncentiveService.periodFor(incentive(), clock)).toEqual({
+      key: '2026-10-19',
+      endsAt: new Date(Date.UTC(2026, 9, 19, 18, 30)),
+    });
+  });
+
+  it('starts weekly periods on the local Monday and stops at the end of the incentive', () => {
+    // Sunday the 25th, local time
+    const clock = IncentiveService.localClock(new Date(Date.UTC(2026, 9, 25, 10, 0)));
+    const validUntil = new Date(Date.UTC(2026, 9, 24));
+
+    expect(IncentiveService.periodFor(incentive({ period: 'weekly' }), clock).key).toBe('W2026-10-19');
+    expect(IncentiveService.periodFor(incentive({ period: 'weekly', validUntil }), clock).endsAt).toEqual(validUntil);
+  });
+});
+
+describe('IncentiveService.inTimeWindow', () => {
+  const late = [{ start: '22:00', end: '02:00', days: [5, 6] }];
+
+  it('handles windows that run past midnight, on the listed days only', () => {
+    expect(IncentiveService.inTimeWindow(late, { weekday: 5, minutes: 23 * 60 })).toBe(true);
+    expect(IncentiveService.inTimeWindow(late, { weekday: 6, minutes: 60 })).toBe(true);
+    expect(IncentiveService.inTimeWindow(late, { weekday: 6, minutes: 2 * 60 })).toBe(false);
+    expect(IncentiveService.inTimeWindow(late, { weekday: 1, minutes: 23 * 60 })).toBe(false);
+  });
+});
+
+describe('IncentiveService.getCaptainIncentives', () => {
+  const captain = { _id: 'captain1', vehicle: { type: 'bike' } };
+  const now = new Date(Date.UTC(2026, 9, 19, 10, 0));
+
+  const mockProgress = (incentives, progress) => {
+    Incentive.find.mockReturnValue(lean(incentives));
+    IncentiveProgress.find.mockReturnValue(lean(progress.map((p, i) => ({
+      incentive: incentives[i]._id,
+      periodKey: '2026-10-19',
+      ...p,
+    }))));
+  };
+
+  it('counts progress towards the next award after the ones already earned', async () => {
+    const count = incentive();
+    const streak = incentive({ type: 'streak', target: 3, maxAwardsPerPeriod: 5 });
+    mockProgress([count, streak], [{ count: 7, awardCount: 1 }, { count: 1, awardCount: 2 }]);
+
+    const [rideCount, rideStreak] = await IncentiveService.getCaptainIncentives(captain, now);
+
+    expect(rideCount).toMatchObject({ current: 7, remaining: 3, percentage: 40, status: 'in_progress' });
+    expect(rideStreak).toMatchObject({ current: 1, remaining: 2, percentage: 33, awardsEarned: 2 });
+  });
+
+  it('shows incentives at their award limit as achieved', async () => {
+    const count = incentive();
+    mockProgress([count], [{ count: 12, awardCount: 2 }]);
+
+    const [progress] = await IncentiveService.getCaptainIncentives(captain, now);
+
+    expect(progress).toMatchObject({ remaining: 0, percentage: 100, status: 'achieved' });
+  });
+
+  it('leaves out incentives for other vehicle types', async () => {
+    mockProgress([incentive({ conditions: { vehicleTypes: ['cab'] } })], []);
+
+    expect(await IncentiveService.getCaptainIncentives(captain, now)).toEqual([]);
+    expect(IncentiveProgress.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('IncentiveService.evaluateRide', () => {
+  const ride = {
+    _id: 'ride1',
+    captain: 'captain1',
+    vehicleType: 'bike',
+    timestamps: { completed: new Date(Date.UTC(2026, 9, 19, 10, 0)) },
+  };
+
+  beforeEach(() => {
+    Notification.create.mockResolvedValue({ toObject: () => ({}) });
+    WalletService.payIncentive.mockResolvedValue({ entry: { _id: 'entry1' } });
+  });
+
+  it('pays the second award only at twice the target', async () => {
+    const running = incentive();
+    Incentive.find.mockReturnValue(lean([running]));
+
+    IncentiveProgress.findOneAndUpdate.mockResolvedValueOnce({ _id: 'p1', count: 8, awardCount: 1 });
+    expect(await IncentiveService.evaluateRide(ride)).toEqual([]);
+
+    IncentiveProgress.findOneAndUpdate
+      .mockResolvedValueOnce({ _id: 'p1', count: 10, awardCount: 1 })
+      .mockResolvedValueOnce({ _id: 'p1', awardCount: 2 });
+    expect(await IncentiveService.evaluateRide(ride)).toEqual([
+      { incentive: running._id, title: 'Evening rush', amount: 150, awardNumber: 2 },
+    ]);
+
+    const [claimFilter, claim] = IncentiveProgress.findOneAndUpdate.mock.calls.at(-1);
+    expect(claimFilter).toEqual({ _id: 'p1', awardCount: 1 });
+    expect(claim.$set).toEqual({ status: 'achieved' });
+  });
+
+  it("doesn't count the same ride twice", async () => {
+    Incentive.find.mockReturnValue(lean([incentive()]));
+    IncentiveProgress.findOneAndUpdate.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+
+    expect(await IncentiveService.evaluateRide(ride)).toEqual([]);
+    expect(WalletService.payIncentive).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,146 @@
+// tests/services/incidentService.test.js
+jest.mock('../../src/models/Incident', () => ({
+  findOne: jest.fn(),
+  create: jest.fn(),
+  updateOne: jest.fn(),
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+}));
+jest.mock('../../src/models/Ride', () => ({ findOne: jest.fn() }));
+jest.mock('../../src/models/Setting', () => ({ getValue: jest.fn() }));
+jest.mock('../../src/services/supportService', () => ({ openSosTicket: jest.fn() }));
+jest.mock('../../src/services/smsService', () => ({ sendSMS: jest.fn() }));
+jest.mock('../../src/services/socketService', () => ({ emitToUser: jest.fn(), emitToCaptain: jest.fn(), emitToRoom: jest.fn() }));
+jest.mock('../../src/config/redis', () => ({ cache: { get: jest.fn(), set: jest.fn(), del: jest.fn() } }));
+
+const Incident = require('../../src/models/Incident');
+const Ride = require('../../src/models/Ride');
+const Setting = require('../../src/models/Setting');
+const SupportService = require('../../src/services/supportService');
+const { sendSMS } = require('../../src/services/smsService');
+const { emitToRoom } = require('../../src/services/socketService');
+const { cache } = require('../../src/config/redis');
+const { SOS } = require('../../src/config/constants');
+const IncidentService = require('../../src/services/incidentService');
+
+const MINUTE_MS = 60 * 1000;
+const location = { latitude: 12.97, longitude: 77.59 };
+
+const mockRide = (ride) => Ride.findOne.mockReturnValue({
+  populate() { return this; },
+  then: (resolve) => resolve(ride),
+});
+
+const activeRide = {
+  _id: 'ride1',
+  rideId: 'RD1',
+  user: {
+    _id: 'user1',
+    firstName: 'Asha',
+    phone: '9000000001',
+    emergencyContacts: [{ name: 'Ravi', phone: '9000000002' }, { name: 'Meera', phone: '9000000003' }],
+  },
+  captain: { _id: 'captain1', firstName: 'Kiran', phone: '9000000004', vehicle: { registrationNumber: 'KA01AB1234' } },
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  Setting.getValue.mockResolvedValue({});
+  Incident.create.mockImplementation(async (doc) => ({ _id: 'incident1', ...doc, save: jest.fn() }));
+});
+
+describe('IncidentService.raiseSOS', () => {
+  it("texts the rider's contacts and records which texts failed", async () => {
+    mockRide(activeRide);
+    sendSMS.mockResolvedValueOnce({}).mockRejectedValueOnce(new Error('Invalid number'));
+    SupportService.openSosTicket.mockResolvedValue({ _id: 'ticket1' });
+
+    const { incident, created } = await IncidentService.raiseSOS({ rideId: 'ride1', raisedByType: 'User', raisedBy: 'user1', location });
+
+    expect(created).toBe(true);
+    expect(sendSMS.mock.calls[0][0]).toMatchObject({
+      to: '9000000002',
+      template: 'sos_alert',
+      data: { name: 'Asha', vehicle: 'KA01AB1234', link: 'https://maps.google.com/?q=12.97,77.59' },
+    });
+    expect(incident.contactsNotified.map(({ status }) => status)).toEqual(['sent', 'failed']);
+    expect(incident.supportTicket).toBe('ticket1');
+    expect(incident.nextEscalationAt.getTime() - incident.trail[0].at.getTime()).toBe(SOS.ESCALATION_INTERVAL * MINUTE_MS);
+    expect(emitToRoom).toHaveBeenCalledWith('admins', 'incident:new', expect.objectContaining({ rideId: 'RD1' }));
+    expect(cache.set).toHaveBeenCalledWith('incident:ride:ride1', 'incident1', expect.any(Number));
+  });
+
+  it('returns the open incident when SOS is pressed again', async () => {
+    mockRide(activeRide);
+    Incident.findOne.mockResolvedValue({ _id: 'incident1', status: 'acknowledged' });
+
+    const { incident, created } = await IncidentService.raiseSOS({ rideId: 'ride1', raisedByType: 'Captain', raisedBy: 'captain1' });
+
+    expect(created).toBe(false);
+    expect(incident._id).toBe('incident1');
+    expect(Incident.create).not.toHaveBeenCalled();
+    expect(emitToRoom).not.toHaveBeenCalled();
+  });
+
+  it("only accepts the rider's or captain's own active ride", async () => {
+    mockRide(null);
+
+    await expect(IncidentService.raiseSOS({ rideId: 'ride1', raisedByType: 'Captain', raisedBy: 'captain2' }))
+      .rejects.toThrow('Active ride not found');
+    expect(Ride.findOne.mock.calls[0][0]).toMatchObject({ _id: 'ride1', captain: 'captain2' });
+  });
+});
+
+describe('IncidentService.recordLocation', () => {
+  it('skips the database for rides without an open incident', async () => {
+    cache.get.mockResolvedValue(null);
+
+    expect(await IncidentService.recordLocation('ride1', 'user', location)).toBe(false);
+    expect(Incident.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('adds the fix to the trail, keeping only the latest points', async () => {
+    cache.get.mockResolvedValue('incident1');
+    Incident.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    expect(await IncidentService.recordLocation('ride1', 'captain', location)).toBe(true);
+    expect(Incident.updateOne.mock.calls[0][1].$push.trail).toMatchObject({ $slice: -SOS.TRAIL_MAX_POINTS });
+  });
+});
+
+describe('IncidentService.escalateOverdue', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+
+  const mockOverdue = (incidents) => Incident.find.mockReturnValue({
+    select() { return this; },
+    limit() { return this; },
+    lean: async () => incidents,
+  });
+
+  it('escalates each incident once per level and texts the safety team', async () => {
+    Setting.getValue.mockResolvedValue({ sos: { escalationPhones: ['9000000009'] } });
+    mockOverdue([{ _id: 'incident1', escalationLevel: 0 }]);
+    Incident.findOneAndUpdate.mockResolvedValue({ _id: 'incident1', incidentNumber: 'SOS1', location });
+    sendSMS.mockResolvedValue({});
+
+    expect(await IncidentService.escalateOverdue(now)).toBe(1);
+
+    const [filter, update] = Incident.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: 'incident1', status: 'open', escalationLevel: 0 });
+    expect(update.$set.nextEscalationAt).toEqual(new Date(now.getTime() + SOS.ESCALATION_INTERVAL * MINUTE_MS));
+    expect(sendSMS).toHaveBeenCalledWith(expect.objectContaining({ to: '9000000009', template: 'sos_escalation' }));
+  });
+
+  it('stops the timer at the last level and skips incidents another run escalated', async () => {
+    mockOverdue([
+      { _id: 'incident1', escalationLevel: SOS.MAX_ESCALATION_LEVEL - 1 },
+      { _id: 'incident2', escalationLevel: 0 },
+    ]);
+    Incident.findOneAndUpdate
+      .mockResolvedValueOnce({ _id: 'incident1', incidentNumber: 'SOS1' })
+      .mockResolvedValueOnce(null);
+
+    expect(await IncidentService.escalateOverdue(now)).toBe(1);
+    expect(Incident.findOneAndUpdate.mock.calls[0][1].$set.nextEscalationAt).toBeNull();
+  });
+});
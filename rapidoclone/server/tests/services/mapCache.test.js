@@ -0,0 +1,107 @@
+// tests/services/mapCache.test.js
+jest.mock('../../src/config/redis', () => {
+  const store = new Map();
+  return {
+    store,
+    cache: {
+      get: jest.fn(async (key) => (store.has(key) ? store.get(key).value : null)),
+      set: jest.fn(async (key, value, ttl) => { store.set(key, { value, ttl }); }),
+    },
+    getClient: () => null,
+  };
+});
+
+const { store, cache } = require('../../src/config/redis');
+const { MAP_CACHE } = require('../../src/config/constants');
+const MapCache = require('../../src/services/maps/mapCache');
+
+const ttl = { FRESH: 60, STALE: 600 };
+const lookup = { provider: 'google', kind: 'geocode', key: 'mg road', ttl };
+
+// Provider answer the test settles by hand
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { promise, resolve };
+};
+
+beforeEach(() => {
+  store.clear();
+  jest.clearAllMocks();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('MapCache.cached', () => {
+  it('shares one provider call between identical lookups running together', async () => {
+    const answer = deferred();
+    const fetch = jest.fn(() => answer.promise);
+
+    const first = MapCache.cached(lookup, fetch);
+    const second = MapCache.cached(lookup, fetch);
+    answer.resolve({ placeId: 'p1' });
+
+    expect(await first).toEqual({ placeId: 'p1' });
+    expect(await second).toEqual({ placeId: 'p1' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('serves fresh entries without asking the provider', async () => {
+    await MapCache.cached(lookup, async () => ({ placeId: 'p1' }));
+    const fetch = jest.fn();
+
+    expect(await MapCache.cached(lookup, fetch)).toEqual({ placeId: 'p1' });
+    expect(fetch).not.toHaveBeenCalled();
+    expect(cache.set.mock.calls[0]).toEqual(['map:google:geocode:mg road', expect.any(Object), ttl.FRESH + ttl.STALE]);
+  });
+
+  it('serves stale entries at once and refreshes them in the background', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+    await MapCache.cached(lookup, async () => ({ placeId: 'old' }));
+
+    now.mockReturnValue(1_000_000 + (ttl.FRESH + 1) * 1000);
+    const refreshed = deferred();
+    const fetch = jest.fn(() => refreshed.promise);
+
+    expect(await MapCache.cached(lookup, fetch)).toEqual({ placeId: 'old' });
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    refreshed.resolve({ placeId: 'new' });
+    await refreshed.promise;
+    await new Promise(setImmediate);
+
+    expect(await MapCache.cached(lookup, jest.fn())).toEqual({ placeId: 'new' });
+  });
+
+  it('keeps lookups that found nothing for EMPTY_TTL with no stale period', async () => {
+    await MapCache.cached(lookup, async () => []);
+
+    expect(cache.set.mock.calls[0][2]).toBe(MAP_CACHE.EMPTY_TTL);
+  });
+
+  it("doesn't cache provider failures", async () => {
+    await expect(MapCache.cached(lookup, async () => { throw new Error('quota exceeded'); })).rejects.toThrow('quota exceeded');
+
+    expect(cache.set).not.toHaveBeenCalled();
+    expect(await MapCache.cached(lookup, async () => ({ placeId: 'p1' }))).toEqual({ placeId: 'p1' });
+  });
+
+  it('hashes long keys', async () => {
+    await MapCache.cached({ ...lookup, kind: 'distanceMatrix', key: 'x'.repeat(200) }, async () => [[]]);
+
+    expect(cache.set.mock.calls[0][0]).toMatch(/^map:google:distanceMatrix:[0-9a-f]{40}$/);
+  });
+});
+
+describe('MapCache keys', () => {
+  it('treats searches differing only in case, accents and punctuation as one', () => {
+    expect(MapCache.normalizeQuery('  Café Coffee-Day,  MG Road ')).toBe(MapCache.normalizeQuery('cafe coffee day mg road'));
+  });
+
+  it('snaps points to the centre of their grid cell', () => {
+    const point = { latitude: 12.971598, longitude: 77.594566 };
+
+    expect(MapCache.cell(point, 3)).toBe('12.972,77.595');
+    expect(MapCache.snap(point, 3)).toEqual({ latitude: 12.972, longitude: 77.595 });
+  });
+});
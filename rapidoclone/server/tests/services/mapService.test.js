@@ -0,0 +1,93 @@
+// tests/services/mapService.test.js
+jest.mock('../../src/config/redis', () => ({
+  cache: { get: jest.fn(async () => null), set: jest.fn() },
+  getClient: () => null,
+}));
+
+const offlineAdapter = require('../../src/services/maps/offlineAdapter');
+const osrmAdapter = require('../../src/services/maps/osrmAdapter');
+const MapService = require('../../src/services/mapService');
+
+const ENV = { ...process.env };
+
+const origin = { latitude: 12.971598, longitude: 77.594566 };
+const destination = { latitude: 12.935223, longitude: 77.624478 };
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  process.env = { ...ENV };
+  delete process.env.MAP_PROVIDER;
+  delete process.env.GOOGLE_MAPS_API_KEY;
+});
+
+afterAll(() => {
+  process.env = ENV;
+});
+
+describe('MapService provider choice', () => {
+  it('uses MAP_PROVIDER, else Google with an API key, else offline', () => {
+    expect(MapService.getProviderName()).toBe('offline');
+
+    process.env.GOOGLE_MAPS_API_KEY = 'key';
+    expect(MapService.getProviderName()).toBe('google');
+
+    process.env.MAP_PROVIDER = 'OSRM';
+    expect(MapService.getProviderName()).toBe('osrm');
+  });
+
+  it('reports provider failures as the location service being unavailable', async () => {
+    process.env.MAP_PROVIDER = 'osrm';
+    jest.spyOn(osrmAdapter, 'directions').mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    await expect(MapService.getDirections(origin, destination)).rejects.toMatchObject({
+      statusCode: 503,
+      message: 'Location service unavailable',
+    });
+  });
+
+  it('only offers static maps through Google', () => {
+    expect(() => MapService.getStaticMapUrl({ center: origin })).toThrow('Static maps are not available');
+  });
+});
+
+describe('MapService.getDirections', () => {
+  it('asks for the route between grid cell centres and answers in km and minutes', async () => {
+    const directions = jest.spyOn(offlineAdapter, 'directions');
+
+    const trip = await MapService.getDirections(origin, destination);
+
+    const [from, to] = directions.mock.calls[0];
+    expect(from).toEqual({ latitude: 12.972, longitude: 77.595 });
+    expect(to).toEqual({ latitude: 12.935, longitude: 77.624 });
+
+    const [route] = await directions.mock.results[0].value;
+    expect(trip.distance).toBe(Math.round(route.distance / 10) / 100);
+    expect(trip.duration).toBe(Math.ceil(route.duration / 60));
+    expect(trip.durationInTraffic).toBeNull();
+  });
+
+  it('rejects trips with no road route', async () => {
+    jest.spyOn(offlineAdapter, 'directions').mockResolvedValue([]);
+
+    await expect(MapService.getDirections(origin, destination)).rejects.toThrow('No route found between these locations');
+  });
+});
+
+describe('MapService.getETA', () => {
+  it('is null when the provider finds no route', async () => {
+    jest.spyOn(offlineAdapter, 'distanceMatrix').mockResolvedValue([[{ status: 'ZERO_RESULTS' }]]);
+
+    expect(await MapService.getETA(origin, destination)).toBeNull();
+  });
+});
+
+describe('MapService formatting', () => {
+  it('formats distances and durations like Google does', () => {
+    expect(MapService.formatDistance(850)).toBe('850 m');
+    expect(MapService.formatDistance(5240)).toBe('5.2 km');
+    expect(MapService.formatDuration(30)).toBe('1 min');
+    expect(MapService.formatDuration(720)).toBe('12 mins');
+    expect(MapService.formatDuration(3900)).toBe('1 hour 5 mins');
+    expect(MapService.durationValue(null)).toBeNull();
+  });
+});
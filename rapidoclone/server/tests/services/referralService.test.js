@@ -0,0 +1,111 @@
+// tests/services/referralService.test.js
+jest.mock('../../src/models/User', () => ({ exists: jest.fn(), findById: jest.fn() }));
+jest.mock('../../src/models/Captain', () => ({ exists: jest.fn(), findById: jest.fn() }));
+jest.mock('../../src/models/Referral', () => ({ exists: jest.fn(), findOne: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/models/Notification', () => ({ create: jest.fn() }));
+jest.mock('../../src/models/Setting', () => ({ getValue: jest.fn() }));
+jest.mock('../../src/services/walletService', () => ({ payReferral: jest.fn() }));
+
+const User = require('../../src/models/User');
+const Referral = require('../../src/models/Referral');
+const Notification = require('../../src/models/Notification');
+const Setting = require('../../src/models/Setting');
+const WalletService = require('../../src/services/walletService');
+const ReferralService = require('../../src/services/referralService');
+
+// referredBy chain: each id's parent
+const mockChain = (parents) => User.findById.mockImplementation((id) => ({
+  select: () => ({ lean: async () => (id in parents ? { referredBy: parents[id] } : null) }),
+}));
+
+const referee = { _id: 'referee', phone: '+91 98450 12345' };
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  Setting.getValue.mockResolvedValue({});
+  mockChain({});
+});
+
+describe('ReferralService.detectFraud', () => {
+  const detect = (referrer, options = {}) => ReferralService.detectFraud({ referrer, referee, accountType: 'User', ...options });
+
+  it('passes a referrer unrelated to the referee', async () => {
+    expect(await detect({ _id: 'referrer', phone: '9123456789' })).toEqual([]);
+    expect(User.exists).not.toHaveBeenCalled();
+  });
+
+  it('flags numbers sharing the leading digits, whatever their formatting', async () => {
+    expect(await detect({ _id: 'referrer', phone: '09845012999' })).toEqual(['phone_prefix']);
+
+    Setting.getValue.mockResolvedValue({ phonePrefixLength: 0 });
+    expect(await detect({ _id: 'referrer', phone: '9845012999' })).toEqual([]);
+  });
+
+  it("flags a referee who is somewhere up the referrer's chain", async () => {
+    mockChain({ a: 'b', b: 'referee' });
+
+    expect(await detect({ _id: 'referrer', phone: '9123456789', referredBy: 'a' })).toEqual(['referral_loop']);
+    expect(User.findById).toHaveBeenCalledTimes(2);
+  });
+
+  it('stops looking after the configured depth', async () => {
+    mockChain({ a: 'b', b: 'c', c: 'referee' });
+    Setting.getValue.mockResolvedValue({ loopDepth: 2 });
+
+    expect(await detect({ _id: 'referrer', phone: '9123456789', referredBy: 'a' })).toEqual([]);
+    expect(User.findById).toHaveBeenCalledTimes(2);
+  });
+
+  it('flags devices shared with another account or another referral', async () => {
+    User.exists.mockResolvedValue({ _id: 'other' });
+    Referral.exists.mockResolvedValue({ _id: 'referral1' });
+
+    expect(await detect({ _id: 'referrer', phone: '9123456789' }, { deviceId: 'device1' }))
+      .toEqual(['same_device', 'device_reused']);
+    expect(User.exists).toHaveBeenCalledWith({ _id: { $ne: 'referee' }, deviceId: 'device1' });
+  });
+});
+
+describe('ReferralService.handleRideCompleted', () => {
+  const ride = { _id: 'ride1', user: 'referee', timestamps: { completed: new Date('2026-10-10') } };
+  const pending = {
+    _id: 'referral1',
+    referrer: 'referrer',
+    referrerType: 'User',
+    referee: 'referee',
+    refereeType: 'User',
+    referrerReward: 100,
+    refereeReward: 50,
+    qualifyBy: new Date('2026-10-15'),
+  };
+
+  it('pays both sides and tells each of them', async () => {
+    Referral.findOne.mockResolvedValue(pending);
+    WalletService.payReferral.mockResolvedValue({ entry: { _id: 'entry1' }, replayed: false });
+    Referral.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    await ReferralService.handleRideCompleted(ride);
+
+    expect(Referral.updateOne.mock.calls[0][1]).toMatchObject({ status: 'rewarded', qualifyingRide: 'ride1', ledgerEntry: 'entry1' });
+    expect(Notification.create.mock.calls.map(([n]) => n.recipient)).toEqual(['referrer', 'referee']);
+  });
+
+  it("doesn't notify again when the payout was already posted", async () => {
+    Referral.findOne.mockResolvedValue(pending);
+    WalletService.payReferral.mockResolvedValue({ entry: { _id: 'entry1' }, replayed: true });
+    Referral.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await ReferralService.handleRideCompleted(ride);
+
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+
+  it('expires referrals whose first ride came too late', async () => {
+    Referral.findOne.mockResolvedValue({ ...pending, qualifyBy: new Date('2026-10-05') });
+
+    await ReferralService.handleRideCompleted(ride);
+
+    expect(Referral.updateOne).toHaveBeenCalledWith({ _id: 'referral1', status: 'pending' }, { status: 'expired' });
+    expect(WalletService.payReferral).not.toHaveBeenCalled();
+  });
+});
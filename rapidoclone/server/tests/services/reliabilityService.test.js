@@ -0,0 +1,157 @@
+// tests/services/reliabilityService.test.js
+jest.mock('../../src/models/CaptainReliabilityEvent', () => ({
+  find: jest.fn(),
+  distinct: jest.fn(),
+  create: jest.fn(),
+  countDocuments: jest.fn(),
+}));
+jest.mock('../../src/models/Captain', () => ({ updateOne: jest.fn(), findOneAndUpdate: jest.fn() }));
+jest.mock('../../src/models/Notification', () => ({ create: jest.fn() }));
+jest.mock('../../src/models/Setting', () => ({ getValue: jest.fn() }));
+jest.mock('../../src/services/auditService', () => ({ record: jest.fn() }));
+jest.mock('../../src/services/walletService', () => ({ fineCaptain: jest.fn() }));
+jest.mock('../../src/services/incentiveService', () => ({ breakStreaks: jest.fn() }));
+jest.mock('../../src/services/socketService', () => ({ emitToCaptain: jest.fn() }));
+
+const mongoose = require('mongoose');
+const CaptainReliabilityEvent = require('../../src/models/CaptainReliabilityEvent');
+const Captain = require('../../src/models/Captain');
+const Setting = require('../../src/models/Setting');
+const Wallet = require('../../src/models/Wallet');
+const Transaction = require('../../src/models/Transaction');
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const WalletService = require('../../src/services/walletService');
+const ReliabilityService = require('../../src/services/reliabilityService');
+
+const query = (result) => ({
+  sort() { return this; },
+  limit() { return this; },
+  select() { return this; },
+  lean: async () => result,
+});
+
+// Latest decisions and accepted rides, and which of those rides were cancelled
+const mockHistory = ({ decisions = [], accepted = [], cancelled = [] }) => {
+  CaptainReliabilityEvent.find
+    .mockReturnValueOnce(query(decisions.map((type) => ({ type }))))
+    .mockReturnValueOnce(query(accepted.map((ride) => ({ ride }))));
+  CaptainReliabilityEvent.distinct.mockResolvedValueOnce(cancelled);
+};
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  Setting.getValue.mockResolvedValue({});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('ReliabilityService.computeRates', () => {
+  it('counts accepts out of answered or expired offers', async () => {
+    mockHistory({ decisions: ['accept', 'reject', 'timeout', 'accept', 'accept', 'reject'] });
+
+    const rates = await ReliabilityService.computeRates('captain1', 50);
+
+    expect(rates.acceptanceRate).toBe(50);
+    expect(rates.decisions).toBe(6);
+  });
+
+  it('counts cancellations out of accepted rides', async () => {
+    mockHistory({ decisions: ['accept', 'accept', 'accept'], accepted: ['r1', 'r2', 'r3'], cancelled: ['r2'] });
+
+    const rates = await ReliabilityService.computeRates('captain1', 50);
+
+    expect(rates.cancellationRate).toBe(33.3);
+    expect(rates.accepted).toBe(3);
+  });
+
+  it('starts new captains at full acceptance and no cancellations', async () => {
+    mockHistory({});
+
+    expect(await ReliabilityService.computeRates('captain1', 50))
+      .toEqual({ acceptanceRate: 100, cancellationRate: 0, decisions: 0, accepted: 0 });
+    expect(CaptainReliabilityEvent.distinct).not.toHaveBeenCalled();
+  });
+});
+
+describe('ReliabilityService.getPolicy', () => {
+  it("lets the 'rides' setting override the defaults", async () => {
+    Setting.getValue.mockResolvedValue({ reliability: { cancelFine: 0, windowSize: 20 } });
+
+    const policy = await ReliabilityService.getPolicy();
+
+    expect(policy).toMatchObject({ cancelFine: 0, windowSize: 20, freeCancellationsPerDay: 2 });
+  });
+});
+
+describe('ReliabilityService.recordCancellation', () => {
+  const ride = { _id: 'ride1' };
+
+  it('fines cancellations beyond the daily free ones', async () => {
+    mockHistory({ accepted: ['r1'] });
+    CaptainReliabilityEvent.countDocuments.mockResolvedValue(3);
+    WalletService.fineCaptain.mockResolvedValue({ replayed: false });
+
+    const outcome = await ReliabilityService.recordCancellation('captain1', ride);
+
+    expect(outcome.fine).toBe(25);
+    expect(outcome.cooldownUntil).toBeInstanceOf(Date);
+    expect(WalletService.fineCaptain).toHaveBeenCalledWith('captain1', ride, 25, expect.any(Object));
+    expect(outcome.suspended).toBe(false);
+  });
+
+  it('suspends only with enough accepted rides to judge', async () => {
+    const accepted = Array.from({ length: 10 }, (_, i) => `r${i}`);
+    CaptainReliabilityEvent.countDocuments.mockResolvedValue(1);
+    Captain.findOneAndUpdate.mockReturnValue({ select: async () => ({ status: 'suspended' }) });
+
+    mockHistory({ accepted: accepted.slice(0, 4), cancelled: ['r0', 'r1'] });
+    expect((await ReliabilityService.recordCancellation('captain1', ride)).suspended).toBe(false);
+
+    mockHistory({ accepted, cancelled: ['r0', 'r1', 'r2'] });
+    const outcome = await ReliabilityService.recordCancellation('captain1', ride);
+
+    expect(outcome.suspended).toBe(true);
+    expect(outcome.fine).toBe(0);
+    expect(Captain.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: 'captain1', status: 'approved' });
+  });
+
+  // The real fineCaptain, posting into an in-memory ledger
+  const mockLedger = () => {
+    const entries = new Map();
+    const { fineCaptain } = jest.requireActual('../../src/services/walletService');
+
+    WalletService.fineCaptain.mockImplementation(fineCaptain);
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({ withTransaction: async (fn) => fn(), endSession: async () => {} });
+    jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), balance: 0 });
+    jest.spyOn(Transaction, 'insertMany').mockImplementation(async (lines) => lines);
+    jest.spyOn(Transaction, 'find').mockReturnValue({ sort: async () => [] });
+    jest.spyOn(LedgerEntry, 'findOne').mockImplementation(async ({ idempotencyKey }) => entries.get(idempotencyKey) || null);
+    jest.spyOn(LedgerEntry, 'create').mockImplementation(async ([entry]) => {
+      entries.set(entry.idempotencyKey, entry);
+      return [entry];
+    });
+
+    return entries;
+  };
+
+  it('fines each captain who cancels the same redispatched ride', async () => {
+    const entries = mockLedger();
+    CaptainReliabilityEvent.countDocuments.mockResolvedValue(3);
+
+    mockHistory({ accepted: ['ride1'] });
+    expect((await ReliabilityService.recordCancellation('captain1', ride)).fine).toBe(25);
+
+    mockHistory({ accepted: ['ride1'] });
+    expect((await ReliabilityService.recordCancellation('captain2', ride)).fine).toBe(25);
+
+    expect([...entries.keys()]).toEqual([
+      'ride:ride1:captain_penalty:captain1',
+      'ride:ride1:captain_penalty:captain2',
+    ]);
+
+    // The same captain's cancellation again replays the fine: nothing new is charged
+    mockHistory({ accepted: ['ride1'] });
+    expect((await ReliabilityService.recordCancellation('captain1', ride)).fine).toBe(0);
+    expect(entries.size).toBe(2);
+  });
+});
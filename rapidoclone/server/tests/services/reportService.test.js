@@ -0,0 +1,88 @@
+// tests/services/reportService.test.js
+jest.mock('../../src/models/ScheduledReport', () => ({ find: jest.fn(), updateOne: jest.fn() }));
+jest.mock('../../src/models/User', () => ({ find: jest.fn() }));
+jest.mock('../../src/services/emailService', () => ({ sendEmail: jest.fn() }));
+
+const ScheduledReport = require('../../src/models/ScheduledReport');
+const User = require('../../src/models/User');
+const EmailService = require('../../src/services/emailService');
+const ReportService = require('../../src/services/reportService');
+
+const query = (result) => ({
+  select() { return this; },
+  sort() { return this; },
+  limit() { return this; },
+  lean: async () => result,
+});
+
+// 6 AM IST is 00:30 UTC
+const ist6am = (y, m, d) => new Date(Date.UTC(y, m, d, 0, 30));
+
+beforeEach(() => jest.resetAllMocks());
+
+describe('ReportService.nextRunAt', () => {
+  it('runs daily reports at the next 6 AM IST', () => {
+    expect(ReportService.nextRunAt('daily', new Date(Date.UTC(2026, 9, 19, 0, 0)))).toEqual(ist6am(2026, 9, 19));
+    expect(ReportService.nextRunAt('daily', ist6am(2026, 9, 19))).toEqual(ist6am(2026, 9, 20));
+  });
+
+  it('runs weekly reports on Mondays and monthly ones on the 1st', () => {
+    // Monday 19 October 2026, after 6 AM IST
+    const after = new Date(Date.UTC(2026, 9, 19, 8, 0));
+
+    expect(ReportService.nextRunAt('weekly', after)).toEqual(ist6am(2026, 9, 26));
+    expect(ReportService.nextRunAt('monthly', after)).toEqual(ist6am(2026, 10, 1));
+    expect(ReportService.nextRunAt('monthly', new Date(Date.UTC(2026, 11, 20)))).toEqual(ist6am(2027, 0, 1));
+  });
+});
+
+describe('ReportService.runDueReports', () => {
+  const now = new Date(Date.UTC(2026, 9, 19, 0, 35));
+  const report = {
+    _id: 'report1',
+    reportType: 'users',
+    format: 'csv',
+    schedule: 'daily',
+    recipients: ['ops@example.com', 'finance@example.com'],
+    nextRunAt: ist6am(2026, 9, 19),
+  };
+
+  it('emails the period since the last run to each recipient, once per run', async () => {
+    ScheduledReport.find.mockReturnValue(query([{ ...report, lastRunAt: ist6am(2026, 9, 17) }]));
+    ScheduledReport.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    User.find.mockReturnValue(query([{ _id: 'u1', firstName: 'Asha', phone: '9000000000' }]));
+
+    expect(await ReportService.runDueReports(now)).toBe(1);
+
+    expect(ScheduledReport.updateOne.mock.calls[0]).toEqual([
+      { _id: 'report1', nextRunAt: report.nextRunAt },
+      { $set: { nextRunAt: ist6am(2026, 9, 20) } },
+    ]);
+    expect(User.find.mock.calls[0][0].createdAt).toEqual({ $gte: ist6am(2026, 9, 17), $lte: report.nextRunAt });
+
+    const emails = EmailService.sendEmail.mock.calls.map(([email]) => email);
+    expect(emails.map(({ to }) => to)).toEqual(report.recipients);
+    expect(emails[0].attachments[0].filename).toBe('users_2026-10-17_2026-10-19.csv');
+    expect(emails[0].attachments[0].content.toString()).toMatch(/^userId,name,/);
+    expect(emails[0].dedupeKey).toBe(`scheduled_report:report1:${report.nextRunAt.toISOString()}:ops@example.com`);
+    expect(ScheduledReport.updateOne.mock.calls[1][1].$set).toEqual({ lastRunAt: report.nextRunAt, lastRowCount: 1 });
+  });
+
+  it('skips a run another worker already claimed', async () => {
+    ScheduledReport.find.mockReturnValue(query([report]));
+    ScheduledReport.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    expect(await ReportService.runDueReports(now)).toBe(0);
+    expect(User.find).not.toHaveBeenCalled();
+    expect(EmailService.sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('keeps lastRunAt on failure so the next run covers the missed period', async () => {
+    ScheduledReport.find.mockReturnValue(query([report]));
+    ScheduledReport.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    User.find.mockReturnValue({ ...query([]), lean: async () => { throw new Error('timed out'); } });
+
+    expect(await ReportService.runDueReports(now)).toBe(0);
+    expect(ScheduledReport.updateOne.mock.calls[1][1]).toEqual({ $set: { lastError: 'timed out' } });
+  });
+});
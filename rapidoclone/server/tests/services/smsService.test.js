@@ -0,0 +1,107 @@
+// tests/services/smsService.test.js
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const axios = require('axios');
+const SmsMessage = require('../../src/models/SmsMessage');
+const SmsService = require('../../src/services/smsService');
+
+const ENV = { ...process.env };
+
+// Error axios throws for an HTTP error status
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+let saved;
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  axios.post.mockReset();
+  process.env = { ...ENV, SMS_PROVIDERS: 'msg91,console', MSG91_AUTH_KEY: 'key', MSG91_SENDER_ID: 'RAPIDO' };
+  delete process.env.SMS_PROVIDER;
+
+  saved = [];
+  jest.spyOn(SmsMessage.prototype, 'save').mockImplementation(async function save() {
+    saved.push(this.toObject());
+    return this;
+  });
+});
+
+afterAll(() => {
+  process.env = ENV;
+});
+
+describe('SmsService.getProviderChain', () => {
+  it('skips providers without credentials and falls back to the console', () => {
+    process.env.SMS_PROVIDERS = 'twilio, msg91';
+    expect(SmsService.getProviderChain().map(({ name }) => name)).toEqual(['msg91']);
+
+    delete process.env.MSG91_AUTH_KEY;
+    expect(SmsService.getProviderChain().map(({ name }) => name)).toEqual(['console']);
+  });
+});
+
+describe('SmsService.sendSMS', () => {
+  it('fails over to the next provider when one rejects the message', async () => {
+    axios.post.mockRejectedValue(httpError(401));
+
+    const sent = await SmsService.sendSMS({ to: '98450 12345', message: 'Your ride is here' });
+
+    expect(sent.provider).toBe('console');
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(saved[0]).toMatchObject({ to: '+919845012345', status: 'sent', provider: 'console' });
+    expect(saved[0].attempts.map(({ provider, success }) => [provider, success])).toEqual([['msg91', false], ['console', true]]);
+  });
+
+  it('retries the same provider after a transient failure', async () => {
+    axios.post
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValueOnce({ data: { type: 'success', message: 'msg-1' } });
+
+    const sent = await SmsService.sendSMS({ to: '9845012345', message: 'Your ride is here' });
+
+    expect(sent).toMatchObject({ provider: 'msg91', id: 'msg-1' });
+    expect(axios.post).toHaveBeenCalledTimes(2);
+  });
+
+  it('throws once every provider has failed, and logs the failure', async () => {
+    process.env.SMS_PROVIDERS = 'msg91';
+    axios.post.mockRejectedValue(httpError(400));
+
+    await expect(SmsService.sendSMS({ to: '9845012345', message: 'Hi' })).rejects.toThrow('Unable to send SMS right now');
+    expect(saved[0]).toMatchObject({ status: 'failed', error: 'Request failed with status code 400' });
+  });
+
+  it('never stores the text of one-time codes', async () => {
+    axios.post.mockResolvedValue({ data: { type: 'success', message: 'msg-1' } });
+
+    await SmsService.sendSMS({ to: '9845012345', template: 'login_otp', data: { otp: '4821' } });
+
+    expect(axios.post.mock.calls[0][1].sms[0].message).toMatch(/^4821 is your/);
+    expect(saved[0].body).toBeUndefined();
+  });
+});
+
+describe('SmsService.recordDeliveryStatus', () => {
+  beforeEach(() => {
+    jest.spyOn(SmsMessage, 'findOneAndUpdate').mockResolvedValue(null);
+  });
+
+  it('only moves a message forward', async () => {
+    await SmsService.recordDeliveryStatus('twilio', 'SM1', 'delivered');
+    await SmsService.recordDeliveryStatus('twilio', 'SM1', 'sent');
+
+    const [[delivered], [sent]] = SmsMessage.findOneAndUpdate.mock.calls;
+    expect(delivered).toEqual({ provider: 'twilio', providerMessageId: 'SM1', status: { $in: ['pending', 'sent'] } });
+    expect(sent.status).toEqual({ $in: ['pending'] });
+  });
+
+  it('records why a message failed', async () => {
+    await SmsService.recordDeliveryStatus('twilio', 'SM1', 'undelivered', { errorCode: '30003' });
+
+    expect(SmsMessage.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({ status: 'undelivered', errorCode: '30003' });
+  });
+
+  it('ignores in-flight statuses', async () => {
+    expect(await SmsService.recordDeliveryStatus('twilio', 'SM1', 'queued')).toBeNull();
+    expect(SmsMessage.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+// tests/services/supportService.test.js
+jest.mock('../../src/models/SupportTicket', () => ({ create: jest.fn(), findOne: jest.fn() }));
+jest.mock('../../src/models/Ride', () => ({ exists: jest.fn() }));
+jest.mock('../../src/models/Payment', () => ({ exists: jest.fn() }));
+jest.mock('../../src/models/Notification', () => ({ create: jest.fn() }));
+jest.mock('../../src/models/Setting', () => ({ getValue: jest.fn() }));
+jest.mock('../../src/services/socketService', () => ({ emitToUser: jest.fn(), emitToCaptain: jest.fn() }));
+
+const SupportTicket = require('../../src/models/SupportTicket');
+const Ride = require('../../src/models/Ride');
+const Setting = require('../../src/models/Setting');
+const { emitToUser } = require('../../src/services/socketService');
+const { SUPPORT } = require('../../src/config/constants');
+const SupportService = require('../../src/services/supportService');
+
+const MINUTE_MS = 60 * 1000;
+
+const ticket = (overrides = {}) => ({
+  _id: 'ticket1',
+  ticketNumber: 'TKT1',
+  raisedByType: 'User',
+  raisedBy: 'user1',
+  status: 'open',
+  messages: [],
+  sla: { firstResponseDue: new Date(Date.now() + MINUTE_MS) },
+  save: jest.fn(async () => {}),
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  Setting.getValue.mockResolvedValue({});
+  SupportTicket.create.mockImplementation(async (doc) => doc);
+});
+
+describe('SupportService.createTicket', () => {
+  const details = { raisedByType: 'User', raisedBy: 'user1', subject: 'Charged twice', description: 'Please check' };
+
+  it('sets the priority and SLA deadlines from the category', async () => {
+    Ride.exists.mockResolvedValue({ _id: 'ride1' });
+
+    const created = await SupportService.createTicket({ ...details, category: 'payment', rideId: 'ride1' });
+    const opened = created.lastMessageAt.getTime();
+
+    expect(created.priority).toBe('high');
+    expect(created.sla.firstResponseDue.getTime() - opened).toBe(SUPPORT.SLA.high.firstResponse * MINUTE_MS);
+    expect(created.sla.resolutionDue.getTime() - opened).toBe(SUPPORT.SLA.high.resolution * MINUTE_MS);
+    expect(created.messages).toEqual([{ senderType: 'User', sender: 'user1', message: 'Please check', attachments: [] }]);
+  });
+
+  it("lets the 'support' setting override SLA targets", async () => {
+    Setting.getValue.mockResolvedValue({ sla: { low: { firstResponse: 5 } } });
+
+    const created = await SupportService.createTicket({ ...details, category: 'other' });
+
+    expect(created.sla.firstResponseDue.getTime() - created.lastMessageAt.getTime()).toBe(5 * MINUTE_MS);
+  });
+
+  it("rejects rides that aren't the customer's own", async () => {
+    Ride.exists.mockResolvedValue(null);
+
+    await expect(SupportService.createTicket({ ...details, category: 'ride', rideId: 'ride2' }))
+      .rejects.toThrow('Ride not found');
+    expect(Ride.exists).toHaveBeenCalledWith({ _id: 'ride2', user: 'user1' });
+    expect(SupportTicket.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('SupportService.getForOwner', () => {
+  it("hides internal notes and agents' ids from the customer", async () => {
+    SupportTicket.findOne.mockReturnValue({
+      select() { return this; },
+      populate() { return this; },
+      lean: async () => ({
+        messages: [
+          { senderType: 'User', sender: 'user1', message: 'Hi' },
+          { senderType: 'Admin', sender: 'admin1', message: 'Looks like a duplicate', internal: true },
+          { senderType: 'Admin', sender: 'admin1', message: 'Refunded' },
+        ],
+      }),
+    });
+
+    const { messages } = await SupportService.getForOwner('User', 'user1', 'ticket1');
+
+    expect(messages).toEqual([
+      { senderType: 'User', sender: 'user1', message: 'Hi' },
+      { senderType: 'Admin', sender: undefined, message: 'Refunded' },
+    ]);
+  });
+});
+
+describe('SupportService replies', () => {
+  it('reopens a resolved ticket when the customer replies, with whoever had it', async () => {
+    const resolved = ticket({ status: 'resolved', assignee: 'admin1', resolvedAt: new Date() });
+    SupportTicket.findOne.mockResolvedValue(resolved);
+
+    await SupportService.replyAsOwner('User', 'user1', 'ticket1', { message: 'Still broken' });
+
+    expect(resolved.status).toBe('in_progress');
+    expect(resolved.resolvedAt).toBeUndefined();
+  });
+
+  it('records the first agent reply against the SLA and takes the ticket', async () => {
+    const late = ticket({ sla: { firstResponseDue: new Date(Date.now() - MINUTE_MS) } });
+
+    await SupportService.replyAsAgent(late, 'admin1', { message: 'Looking into it' });
+
+    expect(late.status).toBe('awaiting_customer');
+    expect(late.sla.firstResponseBreached).toBe(true);
+    expect(late.assignee).toBe('admin1');
+    expect(emitToUser).toHaveBeenCalledWith('user1', 'support:ticket-updated', expect.objectContaining({ status: 'awaiting_customer' }));
+  });
+
+  it("doesn't start the SLA clock or tell the customer about internal notes", async () => {
+    const open = ticket();
+
+    await SupportService.replyAsAgent(open, 'admin1', { message: 'Check the gateway logs', internal: true });
+
+    expect(open.status).toBe('open');
+    expect(open.sla.firstRespondedAt).toBeUndefined();
+    expect(emitToUser).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,41 @@
+// tests/services/surgeService.test.js
+const SurgeService = require('../../src/services/surgeService');
+
+describe('SurgeService.smoothMultiplier', () => {
+  it('ignores raw moves inside the hysteresis band', () => {
+    expect(SurgeService.smoothMultiplier(1.0, 1.1)).toBe(1.0);
+    expect(SurgeService.smoothMultiplier(1.5, 1.4)).toBe(1.5);
+  });
+
+  it('moves by a full band even when the float gap is just under it', () => {
+    // 1.2 - 1.0 === 0.19999999999999996
+    expect(SurgeService.smoothMultiplier(1.2, 1.0)).toBe(1.0);
+    expect(SurgeService.smoothMultiplier(1.0, 1.2)).toBe(1.2);
+    expect(SurgeService.smoothMultiplier(1.5, 1.7)).toBe(1.7);
+  });
+
+  it('closes part of a large gap per refresh, rounded to the step', () => {
+    expect(SurgeService.smoothMultiplier(1.0, 2.0)).toBe(1.5);
+    expect(SurgeService.smoothMultiplier(2.5, 1.0)).toBe(1.8);
+  });
+
+  it('snaps to the raw value once the rest of the gap is inside the band', () => {
+    expect(SurgeService.smoothMultiplier(1.3, 1.0)).toBe(1.0);
+    expect(SurgeService.smoothMultiplier(1.7, 2.0)).toBe(2.0);
+  });
+});
+
+describe('SurgeService.getActiveOverride', () => {
+  const now = new Date('2026-01-01T10:00:00Z');
+
+  it('returns the manual multiplier until it expires', () => {
+    const zone = { manualSurge: { multiplier: 2, expiresAt: new Date('2026-01-01T11:00:00Z') } };
+    expect(SurgeService.getActiveOverride(zone, now)).toBe(2);
+  });
+
+  it('ignores expired or open-ended overrides', () => {
+    expect(SurgeService.getActiveOverride({ manualSurge: { multiplier: 2, expiresAt: new Date('2026-01-01T09:00:00Z') } }, now)).toBeNull();
+    expect(SurgeService.getActiveOverride({ manualSurge: { multiplier: 2 } }, now)).toBeNull();
+    expect(SurgeService.getActiveOverride({}, now)).toBeNull();
+  });
+});
@@ -0,0 +1,193 @@
+// tests/services/tripMonitor.test.js
+jest.mock('../../src/models/Ride', () => ({
+  findOne: jest.fn(),
+  find: jest.fn(),
+  updateOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  exists: jest.fn(),
+}));
+jest.mock('../../src/models/Notification', () => ({ create: jest.fn() }));
+jest.mock('../../src/models/Setting', () => ({ getValue: jest.fn() }));
+jest.mock('../../src/services/incidentService', () => ({ raiseSOS: jest.fn() }));
+jest.mock('../../src/services/socketService', () => ({ emitToUser: jest.fn(), emitToAdmins: jest.fn() }));
+
+const Ride = require('../../src/models/Ride');
+const Notification = require('../../src/models/Notification');
+const { emitToAdmins } = require('../../src/services/socketService');
+const { encodePolyline } = require('../../src/utils/helpers');
+const { TRIP_MONITOR } = require('../../src/config/constants');
+const TripMonitor = require('../../src/services/tripMonitor');
+
+const MINUTE_MS = 60 * 1000;
+
+// A straight road heading north, about 2.2 km long
+const ROUTE = [[12.97, 77.59], [12.99, 77.59]];
+const ON_ROUTE = { latitude: 12.98, longitude: 77.59 };
+const OFF_ROUTE = { latitude: 12.98, longitude: 77.6 }; // ~1 km east
+
+const rules = {
+  enabled: true,
+  offRouteMeters: TRIP_MONITOR.OFF_ROUTE_METERS,
+  offRouteSeconds: TRIP_MONITOR.OFF_ROUTE_SECONDS,
+  stopRadius: TRIP_MONITOR.STOP_RADIUS,
+  stopMinutes: TRIP_MONITOR.STOP_MINUTES,
+  destinationRadius: TRIP_MONITOR.DESTINATION_RADIUS,
+  darkMinutes: TRIP_MONITOR.DARK_MINUTES,
+  maxAccuracy: TRIP_MONITOR.MAX_ACCURACY,
+  responseMinutes: TRIP_MONITOR.RESPONSE_MINUTES,
+  realertMinutes: TRIP_MONITOR.REALERT_MINUTES,
+};
+
+const monitor = (overrides = {}) => ({
+  rideId: 'ride1',
+  rules,
+  hasRoute: true,
+  destination: { latitude: 12.99, longitude: 77.59 },
+  lastFixAt: 0,
+  lastPoint: ON_ROUTE,
+  offRouteSince: null,
+  stop: null,
+  open: {},
+  quietUntil: {},
+  ...overrides,
+});
+
+const query = (result) => ({
+  select() { return this; },
+  lean: async () => result,
+});
+
+const mockRide = (state) => Ride.findOne.mockReturnValue(query({
+  _id: 'ride1',
+  route: { polyline: encodePolyline(ROUTE.map(([latitude, longitude]) => ({ latitude, longitude }))) },
+  monitor: state,
+}));
+
+// The alert pushed onto the ride, as raiseAlert claims it
+const mockClaim = () => Ride.findOneAndUpdate.mockImplementation((filter, { $push }) => ({
+  select: async () => ({ _id: 'ride1', rideId: 'RD1', user: 'user1', captain: 'captain1', alert: $push.safetyAlerts }),
+}));
+
+const savedFields = () => Ride.updateOne.mock.calls.at(-1)[1].$set;
+
+let now;
+
+beforeEach(() => {
+  jest.resetAllMocks();
+  now = Date.UTC(2026, 9, 19, 10, 0);
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  Ride.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  Notification.create.mockResolvedValue({});
+  mockClaim();
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('TripMonitor.distanceToRoute', () => {
+  it('measures to the nearest point of a segment, not just its ends', () => {
+    expect(TripMonitor.distanceToRoute(ON_ROUTE, ROUTE)).toBeLessThan(1);
+    expect(TripMonitor.distanceToRoute(OFF_ROUTE, ROUTE)).toBeCloseTo(1085, -1);
+  });
+
+  it('measures past the end of the route to its last point', () => {
+    expect(TripMonitor.distanceToRoute({ latitude: 13.0, longitude: 77.59 }, ROUTE)).toBeCloseTo(1113, -1);
+  });
+});
+
+describe('TripMonitor.checkLocation', () => {
+  it('flags a trip off route only once it has stayed off long enough', async () => {
+    mockRide(monitor({ stop: { ...OFF_ROUTE, since: now } }));
+    await TripMonitor.checkLocation('ride1', OFF_ROUTE);
+
+    expect(Ride.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(savedFields()['monitor.offRouteSince']).toBe(now);
+
+    const offRouteSince = now;
+    now += rules.offRouteSeconds * 1000;
+    mockRide(monitor({ offRouteSince, stop: { ...OFF_ROUTE, since: now } }));
+    await TripMonitor.checkLocation('ride1', OFF_ROUTE);
+
+    const [, { $push }] = Ride.findOneAndUpdate.mock.calls[0];
+    expect($push.safetyAlerts).toMatchObject({ type: 'off_route', minutes: 2 });
+    expect(emitToAdmins).toHaveBeenCalledWith('trip:alert', expect.objectContaining({ type: 'off_route' }));
+    expect(savedFields()['monitor.open.off_route']).toBe($push.safetyAlerts._id.toString());
+  });
+
+  it('flags a stop away from the destination and clears it once the trip moves', async () => {
+    mockRide(monitor({ stop: { ...ON_ROUTE, since: now - rules.stopMinutes * MINUTE_MS } }));
+    await TripMonitor.checkLocation('ride1', ON_ROUTE);
+
+    expect(Ride.findOneAndUpdate.mock.calls[0][1].$push.safetyAlerts).toMatchObject({ type: 'unexpected_stop', minutes: 5 });
+
+    const moved = { latitude: 12.985, longitude: 77.59 };
+    mockRide(monitor({ stop: { ...ON_ROUTE, since: now - 6 * MINUTE_MS }, open: { unexpected_stop: 'alert1' } }));
+    await TripMonitor.checkLocation('ride1', moved);
+
+    expect(Ride.updateOne.mock.calls.at(-2)[0]).toEqual({ _id: 'ride1', 'safetyAlerts._id': 'alert1' });
+    expect(savedFields()).toMatchObject({
+      'monitor.open.unexpected_stop': null,
+      'monitor.stop': { ...moved, since: now },
+    });
+  });
+
+  it("doesn't flag waiting at the destination", async () => {
+    const destination = { latitude: 12.99, longitude: 77.59 };
+    mockRide(monitor({ stop: { ...destination, since: now - 10 * MINUTE_MS } }));
+
+    await TripMonitor.checkLocation('ride1', destination);
+
+    expect(Ride.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('writes only the fields it changed', async () => {
+    mockRide(monitor({ stop: { ...ON_ROUTE, since: now }, open: { gps_dark: 'alert1' } }));
+
+    await TripMonitor.checkLocation('ride1', ON_ROUTE);
+
+    const [filter, update] = Ride.updateOne.mock.calls.at(-1);
+    expect(filter).toEqual({ _id: 'ride1', status: 'started' });
+    expect(Object.keys(update.$set).sort()).toEqual([
+      'monitor.lastFixAt',
+      'monitor.lastPoint',
+      'monitor.open.gps_dark',
+      'monitor.quietUntil.gps_dark',
+    ]);
+  });
+
+  it('ignores inaccurate fixes', async () => {
+    mockRide(monitor());
+
+    await TripMonitor.checkLocation('ride1', { ...OFF_ROUTE, accuracy: rules.maxAccuracy + 1 });
+
+    expect(Ride.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('TripMonitor.sweepActiveTrips', () => {
+  const mockStarted = (rides) => Ride.find.mockReturnValue(query(rides));
+
+  it('flags trips whose location went quiet, writing only the open alert', async () => {
+    mockStarted([{ _id: 'ride1', monitor: monitor({ lastFixAt: now - rules.darkMinutes * MINUTE_MS }) }]);
+
+    expect(await TripMonitor.sweepActiveTrips(now)).toBe(1);
+
+    expect(Ride.findOneAndUpdate.mock.calls[0][1].$push.safetyAlerts).toMatchObject({ type: 'gps_dark', location: ON_ROUTE });
+    expect(Object.keys(savedFields())).toEqual(['monitor.open.gps_dark']);
+  });
+
+  it('stays quiet when another run already raised the flag', async () => {
+    mockStarted([{ _id: 'ride1', monitor: monitor({ lastFixAt: now - rules.darkMinutes * MINUTE_MS }) }]);
+    Ride.findOneAndUpdate.mockReturnValue({ select: async () => null });
+    Ride.exists.mockResolvedValue(true);
+
+    expect(await TripMonitor.sweepActiveTrips(now)).toBe(0);
+    expect(savedFields()).toEqual({ 'monitor.quietUntil.gps_dark': now + rules.realertMinutes * MINUTE_MS });
+  });
+
+  it('leaves trips with recent fixes alone', async () => {
+    mockStarted([{ _id: 'ride1', monitor: monitor({ lastFixAt: now - MINUTE_MS }) }]);
+
+    expect(await TripMonitor.sweepActiveTrips(now)).toBe(0);
+    expect(Ride.updateOne).not.toHaveBeenCalled();
+  });
+});
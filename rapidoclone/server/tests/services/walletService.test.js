@@ -0,0 +1,154 @@
+// tests/services/walletService.test.js
+const mongoose = require('mongoose');
+const Wallet = require('../../src/models/Wallet');
+const Transaction = require('../../src/models/Transaction');
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const Setting = require('../../src/models/Setting');
+const AuditService = require('../../src/services/auditService');
+const WalletService = require('../../src/services/walletService');
+
+const session = { withTransaction: async (fn) => fn(), endSession: async () => {} };
+
+const request = (headers = {}, user = { _id: 'user1' }) => ({ get: (name) => headers[name], user });
+
+const netPaise = (postings) => postings.reduce(
+  (sum, { side, amount }) => sum + Math.round(amount * 100) * (side === 'debit' ? 1 : -1),
+  0
+);
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+  jest.spyOn(AuditService, 'record').mockResolvedValue(null);
+  jest.spyOn(Setting, 'getValue').mockResolvedValue({});
+  jest.spyOn(LedgerEntry, 'findOne').mockResolvedValue(null);
+  jest.spyOn(LedgerEntry, 'create').mockImplementation(async ([entry]) => [entry]);
+  jest.spyOn(Transaction, 'insertMany').mockImplementation(async (lines) => lines);
+  jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ _id: new mongoose.Types.ObjectId(), balance: 500 });
+});
+
+describe('LedgerEntry balance check', () => {
+  const entry = (postings) => new LedgerEntry({ idempotencyKey: 'k', kind: 'adjustment', postings });
+
+  it('accepts entries whose debits and credits cancel out to the paisa', async () => {
+    await expect(entry([
+      { account: 'a', side: 'debit', amount: 0.3 },
+      { account: 'b', side: 'credit', amount: 0.1 },
+      { account: 'c', side: 'credit', amount: 0.2 },
+    ]).validate()).resolves.toBeUndefined();
+  });
+
+  it('rejects unbalanced entries', async () => {
+    await expect(entry([
+      { account: 'a', side: 'debit', amount: 10 },
+      { account: 'b', side: 'credit', amount: 9.99 },
+    ]).validate()).rejects.toThrow('unbalanced by 0.01');
+  });
+});
+
+describe('WalletService.settleRide', () => {
+  it('posts a balanced split of the fare, dues included', async () => {
+    const ride = {
+      _id: new mongoose.Types.ObjectId(),
+      rideId: 'RD1',
+      captain: new mongoose.Types.ObjectId(),
+      payment: { method: 'cash' },
+      fare: { total: 250, previousDues: 50, captainEarnings: 160 },
+    };
+
+    await WalletService.settleRide(ride);
+
+    const [[[entry]]] = LedgerEntry.create.mock.calls;
+    expect(entry.idempotencyKey).toBe(`ride:${ride._id}:settlement`);
+    expect(netPaise(entry.postings)).toBe(0);
+    expect(entry.metadata).toMatchObject({ total: 250, captainEarnings: 160, commission: 38.1, tax: 1.9, dues: 50 });
+    await expect(new LedgerEntry(entry).validate()).resolves.toBeUndefined();
+  });
+});
+
+describe('WalletService.post idempotency', () => {
+  const posting = {
+    idempotencyKey: 'tip:1',
+    kind: 'tip',
+    lines: [
+      { account: WalletService.ACCOUNTS.ADJUSTMENTS, side: 'debit', amount: 20 },
+      { wallet: { owner: 'captain1', ownerType: 'Captain' }, side: 'credit', amount: 20, category: 'tip' },
+    ],
+  };
+  const original = { _id: 'entry1' };
+
+  const mockStatement = () => jest.spyOn(Transaction, 'find').mockReturnValue({ sort: async () => ['statement'] });
+
+  it('returns the original posting for a key already used', async () => {
+    LedgerEntry.findOne.mockResolvedValue(original);
+    mockStatement();
+
+    const result = await WalletService.post(posting);
+
+    expect(result).toEqual({ entry: original, transactions: ['statement'], replayed: true });
+    expect(Transaction.find).toHaveBeenCalledWith({ ledgerEntry: 'entry1' });
+    expect(mongoose.startSession).not.toHaveBeenCalled();
+  });
+
+  it('replays the winner when a concurrent request posts the same key first', async () => {
+    LedgerEntry.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(original);
+    LedgerEntry.create.mockRejectedValue(Object.assign(new Error('E11000'), {
+      code: 11000,
+      keyPattern: { idempotencyKey: 1 },
+    }));
+    mockStatement();
+
+    const result = await WalletService.post(posting);
+
+    expect(result.replayed).toBe(true);
+    expect(result.entry).toBe(original);
+    expect(AuditService.record).not.toHaveBeenCalled();
+  });
+
+  it('posts and audits each wallet leg the first time', async () => {
+    const result = await WalletService.post(posting);
+
+    expect(result.replayed).toBe(false);
+    expect(result.transactions).toHaveLength(1);
+    expect(AuditService.record).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('WalletService.idempotencyKey', () => {
+  it("scopes the client's key to the caller", () => {
+    expect(WalletService.idempotencyKey(request({ 'Idempotency-Key': 'abc-1' }), 'transfer', 'natural'))
+      .toBe('transfer:user1:abc-1');
+  });
+
+  it('uses the natural key without a header, and requires the header without one', () => {
+    expect(WalletService.idempotencyKey(request(), 'tip', 'ride:1:tip:20')).toBe('ride:1:tip:20');
+    expect(() => WalletService.idempotencyKey(request(), 'transfer')).toThrow('Idempotency-Key header is required');
+  });
+
+  it('keys header-less transfers and withdrawals on what they move, for a minute', async () => {
+    const postedKey = () => LedgerEntry.create.mock.calls.at(-1)[0][0].idempotencyKey;
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2026, 0, 1, 10, 0, 5));
+
+    await WalletService.transfer({ fromUserId: 'u1', toUserId: 'u2', amount: 50, req: request() });
+    const first = postedKey();
+
+    now.mockReturnValue(Date.UTC(2026, 0, 1, 10, 0, 40));
+    await WalletService.transfer({ fromUserId: 'u1', toUserId: 'u2', amount: 50, req: request() });
+    expect(postedKey()).toBe(first);
+
+    await WalletService.transfer({ fromUserId: 'u1', toUserId: 'u2', amount: 60, req: request() });
+    expect(postedKey()).not.toBe(first);
+
+    now.mockReturnValue(Date.UTC(2026, 0, 1, 10, 1, 5));
+    await WalletService.transfer({ fromUserId: 'u1', toUserId: 'u2', amount: 50, req: request() });
+    expect(postedKey()).not.toBe(first);
+
+    await WalletService.requestWithdrawal({ ownerId: 'c1', amount: 100, req: request() });
+    expect(postedKey()).toMatch(/^withdrawal:c1:100:/);
+  });
+
+  it('rejects malformed keys', () => {
+    expect(() => WalletService.idempotencyKey(request({ 'Idempotency-Key': 'has spaces' }), 'transfer'))
+      .toThrow('Invalid Idempotency-Key header');
+  });
+});